@@ -40,7 +40,9 @@ class ReactiveAppState {
   constructor() {
     this._data = {
       user: null,
-      token: localStorage.getItem('auth_token'),
+      // "Remember me" sessions live in localStorage, all others only for this browser session
+      token: sessionStorage.getItem('auth_token') || localStorage.getItem('auth_token'),
+      refreshToken: sessionStorage.getItem('refresh_token') || localStorage.getItem('refresh_token'),
       socket: null,
       connectionStatus: 'disconnected',
       currentSection: 'dashboard',
@@ -189,6 +191,17 @@ class ReactiveAppState {
       const avatarImg = document.querySelector('.avatar-img');
       if (avatarImg) avatarImg.src = user.avatar;
     }
+
+    // Nudge unverified accounts to confirm their email
+    const verifyBanner = document.getElementById('verifyEmailBanner');
+    if (verifyBanner) {
+      verifyBanner.classList.toggle('hidden', user.emailVerified !== false);
+      const address = document.getElementById('verifyEmailAddress');
+      if (address) address.textContent = user.email;
+    }
+
+    // Show only the navigation and sections this account's role grants
+    applyRolePermissions(user);
   }
 
   updateNotificationBadge(notifications) {
@@ -268,6 +281,100 @@ class ReactiveAppState {
 
 const appState = new ReactiveAppState();
 
+// ============================================
+// Device Key for Remembered Sessions
+// ============================================
+
+// Keeps a non-extractable ECDSA key in IndexedDB. The server stores the public half for
+// "Remember me" sessions and only accepts refreshes signed by this browser.
+class DeviceKeyStore {
+  constructor() {
+    this.dbName = 'learnova-device';
+    this.storeName = 'keys';
+    this.keyId = 'session-signing-key';
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined' && Boolean(window.crypto?.subtle);
+  }
+
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async runTransaction(mode, operation) {
+    const db = await this.openDatabase();
+    try {
+      return await new Promise((resolve, reject) => {
+        const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  async getKeyPair() {
+    return await this.runTransaction('readonly', store => store.get(this.keyId)) || null;
+  }
+
+  async getOrCreateKeyPair() {
+    let keyPair = await this.getKeyPair();
+    if (!keyPair) {
+      keyPair = await crypto.subtle.generateKey(
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['sign', 'verify']
+      );
+      await this.runTransaction('readwrite', store => store.put(keyPair, this.keyId));
+    }
+    return keyPair;
+  }
+
+  async getPublicJwk() {
+    if (!this.isSupported()) return null;
+
+    try {
+      const { publicKey } = await this.getOrCreateKeyPair();
+      return await crypto.subtle.exportKey('jwk', publicKey);
+    } catch (error) {
+      console.warn('Device key unavailable:', error);
+      return null;
+    }
+  }
+
+  // Returns a base64url signature, or null when this browser has no device key
+  async sign(message) {
+    if (!this.isSupported()) return null;
+
+    try {
+      const keyPair = await this.getKeyPair();
+      if (!keyPair) return null;
+
+      const signature = await crypto.subtle.sign(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        keyPair.privateKey,
+        new TextEncoder().encode(message)
+      );
+      return btoa(String.fromCharCode(...new Uint8Array(signature)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+    } catch (error) {
+      console.warn('Device signature failed:', error);
+      return null;
+    }
+  }
+}
+
+const deviceKeyStore = new DeviceKeyStore();
+
 // ============================================
 // Enhanced API Service with Modern Features
 // ============================================
@@ -279,6 +386,19 @@ class ModernAPIService {
     this.cache = new Map();
     this.requestQueue = [];
     this.isProcessingQueue = false;
+    this.refreshPromise = null;
+    // Endpoints that must never trigger a token refresh or the session-expired flow
+    this.publicAuthEndpoints = [
+      '/auth/login',
+      '/auth/register',
+      '/auth/refresh',
+      '/auth/forgot-password',
+      '/auth/reset-password',
+      '/auth/verify-email',
+      '/auth/2fa/verify',
+      '/auth/oidc/providers',
+      '/auth/oidc/exchange'
+    ];
     this.retryConfig = {
       maxRetries: 3,
       retryDelay: 1000,
@@ -331,7 +451,20 @@ class ModernAPIService {
 
       if (!response.ok) {
         const error = await response.json().catch(() => ({}));
-        throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+
+        // Access tokens are short-lived: refresh once and replay the request
+        if (this.isAuthFailure(response.status, error) && !options._retried &&
+            !this.isPublicAuthEndpoint(endpoint) && appState.refreshToken) {
+          if (await this.refreshSession()) {
+            return this.makeRequest(endpoint, { ...options, _retried: true });
+          }
+        }
+
+        const requestError = new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+        requestError.status = response.status;
+        requestError.code = error.code;
+        requestError.retryAfter = error.retryAfter;
+        throw requestError;
       }
 
       const data = await response.json();
@@ -349,8 +482,10 @@ class ModernAPIService {
       console.error(`API Error [${endpoint}]:`, error);
 
       // Handle specific error types
-      if (error.message.includes('401') || error.message.includes('403')) {
+      if (this.isAuthFailure(error.status, error) && !this.isPublicAuthEndpoint(endpoint)) {
         this.handleAuthError();
+      } else if (error.code === 'ACCOUNT_SUSPENDED' && !this.isPublicAuthEndpoint(endpoint)) {
+        this.handleSuspendedAccount(error.message);
       }
 
       throw error;
@@ -385,14 +520,128 @@ class ModernAPIService {
     return `${endpoint}_${JSON.stringify(options.body || {})}_${options.method || 'GET'}`;
   }
 
-  handleAuthError() {
+  isPublicAuthEndpoint(endpoint) {
+    return this.publicAuthEndpoints.includes(endpoint);
+  }
+
+  // Errors carrying a code (e.g. EMAIL_NOT_VERIFIED, INVALID_PASSWORD) are about the request, not the session
+  isAuthFailure(status, body = {}) {
+    return (status === 401 || status === 403) && !body.code;
+  }
+
+  // Concurrent 401s share a single refresh so the rotated token is only spent once. Tabs of a
+  // remembered session share one stored token, so they also take turns through a Web Lock
+  refreshSession() {
+    if (!this.refreshPromise) {
+      const refresh = navigator.locks
+        ? navigator.locks.request('learnova-token-refresh', () => this._performRefresh())
+        : this._performRefresh();
+      this.refreshPromise = refresh.finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  // The refresh token another tab stored after rotating, if it differs from this tab's
+  readNewerRefreshToken() {
+    const stored = sessionStorage.getItem('refresh_token') || localStorage.getItem('refresh_token');
+    return stored && stored !== appState.refreshToken ? stored : null;
+  }
+
+  async _performRefresh() {
+    if (!appState.refreshToken) return false;
+
+    // Another tab refreshed while this one waited: use its tokens instead of spending the old one
+    const newerRefreshToken = this.readNewerRefreshToken();
+    if (newerRefreshToken) {
+      appState.refreshToken = newerRefreshToken;
+      appState.token = sessionStorage.getItem('auth_token') || localStorage.getItem('auth_token');
+      return true;
+    }
+
+    try {
+      const refreshToken = appState.refreshToken;
+      const body = { refreshToken };
+
+      // Remembered sessions must prove they are still on the device they were issued to
+      if (localStorage.getItem('refresh_token') === refreshToken) {
+        body.deviceSignature = await deviceKeyStore.sign(`refresh:${refreshToken}`);
+      }
+
+      const response = await this.fetchWithRetry(`${this.baseURL}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        timeout: this.timeout
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.success || !data.token) {
+        return false;
+      }
+
+      this.storeTokens(data);
+      // A token rotated out by another tab a moment ago only gets an access token back
+      if (!data.refreshToken) {
+        appState.refreshToken = this.readNewerRefreshToken() || appState.refreshToken;
+      }
+      return true;
+    } catch (error) {
+      console.error('Token refresh failed:', error);
+      return false;
+    }
+  }
+
+  // The server decides whether a session is remembered; keep the tokens wherever that implies
+  storeTokens({ token, refreshToken, persistent }) {
+    const remember = persistent ?? localStorage.getItem('refresh_token') !== null;
+    const storage = remember ? localStorage : sessionStorage;
+    const otherStorage = remember ? sessionStorage : localStorage;
+
+    appState.token = token;
+    storage.setItem('auth_token', token);
+    otherStorage.removeItem('auth_token');
+
+    if (refreshToken) {
+      appState.refreshToken = refreshToken;
+      storage.setItem('refresh_token', refreshToken);
+      otherStorage.removeItem('refresh_token');
+    }
+  }
+
+  clearTokens() {
     appState.token = null;
+    appState.refreshToken = null;
+    [localStorage, sessionStorage].forEach(storage => {
+      storage.removeItem('auth_token');
+      storage.removeItem('refresh_token');
+    });
+  }
+
+  // Adds the "Remember me" choice and, when remembering, this browser's device public key
+  async withRememberMe(body, rememberMe) {
+    if (!rememberMe) {
+      return { ...body, rememberMe: false };
+    }
+
+    return { ...body, rememberMe: true, devicePublicKey: await deviceKeyStore.getPublicJwk() };
+  }
+
+  handleAuthError() {
+    this.clearTokens();
     appState.user = null;
-    localStorage.removeItem('auth_token');
     showAuthOverlay();
     showNotification('Session expired. Please log in again.', 'warning');
   }
 
+  handleSuspendedAccount(message) {
+    this.clearTokens();
+    appState.user = null;
+    showAuthOverlay();
+    showNotification(message || 'This account has been suspended.', 'error', 10000);
+  }
+
   clearCache() {
     this.cache.clear();
     console.log('API cache cleared');
@@ -403,15 +652,15 @@ class ModernAPIService {
     try {
       showLoadingState('Signing you in...');
 
+      const { rememberMe, ...fields } = credentials;
       const response = await this.makeRequest('/auth/login', {
         method: 'POST',
-        body: credentials
+        body: await this.withRememberMe(fields, rememberMe)
       });
 
       if (response.success && response.token) {
-        appState.token = response.token;
+        this.storeTokens(response);
         appState.user = response.user;
-        localStorage.setItem('auth_token', response.token);
 
         // Track login event
         this.trackEvent('user_login', { method: 'email' });
@@ -433,9 +682,8 @@ class ModernAPIService {
       });
 
       if (response.success && response.token) {
-        appState.token = response.token;
+        this.storeTokens(response);
         appState.user = response.user;
-        localStorage.setItem('auth_token', response.token);
 
         // Track registration event
         this.trackEvent('user_register', { method: 'email' });
@@ -447,1471 +695,4683 @@ class ModernAPIService {
     }
   }
 
-  async logout() {
+  async getSsoProviders() {
+    return await this.makeRequest('/auth/oidc/providers');
+  }
+
+  async exchangeSsoCode(code, rememberMe = false) {
     try {
-      await this.makeRequest('/auth/logout', { method: 'POST' });
-    } catch (error) {
-      console.error('Logout error:', error);
-    } finally {
-      appState.token = null;
-      appState.user = null;
-      localStorage.removeItem('auth_token');
-      this.clearCache();
+      showLoadingState('Completing sign-in...');
 
-      // Track logout event
-      this.trackEvent('user_logout');
+      const response = await this.makeRequest('/auth/oidc/exchange', {
+        method: 'POST',
+        body: await this.withRememberMe({ code }, rememberMe)
+      });
+
+      if (response.success && response.token) {
+        this.storeTokens(response);
+        appState.user = response.user;
+
+        this.trackEvent('user_login', { method: 'sso', provider: response.provider });
+      }
+
+      return response;
+    } finally {
+      hideLoadingState();
     }
   }
 
-  // Enhanced user methods
-  async getUserProfile() {
-    return await this.makeRequest('/user/profile');
-  }
+  async verifyTwoFactor(challengeToken, code, rememberMe = false) {
+    try {
+      showLoadingState('Verifying your code...');
 
-  async updateUserProfile(data) {
-    const response = await this.makeRequest('/user/profile', {
-      method: 'PUT',
-      body: data
-    });
+      const response = await this.makeRequest('/auth/2fa/verify', {
+        method: 'POST',
+        body: await this.withRememberMe({ challengeToken, code }, rememberMe)
+      });
 
-    if (response.success) {
-      appState.user = { ...appState.user, ...response.user };
-    }
+      if (response.success && response.token) {
+        this.storeTokens(response);
+        appState.user = response.user;
 
-    return response;
+        this.trackEvent('user_login', { method: 'email', twoFactor: response.twoFactorMethod });
+      }
+
+      return response;
+    } finally {
+      hideLoadingState();
+    }
   }
 
-  async uploadAvatar(file) {
-    const formData = new FormData();
-    formData.append('avatar', file);
+  async setupTwoFactor() {
+    return await this.makeRequest('/auth/2fa/setup', { method: 'POST' });
+  }
 
-    return await this.makeRequest('/user/avatar', {
+  async enableTwoFactor(code) {
+    return await this.makeRequest('/auth/2fa/enable', {
       method: 'POST',
-      body: formData
+      body: { code }
     });
   }
 
-  // AI methods with caching
-  async generateQuestions(params) {
-    return await this.makeRequest('/ai/generate-questions', {
+  async disableTwoFactor(password, code) {
+    return await this.makeRequest('/auth/2fa/disable', {
       method: 'POST',
-      body: params
+      body: { password, code }
     });
   }
 
-  async sendChatMessage(message, context = {}) {
-    return await this.makeRequest('/ai/chat', {
+  async regenerateRecoveryCodes(code) {
+    return await this.makeRequest('/auth/2fa/recovery-codes', {
       method: 'POST',
-      body: { message, context }
+      body: { code }
     });
   }
 
-  async getPerformanceAnalysis() {
-    return await this.makeRequest('/analytics/performance');
+  async requestPasswordReset(email) {
+    try {
+      showLoadingState('Sending reset link...');
+
+      return await this.makeRequest('/auth/forgot-password', {
+        method: 'POST',
+        body: { email }
+      });
+    } finally {
+      hideLoadingState();
+    }
   }
 
-  // Study groups methods
-  async getStudyGroups() {
-    return await this.makeRequest('/study-groups');
+  async resetPassword(token, password) {
+    try {
+      showLoadingState('Updating your password...');
+
+      return await this.makeRequest('/auth/reset-password', {
+        method: 'POST',
+        body: { token, password }
+      });
+    } finally {
+      hideLoadingState();
+    }
   }
 
-  async createStudyGroup(groupData) {
-    return await this.makeRequest('/study-groups', {
+  async verifyEmail(token) {
+    return await this.makeRequest('/auth/verify-email', {
       method: 'POST',
-      body: groupData
+      body: { token }
     });
   }
 
-  // Event tracking for analytics
-  trackEvent(eventName, properties = {}) {
-    const event = {
-      name: eventName,
-      properties,
-      timestamp: Date.now(),
-      userId: appState.user?.id,
-      sessionId: this.getSessionId()
-    };
-
-    console.log('Event tracked:', event);
-
-    // Store events for batch sending
-    const events = JSON.parse(localStorage.getItem('analytics_events') || '[]');
-    events.push(event);
-    localStorage.setItem('analytics_events', JSON.stringify(events.slice(-100))); // Keep last 100 events
+  async resendVerificationEmail() {
+    return await this.makeRequest('/auth/resend-verification', { method: 'POST' });
   }
 
-  getSessionId() {
-    let sessionId = sessionStorage.getItem('session_id');
-    if (!sessionId) {
-      sessionId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-      sessionStorage.setItem('session_id', sessionId);
+  async logout() {
+    try {
+      await this.makeRequest('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      this.clearTokens();
+      sessionStorage.removeItem('impersonator_session');
+      appState.user = null;
+      this.clearCache();
+
+      // Track logout event
+      this.trackEvent('user_logout');
     }
-    return sessionId;
   }
-}
-
-const apiService = new ModernAPIService();
 
-// ============================================
-// Advanced Socket Service with Reconnection
-// ============================================
+  // Downloads are files rather than JSON, so they bypass the JSON handling in makeRequest
+  async downloadFile(endpoint, fallbackName) {
+    const request = () => fetch(`${this.baseURL}/api${endpoint}`, {
+      headers: { 'Authorization': `Bearer ${appState.token}` }
+    });
 
-class ModernSocketService {
-  constructor() {
-    this.socket = null;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = CONFIG.MAX_RECONNECT_ATTEMPTS;
-    this.reconnectInterval = CONFIG.WS_RECONNECT_INTERVAL;
-    this.eventHandlers = new Map();
-    this.messageQueue = [];
-    this.heartbeatInterval = null;
-    this.connectionPromise = null;
-  }
+    let response = await request();
+    if (this.isAuthFailure(response.status) && appState.refreshToken && await this.refreshSession()) {
+      response = await request();
+    }
 
-  async connect() {
-    if (this.connectionPromise) {
-      return this.connectionPromise;
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
     }
 
-    this.connectionPromise = this._establishConnection();
-    return this.connectionPromise;
+    const blob = await response.blob();
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    return response;
   }
 
-  async _establishConnection() {
-    if (!appState.token) {
-      console.warn('Cannot connect socket: No auth token');
-      return;
-    }
+  async downloadDataExport() {
+    return await this.downloadFile('/user/export', 'learnova-export.zip');
+  }
 
-    try {
-      if (this.socket) {
-        this.socket.disconnect();
-      }
+  async deleteAccount(password, code) {
+    const response = await this.makeRequest('/user/account', {
+      method: 'DELETE',
+      body: { password, code }
+    });
 
-      const options = {
-        auth: { token: appState.token },
-        transports: ['websocket', 'polling'],
-        timeout: 5000,
-        forceNew: true
-      };
+    this.clearTokens();
+    this.clearCache();
+    appState.user = null;
 
-      this.socket = io(CONFIG.SOCKET_URL, options);
-      appState.socket = this.socket;
+    return response;
+  }
 
-      this.setupEventHandlers();
-      this.startHeartbeat();
+  async getApiTokens() {
+    return await this.makeRequest('/user/api-tokens');
+  }
 
-      return new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error('Connection timeout'));
-        }, 10000);
+  async createApiToken(data) {
+    return await this.makeRequest('/user/api-tokens', {
+      method: 'POST',
+      body: data
+    });
+  }
 
-        this.socket.once('connect', () => {
-          clearTimeout(timeout);
-          resolve(this.socket);
-        });
+  async revokeApiToken(tokenId) {
+    return await this.makeRequest(`/user/api-tokens/${tokenId}`, { method: 'DELETE' });
+  }
 
-        this.socket.once('connect_error', (error) => {
-          clearTimeout(timeout);
-          reject(error);
-        });
-      });
-    } catch (error) {
-      console.error('Socket connection error:', error);
-      this.handleConnectionError();
-      throw error;
-    }
+  async getSessions() {
+    return await this.makeRequest('/user/sessions');
   }
 
-  setupEventHandlers() {
-    this.socket.on('connect', () => {
-      console.log('🔌 Connected to server via WebSocket');
-      appState.connectionStatus = 'connected';
-      this.reconnectAttempts = 0;
-      this.connectionPromise = null;
+  async revokeSession(sessionId) {
+    return await this.makeRequest(`/user/sessions/${sessionId}`, { method: 'DELETE' });
+  }
 
-      // Process queued messages
-      this.processMessageQueue();
+  async revokeOtherSessions() {
+    return await this.makeRequest('/user/sessions/revoke-others', { method: 'POST' });
+  }
 
-      showNotification('Connected to real-time services', 'success');
+  // Enhanced user methods
+  async getUserProfile() {
+    return await this.makeRequest('/user/profile');
+  }
+
+  // Subject methods
+  async getSubjects(status = 'active') {
+    return await this.makeRequest(`/subjects?status=${encodeURIComponent(status)}`);
+  }
+
+  async createSubject(data) {
+    return await this.makeRequest('/subjects', {
+      method: 'POST',
+      body: data
     });
+  }
 
-    this.socket.on('disconnect', (reason) => {
-      console.log('🔌 Disconnected from server:', reason);
-      appState.connectionStatus = 'disconnected';
+  async updateSubject(subjectId, data) {
+    return await this.makeRequest(`/subjects/${subjectId}`, {
+      method: 'PUT',
+      body: data
+    });
+  }
 
-      this.stopHeartbeat();
+  async archiveSubject(subjectId) {
+    return await this.makeRequest(`/subjects/${subjectId}/archive`, { method: 'POST' });
+  }
 
-      if (reason === 'io server disconnect') {
-        // Server initiated disconnect, don't reconnect automatically
-        return;
-      }
+  async unarchiveSubject(subjectId) {
+    return await this.makeRequest(`/subjects/${subjectId}/unarchive`, { method: 'POST' });
+  }
 
-      this.handleConnectionError();
-    });
+  async deleteSubject(subjectId) {
+    return await this.makeRequest(`/subjects/${subjectId}`, { method: 'DELETE' });
+  }
 
-    this.socket.on('connect_error', (error) => {
-      console.error('🔌 Connection error:', error);
-      appState.connectionStatus = 'error';
-      this.handleConnectionError();
+  async previewSyllabusImport(data) {
+    return await this.makeRequest('/subjects/import/preview', {
+      method: 'POST',
+      body: data
     });
+  }
 
-    // Real-time event handlers
-    this.socket.on('user-online', (data) => {
-      this.handleUserOnline(data);
+  async importSyllabus(data) {
+    return await this.makeRequest('/subjects/import', {
+      method: 'POST',
+      body: data
     });
+  }
 
-    this.socket.on('user-offline', (data) => {
-      this.handleUserOffline(data);
-    });
+  async getSubject(subjectId) {
+    return await this.makeRequest(`/subjects/${subjectId}`);
+  }
 
-    this.socket.on('collaboration-update', (data) => {
-      this.handleCollaborationUpdate(data);
+  async createTopic(subjectId, data) {
+    return await this.makeRequest(`/subjects/${subjectId}/topics`, {
+      method: 'POST',
+      body: data
     });
+  }
 
-    this.socket.on('practice-update', (data) => {
-      this.handlePracticeUpdate(data);
+  async updateTopic(subjectId, topicId, data) {
+    return await this.makeRequest(`/subjects/${subjectId}/topics/${topicId}`, {
+      method: 'PUT',
+      body: data
     });
+  }
 
-    this.socket.on('notification', (data) => {
-      this.handleRealtimeNotification(data);
+  async reorderTopics(subjectId, topicIds) {
+    return await this.makeRequest(`/subjects/${subjectId}/topics/order`, {
+      method: 'PUT',
+      body: { topicIds }
     });
+  }
 
-    this.socket.on('heartbeat-ack', (data) => {
-      // Connection is alive
+  async setTopicPrerequisites(subjectId, topicId, prerequisiteIds) {
+    return await this.makeRequest(`/subjects/${subjectId}/topics/${topicId}/prerequisites`, {
+      method: 'PUT',
+      body: { prerequisiteIds }
     });
   }
 
-  handleConnectionError() {
-    appState.connectionStatus = 'connecting';
-
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
-      const delay = this.reconnectInterval * Math.pow(1.5, this.reconnectAttempts);
+  async getLearningPath(subjectId) {
+    return await this.makeRequest(`/subjects/${subjectId}/learning-path`);
+  }
 
-      setTimeout(() => {
-        this.reconnectAttempts++;
-        console.log(`🔄 Reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}`);
-        this.connectionPromise = null;
-        this.connect();
-      }, delay);
-    } else {
-      appState.connectionStatus = 'failed';
-      showNotification('Connection failed. Please refresh the page.', 'error');
-    }
+  async deleteTopic(subjectId, topicId) {
+    return await this.makeRequest(`/subjects/${subjectId}/topics/${topicId}`, { method: 'DELETE' });
   }
 
-  startHeartbeat() {
-    this.heartbeatInterval = setInterval(() => {
-      if (this.socket && this.socket.connected) {
-        this.socket.emit('heartbeat');
-      }
-    }, 30000); // Every 30 seconds
+  // Admin methods
+  async getAdminUsers(params = {}) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '' && value != null));
+    return await this.makeRequest(`/admin/users?${query}`);
   }
 
-  stopHeartbeat() {
-    if (this.heartbeatInterval) {
-      clearInterval(this.heartbeatInterval);
-      this.heartbeatInterval = null;
-    }
+  async changeUserRole(userId, role) {
+    return await this.makeRequest(`/admin/users/${userId}/role`, {
+      method: 'PUT',
+      body: { role }
+    });
   }
 
-  emit(event, data) {
-    if (this.socket && this.socket.connected) {
-      this.socket.emit(event, data);
-    } else {
-      // Queue message for when connection is restored
-      this.messageQueue.push({ event, data });
-    }
+  async suspendUser(userId, reason) {
+    return await this.makeRequest(`/admin/users/${userId}/suspend`, {
+      method: 'POST',
+      body: { reason }
+    });
   }
 
-  processMessageQueue() {
-    while (this.messageQueue.length > 0) {
-      const { event, data } = this.messageQueue.shift();
-      this.socket.emit(event, data);
-    }
+  async unsuspendUser(userId) {
+    return await this.makeRequest(`/admin/users/${userId}/unsuspend`, { method: 'POST' });
   }
 
-  // Event handlers
-  handleUserOnline(data) {
-    showNotification(`User came online`, 'info');
-    this.updateUserPresence(data.userId, true);
+  async impersonateUser(userId, reason) {
+    return await this.makeRequest(`/admin/users/${userId}/impersonate`, {
+      method: 'POST',
+      body: { reason }
+    });
   }
 
-  handleUserOffline(data) {
-    this.updateUserPresence(data.userId, false);
+  async getAuditLog(params = {}) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '' && value != null));
+    return await this.makeRequest(`/admin/audit-log?${query}`);
   }
 
-  handleCollaborationUpdate(data) {
-    // Handle real-time collaboration updates
-    const { userId, type, content } = data;
-    console.log('Collaboration update:', data);
+  async updateUserProfile(data) {
+    const response = await this.makeRequest('/user/profile', {
+      method: 'PUT',
+      body: data
+    });
 
-    // Update collaborative workspace
-    this.updateCollaborativeWorkspace(data);
-  }
+    if (response.success) {
+      appState.user = { ...appState.user, ...response.user };
+    }
 
-  handlePracticeUpdate(data) {
-    // Handle practice session updates
-    console.log('Practice update:', data);
-    this.updatePracticeInterface(data);
+    return response;
   }
 
-  handleRealtimeNotification(data) {
-    appState.notifications.push(data);
-    showNotification(data.message, data.type || 'info');
+  async uploadAvatar(file) {
+    const formData = new FormData();
+    formData.append('avatar', file);
+
+    return await this.makeRequest('/user/avatar', {
+      method: 'POST',
+      body: formData
+    });
   }
 
-  updateUserPresence(userId, isOnline) {
-    const presenceIndicators = document.querySelectorAll(`[data-user-id="${userId}"] .presence-indicator`);
-    presenceIndicators.forEach(indicator => {
-      indicator.className = `presence-indicator ${isOnline ? 'online' : 'offline'}`;
+  // AI methods with caching
+  async generateQuestions(params) {
+    return await this.makeRequest('/ai/generate-questions', {
+      method: 'POST',
+      body: params
     });
   }
 
-  updateCollaborativeWorkspace(data) {
-    const workspace = document.getElementById('collaborativeWorkspace');
-    if (workspace) {
-      // Update workspace content based on collaboration data
-      this.renderCollaborationUpdate(workspace, data);
-    }
+  // Question bank methods
+  async getQuestions(params = {}) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '' && value != null));
+    return await this.makeRequest(`/questions?${query}`);
   }
 
-  updatePracticeInterface(data) {
-    const practiceInterface = document.getElementById('practiceInterface');
-    if (practiceInterface) {
-      // Update practice interface with real-time data
-      this.renderPracticeUpdate(practiceInterface, data);
-    }
+  async saveQuestions(questions, options = {}) {
+    return await this.makeRequest('/questions', {
+      method: 'POST',
+      body: { ...options, questions }
+    });
   }
 
-  renderCollaborationUpdate(container, data) {
-    const updateElement = document.createElement('div');
-    updateElement.className = 'collaboration-update';
-    updateElement.innerHTML = `
-      <div class="update-header">
-        <span class="user-name">${data.userName || 'User'}</span>
-        <span class="update-time">${new Date(data.timestamp).toLocaleTimeString()}</span>
-      </div>
-      <div class="update-content">${data.content}</div>
-    `;
+  async deleteQuestion(questionId) {
+    return await this.makeRequest(`/questions/${questionId}`, { method: 'DELETE' });
+  }
 
-    container.appendChild(updateElement);
-    container.scrollTop = container.scrollHeight;
+  // params: { subjectId, topicId, difficulty, count } or { questionIds }
+  async startPracticeSession(params) {
+    return await this.makeRequest('/practice-sessions', {
+      method: 'POST',
+      body: params
+    });
   }
 
-  renderPracticeUpdate(container, data) {
-    const updateElement = document.createElement('div');
-    updateElement.className = 'practice-update';
-    updateElement.innerHTML = `
-      <div class="update-info">
-        Progress: ${data.progress}% | Accuracy: ${data.accuracy}%
-      </div>
-    `;
+  // answer: { questionId, response, timeSpent }
+  async submitSessionAnswer(sessionId, answer) {
+    return await this.makeRequest(`/practice-sessions/${sessionId}/answers`, {
+      method: 'POST',
+      body: answer
+    });
+  }
 
-    container.appendChild(updateElement);
+  async finishPracticeSession(sessionId) {
+    return await this.makeRequest(`/practice-sessions/${sessionId}/finish`, { method: 'POST' });
   }
 
-  // Public methods for emitting events
-  joinStudyGroup(groupId) {
-    this.emit('join-study-group', groupId);
+  // Revision history, for the question's authors
+  async getQuestionRevisions(questionId) {
+    return await this.makeRequest(`/questions/${questionId}/revisions`);
   }
 
-  joinLiveSession(sessionId) {
-    this.emit('join-live-session', sessionId);
+  async getQuestionRevision(questionId, revision) {
+    return await this.makeRequest(`/questions/${questionId}/revisions/${revision}`);
   }
 
-  sendCollaborationUpdate(data) {
-    this.emit('collaboration-update', data);
+  // formData: attachment (file), alt, option
+  async uploadQuestionAttachment(questionId, formData) {
+    return await this.makeRequest(`/questions/${questionId}/attachments`, {
+      method: 'POST',
+      body: formData
+    });
   }
 
-  sendPracticeUpdate(data) {
-    this.emit('practice-update', data);
+  async updateQuestionAttachment(questionId, attachmentId, data) {
+    return await this.makeRequest(`/questions/${questionId}/attachments/${attachmentId}`, {
+      method: 'PUT',
+      body: data
+    });
   }
 
-  startTyping(roomId) {
-    this.emit('typing', { roomId });
+  async deleteQuestionAttachment(questionId, attachmentId) {
+    return await this.makeRequest(`/questions/${questionId}/attachments/${attachmentId}`, { method: 'DELETE' });
   }
 
-  disconnect() {
-    this.stopHeartbeat();
+  async restoreQuestionRevision(questionId, revision) {
+    return await this.makeRequest(`/questions/${questionId}/revisions/${revision}/restore`, { method: 'POST' });
+  }
 
-    if (this.socket) {
-      this.socket.disconnect();
-      this.socket = null;
-      appState.socket = null;
-    }
+  async reportQuestion(questionId, report) {
+    return await this.makeRequest(`/questions/${questionId}/reports`, {
+      method: 'POST',
+      body: report
+    });
+  }
 
-    appState.connectionStatus = 'disconnected';
+  async getQuestionReports(params = {}) {
+    const query = new URLSearchParams(params);
+    return await this.makeRequest(`/question-reports?${query}`);
+  }
+
+  async updateQuestionReport(reportId, data) {
+    return await this.makeRequest(`/question-reports/${reportId}`, {
+      method: 'PUT',
+      body: data
+    });
+  }
+
+  // payload: { format, content | file (base64), subjectId, dryRun, onDuplicate }
+  async importQuestions(payload) {
+    return await this.makeRequest('/questions/import', {
+      method: 'POST',
+      body: payload
+    });
+  }
+
+  // Resolves to the number of questions left out because the format cannot carry their type
+  async exportQuestions(format, filters = {}) {
+    const query = new URLSearchParams(Object.entries({ ...filters, format }).filter(([, value]) => value !== '' && value != null));
+    const response = await this.downloadFile(`/questions/export?${query}`, `learnova-questions.${format === 'qti' ? 'zip' : 'txt'}`);
+    return parseInt(response.headers.get('X-Skipped-Questions')) || 0;
+  }
+
+  async sendChatMessage(message, context = {}) {
+    return await this.makeRequest('/ai/chat', {
+      method: 'POST',
+      body: { message, context }
+    });
+  }
+
+  async getPerformanceAnalysis() {
+    return await this.makeRequest('/analytics/performance');
+  }
+
+  // Study groups methods
+  async getStudyGroups() {
+    return await this.makeRequest('/study-groups');
+  }
+
+  async createStudyGroup(groupData) {
+    return await this.makeRequest('/study-groups', {
+      method: 'POST',
+      body: groupData
+    });
+  }
+
+  // Event tracking for analytics
+  trackEvent(eventName, properties = {}) {
+    const event = {
+      name: eventName,
+      properties,
+      timestamp: Date.now(),
+      userId: appState.user?.id,
+      sessionId: this.getSessionId()
+    };
+
+    console.log('Event tracked:', event);
+
+    // Store events for batch sending
+    const events = JSON.parse(localStorage.getItem('analytics_events') || '[]');
+    events.push(event);
+    localStorage.setItem('analytics_events', JSON.stringify(events.slice(-100))); // Keep last 100 events
+  }
+
+  getSessionId() {
+    let sessionId = sessionStorage.getItem('session_id');
+    if (!sessionId) {
+      sessionId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+      sessionStorage.setItem('session_id', sessionId);
+    }
+    return sessionId;
   }
 }
 
-const socketService = new ModernSocketService();
+const apiService = new ModernAPIService();
 
 // ============================================
-// Modern UI Components & Interactions
+// Advanced Socket Service with Reconnection
 // ============================================
 
-class ModernUIManager {
+class ModernSocketService {
   constructor() {
-    this.animationQueue = [];
-    this.isAnimating = false;
-    this.observers = {
-      intersection: null,
-      resize: null,
-      mutation: null
-    };
-
-    this.initializeModernFeatures();
+    this.socket = null;
+    this.reconnectAttempts = 0;
+    this.maxReconnectAttempts = CONFIG.MAX_RECONNECT_ATTEMPTS;
+    this.reconnectInterval = CONFIG.WS_RECONNECT_INTERVAL;
+    this.eventHandlers = new Map();
+    this.messageQueue = [];
+    this.heartbeatInterval = null;
+    this.connectionPromise = null;
   }
 
-  initializeModernFeatures() {
-    this.setupIntersectionObserver();
-    this.setupResizeObserver();
-    this.setupGestureHandlers();
-    this.initializeAnimations();
-    this.setupKeyboardShortcuts();
-    this.initializeAccessibility();
+  async connect() {
+    if (this.connectionPromise) {
+      return this.connectionPromise;
+    }
+
+    this.connectionPromise = this._establishConnection();
+    return this.connectionPromise;
   }
 
-  setupIntersectionObserver() {
-    this.observers.intersection = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const element = entry.target;
-          const animationType = element.dataset.animate;
-          const delay = parseInt(element.dataset.delay) || 0;
+  async _establishConnection() {
+    if (!appState.token) {
+      console.warn('Cannot connect socket: No auth token');
+      return;
+    }
 
-          if (animationType) {
-            setTimeout(() => {
-              this.animateElement(element, animationType);
-            }, delay);
-          }
+    try {
+      if (this.socket) {
+        this.socket.disconnect();
+      }
 
-          // Lazy load images
-          if (element.dataset.src) {
-            element.src = element.dataset.src;
-            element.removeAttribute('data-src');
-          }
+      const options = {
+        auth: { token: appState.token },
+        transports: ['websocket', 'polling'],
+        timeout: 5000,
+        forceNew: true
+      };
 
-          this.observers.intersection.unobserve(element);
-        }
+      this.socket = io(CONFIG.SOCKET_URL, options);
+      appState.socket = this.socket;
+
+      this.setupEventHandlers();
+      this.startHeartbeat();
+
+      return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          reject(new Error('Connection timeout'));
+        }, 10000);
+
+        this.socket.once('connect', () => {
+          clearTimeout(timeout);
+          resolve(this.socket);
+        });
+
+        this.socket.once('connect_error', (error) => {
+          clearTimeout(timeout);
+          reject(error);
+        });
       });
-    }, {
-      rootMargin: '50px',
-      threshold: 0.1
+    } catch (error) {
+      console.error('Socket connection error:', error);
+      this.handleConnectionError();
+      throw error;
+    }
+  }
+
+  setupEventHandlers() {
+    this.socket.on('connect', () => {
+      console.log('🔌 Connected to server via WebSocket');
+      appState.connectionStatus = 'connected';
+      this.reconnectAttempts = 0;
+      this.connectionPromise = null;
+
+      // Process queued messages
+      this.processMessageQueue();
+
+      showNotification('Connected to real-time services', 'success');
     });
 
-    // Observe elements with animation attributes
-    this.observeAnimatedElements();
-  }
+    this.socket.on('disconnect', (reason) => {
+      console.log('🔌 Disconnected from server:', reason);
+      appState.connectionStatus = 'disconnected';
 
-  observeAnimatedElements() {
-    const animatedElements = document.querySelectorAll('[data-animate]');
-    animatedElements.forEach(el => {
-      this.observers.intersection.observe(el);
+      this.stopHeartbeat();
+
+      if (reason === 'io server disconnect') {
+        // Server initiated disconnect, don't reconnect automatically
+        return;
+      }
+
+      this.handleConnectionError();
     });
-  }
 
-  setupResizeObserver() {
-    this.observers.resize = new ResizeObserver((entries) => {
-      entries.forEach(entry => {
-        const element = entry.target;
+    this.socket.on('connect_error', async (error) => {
+      console.error('🔌 Connection error:', error);
+      appState.connectionStatus = 'error';
 
-        // Handle chart resizing
-        if (element.querySelector('canvas')) {
-          this.resizeCharts(element);
-        }
+      // The handshake rejects expired access tokens; refresh before reconnecting
+      if (error.message && error.message.startsWith('Authentication error')) {
+        await apiService.refreshSession();
+      }
 
-        // Handle responsive layouts
-        this.updateResponsiveLayout(element);
-      });
+      this.handleConnectionError();
     });
 
-    // Observe main container
-    const container = document.querySelector('.container');
-    if (container) {
-      this.observers.resize.observe(container);
-    }
-  }
+    // Real-time event handlers
+    this.socket.on('user-online', (data) => {
+      this.handleUserOnline(data);
+    });
 
-  setupGestureHandlers() {
-    let startX, startY, currentX, currentY;
-    let isSwipping = false;
+    this.socket.on('user-offline', (data) => {
+      this.handleUserOffline(data);
+    });
 
-    document.addEventListener('touchstart', (e) => {
-      startX = e.touches[0].clientX;
-      startY = e.touches[0].clientY;
+    this.socket.on('collaboration-update', (data) => {
+      this.handleCollaborationUpdate(data);
     });
 
-    document.addEventListener('touchmove', (e) => {
-      if (!startX || !startY) return;
+    this.socket.on('practice-update', (data) => {
+      this.handlePracticeUpdate(data);
+    });
 
-      currentX = e.touches[0].clientX;
-      currentY = e.touches[0].clientY;
+    this.socket.on('notification', (data) => {
+      this.handleRealtimeNotification(data);
+    });
 
-      const diffX = Math.abs(currentX - startX);
-      const diffY = Math.abs(currentY - startY);
+    this.socket.on('role-changed', (data) => {
+      this.handleRoleChanged(data);
+    });
 
-      if (diffX > diffY && diffX > 50) {
-        isSwipping = true;
+    this.socket.on('session-revoked', (data) => {
+      this.handleSessionRevoked(data);
+    });
 
-        // Handle swipe gestures
-        if (currentX > startX) {
-          // Swipe right
-          this.handleSwipeGesture('right');
-        } else {
-          // Swipe left
-          this.handleSwipeGesture('left');
-        }
-      }
+    this.socket.on('heartbeat-ack', (data) => {
+      // Connection is alive
     });
+  }
+
+  handleConnectionError() {
+    appState.connectionStatus = 'connecting';
+
+    if (this.reconnectAttempts < this.maxReconnectAttempts) {
+      const delay = this.reconnectInterval * Math.pow(1.5, this.reconnectAttempts);
+
+      setTimeout(() => {
+        this.reconnectAttempts++;
+        console.log(`🔄 Reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}`);
+        this.connectionPromise = null;
+        this.connect();
+      }, delay);
+    } else {
+      appState.connectionStatus = 'failed';
+      showNotification('Connection failed. Please refresh the page.', 'error');
+    }
+  }
+
+  startHeartbeat() {
+    this.heartbeatInterval = setInterval(() => {
+      if (this.socket && this.socket.connected) {
+        this.socket.emit('heartbeat');
+      }
+    }, 30000); // Every 30 seconds
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+  }
+
+  emit(event, data) {
+    if (this.socket && this.socket.connected) {
+      this.socket.emit(event, data);
+    } else {
+      // Queue message for when connection is restored
+      this.messageQueue.push({ event, data });
+    }
+  }
+
+  processMessageQueue() {
+    while (this.messageQueue.length > 0) {
+      const { event, data } = this.messageQueue.shift();
+      this.socket.emit(event, data);
+    }
+  }
+
+  // Event handlers
+  handleUserOnline(data) {
+    showNotification(`User came online`, 'info');
+    this.updateUserPresence(data.userId, true);
+  }
+
+  handleUserOffline(data) {
+    this.updateUserPresence(data.userId, false);
+  }
+
+  handleCollaborationUpdate(data) {
+    // Handle real-time collaboration updates
+    const { userId, type, content } = data;
+    console.log('Collaboration update:', data);
+
+    // Update collaborative workspace
+    this.updateCollaborativeWorkspace(data);
+  }
+
+  handlePracticeUpdate(data) {
+    // Handle practice session updates
+    console.log('Practice update:', data);
+    this.updatePracticeInterface(data);
+  }
+
+  handleRealtimeNotification(data) {
+    appState.notifications.push(data);
+    showNotification(data.message, data.type || 'info');
+  }
+
+  handleSessionRevoked(data) {
+    // A normal logout is already handled by whichever tab started it
+    if (data?.reason === 'logout') return;
+
+    if (data?.reason === 'suspended') {
+      apiService.handleSuspendedAccount();
+      return;
+    }
+
+    // This device's login was ended from another device; its tokens are now useless
+    apiService.clearTokens();
+    apiService.clearCache();
+    appState.user = null;
+    showAuthOverlay();
+    showNotification('This session was signed out from another device.', 'warning');
+  }
+
+  handleRoleChanged(data) {
+    appState.user = { ...appState.user, role: data.role, permissions: data.permissions };
+    showNotification(`Your account role is now ${data.role}`, 'info');
+
+    // Leave a section that the new role can no longer see
+    const current = document.getElementById(appState.currentSection);
+    if (current && !canAccessElement(current)) {
+      showSection('dashboard');
+    }
+  }
+
+  updateUserPresence(userId, isOnline) {
+    const presenceIndicators = document.querySelectorAll(`[data-user-id="${userId}"] .presence-indicator`);
+    presenceIndicators.forEach(indicator => {
+      indicator.className = `presence-indicator ${isOnline ? 'online' : 'offline'}`;
+    });
+  }
+
+  updateCollaborativeWorkspace(data) {
+    const workspace = document.getElementById('collaborativeWorkspace');
+    if (workspace) {
+      // Update workspace content based on collaboration data
+      this.renderCollaborationUpdate(workspace, data);
+    }
+  }
+
+  updatePracticeInterface(data) {
+    const practiceInterface = document.getElementById('practiceInterface');
+    if (practiceInterface) {
+      // Update practice interface with real-time data
+      this.renderPracticeUpdate(practiceInterface, data);
+    }
+  }
+
+  renderCollaborationUpdate(container, data) {
+    const updateElement = document.createElement('div');
+    updateElement.className = 'collaboration-update';
+    updateElement.innerHTML = `
+      <div class="update-header">
+        <span class="user-name">${data.userName || 'User'}</span>
+        <span class="update-time">${new Date(data.timestamp).toLocaleTimeString()}</span>
+      </div>
+      <div class="update-content">${data.content}</div>
+    `;
+
+    container.appendChild(updateElement);
+    container.scrollTop = container.scrollHeight;
+  }
+
+  renderPracticeUpdate(container, data) {
+    const updateElement = document.createElement('div');
+    updateElement.className = 'practice-update';
+    updateElement.innerHTML = `
+      <div class="update-info">
+        Progress: ${data.progress}% | Accuracy: ${data.accuracy}%
+      </div>
+    `;
+
+    container.appendChild(updateElement);
+  }
+
+  // Public methods for emitting events
+  joinStudyGroup(groupId) {
+    this.emit('join-study-group', groupId);
+  }
+
+  joinLiveSession(sessionId) {
+    this.emit('join-live-session', sessionId);
+  }
+
+  sendCollaborationUpdate(data) {
+    this.emit('collaboration-update', data);
+  }
+
+  sendPracticeUpdate(data) {
+    this.emit('practice-update', data);
+  }
+
+  startTyping(roomId) {
+    this.emit('typing', { roomId });
+  }
+
+  disconnect() {
+    this.stopHeartbeat();
+
+    if (this.socket) {
+      this.socket.disconnect();
+      this.socket = null;
+      appState.socket = null;
+    }
+
+    appState.connectionStatus = 'disconnected';
+  }
+}
+
+const socketService = new ModernSocketService();
+
+// ============================================
+// Modern UI Components & Interactions
+// ============================================
+
+class ModernUIManager {
+  constructor() {
+    this.animationQueue = [];
+    this.isAnimating = false;
+    this.observers = {
+      intersection: null,
+      resize: null,
+      mutation: null
+    };
+
+    this.initializeModernFeatures();
+  }
+
+  initializeModernFeatures() {
+    this.setupIntersectionObserver();
+    this.setupResizeObserver();
+    this.setupGestureHandlers();
+    this.initializeAnimations();
+    this.setupKeyboardShortcuts();
+    this.initializeAccessibility();
+  }
+
+  setupIntersectionObserver() {
+    this.observers.intersection = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          const element = entry.target;
+          const animationType = element.dataset.animate;
+          const delay = parseInt(element.dataset.delay) || 0;
+
+          if (animationType) {
+            setTimeout(() => {
+              this.animateElement(element, animationType);
+            }, delay);
+          }
+
+          // Lazy load images
+          if (element.dataset.src) {
+            element.src = element.dataset.src;
+            element.removeAttribute('data-src');
+          }
+
+          this.observers.intersection.unobserve(element);
+        }
+      });
+    }, {
+      rootMargin: '50px',
+      threshold: 0.1
+    });
+
+    // Observe elements with animation attributes
+    this.observeAnimatedElements();
+  }
+
+  observeAnimatedElements() {
+    const animatedElements = document.querySelectorAll('[data-animate]');
+    animatedElements.forEach(el => {
+      this.observers.intersection.observe(el);
+    });
+  }
+
+  setupResizeObserver() {
+    this.observers.resize = new ResizeObserver((entries) => {
+      entries.forEach(entry => {
+        const element = entry.target;
+
+        // Handle chart resizing
+        if (element.querySelector('canvas')) {
+          this.resizeCharts(element);
+        }
+
+        // Handle responsive layouts
+        this.updateResponsiveLayout(element);
+      });
+    });
+
+    // Observe main container
+    const container = document.querySelector('.container');
+    if (container) {
+      this.observers.resize.observe(container);
+    }
+  }
+
+  setupGestureHandlers() {
+    let startX, startY, currentX, currentY;
+    let isSwipping = false;
+
+    document.addEventListener('touchstart', (e) => {
+      startX = e.touches[0].clientX;
+      startY = e.touches[0].clientY;
+    });
+
+    document.addEventListener('touchmove', (e) => {
+      if (!startX || !startY) return;
+
+      currentX = e.touches[0].clientX;
+      currentY = e.touches[0].clientY;
+
+      const diffX = Math.abs(currentX - startX);
+      const diffY = Math.abs(currentY - startY);
+
+      if (diffX > diffY && diffX > 50) {
+        isSwipping = true;
+
+        // Handle swipe gestures
+        if (currentX > startX) {
+          // Swipe right
+          this.handleSwipeGesture('right');
+        } else {
+          // Swipe left
+          this.handleSwipeGesture('left');
+        }
+      }
+    });
+
+    document.addEventListener('touchend', () => {
+      startX = startY = currentX = currentY = null;
+      isSwipping = false;
+    });
+  }
+
+  handleSwipeGesture(direction) {
+    const currentSection = appState.currentSection;
+    const sections = ['dashboard', 'learning-hub', 'analytics-center', 'community-space', 'ai-assistant', 'profile-settings'];
+    const currentIndex = sections.indexOf(currentSection);
+
+    if (direction === 'left' && currentIndex < sections.length - 1) {
+      showSection(sections[currentIndex + 1]);
+    } else if (direction === 'right' && currentIndex > 0) {
+      showSection(sections[currentIndex - 1]);
+    }
+  }
+
+  initializeAnimations() {
+    // GSAP timeline for complex animations
+    if (typeof gsap !== 'undefined') {
+      this.masterTimeline = gsap.timeline();
+      this.setupScrollAnimations();
+    }
+  }
+
+  setupScrollAnimations() {
+    // Parallax effects
+    const heroElements = document.querySelectorAll('.hero-background, .floating-shapes');
+    heroElements.forEach(element => {
+      gsap.to(element, {
+        y: () => window.innerHeight * 0.5,
+        ease: "none",
+        scrollTrigger: {
+          trigger: element,
+          start: "top bottom",
+          end: "bottom top",
+          scrub: true
+        }
+      });
+    });
+  }
+
+  animateElement(element, animationType) {
+    const animations = {
+      fadeInUp: () => {
+        gsap.fromTo(element, 
+          { opacity: 0, y: 30 },
+          { opacity: 1, y: 0, duration: 0.6, ease: "power2.out" }
+        );
+      },
+      fadeInLeft: () => {
+        gsap.fromTo(element,
+          { opacity: 0, x: -30 },
+          { opacity: 1, x: 0, duration: 0.6, ease: "power2.out" }
+        );
+      },
+      fadeInRight: () => {
+        gsap.fromTo(element,
+          { opacity: 0, x: 30 },
+          { opacity: 1, x: 0, duration: 0.6, ease: "power2.out" }
+        );
+      },
+      scaleIn: () => {
+        gsap.fromTo(element,
+          { opacity: 0, scale: 0.8 },
+          { opacity: 1, scale: 1, duration: 0.6, ease: "back.out(1.7)" }
+        );
+      },
+      slideInUp: () => {
+        gsap.fromTo(element,
+          { opacity: 0, y: 100 },
+          { opacity: 1, y: 0, duration: 0.8, ease: "power3.out" }
+        );
+      }
+    };
+
+    const animation = animations[animationType];
+    if (animation) {
+      animation();
+    } else {
+      // Fallback CSS animation
+      element.style.animation = `${animationType} 0.6s ease-out forwards`;
+    }
+  }
+
+  setupKeyboardShortcuts() {
+    const shortcuts = {
+      'cmd+k': () => toggleCommandPalette(),
+      'ctrl+k': () => toggleCommandPalette(),
+      'cmd+/': () => showKeyboardShortcuts(),
+      'ctrl+/': () => showKeyboardShortcuts(),
+      'escape': () => handleEscapeKey(),
+      'cmd+shift+d': () => toggleDarkMode(),
+      'ctrl+shift+d': () => toggleDarkMode(),
+      '1': () => showSection('dashboard'),
+      '2': () => showSection('learning-hub'),
+      '3': () => showSection('analytics-center'),
+      '4': () => showSection('community-space'),
+      '5': () => showSection('ai-assistant'),
+      '6': () => showSection('profile-settings')
+    };
+
+    document.addEventListener('keydown', (e) => {
+      const key = this.getShortcutKey(e);
+
+      if (shortcuts[key]) {
+        e.preventDefault();
+        shortcuts[key]();
+      }
+    });
+  }
+
+  getShortcutKey(e) {
+    let key = '';
+
+    if (e.ctrlKey || e.metaKey) {
+      key += (e.ctrlKey ? 'ctrl+' : 'cmd+');
+    }
+    if (e.shiftKey) key += 'shift+';
+    if (e.altKey) key += 'alt+';
+
+    key += e.key.toLowerCase();
+
+    return key;
+  }
+
+  initializeAccessibility() {
+    // Skip links
+    this.createSkipLinks();
+
+    // Focus management
+    this.setupFocusManagement();
+
+    // Screen reader announcements
+    this.setupScreenReaderSupport();
+
+    // High contrast mode detection
+    if (window.matchMedia('(prefers-contrast: high)').matches) {
+      document.documentElement.classList.add('high-contrast');
+    }
+
+    // Reduced motion detection
+    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+      document.documentElement.classList.add('reduced-motion');
+    }
+  }
+
+  createSkipLinks() {
+    const skipLink = document.createElement('a');
+    skipLink.href = '#main-content';
+    skipLink.textContent = 'Skip to main content';
+    skipLink.className = 'skip-link';
+    skipLink.style.cssText = `
+      position: absolute;
+      top: -40px;
+      left: 6px;
+      background: #000;
+      color: #fff;
+      padding: 8px;
+      text-decoration: none;
+      border-radius: 0 0 4px 4px;
+      z-index: 10000;
+      opacity: 0;
+      transition: all 0.3s;
+    `;
+
+    skipLink.addEventListener('focus', () => {
+      skipLink.style.top = '0';
+      skipLink.style.opacity = '1';
+    });
+
+    skipLink.addEventListener('blur', () => {
+      skipLink.style.top = '-40px';
+      skipLink.style.opacity = '0';
+    });
+
+    document.body.insertBefore(skipLink, document.body.firstChild);
+  }
+
+  setupFocusManagement() {
+    // Focus trap for modals
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Tab') {
+        const modal = document.querySelector('.modal.active, .command-palette:not(.hidden)');
+        if (modal) {
+          this.trapFocus(e, modal);
+        }
+      }
+    });
+  }
+
+  trapFocus(e, container) {
+    const focusableElements = container.querySelectorAll(
+      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+    );
+    const firstElement = focusableElements[0];
+    const lastElement = focusableElements[focusableElements.length - 1];
+
+    if (e.shiftKey) {
+      if (document.activeElement === firstElement) {
+        lastElement.focus();
+        e.preventDefault();
+      }
+    } else {
+      if (document.activeElement === lastElement) {
+        firstElement.focus();
+        e.preventDefault();
+      }
+    }
+  }
+
+  setupScreenReaderSupport() {
+    // Create live region for announcements
+    const liveRegion = document.createElement('div');
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.setAttribute('aria-atomic', 'true');
+    liveRegion.style.cssText = `
+      position: absolute;
+      left: -10000px;
+      width: 1px;
+      height: 1px;
+      overflow: hidden;
+    `;
+    liveRegion.id = 'live-region';
+    document.body.appendChild(liveRegion);
+  }
+
+  announceToScreenReader(message) {
+    const liveRegion = document.getElementById('live-region');
+    if (liveRegion) {
+      liveRegion.textContent = message;
+    }
+  }
+
+  // Public methods
+  updateChartVisibility() {
+    const charts = document.querySelectorAll('canvas');
+    charts.forEach(chart => {
+      const rect = chart.getBoundingClientRect();
+      const isVisible = rect.top < window.innerHeight && rect.bottom > 0;
+
+      if (isVisible && chart.dataset.chart) {
+        this.renderChart(chart);
+      }
+    });
+  }
+
+  renderChart(canvas) {
+    const chartType = canvas.dataset.chart;
+    const ctx = canvas.getContext('2d');
+
+    // Destroy existing chart
+    if (canvas.chartInstance) {
+      canvas.chartInstance.destroy();
+    }
+
+    // Create new chart based on type
+    const chartConfig = this.getChartConfig(chartType);
+    if (chartConfig) {
+      canvas.chartInstance = new Chart(ctx, chartConfig);
+    }
+  }
+
+  getChartConfig(type) {
+    const configs = {
+      subjects: {
+        type: 'doughnut',
+        data: {
+          labels: ['Machine Learning', 'Web Development', 'Data Structures'],
+          datasets: [{
+            data: [30, 40, 30],
+            backgroundColor: ['#667eea', '#f093fb', '#10b981'],
+            borderWidth: 0
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: { display: false }
+          }
+        }
+      },
+      accuracy: {
+        type: 'line',
+        data: {
+          labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+          datasets: [{
+            data: [65, 72, 68, 75, 78],
+            borderColor: '#10b981',
+            backgroundColor: 'rgba(16, 185, 129, 0.1)',
+            fill: true,
+            tension: 0.4
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: { display: false }
+          },
+          scales: {
+            x: { display: false },
+            y: { display: false }
+          }
+        }
+      },
+      time: {
+        type: 'bar',
+        data: {
+          labels: ['Week 1', 'Week 2', 'Week 3', 'Week 4'],
+          datasets: [{
+            data: [20, 35, 40, 30],
+            backgroundColor: '#f59e0b',
+            borderRadius: 4
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: { display: false }
+          },
+          scales: {
+            x: { display: false },
+            y: { display: false }
+          }
+        }
+      },
+      streak: {
+        type: 'line',
+        data: {
+          labels: Array.from({length: 15}, (_, i) => i + 1),
+          datasets: [{
+            data: Array.from({length: 15}, () => Math.floor(Math.random() * 10) + 5),
+            borderColor: '#ef4444',
+            backgroundColor: 'rgba(239, 68, 68, 0.1)',
+            fill: true,
+            tension: 0.4
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: { display: false }
+          },
+          scales: {
+            x: { display: false },
+            y: { display: false }
+          }
+        }
+      }
+    };
+
+    return configs[type];
+  }
+
+  resizeCharts(container) {
+    const charts = container.querySelectorAll('canvas');
+    charts.forEach(chart => {
+      if (chart.chartInstance) {
+        chart.chartInstance.resize();
+      }
+    });
+  }
+
+  updateResponsiveLayout(element) {
+    const width = element.offsetWidth;
+
+    // Update layout based on container width
+    if (width < 768) {
+      element.classList.add('mobile');
+      element.classList.remove('tablet', 'desktop');
+    } else if (width < 1024) {
+      element.classList.add('tablet');
+      element.classList.remove('mobile', 'desktop');
+    } else {
+      element.classList.add('desktop');
+      element.classList.remove('mobile', 'tablet');
+    }
+  }
+}
+
+const uiManager = new ModernUIManager();
+
+// ============================================
+// Application Initialization & Event Handlers
+// ============================================
+
+document.addEventListener('DOMContentLoaded', async function() {
+  console.log('🚀 Learnova Modern Platform Loading...');
+
+  try {
+    // Initialize theme
+    applyStoredTheme();
+
+    // Confirm an email verification link before loading the app
+    const verifyToken = consumeUrlToken('verifyToken');
+    if (verifyToken) {
+      await confirmEmailVerification(verifyToken);
+    }
+
+    // Returning from an identity provider
+    const ssoError = consumeUrlToken('ssoError');
+    if (ssoError) {
+      showNotification(SSO_ERROR_MESSAGES[ssoError] || SSO_ERROR_MESSAGES.failed, 'error', 8000);
+    }
+    const ssoCode = consumeUrlToken('ssoCode');
+    // The account-locked email links straight to the forgot-password screen
+    const forgotPassword = consumeUrlToken('forgotPassword');
+
+    // Check authentication (a reset link always lands on the reset screen)
+    pendingResetToken = consumeUrlToken('resetToken');
+    if (pendingResetToken) {
+      showAuthOverlay();
+      showAuthForm('resetPassword');
+    } else if (forgotPassword) {
+      showAuthOverlay();
+      showAuthForm('forgotPassword');
+    } else if (ssoCode) {
+      await completeSsoSignIn(ssoCode);
+    } else if (appState.token) {
+      await validateAndInitialize();
+    } else {
+      showAuthOverlay();
+    }
+
+    // Setup event handlers
+    setupEventHandlers();
+
+    // Offer "Continue with …" buttons for configured identity providers
+    loadSsoProviders();
+
+    // Initialize PWA features
+    initializePWA();
+
+    // Setup command palette
+    setupCommandPalette();
+
+    // Initialize 3D background
+    initialize3DBackground();
+
+    console.log('✅ Modern platform loaded successfully!');
+  } catch (error) {
+    console.error('❌ Platform initialization failed:', error);
+    showNotification('Failed to initialize platform', 'error');
+  }
+});
+
+async function validateAndInitialize() {
+  try {
+    showLoadingState('Loading your learning experience...');
+
+    // Validate token and get user data
+    const userData = await apiService.getUserProfile();
+    if (userData.success) {
+      appState.user = userData.user;
+      await initializeMainApp();
+    } else {
+      throw new Error('Invalid session');
+    }
+  } catch (error) {
+    console.error('Token validation failed:', error);
+    showAuthOverlay();
+  } finally {
+    hideLoadingState();
+  }
+}
+
+async function initializeMainApp() {
+  hideAuthOverlay();
+  showMainApp();
+  updateImpersonationBanner();
+
+  // Connect to real-time services
+  try {
+    await socketService.connect();
+  } catch (error) {
+    console.error('Socket connection failed:', error);
+  }
+
+  // Load initial data
+  await loadDashboardData();
+
+  // Instructor and admin tools stay locked until the account has two-factor authentication
+  if (appState.user?.twoFactorSetupRequired) {
+    showNotification('Turn on two-factor authentication in Profile Settings to unlock your instructor and admin tools', 'warning', 10000);
+  }
+
+  // Setup navigation
+  setupNavigation();
+
+  // Initialize UI components
+  uiManager.observeAnimatedElements();
+  uiManager.updateChartVisibility();
+
+  // Start periodic updates
+  startPeriodicUpdates();
+}
+
+function setupEventHandlers() {
+  // Authentication tab switching
+  const authTabs = document.querySelectorAll('.auth-tab');
+  authTabs.forEach(tab => {
+    tab.addEventListener('click', function() {
+      switchAuthTab(this.dataset.tab);
+    });
+  });
+
+  // Links between auth screens (forgot password, back to sign in)
+  const authFormLinks = document.querySelectorAll('[data-auth-form]');
+  authFormLinks.forEach(link => {
+    link.addEventListener('click', function(e) {
+      e.preventDefault();
+      const formName = this.dataset.authForm;
+      if (formName === 'login') {
+        switchAuthTab('login');
+      } else {
+        showAuthForm(formName);
+      }
+    });
+  });
+
+  // Auth form submissions
+  const loginForm = document.getElementById('loginForm');
+  const registerForm = document.getElementById('registerForm');
+  const twoFactorForm = document.getElementById('twoFactorForm');
+  const forgotPasswordForm = document.getElementById('forgotPasswordForm');
+  const resetPasswordForm = document.getElementById('resetPasswordForm');
+
+  if (loginForm) {
+    loginForm.addEventListener('submit', handleLogin);
+  }
+
+  if (registerForm) {
+    registerForm.addEventListener('submit', handleRegister);
+  }
+
+  if (twoFactorForm) {
+    twoFactorForm.addEventListener('submit', handleTwoFactorLogin);
+  }
+
+  if (forgotPasswordForm) {
+    forgotPasswordForm.addEventListener('submit', handleForgotPassword);
+  }
+
+  if (resetPasswordForm) {
+    resetPasswordForm.addEventListener('submit', handleResetPassword);
+  }
+
+  // Subjects
+  const subjectForm = document.getElementById('subjectForm');
+  if (subjectForm) {
+    subjectForm.addEventListener('submit', handleSubjectSubmit);
+  }
+
+  // Content studio
+  const questionGenerateForm = document.getElementById('questionGenerateForm');
+  if (questionGenerateForm) {
+    questionGenerateForm.addEventListener('submit', handleQuestionGenerate);
+  }
+
+  const questionBankFilters = document.getElementById('questionBankFilters');
+  if (questionBankFilters) {
+    questionBankFilters.addEventListener('submit', (e) => {
+      e.preventDefault();
+      questionBankState.filters = Object.fromEntries(new FormData(e.target));
+      loadQuestionBank(1);
+    });
+  }
+
+  const questionImportForm = document.getElementById('questionImportForm');
+  if (questionImportForm) {
+    questionImportForm.addEventListener('submit', handleQuestionImportCheck);
+    questionImportForm.addEventListener('change', resetQuestionImport);
+  }
+
+  const questionReportStatus = document.getElementById('questionReportStatus');
+  if (questionReportStatus) {
+    questionReportStatus.addEventListener('change', () => loadQuestionReports(1));
+  }
+
+  const syllabusImportForm = document.getElementById('syllabusImportForm');
+  if (syllabusImportForm) {
+    syllabusImportForm.addEventListener('submit', handleSyllabusPreview);
+    // Any edit invalidates the preview, so the import always matches what was shown
+    syllabusImportForm.addEventListener('input', resetSyllabusPreview);
+    document.getElementById('syllabusFile')?.addEventListener('change', loadSyllabusFile);
+  }
+
+  const subjectStatusFilter = document.getElementById('subjectStatusFilter');
+  if (subjectStatusFilter) {
+    subjectStatusFilter.addEventListener('change', () => loadSubjects());
+  }
+
+  // Admin console filters
+  const adminUserSearch = document.getElementById('adminUserSearch');
+  if (adminUserSearch) {
+    adminUserSearch.addEventListener('submit', (e) => {
+      e.preventDefault();
+      adminConsoleState.filters = {
+        q: document.getElementById('adminSearchQuery')?.value.trim() || '',
+        role: document.getElementById('adminRoleFilter')?.value || '',
+        status: document.getElementById('adminStatusFilter')?.value || ''
+      };
+      loadAdminUsers(1);
+    });
+  }
+
+  // Theme toggle
+  const themeToggle = document.getElementById('themeToggle');
+  if (themeToggle) {
+    themeToggle.addEventListener('click', toggleTheme);
+  }
+
+  // Password visibility toggle
+  const passwordToggles = document.querySelectorAll('.password-toggle');
+  passwordToggles.forEach(toggle => {
+    toggle.addEventListener('click', function() {
+      const input = this.previousElementSibling;
+      if (input.type === 'password') {
+        input.type = 'text';
+        this.innerHTML = '<i data-lucide="eye-off"></i>';
+      } else {
+        input.type = 'password';
+        this.innerHTML = '<i data-lucide="eye"></i>';
+      }
+      lucide.createIcons();
+    });
+  });
+
+  // Form validation
+  const inputs = document.querySelectorAll('input[required]');
+  inputs.forEach(input => {
+    input.addEventListener('blur', () => validateInput(input));
+    input.addEventListener('input', () => clearValidationError(input));
+  });
+
+  // Password strength checker
+  const passwordInputs = document.querySelectorAll('input[type="password"]');
+  passwordInputs.forEach(input => {
+    if (input.id.includes('register')) {
+      input.addEventListener('input', () => checkPasswordStrength(input));
+    }
+  });
+}
+
+function switchAuthTab(tab) {
+  const tabs = document.querySelectorAll('.auth-tab');
+  const indicator = document.querySelector('.tab-indicator');
+
+  tabs.forEach(t => t.classList.remove('active'));
+
+  document.querySelector(`[data-tab="${tab}"]`).classList.add('active');
+  showAuthForm(tab);
+
+  // Move indicator
+  const activeTab = document.querySelector(`[data-tab="${tab}"]`);
+  const tabRect = activeTab.getBoundingClientRect();
+  const containerRect = activeTab.parentElement.getBoundingClientRect();
+
+  indicator.style.left = `${tabRect.left - containerRect.left}px`;
+  indicator.style.width = `${tabRect.width}px`;
+}
+
+// Shows one auth form; the Sign In / Sign Up tabs are hidden on screens that have no tab
+function showAuthForm(formName) {
+  const forms = document.querySelectorAll('.auth-form');
+  const authTabs = document.querySelector('.auth-tabs');
+  const hasTab = Boolean(document.querySelector(`.auth-tab[data-tab="${formName}"]`));
+
+  forms.forEach(form => {
+    form.classList.toggle('active', form.id === `${formName}Form`);
+  });
+
+  if (authTabs) {
+    authTabs.classList.toggle('hidden', !hasTab);
+  }
+}
+
+let pendingResetToken = null;
+let pendingTwoFactorChallenge = null;
+let pendingRememberMe = false;
+
+// Reads a one-time token from the URL and strips it so it stays out of history and referrers
+function consumeUrlToken(param) {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get(param);
+  if (!token) return null;
+
+  params.delete(param);
+  const query = params.toString();
+  window.history.replaceState({}, document.title, `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+  return token;
+}
+
+// The server reports SSO failures as a code in the URL; anyone can craft that URL, so only these
+// fixed messages are ever shown
+const SSO_ERROR_MESSAGES = {
+  unknown_provider: 'Unknown sign-in provider',
+  unavailable: 'Sign-in with this provider is unavailable right now',
+  cancelled: 'Sign-in was cancelled',
+  failed: 'Could not complete sign-in. Please try again.',
+  expired: 'Your sign-in request expired. Please try again.',
+  no_email: 'Your sign-in provider did not share an email address with Learnova',
+  account_exists: 'An account with this email already exists. Sign in with your password first.',
+  link_required: 'This email belongs to an instructor or admin account, which cannot be linked to a sign-in provider automatically. Sign in with your password.'
+};
+
+async function loadSsoProviders() {
+  const section = document.getElementById('ssoSection');
+  const container = document.getElementById('ssoProviders');
+  if (!section || !container) return;
+
+  try {
+    const response = await apiService.getSsoProviders();
+    const providers = response.providers || [];
+
+    container.innerHTML = providers.map(provider => `
+      <button type="button" class="social-btn" data-sso-provider="${escapeHTML(provider.id)}">
+        <i data-lucide="log-in"></i>
+        Continue with ${escapeHTML(provider.name)}
+      </button>
+    `).join('');
+
+    container.querySelectorAll('[data-sso-provider]').forEach(button => {
+      button.addEventListener('click', () => startSsoSignIn(button.dataset.ssoProvider));
+    });
+
+    section.classList.toggle('hidden', providers.length === 0);
+    lucide.createIcons();
+  } catch (error) {
+    console.error('Failed to load sign-in providers:', error);
+    section.classList.add('hidden');
+  }
+}
+
+// The server drives the redirect to the identity provider and back
+function startSsoSignIn(providerId) {
+  // Survives the round trip through the provider; read back in completeSsoSignIn
+  const rememberMe = document.getElementById('rememberMe')?.checked || false;
+  sessionStorage.setItem('sso_remember_me', String(rememberMe));
+
+  showLoadingState('Redirecting to your sign-in provider...');
+  window.location.href = `${apiService.baseURL}/api/auth/oidc/${encodeURIComponent(providerId)}/start`;
+}
+
+async function completeSsoSignIn(code) {
+  const rememberMe = sessionStorage.getItem('sso_remember_me') === 'true';
+  sessionStorage.removeItem('sso_remember_me');
+
+  try {
+    const response = await apiService.exchangeSsoCode(code, rememberMe);
+
+    if (response.success && response.twoFactorRequired) {
+      pendingTwoFactorChallenge = response.challengeToken;
+      pendingRememberMe = rememberMe;
+      showAuthOverlay();
+      showAuthForm('twoFactor');
+      return;
+    }
+
+    if (response.success) {
+      showNotification('Welcome back!', 'success');
+      await initializeMainApp();
+    } else {
+      throw new Error(response.error || 'Sign-in failed');
+    }
+  } catch (error) {
+    console.error('SSO sign-in error:', error);
+    showNotification(error.message || 'Sign-in failed', 'error');
+    showAuthOverlay();
+  }
+}
+
+async function confirmEmailVerification(token) {
+  try {
+    showLoadingState('Verifying your email...');
+    const response = await apiService.verifyEmail(token);
+
+    if (appState.user) {
+      appState.user = { ...appState.user, emailVerified: true };
+    }
+    apiService.clearCache();
+    showNotification(response.message || 'Email verified successfully', 'success');
+  } catch (error) {
+    console.error('Email verification error:', error);
+    showNotification(error.message || 'Email verification failed', 'error');
+  } finally {
+    hideLoadingState();
+  }
+}
+
+async function handleForgotPassword(e) {
+  e.preventDefault();
+
+  const email = new FormData(e.target).get('email');
+
+  if (!validateEmail(email)) {
+    showFieldError('forgotEmail', 'Please enter a valid email address');
+    return;
+  }
+
+  try {
+    const response = await apiService.requestPasswordReset(email);
+    showNotification(response.message || 'Check your inbox for a reset link.', 'success', 8000);
+    e.target.reset();
+    switchAuthTab('login');
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    showNotification(error.message || 'Failed to send reset link', 'error');
+  }
+}
+
+async function handleResetPassword(e) {
+  e.preventDefault();
+
+  const formData = new FormData(e.target);
+  const password = formData.get('password');
+  const confirmPassword = formData.get('confirmPassword');
+
+  if (!pendingResetToken) {
+    showNotification('This reset link is invalid. Please request a new one.', 'error');
+    showAuthForm('forgotPassword');
+    return;
+  }
+
+  if (password.length < 6) {
+    showFieldError('resetPassword', 'Password must be at least 6 characters');
+    return;
+  }
+
+  if (password !== confirmPassword) {
+    showFieldError('resetConfirmPassword', 'Passwords do not match');
+    return;
+  }
+
+  try {
+    const response = await apiService.resetPassword(pendingResetToken, password);
+    pendingResetToken = null;
+    e.target.reset();
+
+    showNotification(response.message || 'Password updated. Please sign in.', 'success');
+    switchAuthTab('login');
+  } catch (error) {
+    console.error('Reset password error:', error);
+    showNotification(error.message || 'Failed to reset password', 'error');
+  }
+}
+
+async function handleLogin(e) {
+  e.preventDefault();
+
+  const formData = new FormData(e.target);
+  const credentials = {
+    email: formData.get('email'),
+    password: formData.get('password'),
+    rememberMe: document.getElementById('rememberMe')?.checked || false
+  };
+
+  // Validate inputs
+  if (!validateEmail(credentials.email)) {
+    showFieldError('loginEmail', 'Please enter a valid email address');
+    return;
+  }
+
+  if (credentials.password.length < 6) {
+    showFieldError('loginPassword', 'Password must be at least 6 characters');
+    return;
+  }
+
+  try {
+    const response = await apiService.login(credentials);
+
+    if (response.success && response.twoFactorRequired) {
+      pendingTwoFactorChallenge = response.challengeToken;
+      pendingRememberMe = credentials.rememberMe;
+      showAuthForm('twoFactor');
+      setTimeout(() => document.getElementById('twoFactorCode')?.focus(), 100);
+      return;
+    }
+
+    if (response.success) {
+      showNotification('Welcome back!', 'success');
+      await initializeMainApp();
+    } else {
+      throw new Error(response.error || 'Login failed');
+    }
+  } catch (error) {
+    console.error('Login error:', error);
+    handleLoginError(error, credentials.email);
+  }
+}
+
+// The server answers wrong credentials, cool-downs and lockouts with distinct codes
+function handleLoginError(error, email) {
+  switch (error.code) {
+    case 'INVALID_CREDENTIALS':
+      showFieldError('loginPassword', error.message);
+      break;
+    case 'LOGIN_THROTTLED':
+      startLoginCooldown(error.retryAfter);
+      showNotification(error.message, 'warning');
+      break;
+    case 'ACCOUNT_LOCKED': {
+      startLoginCooldown(error.retryAfter);
+      showNotification(error.message, 'error', 10000);
+
+      // Resetting the password is the way to unlock straight away
+      const forgotEmail = document.getElementById('forgotEmail');
+      if (forgotEmail) forgotEmail.value = email;
+      showAuthForm('forgotPassword');
+      break;
+    }
+    default:
+      showNotification(error.message || 'Login failed', 'error');
+  }
+}
+
+let loginCooldownTimer = null;
+
+// Disables the sign-in button with a countdown until the server will accept another attempt
+function startLoginCooldown(seconds) {
+  const button = document.querySelector('#loginForm button[type="submit"]');
+  const label = button?.querySelector('.btn-text');
+  if (!button || !label || !seconds) return;
+
+  clearInterval(loginCooldownTimer);
+  const endsAt = Date.now() + seconds * 1000;
+
+  const tick = () => {
+    const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+    if (remaining <= 0) {
+      clearInterval(loginCooldownTimer);
+      button.disabled = false;
+      label.textContent = 'Sign In';
+      return;
+    }
+
+    button.disabled = true;
+    label.textContent = remaining > 90
+      ? `Try again in ${Math.ceil(remaining / 60)} min`
+      : `Try again in ${remaining}s`;
+  };
+
+  tick();
+  loginCooldownTimer = setInterval(tick, 1000);
+}
+
+async function handleTwoFactorLogin(e) {
+  e.preventDefault();
+
+  const code = new FormData(e.target).get('code').trim();
+
+  if (!pendingTwoFactorChallenge) {
+    showNotification('Your sign-in attempt expired. Please log in again.', 'warning');
+    switchAuthTab('login');
+    return;
+  }
+
+  if (!code) {
+    showFieldError('twoFactorCode', 'Enter your authentication code');
+    return;
+  }
+
+  try {
+    const response = await apiService.verifyTwoFactor(pendingTwoFactorChallenge, code, pendingRememberMe);
+
+    if (response.success) {
+      pendingTwoFactorChallenge = null;
+      e.target.reset();
+
+      if (response.twoFactorMethod === 'recovery_code') {
+        showNotification(`Signed in with a recovery code. ${response.recoveryCodesRemaining} codes left.`, 'warning', 8000);
+      } else {
+        showNotification('Welcome back!', 'success');
+      }
+      await initializeMainApp();
+    } else {
+      throw new Error(response.error || 'Verification failed');
+    }
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    showFieldError('twoFactorCode', error.message || 'Invalid authentication code');
+  }
+}
+
+async function handleRegister(e) {
+  e.preventDefault();
+
+  const formData = new FormData(e.target);
+  const userData = {
+    name: formData.get('name'),
+    email: formData.get('email'),
+    password: formData.get('password'),
+    confirmPassword: formData.get('confirmPassword')
+  };
+
+  // Validate inputs
+  let hasErrors = false;
+
+  if (userData.name.length < 2) {
+    showFieldError('registerName', 'Name must be at least 2 characters');
+    hasErrors = true;
+  }
+
+  if (!validateEmail(userData.email)) {
+    showFieldError('registerEmail', 'Please enter a valid email address');
+    hasErrors = true;
+  }
+
+  if (userData.password.length < 6) {
+    showFieldError('registerPassword', 'Password must be at least 6 characters');
+    hasErrors = true;
+  }
+
+  if (userData.password !== userData.confirmPassword) {
+    showFieldError('confirmPassword', 'Passwords do not match');
+    hasErrors = true;
+  }
+
+  if (hasErrors) return;
+
+  try {
+    const response = await apiService.register(userData);
+
+    if (response.success) {
+      if (response.verificationRequired) {
+        showNotification(
+          `Account created! We sent a verification link to ${response.user.email}. Confirm it to unlock study groups and AI question generation.`,
+          'success',
+          10000
+        );
+      } else {
+        showNotification('Account created successfully!', 'success');
+      }
+      await initializeMainApp();
+    } else {
+      throw new Error(response.error || 'Registration failed');
+    }
+  } catch (error) {
+    console.error('Registration error:', error);
+    showNotification(error.message || 'Registration failed', 'error');
+  }
+}
+
+function validateInput(input) {
+  const value = input.value.trim();
+  let error = '';
+
+  if (input.hasAttribute('required') && !value) {
+    error = 'This field is required';
+  } else if (input.type === 'email' && value && !validateEmail(value)) {
+    error = 'Please enter a valid email address';
+  } else if (input.type === 'password' && value.length > 0 && value.length < 6) {
+    error = 'Password must be at least 6 characters';
+  }
+
+  if (error) {
+    showFieldError(input.id, error);
+    return false;
+  } else {
+    clearFieldError(input.id);
+    return true;
+  }
+}
+
+function validateEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function showFieldError(fieldId, message) {
+  const field = document.getElementById(fieldId);
+  const validation = field.parentElement.querySelector('.form-validation');
+
+  field.classList.add('error');
+  if (validation) {
+    validation.textContent = message;
+    validation.classList.add('error');
+  }
+}
+
+function clearFieldError(fieldId) {
+  const field = document.getElementById(fieldId);
+  const validation = field.parentElement.querySelector('.form-validation');
+
+  field.classList.remove('error');
+  if (validation) {
+    validation.textContent = '';
+    validation.classList.remove('error');
+  }
+}
+
+function clearValidationError(input) {
+  clearFieldError(input.id);
+}
+
+function checkPasswordStrength(input) {
+  const password = input.value;
+  const strengthBar = input.parentElement.querySelector('.strength-fill');
+  const strengthText = input.parentElement.querySelector('.strength-text');
+
+  if (!strengthBar || !strengthText) return;
+
+  let strength = 0;
+  let message = 'Very weak';
+
+  if (password.length >= 6) strength += 1;
+  if (password.length >= 10) strength += 1;
+  if (/[a-z]/.test(password) && /[A-Z]/.test(password)) strength += 1;
+  if (/\d/.test(password)) strength += 1;
+  if (/[^\w\s]/.test(password)) strength += 1;
+
+  const strengthLevels = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+  const strengthColors = ['#ef4444', '#f59e0b', '#eab308', '#10b981', '#059669'];
+
+  message = strengthLevels[strength] || 'Very weak';
+  const color = strengthColors[strength] || '#ef4444';
+
+  strengthBar.style.width = `${(strength / 5) * 100}%`;
+  strengthBar.style.backgroundColor = color;
+  strengthText.textContent = message;
+}
+
+function applyStoredTheme() {
+  const storedTheme = localStorage.getItem('theme') || 'light';
+  appState.theme = storedTheme;
+}
+
+function toggleTheme() {
+  const newTheme = appState.theme === 'light' ? 'dark' : 'light';
+  appState.theme = newTheme;
+  localStorage.setItem('theme', newTheme);
+
+  showNotification(`Switched to ${newTheme} mode`, 'success');
+}
+
+function showAuthOverlay() {
+  const authOverlay = document.getElementById('authOverlay');
+  const mainApp = document.getElementById('mainApp');
+
+  if (authOverlay) {
+    authOverlay.style.display = 'flex';
+    authOverlay.classList.remove('hidden');
+  }
+
+  if (mainApp) {
+    mainApp.style.display = 'none';
+    mainApp.classList.add('hidden');
+  }
+}
+
+function hideAuthOverlay() {
+  const authOverlay = document.getElementById('authOverlay');
+  if (authOverlay) {
+    authOverlay.style.display = 'none';
+    authOverlay.classList.add('hidden');
+  }
+}
+
+function showMainApp() {
+  const mainApp = document.getElementById('mainApp');
+  if (mainApp) {
+    mainApp.style.display = 'block';
+    mainApp.classList.remove('hidden');
+  }
+}
+
+function showLoadingState(message = 'Loading...') {
+  const overlay = document.getElementById('loadingOverlay');
+  const text = document.getElementById('loadingText');
+
+  if (overlay) {
+    overlay.style.display = 'flex';
+    overlay.classList.remove('hidden');
+  }
+
+  if (text) {
+    text.textContent = message;
+  }
+}
+
+function hideLoadingState() {
+  const overlay = document.getElementById('loadingOverlay');
+  if (overlay) {
+    overlay.style.display = 'none';
+    overlay.classList.add('hidden');
+  }
+}
+
+// ============================================
+// Navigation & Section Management
+// ============================================
+
+function setupNavigation() {
+  const navButtons = document.querySelectorAll('.nav-pill');
+  navButtons.forEach(btn => {
+    btn.addEventListener('click', function(e) {
+      e.preventDefault();
+      const sectionId = this.getAttribute('data-section');
+      showSection(sectionId);
+    });
+  });
+
+  const tabButtons = document.querySelectorAll('.tab');
+  tabButtons.forEach(btn => {
+    btn.addEventListener('click', function(e) {
+      e.preventDefault();
+      const tabId = this.getAttribute('data-tab');
+      showTab(tabId);
+    });
+  });
+
+  // Load current section
+  showSection(appState.currentSection);
+}
+
+function showSection(sectionId) {
+  const target = document.getElementById(sectionId);
+  if (target && !canAccessElement(target)) {
+    showNotification('You do not have access to that section', 'warning');
+    return;
+  }
+
+  // Update navigation
+  const navButtons = document.querySelectorAll('.nav-pill');
+  navButtons.forEach(btn => {
+    btn.classList.toggle('active', btn.getAttribute('data-section') === sectionId);
+  });
+
+  // Update sections with animation
+  const sections = document.querySelectorAll('.section');
+  sections.forEach(section => {
+    if (section.id === sectionId) {
+      section.classList.add('active');
+      section.style.display = 'block';
+
+      // Trigger entrance animation
+      gsap.fromTo(section, 
+        { opacity: 0, y: 20 },
+        { opacity: 1, y: 0, duration: 0.4, ease: "power2.out" }
+      );
+    } else {
+      section.classList.remove('active');
+      section.style.display = 'none';
+    }
+  });
+
+  appState.currentSection = sectionId;
+
+  // Load section-specific data
+  loadSectionData(sectionId);
+
+  // Update page title
+  updatePageTitle(sectionId);
+
+  // Announce to screen reader
+  uiManager.announceToScreenReader(`Navigated to ${sectionId.replace('-', ' ')} section`);
+}
+
+function showTab(tabId) {
+  const container = document.querySelector('.tabs-modern');
+  if (!container) return;
+
+  const tabs = container.querySelectorAll('.tab');
+  const panels = document.querySelectorAll('.tab-panel');
+  const indicator = container.querySelector('.tab-indicator');
+
+  tabs.forEach(tab => {
+    tab.classList.toggle('active', tab.getAttribute('data-tab') === tabId);
+  });
+
+  panels.forEach(panel => {
+    if (panel.id === tabId) {
+      panel.classList.add('active');
+      panel.style.display = 'block';
+    } else {
+      panel.classList.remove('active');
+      panel.style.display = 'none';
+    }
+  });
+
+  // Move indicator
+  const activeTab = container.querySelector(`[data-tab="${tabId}"]`);
+  if (activeTab && indicator) {
+    const tabRect = activeTab.getBoundingClientRect();
+    const containerRect = container.getBoundingClientRect();
+
+    indicator.style.left = `${tabRect.left - containerRect.left}px`;
+    indicator.style.width = `${tabRect.width}px`;
+  }
+
+  appState.currentTab = tabId;
+
+  if (tabId === 'content-studio') {
+    loadContentStudio();
+  }
+}
+
+function updatePageTitle(sectionId) {
+  const titles = {
+    'dashboard': 'Dashboard - Learnova',
+    'learning-hub': 'AI Learning Hub - Learnova',
+    'analytics-center': 'Analytics - Learnova',
+    'community-space': 'Community - Learnova',
+    'ai-assistant': 'AI Assistant - Learnova',
+    'profile-settings': 'Profile Settings - Learnova',
+    'admin-console': 'Admin Console - Learnova'
+  };
+
+  document.title = titles[sectionId] || 'Learnova - AI Learning Platform';
+}
+
+async function loadSectionData(sectionId) {
+  try {
+    switch(sectionId) {
+      case 'dashboard':
+        await loadDashboardData();
+        break;
+      case 'learning-hub':
+        await loadLearningHubData();
+        break;
+      case 'analytics-center':
+        await loadAnalyticsData();
+        break;
+      case 'ai-assistant':
+        await loadAIAssistantData();
+        break;
+      case 'profile-settings':
+        await loadProfileSettingsData();
+        break;
+      case 'admin-console':
+        await loadAdminConsoleData();
+        break;
+      // Add other section data loading
+    }
+  } catch (error) {
+    console.error(`Error loading ${sectionId} data:`, error);
+  }
+}
+
+async function loadDashboardData() {
+  try {
+    // Load user performance
+    const performance = await apiService.getPerformanceAnalysis();
+    if (performance.success) {
+      updateDashboardStats(performance.analysis);
+      updateAIRecommendations(performance.analysis);
+    }
+
+    // Load recent activity
+    loadActivityFeed();
+
+    // Update charts
+    setTimeout(() => {
+      uiManager.updateChartVisibility();
+    }, 500);
+  } catch (error) {
+    console.error('Dashboard data loading error:', error);
+  }
+}
+
+async function loadLearningHubData() {
+  // Load subjects and practice data
+  await loadSubjects();
+}
+
+async function loadAnalyticsData() {
+  // Load analytics charts and insights
+  console.log('Loading analytics data...');
+}
+
+async function loadAIAssistantData() {
+  // Initialize AI chat interface
+  console.log('Loading AI assistant data...');
+}
+
+async function loadProfileSettingsData() {
+  // Always read fresh security state rather than a cached profile
+  apiService.clearCache();
+  const response = await apiService.getUserProfile();
+  if (response.success) {
+    appState.user = { ...appState.user, ...response.user };
+    renderTwoFactorPanel(response.user.twoFactor || {});
+    renderDataPanel(response.user);
+    renderPracticePanel(response.user);
+  }
+
+  await loadSessionsPanel();
+  await loadApiTokensPanel();
+}
+
+// ============================================
+// Subjects
+// ============================================
+
+let subjectsCache = [];
+let editingSubjectId = null;
+
+async function loadSubjects() {
+  const status = document.getElementById('subjectStatusFilter')?.value || 'active';
+  apiService.clearCache();
+
+  try {
+    const response = await apiService.getSubjects(status);
+    subjectsCache = response.subjects || [];
+    renderSubjects(subjectsCache, status);
+  } catch (error) {
+    console.error('Subjects load error:', error);
+    showNotification(error.message || 'Failed to load subjects', 'error');
+  }
+}
+
+function renderSubjects(subjects, status) {
+  const grid = document.getElementById('subjectsGrid');
+  if (!grid) return;
+
+  if (subjects.length === 0) {
+    grid.innerHTML = `
+      <p class="subjects-empty">
+        ${status === 'archived' ? 'No archived subjects.' : 'No subjects yet. Add one to start organising your practice.'}
+      </p>
+    `;
+    return;
+  }
+
+  grid.innerHTML = subjects.map(subject => {
+    const topicCount = subject.topics?.length || 0;
+    const archived = !subject.isActive;
+
+    return `
+      <div class="dashboard-card subject-card ${archived ? 'archived' : ''}" style="--subject-color: ${escapeHTML(subject.color)}">
+        <div class="subject-card-header">
+          <span class="subject-icon"><i data-lucide="${escapeHTML(subject.icon)}"></i></span>
+          <h3 onclick="openSubject('${subject._id}')">${escapeHTML(subject.name)}</h3>
+          ${archived ? '<span class="session-badge expired">Archived</span>' : ''}
+        </div>
+        ${subject.description ? `<p>${escapeHTML(subject.description)}</p>` : ''}
+        <span class="subject-meta">
+          ${topicCount} topic${topicCount === 1 ? '' : 's'} · Updated ${formatRelativeTime(subject.updatedAt)}
+        </span>
+        <div class="settings-actions">
+          ${archived ? `
+            <button class="btn-secondary" onclick="unarchiveSubject('${subject._id}')">Restore</button>
+          ` : `
+            <button class="btn-secondary" onclick="openSubject('${subject._id}')">Topics</button>
+            <button class="btn-secondary" onclick="editSubject('${subject._id}')">Edit</button>
+            <button class="btn-secondary" onclick="archiveSubject('${subject._id}')">Archive</button>
+          `}
+          <button class="btn-secondary danger" onclick="deleteSubject('${subject._id}')">Delete</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  lucide.createIcons();
+}
+
+function openSubjectForm(subject = null) {
+  const form = document.getElementById('subjectForm');
+  if (!form) return;
+
+  editingSubjectId = subject?._id || null;
+  document.getElementById('subjectFormTitle').textContent = subject ? 'Edit subject' : 'New subject';
+  document.getElementById('subjectName').value = subject?.name || '';
+  document.getElementById('subjectDescription').value = subject?.description || '';
+  document.getElementById('subjectColor').value = subject?.color || '#667eea';
+  document.getElementById('subjectIcon').value = subject?.icon || 'book';
+
+  form.classList.remove('hidden');
+  document.getElementById('subjectName').focus();
+}
+
+function closeSubjectForm() {
+  const form = document.getElementById('subjectForm');
+  if (!form) return;
+
+  editingSubjectId = null;
+  form.reset();
+  form.classList.add('hidden');
+}
+
+async function handleSubjectSubmit(e) {
+  e.preventDefault();
+
+  const formData = new FormData(e.target);
+  const data = {
+    name: formData.get('name').trim(),
+    description: formData.get('description').trim(),
+    color: formData.get('color'),
+    icon: formData.get('icon')
+  };
+
+  if (!data.name) {
+    showNotification('Subject name is required', 'warning');
+    return;
+  }
+
+  try {
+    if (editingSubjectId) {
+      await apiService.updateSubject(editingSubjectId, data);
+      showNotification('Subject updated', 'success');
+    } else {
+      const response = await apiService.createSubject(data);
+      showNotification('Subject created', 'success');
+      updateActiveSubjectCount(response.activeSubjects);
+    }
+
+    closeSubjectForm();
+    await loadSubjects();
+  } catch (error) {
+    console.error('Save subject error:', error);
+    showNotification(error.message || 'Failed to save subject', 'error');
+  }
+}
+
+// Subject detail: the topic list with per-topic progress
+let currentSubject = null;
+
+async function showSubjectDetail(subjectId) {
+  apiService.clearCache();
+
+  try {
+    const response = await apiService.getSubject(subjectId);
+    renderSubjectDetail(response.subject);
+
+    document.getElementById('subjectsGrid')?.classList.add('hidden');
+    document.getElementById('subjectForm')?.classList.add('hidden');
+    document.getElementById('subjectDetail')?.classList.remove('hidden');
+  } catch (error) {
+    console.error('Subject load error:', error);
+    showNotification(error.message || 'Failed to load subject', 'error');
+  }
+}
+
+function hideSubjectDetail() {
+  currentSubject = null;
+  disposeTopicGraph();
+  document.getElementById('subjectDetail')?.classList.add('hidden');
+  document.getElementById('subjectsGrid')?.classList.remove('hidden');
+  loadSubjects();
+}
+
+function renderSubjectDetail(subject) {
+  const panel = document.getElementById('subjectDetail');
+  if (!panel) return;
+
+  currentSubject = subject;
+  const topics = subject.topics || [];
+  const difficultyOptions = (selected) => ['easy', 'medium', 'hard']
+    .map(level => `<option value="${level}" ${level === selected ? 'selected' : ''}>${level}</option>`)
+    .join('');
+
+  panel.innerHTML = `
+    <div class="subject-detail-header" style="--subject-color: ${escapeHTML(subject.color)}">
+      <button class="btn-secondary" onclick="closeSubject()"><i data-lucide="arrow-left"></i> All subjects</button>
+      <span class="subject-icon"><i data-lucide="${escapeHTML(subject.icon)}"></i></span>
+      <div>
+        <h2>${escapeHTML(subject.name)}</h2>
+        ${subject.description ? `<p class="subject-meta">${escapeHTML(subject.description)}</p>` : ''}
+      </div>
+      <button class="btn-secondary" onclick="importSyllabus('${subject._id}')"><i data-lucide="file-up"></i> Import syllabus</button>
+    </div>
+
+    ${topics.length ? `
+      <ul class="topic-list">
+        ${topics.filter(topic => !topic.parentId).map(topic => [
+          renderTopicItem(topic, difficultyOptions),
+          ...topics.filter(child => child.parentId === topic._id).map(child => renderTopicItem(child, difficultyOptions))
+        ].join('')).join('')}
+      </ul>
+    ` : '<p class="subjects-empty">No topics yet. Add the topics you want to practice in this subject.</p>'}
+
+    <div id="prerequisiteEditor" class="dashboard-card subject-form hidden"></div>
+
+    <form class="topic-add" onsubmit="addTopic(event)">
+      <input type="text" class="settings-input" name="name" placeholder="New topic name" maxlength="100" required>
+      <select class="settings-input" name="difficulty" aria-label="Difficulty">${difficultyOptions('medium')}</select>
+      <button type="submit" class="btn-primary">Add topic</button>
+    </form>
+
+    ${topics.length ? `
+      <div class="dashboard-card learning-path-card">
+        <div class="card-header">
+          <h3>🧭 Learning Path</h3>
+          <div class="graph-legend">
+            <span class="mastered">Mastered</span>
+            <span class="in-progress">In progress</span>
+            <span class="ready">Ready</span>
+            <span class="blocked">Weak foundations</span>
+          </div>
+        </div>
+        <canvas id="topicGraphCanvas" class="topic-graph"></canvas>
+        <ol class="learning-path" id="learningPath"></ol>
+      </div>
+    ` : ''}
+  `;
+
+  lucide.createIcons();
+  if (topics.length) {
+    loadLearningPath(subject._id);
+  } else {
+    disposeTopicGraph();
+  }
+}
+
+// ============================================
+// Content Studio
+// ============================================
+
+// questions holds the page on screen, which the attachment panel reads its question from
+const questionBankState = { filters: {}, page: 1, questions: [] };
+// The reviewed draft and the topic/subject it was generated for
+const generatedDraft = { questions: [], topic: '', subjectId: '' };
+
+async function loadContentStudio() {
+  // Subject pickers need the full list even if the Subjects tab was never opened
+  if (subjectsCache.length === 0) {
+    try {
+      subjectsCache = (await apiService.getSubjects('active')).subjects || [];
+    } catch (error) {
+      console.error('Subjects load error:', error);
+    }
+  }
+
+  document.querySelectorAll('.subject-select').forEach(select => {
+    const selected = select.value;
+    const placeholder = select.options[0].outerHTML;
+    select.innerHTML = placeholder + subjectsCache
+      .filter(subject => subject.isActive)
+      .map(subject => `<option value="${subject._id}">${escapeHTML(subject.name)}</option>`)
+      .join('');
+    select.value = selected;
+  });
+
+  await Promise.all([loadQuestionBank(), loadQuestionReports()]);
+}
+
+async function loadQuestionBank(page = questionBankState.page) {
+  questionBankState.page = page;
+  apiService.clearCache();
+
+  try {
+    const response = await apiService.getQuestions({ ...questionBankState.filters, page, limit: 20 });
+    questionBankState.questions = response.questions || [];
+    renderQuestionBank(questionBankState.questions);
+    renderPagination('questionBankPagination', response.pagination, 'loadQuestionBank');
+  } catch (error) {
+    console.error('Question bank load error:', error);
+    showNotification(error.message || 'Failed to load questions', 'error');
+  }
+}
+
+const QUESTION_TYPE_LABELS = {
+  multiple_choice: 'Multiple choice',
+  multi_select: 'Multi-select',
+  true_false: 'True / false',
+  numeric: 'Numeric',
+  short_text: 'Short answer',
+  ordering: 'Ordering',
+  matching: 'Matching',
+  cloze: 'Fill in the blanks',
+  math: 'Math expression'
+};
+
+// Figures attached to the question text (option null) or to one option. In practice views of
+// ordering questions, option is the item id rather than a position
+function renderQuestionFigures(question, option = null) {
+  return (question.attachments || [])
+    .filter(attachment => (attachment.option ?? null) === option)
+    .map(attachment => option === null
+      ? `<figure class="question-figure"><img src="${escapeHTML(attachment.url)}" alt="${escapeHTML(attachment.alt)}" loading="lazy"></figure>`
+      : `<img class="option-figure" src="${escapeHTML(attachment.url)}" alt="${escapeHTML(attachment.alt)}" loading="lazy">`)
+    .join('');
+}
+
+// Shows a question's answer key; also used for the solution after a practice answer is graded
+function renderQuestionOptions(question) {
+  switch (question.type || 'multiple_choice') {
+    case 'numeric': {
+      const { value, tolerance } = question.numericAnswer;
+      return `<p class="answer-key">Answer: <span class="correct">${value}${tolerance ? ` ± ${tolerance}` : ''}</span></p>`;
+    }
+    case 'math':
+      return `
+        <p class="answer-key">
+          Answer: <span class="correct">${renderMathPreview(question.mathAnswer.expression)}</span>
+        </p>
+      `;
+    case 'short_text':
+      return `
+        <p class="answer-key">
+          Accepted: <span class="correct">${question.acceptedAnswers.map(escapeHTML).join(' / ')}</span>
+          ${question.caseSensitive ? ' (case-sensitive)' : ''}
+        </p>
+      `;
+    case 'ordering':
+      return `
+        <ol class="answer-key">
+          ${question.options.map((option, index) => `<li>${renderRichText(option, { inline: true })}${renderQuestionFigures(question, index)}</li>`).join('')}
+        </ol>
+      `;
+    case 'matching':
+      return `
+        <ul class="answer-key">
+          ${question.pairs.map(pair => `
+            <li>${renderRichText(pair.left, { inline: true })} → <span class="correct">${renderRichText(pair.right, { inline: true })}</span></li>
+          `).join('')}
+        </ul>
+      `;
+    case 'cloze':
+      return `
+        <ol class="answer-key">
+          ${question.blanks.map(blank => `<li class="correct">${blank.accepted.map(escapeHTML).join(' / ')}</li>`).join('')}
+        </ol>
+      `;
+    default: {
+      const correct = question.type === 'multi_select' ? question.correctAnswers : [question.correctAnswer];
+      return `
+        <ol type="A">
+          ${question.options.map((option, index) => `
+            <li class="${correct.includes(index) ? 'correct' : ''}">${renderRichText(option, { inline: true })}${renderQuestionFigures(question, index)}</li>
+          `).join('')}
+        </ol>
+      `;
+    }
+  }
+}
+
+// Other authors' questions come without their key (keyHidden): the choices are shown unmarked
+function renderQuestionPreview(question) {
+  switch (question.type || 'multiple_choice') {
+    case 'ordering':
+      return `<ul>${question.items.map(item => `<li>${renderRichText(item.text, { inline: true })}${renderQuestionFigures(question, item.id)}</li>`).join('')}</ul>`;
+    case 'matching':
+      return `<ul>${question.left.map(left => `<li>${renderRichText(left, { inline: true })}</li>`).join('')}</ul>`;
+    case 'multiple_choice':
+    case 'multi_select':
+    case 'true_false':
+      return `
+        <ol type="A">
+          ${question.options.map((option, index) => `<li>${renderRichText(option, { inline: true })}${renderQuestionFigures(question, index)}</li>`).join('')}
+        </ol>
+      `;
+    default:
+      return '';
+  }
+}
+
+function renderQuestionBank(questions) {
+  const list = document.getElementById('questionBankList');
+  if (!list) return;
+
+  if (questions.length === 0) {
+    list.innerHTML = '<p class="subjects-empty">No questions match these filters.</p>';
+    return;
+  }
+
+  const userId = appState.user?.id || appState.user?._id;
+  const canEditShared = userHasPermission('questions:edit-shared');
+
+  list.innerHTML = questions.map(question => {
+    const isOwn = question.createdBy?._id === userId;
+
+    return `
+      <div class="question-item">
+        <span class="session-badge">${escapeHTML(question.difficulty)}</span>
+        <div>
+          <div class="rich-text question-text">${renderRichText(question.question)}</div>
+          ${renderQuestionFigures(question)}
+          ${question.keyHidden ? renderQuestionPreview(question) : renderQuestionOptions(question)}
+          <span class="session-meta">
+            ${QUESTION_TYPE_LABELS[question.type] || QUESTION_TYPE_LABELS.multiple_choice}
+            · ${question.aiGenerated ? 'AI generated' : 'Written by hand'}
+            · ${escapeHTML(isOwn ? 'you' : question.createdBy?.name || 'Former member')}
+            ${question.tags?.length ? ` · ${question.tags.map(tag => `#${escapeHTML(tag)}`).join(' ')}` : ''}
+          </span>
+        </div>
+        <div class="question-actions">
+          <button class="btn-secondary" onclick="practiceQuestion('${question._id}')">Practice</button>
+          ${isOwn || canEditShared ? `
+            <button class="btn-secondary" onclick="openQuestionAttachments('${question._id}')">Figures</button>
+            <button class="btn-secondary" onclick="openQuestionHistory('${question._id}')">History</button>
+            <button class="btn-secondary danger" onclick="deleteBankQuestion('${question._id}')">Delete</button>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function handleQuestionGenerate(e) {
+  e.preventDefault();
+
+  const formData = new FormData(e.target);
+  const params = {
+    topic: formData.get('topic').trim(),
+    difficulty: formData.get('difficulty'),
+    count: parseInt(formData.get('count')) || 5
+  };
+
+  try {
+    showLoadingState();
+    const response = await apiService.generateQuestions(params);
+    Object.assign(generatedDraft, {
+      questions: response.questions || [],
+      topic: params.topic,
+      subjectId: formData.get('subjectId')
+    });
+    renderGeneratedQuestions();
+  } catch (error) {
+    console.error('Question generation error:', error);
+    showNotification(error.message || 'Failed to generate questions', 'error');
+  } finally {
+    hideLoadingState();
+  }
+}
+
+// Generated questions are only a draft until the author keeps the ones worth saving
+function renderGeneratedQuestions() {
+  const container = document.getElementById('generatedQuestions');
+  if (!container) return;
 
-    document.addEventListener('touchend', () => {
-      startX = startY = currentX = currentY = null;
-      isSwipping = false;
+  container.innerHTML = generatedDraft.questions.length ? `
+    ${generatedDraft.questions.map((question, index) => `
+      <label class="question-item">
+        <input type="checkbox" name="acceptedQuestion" value="${index}" checked>
+        <div>
+          <div class="rich-text question-text">${renderRichText(question.question)}</div>
+          ${renderQuestionOptions(question)}
+          ${question.explanation ? `<div class="rich-text session-meta">${renderRichText(question.explanation)}</div>` : ''}
+        </div>
+        <span class="session-badge">${escapeHTML(question.difficulty)}</span>
+      </label>
+    `).join('')}
+    <div class="settings-actions">
+      <button class="btn-secondary" onclick="discardGeneratedQuestions()">Discard</button>
+      <button class="btn-primary" onclick="saveGeneratedQuestions()">Save selected to bank</button>
+    </div>
+  ` : '';
+}
+
+async function saveGeneratedQuestions() {
+  const accepted = [...document.querySelectorAll('#generatedQuestions input[name="acceptedQuestion"]:checked')]
+    .map(input => generatedDraft.questions[parseInt(input.value)]);
+
+  if (accepted.length === 0) {
+    showNotification('Select at least one question to save', 'warning');
+    return;
+  }
+
+  try {
+    await apiService.saveQuestions(accepted, {
+      subjectId: generatedDraft.subjectId || undefined,
+      tags: [generatedDraft.topic],
+      aiGenerated: true
     });
+    showNotification(`Saved ${accepted.length} question${accepted.length === 1 ? '' : 's'} to the bank`, 'success');
+    discardGeneratedQuestions();
+    await loadQuestionBank(1);
+  } catch (error) {
+    console.error('Save questions error:', error);
+    showNotification(error.message || 'Failed to save questions', 'error');
   }
+}
 
-  handleSwipeGesture(direction) {
-    const currentSection = appState.currentSection;
-    const sections = ['dashboard', 'learning-hub', 'analytics-center', 'community-space', 'ai-assistant', 'profile-settings'];
-    const currentIndex = sections.indexOf(currentSection);
+function discardGeneratedQuestions() {
+  generatedDraft.questions = [];
+  const container = document.getElementById('generatedQuestions');
+  if (container) container.innerHTML = '';
+}
 
-    if (direction === 'left' && currentIndex < sections.length - 1) {
-      showSection(sections[currentIndex + 1]);
-    } else if (direction === 'right' && currentIndex > 0) {
-      showSection(sections[currentIndex - 1]);
-    }
-  }
+// The checked request is replayed on confirm, so what gets imported is exactly what the report showed
+let pendingQuestionImport = null;
 
-  initializeAnimations() {
-    // GSAP timeline for complex animations
-    if (typeof gsap !== 'undefined') {
-      this.masterTimeline = gsap.timeline();
-      this.setupScrollAnimations();
-    }
+const QUESTION_IMPORT_STATUS_LABELS = {
+  ready: 'Ready',
+  imported: 'Imported',
+  duplicate: 'Duplicate',
+  invalid: 'Invalid',
+  unsupported: 'Unsupported'
+};
+
+function resetQuestionImport() {
+  pendingQuestionImport = null;
+  const report = document.getElementById('questionImportReport');
+  if (report) report.innerHTML = '';
+}
+
+// QTI packages are ZIP files and travel base64-encoded; everything else is sent as text
+async function readQuestionImportFile(file) {
+  if (!file.name.toLowerCase().endsWith('.zip')) {
+    return { content: await file.text() };
   }
 
-  setupScrollAnimations() {
-    // Parallax effects
-    const heroElements = document.querySelectorAll('.hero-background, .floating-shapes');
-    heroElements.forEach(element => {
-      gsap.to(element, {
-        y: () => window.innerHeight * 0.5,
-        ease: "none",
-        scrollTrigger: {
-          trigger: element,
-          start: "top bottom",
-          end: "bottom top",
-          scrub: true
-        }
-      });
-    });
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
   }
+  return { file: btoa(binary) };
+}
 
-  animateElement(element, animationType) {
-    const animations = {
-      fadeInUp: () => {
-        gsap.fromTo(element, 
-          { opacity: 0, y: 30 },
-          { opacity: 1, y: 0, duration: 0.6, ease: "power2.out" }
-        );
-      },
-      fadeInLeft: () => {
-        gsap.fromTo(element,
-          { opacity: 0, x: -30 },
-          { opacity: 1, x: 0, duration: 0.6, ease: "power2.out" }
-        );
-      },
-      fadeInRight: () => {
-        gsap.fromTo(element,
-          { opacity: 0, x: 30 },
-          { opacity: 1, x: 0, duration: 0.6, ease: "power2.out" }
-        );
-      },
-      scaleIn: () => {
-        gsap.fromTo(element,
-          { opacity: 0, scale: 0.8 },
-          { opacity: 1, scale: 1, duration: 0.6, ease: "back.out(1.7)" }
-        );
-      },
-      slideInUp: () => {
-        gsap.fromTo(element,
-          { opacity: 0, y: 100 },
-          { opacity: 1, y: 0, duration: 0.8, ease: "power3.out" }
-        );
-      }
-    };
+async function handleQuestionImportCheck(e) {
+  e.preventDefault();
 
-    const animation = animations[animationType];
-    if (animation) {
-      animation();
-    } else {
-      // Fallback CSS animation
-      element.style.animation = `${animationType} 0.6s ease-out forwards`;
-    }
+  const formData = new FormData(e.target);
+  const file = formData.get('file');
+  if (!file || !file.size) {
+    showNotification('Choose a Moodle XML, GIFT or QTI file to import', 'warning');
+    return;
   }
 
-  setupKeyboardShortcuts() {
-    const shortcuts = {
-      'cmd+k': () => toggleCommandPalette(),
-      'ctrl+k': () => toggleCommandPalette(),
-      'cmd+/': () => showKeyboardShortcuts(),
-      'ctrl+/': () => showKeyboardShortcuts(),
-      'escape': () => handleEscapeKey(),
-      'cmd+shift+d': () => toggleDarkMode(),
-      'ctrl+shift+d': () => toggleDarkMode(),
-      '1': () => showSection('dashboard'),
-      '2': () => showSection('learning-hub'),
-      '3': () => showSection('analytics-center'),
-      '4': () => showSection('community-space'),
-      '5': () => showSection('ai-assistant'),
-      '6': () => showSection('profile-settings')
+  try {
+    showLoadingState('Checking questions...');
+    const payload = {
+      ...await readQuestionImportFile(file),
+      format: formData.get('format'),
+      subjectId: formData.get('subjectId') || undefined,
+      onDuplicate: formData.get('importDuplicates') ? 'import' : 'skip'
     };
 
-    document.addEventListener('keydown', (e) => {
-      const key = this.getShortcutKey(e);
-
-      if (shortcuts[key]) {
-        e.preventDefault();
-        shortcuts[key]();
-      }
-    });
+    const report = await apiService.importQuestions({ ...payload, dryRun: true });
+    pendingQuestionImport = payload;
+    renderQuestionImportReport(report);
+  } catch (error) {
+    console.error('Question import check error:', error);
+    showNotification(error.message || 'Failed to read the file', 'error');
+  } finally {
+    hideLoadingState();
   }
+}
 
-  getShortcutKey(e) {
-    let key = '';
+function renderQuestionImportReport(report) {
+  const container = document.getElementById('questionImportReport');
+  if (!container) return;
 
-    if (e.ctrlKey || e.metaKey) {
-      key += (e.ctrlKey ? 'ctrl+' : 'cmd+');
-    }
-    if (e.shiftKey) key += 'shift+';
-    if (e.altKey) key += 'alt+';
+  const { summary } = report;
+  const importable = (summary.ready || 0) + (pendingQuestionImport?.onDuplicate === 'import' ? summary.duplicate || 0 : 0);
+  const counts = Object.keys(QUESTION_IMPORT_STATUS_LABELS)
+    .filter(status => summary[status])
+    .map(status => `${summary[status]} ${QUESTION_IMPORT_STATUS_LABELS[status].toLowerCase()}`)
+    .join(' · ');
+
+  container.innerHTML = `
+    <p class="session-meta">${summary.total} question${summary.total === 1 ? '' : 's'} found in ${escapeHTML(report.format)} format${counts ? `: ${counts}` : ''}</p>
+    ${report.items.map(item => `
+      <div class="question-item import-item ${item.status}">
+        <span class="session-badge">${QUESTION_IMPORT_STATUS_LABELS[item.status] || escapeHTML(item.status)}</span>
+        <div>
+          <strong>${item.index + 1}. ${escapeHTML(item.question || item.title || 'Untitled question')}</strong>
+          ${[...item.errors, ...item.warnings].map(message => `<span class="session-meta">${escapeHTML(message)}</span>`).join('')}
+        </div>
+        <span class="session-meta">${QUESTION_TYPE_LABELS[item.type] || escapeHTML(item.sourceType)}</span>
+      </div>
+    `).join('')}
+    ${report.dryRun ? `
+      <div class="settings-actions">
+        <button type="button" class="btn-secondary" onclick="cancelQuestionImport()">Cancel</button>
+        <button type="button" class="btn-primary" onclick="confirmQuestionImport()" ${importable ? '' : 'disabled'}>
+          Import ${importable} question${importable === 1 ? '' : 's'}
+        </button>
+      </div>
+    ` : ''}
+  `;
+}
 
-    key += e.key.toLowerCase();
+async function confirmQuestionImport() {
+  if (!pendingQuestionImport) return;
 
-    return key;
+  try {
+    showLoadingState('Importing questions...');
+    const report = await apiService.importQuestions({ ...pendingQuestionImport, dryRun: false });
+    pendingQuestionImport = null;
+    renderQuestionImportReport(report);
+    showNotification(`Imported ${report.summary.imported || 0} question${report.summary.imported === 1 ? '' : 's'}`, 'success');
+    await loadQuestionBank(1);
+  } catch (error) {
+    console.error('Question import error:', error);
+    showNotification(error.message || 'Failed to import questions', 'error');
+  } finally {
+    hideLoadingState();
   }
+}
 
-  initializeAccessibility() {
-    // Skip links
-    this.createSkipLinks();
+// Exports whatever the bank filters currently match
+async function exportQuestionBank() {
+  const format = document.getElementById('questionExportFormat')?.value || 'moodle';
 
-    // Focus management
-    this.setupFocusManagement();
+  try {
+    showLoadingState('Preparing export...');
+    const skipped = await apiService.exportQuestions(format, questionBankState.filters);
+    if (skipped) {
+      showNotification(`${skipped} question${skipped === 1 ? ' was' : 's were'} left out because the format cannot hold ${skipped === 1 ? 'its' : 'their'} type`, 'warning');
+    }
+  } catch (error) {
+    console.error('Question export error:', error);
+    showNotification(error.message || 'Failed to export questions', 'error');
+  } finally {
+    hideLoadingState();
+  }
+}
 
-    // Screen reader announcements
-    this.setupScreenReaderSupport();
+// ============================================
+// Question Practice
+// ============================================
 
-    // High contrast mode detection
-    if (window.matchMedia('(prefers-contrast: high)').matches) {
-      document.documentElement.classList.add('high-contrast');
+// The running session and the question being answered, as served without its key. next is the
+// question the server handed back with the last grade; shownAt times the current question
+const practiceState = { session: null, question: null, next: null, items: [], shownAt: 0 };
+
+// Every practice run is a server-side session, so answers count towards topics and stats
+async function startPractice(params) {
+  try {
+    const response = await apiService.startPracticeSession(params);
+    if (!response.question) {
+      showNotification('None of these questions are available any more', 'warning');
+      return;
     }
+    practiceState.session = response.session;
+    showSection('learning-hub');
+    showTab('ai-practice');
+    showPracticeQuestion(response.question);
+  } catch (error) {
+    console.error('Start practice error:', error);
+    showNotification(error.message || 'Failed to start practice', 'error');
+  }
+}
 
-    // Reduced motion detection
-    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-      document.documentElement.classList.add('reduced-motion');
+const openPracticeQuestion = (questionId) => startPractice({ questionIds: [questionId] });
+
+// Adaptive runs cover the open subject, or else the first active one. The server picks each question
+// after the previous one is graded, aiming for the success rate chosen in the practice settings
+async function startAdaptivePractice() {
+  if (subjectsCache.length === 0) {
+    try {
+      subjectsCache = (await apiService.getSubjects('active')).subjects || [];
+    } catch (error) {
+      console.error('Subjects load error:', error);
     }
   }
 
-  createSkipLinks() {
-    const skipLink = document.createElement('a');
-    skipLink.href = '#main-content';
-    skipLink.textContent = 'Skip to main content';
-    skipLink.className = 'skip-link';
-    skipLink.style.cssText = `
-      position: absolute;
-      top: -40px;
-      left: 6px;
-      background: #000;
-      color: #fff;
-      padding: 8px;
-      text-decoration: none;
-      border-radius: 0 0 4px 4px;
-      z-index: 10000;
-      opacity: 0;
-      transition: all 0.3s;
-    `;
+  const subject = currentSubject || subjectsCache.find(item => item.isActive);
+  if (!subject) {
+    showNotification('Add a subject with some questions to start adaptive practice', 'warning');
+    return;
+  }
 
-    skipLink.addEventListener('focus', () => {
-      skipLink.style.top = '0';
-      skipLink.style.opacity = '1';
-    });
+  await startPractice({ subjectId: subject._id, sessionType: 'adaptive' });
+}
 
-    skipLink.addEventListener('blur', () => {
-      skipLink.style.top = '-40px';
-      skipLink.style.opacity = '0';
-    });
+function showPracticeQuestion(question) {
+  const container = document.getElementById('questionInterface');
+  if (!container) return;
 
-    document.body.insertBefore(skipLink, document.body.firstChild);
-  }
+  practiceState.question = question;
+  practiceState.items = question.items ? [...question.items] : [];
+  practiceState.shownAt = Date.now();
+  const { answered, total, target } = practiceState.session;
+
+  // Cloze questions show their text with the blanks inline instead of above the inputs
+  container.innerHTML = `
+    <form class="dashboard-card practice-question" id="practiceQuestionForm">
+      <div class="card-header">
+        <span class="session-badge">${QUESTION_TYPE_LABELS[question.type]}</span>
+        <span class="session-badge">${escapeHTML(question.difficulty)}</span>
+        ${target ? `<span class="session-badge" title="Questions are picked so you get about this share right">Adaptive · ${Math.round(target * 100)}%</span>` : ''}
+        ${total > 1 ? `<span class="session-meta">Question ${answered + 1} of ${total}</span>` : ''}
+        <button type="button" class="btn-secondary" onclick="togglePracticeReport(true)">Report issue</button>
+      </div>
+      ${question.type === 'cloze' ? '' : `<div class="practice-question-text rich-text">${renderRichText(question.question)}</div>`}
+      ${renderQuestionFigures(question)}
+      <fieldset class="practice-answer">
+        ${renderPracticeInput(question)}
+      </fieldset>
+      <div class="settings-actions" id="practiceActions">
+        <button type="button" class="btn-secondary" onclick="finishPractice()">End session</button>
+        <button type="submit" class="btn-primary">Check answer</button>
+      </div>
+    </form>
+    <div class="dashboard-card practice-report" id="practiceReport" hidden>
+      <label for="practiceReportReason">What is wrong with this question?</label>
+      <select class="settings-input" id="practiceReportReason">
+        ${Object.entries(QUESTION_REPORT_REASON_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
+      <textarea class="settings-input" id="practiceReportMessage" rows="3" maxlength="1000" placeholder="Details for the author (optional)"></textarea>
+      <div class="settings-actions">
+        <button type="button" class="btn-secondary" onclick="togglePracticeReport(false)">Cancel</button>
+        <button type="button" class="btn-primary" onclick="submitPracticeReport()">Send report</button>
+      </div>
+    </div>
+  `;
 
-  setupFocusManagement() {
-    // Focus trap for modals
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Tab') {
-        const modal = document.querySelector('.modal.active, .command-palette:not(.hidden)');
-        if (modal) {
-          this.trapFocus(e, modal);
-        }
-      }
+  const form = document.getElementById('practiceQuestionForm');
+  form.addEventListener('submit', submitPracticeAnswer);
+  if (question.type === 'math') {
+    form.elements.answer.addEventListener('input', (e) => {
+      document.getElementById('mathPreview').innerHTML = e.target.value.trim() ? renderMathPreview(e.target.value) : '';
     });
   }
+  container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
 
-  trapFocus(e, container) {
-    const focusableElements = container.querySelectorAll(
-      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-    );
-    const firstElement = focusableElements[0];
-    const lastElement = focusableElements[focusableElements.length - 1];
-
-    if (e.shiftKey) {
-      if (document.activeElement === firstElement) {
-        lastElement.focus();
-        e.preventDefault();
-      }
-    } else {
-      if (document.activeElement === lastElement) {
-        firstElement.focus();
-        e.preventDefault();
-      }
+function renderPracticeInput(question) {
+  switch (question.type) {
+    case 'numeric':
+      return '<input type="text" class="settings-input" name="answer" inputmode="decimal" placeholder="Your answer" autocomplete="off" required>';
+    case 'short_text':
+      return '<input type="text" class="settings-input" name="answer" placeholder="Your answer" autocomplete="off" required>';
+    case 'math':
+      return `
+        <input type="text" class="settings-input" name="answer" placeholder="e.g. 2x(x+1) or sqrt(2)/2" autocomplete="off" spellcheck="false" required>
+        <div class="math-preview" id="mathPreview" aria-live="polite"></div>
+      `;
+    case 'ordering':
+      return `<ol class="practice-ordering" id="practiceOrdering">${renderPracticeOrdering()}</ol>`;
+    case 'matching':
+      return `
+        <div class="practice-matching">
+          ${question.left.map((left, index) => `
+            <label>
+              <span>${renderRichText(left, { inline: true })}</span>
+              <select class="settings-input" name="match" aria-label="Match for item ${index + 1}" required>
+                <option value="">Choose…</option>
+                ${question.right.map(right => `<option value="${escapeHTML(right.id)}">${escapeHTML(right.text)}</option>`).join('')}
+              </select>
+            </label>
+          `).join('')}
+        </div>
+      `;
+    case 'cloze':
+      return `<div class="practice-question-text rich-text">${renderClozeText(question.question)}</div>`;
+    default: {
+      const inputType = question.type === 'multi_select' ? 'checkbox' : 'radio';
+      return `
+        ${question.type === 'multi_select' ? '<p class="session-meta">Select all that apply</p>' : ''}
+        <div class="practice-choices">
+          ${question.options.map((option, index) => `
+            <label class="scope-option">
+              <input type="${inputType}" name="choice" value="${index}">
+              <span>${renderRichText(option, { inline: true })}${renderQuestionFigures(question, index)}</span>
+            </label>
+          `).join('')}
+        </div>
+      `;
     }
   }
+}
 
-  setupScreenReaderSupport() {
-    // Create live region for announcements
-    const liveRegion = document.createElement('div');
-    liveRegion.setAttribute('aria-live', 'polite');
-    liveRegion.setAttribute('aria-atomic', 'true');
-    liveRegion.style.cssText = `
-      position: absolute;
-      left: -10000px;
-      width: 1px;
-      height: 1px;
-      overflow: hidden;
-    `;
-    liveRegion.id = 'live-region';
-    document.body.appendChild(liveRegion);
-  }
-
-  announceToScreenReader(message) {
-    const liveRegion = document.getElementById('live-region');
-    if (liveRegion) {
-      liveRegion.textContent = message;
+// Blanks are swapped in after rendering and only in text nodes, so a {{1}} inside code or a link
+// never turns into an input
+function renderClozeText(text) {
+  const template = document.createElement('template');
+  template.innerHTML = renderRichText(text);
+
+  const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    if (/\{\{\d+\}\}/.test(walker.currentNode.data) && !walker.currentNode.parentElement?.closest('code, a')) {
+      nodes.push(walker.currentNode);
     }
   }
 
-  // Public methods
-  updateChartVisibility() {
-    const charts = document.querySelectorAll('canvas');
-    charts.forEach(chart => {
-      const rect = chart.getBoundingClientRect();
-      const isVisible = rect.top < window.innerHeight && rect.bottom > 0;
-
-      if (isVisible && chart.dataset.chart) {
-        this.renderChart(chart);
+  nodes.forEach(node => {
+    const fragment = document.createDocumentFragment();
+    node.data.split(/\{\{(\d+)\}\}/).forEach((part, index) => {
+      if (index % 2 === 0) {
+        if (part) fragment.append(part);
+        return;
       }
+      const input = document.createElement('input');
+      Object.assign(input, { type: 'text', className: 'settings-input cloze-blank', autocomplete: 'off' });
+      input.dataset.blank = part;
+      input.setAttribute('aria-label', `Blank ${part}`);
+      fragment.append(input);
     });
-  }
+    node.replaceWith(fragment);
+  });
 
-  renderChart(canvas) {
-    const chartType = canvas.dataset.chart;
-    const ctx = canvas.getContext('2d');
+  return template.innerHTML;
+}
 
-    // Destroy existing chart
-    if (canvas.chartInstance) {
-      canvas.chartInstance.destroy();
-    }
+function renderPracticeOrdering() {
+  const last = practiceState.items.length - 1;
+  return practiceState.items.map((item, position) => `
+    <li>
+      <span>${renderRichText(item.text, { inline: true })}${renderQuestionFigures(practiceState.question, item.id)}</span>
+      <button type="button" class="btn-secondary" onclick="movePracticeItem(${position}, -1)" aria-label="Move up" ${position === 0 ? 'disabled' : ''}>↑</button>
+      <button type="button" class="btn-secondary" onclick="movePracticeItem(${position}, 1)" aria-label="Move down" ${position === last ? 'disabled' : ''}>↓</button>
+    </li>
+  `).join('');
+}
 
-    // Create new chart based on type
-    const chartConfig = this.getChartConfig(chartType);
-    if (chartConfig) {
-      canvas.chartInstance = new Chart(ctx, chartConfig);
+function movePracticeItem(position, direction) {
+  const items = practiceState.items;
+  const target = position + direction;
+  if (target < 0 || target >= items.length) return;
+
+  [items[position], items[target]] = [items[target], items[position]];
+  document.getElementById('practiceOrdering').innerHTML = renderPracticeOrdering();
+}
+
+// Builds the response in the shape the server grades; null means nothing was answered yet
+function readPracticeResponse(form) {
+  const { question } = practiceState;
+  const formData = new FormData(form);
+
+  switch (question.type) {
+    case 'multiple_choice':
+    case 'true_false': {
+      const choice = formData.get('choice');
+      return choice === null ? null : parseInt(choice);
     }
+    case 'multi_select': {
+      const choices = formData.getAll('choice').map(Number);
+      return choices.length ? choices : null;
+    }
+    case 'numeric':
+    case 'short_text':
+    case 'math':
+      return formData.get('answer').trim() || null;
+    case 'ordering':
+      return practiceState.items.map(item => item.id);
+    case 'matching':
+      return formData.getAll('match');
+    case 'cloze':
+      return [...form.querySelectorAll('.cloze-blank')]
+        .sort((a, b) => a.dataset.blank - b.dataset.blank)
+        .map(input => input.value);
+    default:
+      return null;
   }
+}
 
-  getChartConfig(type) {
-    const configs = {
-      subjects: {
-        type: 'doughnut',
-        data: {
-          labels: ['Machine Learning', 'Web Development', 'Data Structures'],
-          datasets: [{
-            data: [30, 40, 30],
-            backgroundColor: ['#667eea', '#f093fb', '#10b981'],
-            borderWidth: 0
-          }]
-        },
-        options: {
-          responsive: true,
-          maintainAspectRatio: false,
-          plugins: {
-            legend: { display: false }
-          }
-        }
-      },
-      accuracy: {
-        type: 'line',
-        data: {
-          labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
-          datasets: [{
-            data: [65, 72, 68, 75, 78],
-            borderColor: '#10b981',
-            backgroundColor: 'rgba(16, 185, 129, 0.1)',
-            fill: true,
-            tension: 0.4
-          }]
-        },
-        options: {
-          responsive: true,
-          maintainAspectRatio: false,
-          plugins: {
-            legend: { display: false }
-          },
-          scales: {
-            x: { display: false },
-            y: { display: false }
-          }
-        }
-      },
-      time: {
-        type: 'bar',
-        data: {
-          labels: ['Week 1', 'Week 2', 'Week 3', 'Week 4'],
-          datasets: [{
-            data: [20, 35, 40, 30],
-            backgroundColor: '#f59e0b',
-            borderRadius: 4
-          }]
-        },
-        options: {
-          responsive: true,
-          maintainAspectRatio: false,
-          plugins: {
-            legend: { display: false }
-          },
-          scales: {
-            x: { display: false },
-            y: { display: false }
-          }
-        }
-      },
-      streak: {
-        type: 'line',
-        data: {
-          labels: Array.from({length: 15}, (_, i) => i + 1),
-          datasets: [{
-            data: Array.from({length: 15}, () => Math.floor(Math.random() * 10) + 5),
-            borderColor: '#ef4444',
-            backgroundColor: 'rgba(239, 68, 68, 0.1)',
-            fill: true,
-            tension: 0.4
-          }]
-        },
-        options: {
-          responsive: true,
-          maintainAspectRatio: false,
-          plugins: {
-            legend: { display: false }
-          },
-          scales: {
-            x: { display: false },
-            y: { display: false }
-          }
-        }
-      }
-    };
+async function submitPracticeAnswer(e) {
+  e.preventDefault();
 
-    return configs[type];
+  const form = e.target;
+  const response = readPracticeResponse(form);
+  if (response === null) {
+    showNotification('Answer the question before checking it', 'warning');
+    return;
   }
 
-  resizeCharts(container) {
-    const charts = container.querySelectorAll('canvas');
-    charts.forEach(chart => {
-      if (chart.chartInstance) {
-        chart.chartInstance.resize();
-      }
+  try {
+    const result = await apiService.submitSessionAnswer(practiceState.session._id, {
+      questionId: practiceState.question._id,
+      response,
+      timeSpent: Date.now() - practiceState.shownAt
     });
+    practiceState.session = result.session;
+    practiceState.next = result.next;
+    showPracticeResult(form, result);
+  } catch (error) {
+    console.error('Answer question error:', error);
+    showNotification(error.message || 'Failed to check your answer', 'error');
   }
+}
 
-  updateResponsiveLayout(element) {
-    const width = element.offsetWidth;
-
-    // Update layout based on container width
-    if (width < 768) {
-      element.classList.add('mobile');
-      element.classList.remove('tablet', 'desktop');
-    } else if (width < 1024) {
-      element.classList.add('tablet');
-      element.classList.remove('mobile', 'desktop');
-    } else {
-      element.classList.add('desktop');
-      element.classList.remove('mobile', 'tablet');
-    }
-  }
+function showPracticeResult(form, result) {
+  form.querySelector('.practice-answer').disabled = true;
+  form.classList.add(result.correct ? 'correct' : 'incorrect');
+
+  const verdict = result.correct
+    ? 'Correct!'
+    : result.score > 0 ? `Partly right (${Math.round(result.score * 100)}%)` : 'Not quite';
+
+  document.getElementById('practiceActions').outerHTML = `
+    <div class="practice-feedback">
+      <strong>${verdict}</strong>
+      ${result.correct ? '' : `
+        <span class="session-meta">Correct answer:</span>
+        ${renderQuestionOptions({ ...practiceState.question, ...result.answer })}
+      `}
+      ${result.explanation ? `<div class="rich-text">${renderRichText(result.explanation)}</div>` : ''}
+    </div>
+    <div class="settings-actions">
+      ${result.next ? `
+        <button type="button" class="btn-secondary" onclick="finishPractice()">End session</button>
+        <button type="button" class="btn-primary" onclick="showNextPracticeQuestion()">Next question</button>
+      ` : `
+        <button type="button" class="btn-primary" onclick="finishPractice()">${result.session.total > 1 ? 'See results' : 'Done'}</button>
+      `}
+    </div>
+  `;
 }
 
-const uiManager = new ModernUIManager();
+function showNextPracticeQuestion() {
+  if (practiceState.next) showPracticeQuestion(practiceState.next);
+}
 
-// ============================================
-// Application Initialization & Event Handlers
-// ============================================
+const formatStudyTime = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
 
-document.addEventListener('DOMContentLoaded', async function() {
-  console.log('🚀 Learnova Modern Platform Loading...');
+// Closes the session on the server. Single-question runs just close; longer ones show a summary
+async function finishPractice() {
+  const session = practiceState.session;
+  if (!session) return closePracticeQuestion();
 
   try {
-    // Initialize theme
-    applyStoredTheme();
+    const response = await apiService.finishPracticeSession(session._id);
+    if (response.stats && appState.user) {
+      appState.user.stats = { ...appState.user.stats, ...response.stats };
+    }
 
-    // Check authentication
-    if (appState.token) {
-      await validateAndInitialize();
+    if (response.session.total > 1 && response.session.answered > 0) {
+      showPracticeSummary(response);
     } else {
-      showAuthOverlay();
+      closePracticeQuestion();
     }
+  } catch (error) {
+    console.error('Finish practice error:', error);
+    showNotification(error.message || 'Failed to finish the session', 'error');
+  }
+}
 
-    // Setup event handlers
-    setupEventHandlers();
+function showPracticeSummary({ session, stats, review }) {
+  const container = document.getElementById('questionInterface');
+  if (!container) return;
 
-    // Initialize PWA features
-    initializePWA();
+  practiceState.session = null;
+  practiceState.question = null;
+  container.innerHTML = `
+    <div class="dashboard-card practice-question practice-summary">
+      <div class="card-header">
+        <h3>Session complete</h3>
+      </div>
+      <div class="practice-summary-stats">
+        <div><strong>${session.accuracy}%</strong><span class="session-meta">accuracy</span></div>
+        <div><strong>${session.correct} / ${session.answered}</strong><span class="session-meta">correct</span></div>
+        <div><strong>${formatStudyTime(session.totalTime)}</strong><span class="session-meta">time spent</span></div>
+        ${stats ? `<div><strong>${stats.currentStreak}</strong><span class="session-meta">day streak</span></div>` : ''}
+      </div>
+      ${session.answered < session.total ? `<p class="session-meta">${session.total - session.answered} questions were left unanswered.</p>` : ''}
+      ${review.length ? `
+        <div>
+          <strong>Worth another look</strong>
+          <ul>
+            ${review.map(topic => `
+              <li>
+                ${escapeHTML(topic.name)} (${topic.accuracy}%)
+                ${topic.weakPrerequisites.length
+                  ? `<span class="session-meta">· review ${topic.weakPrerequisites.map(pre => escapeHTML(pre.name)).join(', ')} first</span>`
+                  : ''}
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+      ` : ''}
+      <div class="settings-actions">
+        <button type="button" class="btn-primary" onclick="closePracticeQuestion()">Done</button>
+      </div>
+    </div>
+  `;
+}
 
-    // Setup command palette
-    setupCommandPalette();
+// Math preview: the same expression syntax the server grades, turned into LaTeX for KaTeX
+const MATH_FUNCTION_NAMES = ['sqrt', 'abs', 'exp', 'ln', 'log', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'sinh', 'cosh', 'tanh'];
+const MATH_PREVIEW_NAMES = [...MATH_FUNCTION_NAMES, 'pi', 'e'].sort((a, b) => b.length - a.length);
+
+function mathToLatex(source) {
+  const text = source.replace(/\*\*/g, '^').replace(/[·×]/g, '*').replace(/÷/g, '/').replace(/−/g, '-')
+    .replace(/[[{]/g, '(').replace(/[\]}]/g, ')');
+  const tokens = [];
+  for (let i = 0; i < text.length;) {
+    const number = text.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+    const name = /[a-zA-Z]/.test(text[i]) && MATH_PREVIEW_NAMES.find(candidate => text.startsWith(candidate, i));
+
+    if (/\s/.test(text[i])) {
+      i++;
+    } else if (number) {
+      tokens.push({ type: 'number', text: number[0] });
+      i += number[0].length;
+    } else if (name) {
+      tokens.push(MATH_FUNCTION_NAMES.includes(name) ? { type: 'function', name } : { type: 'number', text: name === 'pi' ? '\\pi' : 'e' });
+      i += name.length;
+    } else if (/[a-zA-Z]/.test(text[i])) {
+      tokens.push({ type: 'number', text: text[i++] });
+    } else if ('+-*/^()'.includes(text[i])) {
+      tokens.push({ type: text[i++] });
+    } else {
+      throw new Error(`Unexpected "${text[i]}"`);
+    }
+  }
 
-    // Initialize 3D background
-    initialize3DBackground();
+  // Each parser returns { latex, atomic }: atomic pieces need no brackets as a base. Bracketed groups
+  // also keep their inner latex so functions do not print a second pair of brackets
+  let position = 0;
+  const peek = () => tokens[position];
+  const take = (type) => (peek()?.type === type ? tokens[position++] : null);
+  const wrap = (part) => (part.atomic ? part.latex : `\\left(${part.latex}\\right)`);
+  const bare = (part) => part.inner ?? part.latex;
+
+  const parseSum = () => {
+    let latex = parseProduct().latex;
+    let terms = 1;
+    while (peek()?.type === '+' || peek()?.type === '-') {
+      latex += ` ${tokens[position++].type} ${parseProduct().latex}`;
+      terms++;
+    }
+    return { latex, atomic: terms === 1 };
+  };
+  const parseProduct = () => {
+    let part = parseUnary();
+    for (;;) {
+      if (take('*')) {
+        part = { latex: `${part.latex} \\cdot ${parseUnary().latex}`, atomic: false };
+      } else if (take('/')) {
+        part = { latex: `\\frac{${bare(part)}}{${bare(parseUnary())}}`, atomic: true };
+      } else if (peek() && ['number', 'function', '('].includes(peek().type)) {
+        part = { latex: `${part.latex} ${parsePower().latex}`, atomic: false };
+      } else {
+        return part;
+      }
+    }
+  };
+  const parseUnary = () => {
+    if (take('-')) return { latex: `-${parseUnary().latex}`, atomic: false };
+    if (take('+')) return parseUnary();
+    return parsePower();
+  };
+  const parsePower = () => {
+    const base = parseOperand();
+    return take('^') ? { latex: `${wrap(base)}^{${bare(parseUnary())}}`, atomic: true } : base;
+  };
+  const parseOperand = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error('The expression ends too early');
+
+    if (token.type === 'number') return { latex: token.text, atomic: true };
+    if (token.type === '(') {
+      const inner = parseSum();
+      if (!take(')')) throw new Error('A bracket is never closed');
+      return { latex: `\\left(${inner.latex}\\right)`, atomic: true, inner: inner.latex };
+    }
+    if (token.type === 'function') {
+      const arg = peek()?.type === '(' ? parseOperand() : parsePower();
+      const inner = bare(arg);
+      if (token.name === 'sqrt') return { latex: `\\sqrt{${inner}}`, atomic: true };
+      if (token.name === 'abs') return { latex: `\\left|${inner}\\right|`, atomic: true };
+      if (token.name === 'exp') return { latex: `e^{${inner}}`, atomic: true };
+      const name = ['asin', 'acos', 'atan'].includes(token.name) ? `\\operatorname{${token.name}}` : `\\${token.name}`;
+      return { latex: `${name}\\left(${inner}\\right)`, atomic: true };
+    }
+    throw new Error(`Unexpected "${token.type}"`);
+  };
 
-    console.log('✅ Modern platform loaded successfully!');
+  const result = parseSum();
+  if (position < tokens.length) throw new Error(`Unexpected "${peek().text || peek().name || peek().type}"`);
+  return result.latex;
+}
+
+// Renders an expression with KaTeX when it is loaded; half-typed input shows why it cannot be read yet
+function renderMathPreview(source) {
+  let latex;
+  try {
+    latex = mathToLatex(source);
   } catch (error) {
-    console.error('❌ Platform initialization failed:', error);
-    showNotification('Failed to initialize platform', 'error');
+    return `<span class="session-meta">${escapeHTML(error.message)}</span>`;
   }
-});
 
-async function validateAndInitialize() {
-  try {
-    showLoadingState('Loading your learning experience...');
+  if (!window.katex) return `<code>${escapeHTML(latex)}</code>`;
+  return katex.renderToString(latex, { throwOnError: false });
+}
 
-    // Validate token and get user data
-    const userData = await apiService.getUserProfile();
-    if (userData.success) {
-      appState.user = userData.user;
-      await initializeMainApp();
-    } else {
-      throw new Error('Invalid session');
-    }
+const QUESTION_REPORT_REASON_LABELS = {
+  wrong_key: 'The marked answer is wrong',
+  ambiguous: 'More than one answer fits',
+  typo: 'Typo or formatting problem',
+  outdated: 'Out of date',
+  other: 'Something else'
+};
+
+function togglePracticeReport(open) {
+  const panel = document.getElementById('practiceReport');
+  if (!panel) return;
+  panel.hidden = !open;
+  if (open) document.getElementById('practiceReportReason').focus();
+}
+
+// Sends a report to the question's authors; reporting again before they respond updates the same report
+async function submitPracticeReport() {
+  if (!practiceState.question) return;
+
+  try {
+    await apiService.reportQuestion(practiceState.question._id, {
+      reason: document.getElementById('practiceReportReason').value,
+      message: document.getElementById('practiceReportMessage').value.trim()
+    });
+    togglePracticeReport(false);
+    showNotification('Thanks, the question\'s author will take a look', 'success');
   } catch (error) {
-    console.error('Token validation failed:', error);
-    showAuthOverlay();
+    console.error('Report question error:', error);
+    showNotification(error.message || 'Failed to send report', 'error');
+  }
+}
+
+function closePracticeQuestion() {
+  practiceState.session = null;
+  practiceState.question = null;
+  practiceState.next = null;
+  practiceState.items = [];
+  const container = document.getElementById('questionInterface');
+  if (container) container.innerHTML = '';
+}
+
+// ============================================
+// Question Figures
+// ============================================
+
+const OPTION_ATTACHMENT_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'ordering'];
+
+// Where a figure can go: the question text, or next to one of the options
+function renderAttachmentTargets(question, selected = null) {
+  const options = OPTION_ATTACHMENT_TYPES.includes(question.type || 'multiple_choice') ? question.options : [];
+  return `
+    <option value="">With the question text</option>
+    ${options.map((option, index) => `
+      <option value="${index}" ${selected === index ? 'selected' : ''}>
+        Option ${index + 1}: ${escapeHTML(option.length > 40 ? `${option.slice(0, 40)}…` : option)}
+      </option>
+    `).join('')}
+  `;
+}
+
+function openQuestionAttachments(questionId) {
+  const panel = document.getElementById('questionAttachments');
+  const question = questionBankState.questions.find(item => item._id === questionId);
+  if (!panel || !question) return;
+
+  closeQuestionHistory();
+  panel.hidden = false;
+  panel.dataset.questionId = questionId;
+  panel.innerHTML = `
+    <div class="card-header">
+      <h4>Figures</h4>
+      <button class="btn-secondary" onclick="closeQuestionAttachments()">Close</button>
+    </div>
+    ${(question.attachments || []).map(attachment => `
+      <div class="question-item attachment-item" data-attachment-id="${attachment._id}">
+        <img class="attachment-thumb" src="${escapeHTML(attachment.url)}" alt="${escapeHTML(attachment.alt)}">
+        <div class="attachment-fields">
+          <input type="text" class="settings-input" name="alt" value="${escapeHTML(attachment.alt)}" maxlength="300" aria-label="Alt text">
+          <select class="settings-input" name="option" aria-label="Shown with">
+            ${renderAttachmentTargets(question, attachment.option ?? null)}
+          </select>
+        </div>
+        <div class="question-actions">
+          <button class="btn-secondary" onclick="saveQuestionAttachment('${attachment._id}')">Save</button>
+          <button class="btn-secondary danger" onclick="removeQuestionAttachment('${attachment._id}')">Remove</button>
+        </div>
+      </div>
+    `).join('')}
+    <form id="questionAttachmentForm" class="question-filters">
+      <input type="file" class="settings-input" name="attachment" accept=".png,.jpg,.jpeg,.gif,.webp,.svg" aria-label="Image or SVG diagram" required>
+      <input type="text" class="settings-input" name="alt" maxlength="300" placeholder="Alt text: what the image shows" required>
+      <select class="settings-input" name="option" aria-label="Shown with">
+        ${renderAttachmentTargets(question)}
+      </select>
+      <button type="submit" class="btn-secondary">Attach</button>
+    </form>
+  `;
+
+  document.getElementById('questionAttachmentForm').addEventListener('submit', uploadQuestionAttachment);
+  panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Reloads the bank so the list and the panel show the question as the server now has it
+async function refreshQuestionAttachments(questionId) {
+  await loadQuestionBank();
+  openQuestionAttachments(questionId);
+}
+
+async function uploadQuestionAttachment(e) {
+  e.preventDefault();
+  const questionId = document.getElementById('questionAttachments').dataset.questionId;
+
+  try {
+    showLoadingState('Uploading...');
+    await apiService.uploadQuestionAttachment(questionId, new FormData(e.target));
+    showNotification('Figure attached', 'success');
+    await refreshQuestionAttachments(questionId);
+  } catch (error) {
+    console.error('Attachment upload error:', error);
+    showNotification(error.message || 'Failed to attach file', 'error');
   } finally {
     hideLoadingState();
   }
 }
 
-async function initializeMainApp() {
-  hideAuthOverlay();
-  showMainApp();
+async function saveQuestionAttachment(attachmentId) {
+  const questionId = document.getElementById('questionAttachments').dataset.questionId;
+  const row = document.querySelector(`[data-attachment-id="${attachmentId}"]`);
+  const option = row.querySelector('[name="option"]').value;
 
-  // Connect to real-time services
   try {
-    await socketService.connect();
+    await apiService.updateQuestionAttachment(questionId, attachmentId, {
+      alt: row.querySelector('[name="alt"]').value,
+      option: option === '' ? null : Number(option)
+    });
+    showNotification('Figure updated', 'success');
+    await refreshQuestionAttachments(questionId);
   } catch (error) {
-    console.error('Socket connection failed:', error);
+    console.error('Attachment update error:', error);
+    showNotification(error.message || 'Failed to update figure', 'error');
   }
+}
 
-  // Load initial data
-  await loadDashboardData();
-
-  // Setup navigation
-  setupNavigation();
+async function removeQuestionAttachment(attachmentId) {
+  const questionId = document.getElementById('questionAttachments').dataset.questionId;
+  if (!confirm('Remove this figure from the question?')) return;
 
-  // Initialize UI components
-  uiManager.observeAnimatedElements();
-  uiManager.updateChartVisibility();
+  try {
+    await apiService.deleteQuestionAttachment(questionId, attachmentId);
+    showNotification('Figure removed', 'success');
+    await refreshQuestionAttachments(questionId);
+  } catch (error) {
+    console.error('Attachment delete error:', error);
+    showNotification(error.message || 'Failed to remove figure', 'error');
+  }
+}
 
-  // Start periodic updates
-  startPeriodicUpdates();
+function closeQuestionAttachments() {
+  const panel = document.getElementById('questionAttachments');
+  if (!panel) return;
+  panel.hidden = true;
+  panel.innerHTML = '';
 }
 
-function setupEventHandlers() {
-  // Authentication tab switching
-  const authTabs = document.querySelectorAll('.auth-tab');
-  authTabs.forEach(tab => {
-    tab.addEventListener('click', function() {
-      switchAuthTab(this.dataset.tab);
-    });
-  });
+// ============================================
+// Question History & Reports
+// ============================================
 
-  // Auth form submissions
-  const loginForm = document.getElementById('loginForm');
-  const registerForm = document.getElementById('registerForm');
+const questionReportState = { page: 1 };
+const QUESTION_FIELD_LABELS = {
+  question: 'Question',
+  type: 'Type',
+  options: 'Options',
+  correctAnswer: 'Correct option',
+  correctAnswers: 'Correct options',
+  numericAnswer: 'Numeric answer',
+  mathAnswer: 'Math answer',
+  acceptedAnswers: 'Accepted answers',
+  caseSensitive: 'Case-sensitive',
+  pairs: 'Pairs',
+  blanks: 'Blanks',
+  explanation: 'Explanation',
+  difficulty: 'Difficulty',
+  tags: 'Tags'
+};
 
-  if (loginForm) {
-    loginForm.addEventListener('submit', handleLogin);
+// Revision snapshots hold raw field values; this turns one into readable text
+function formatRevisionValue(value) {
+  if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) return '—';
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (item && typeof item === 'object') {
+        return 'left' in item ? `${item.left} → ${item.right}` : (item.accepted || []).join(' | ');
+      }
+      return String(item);
+    }).join(' / ');
   }
-
-  if (registerForm) {
-    registerForm.addEventListener('submit', handleRegister);
+  if (typeof value === 'object') {
+    if ('expression' in value) return value.expression;
+    if ('value' in value) return `${value.value}${value.tolerance ? ` ± ${value.tolerance}` : ''}`;
+    return JSON.stringify(value);
   }
+  return String(value);
+}
 
-  // Theme toggle
-  const themeToggle = document.getElementById('themeToggle');
-  if (themeToggle) {
-    themeToggle.addEventListener('click', toggleTheme);
+function describeRegrade(regraded) {
+  if (!regraded || regraded.answers === 0) return '';
+  return regraded.changed
+    ? ` and ${regraded.changed} of ${regraded.answers} past answers were re-graded`
+    : '; past answers still grade the same';
+}
+
+async function openQuestionHistory(questionId) {
+  const panel = document.getElementById('questionHistory');
+  if (!panel) return;
+
+  try {
+    const response = await apiService.getQuestionRevisions(questionId);
+    closeQuestionAttachments();
+    panel.hidden = false;
+    panel.dataset.questionId = questionId;
+    panel.innerHTML = `
+      <div class="card-header">
+        <h4>Revision history</h4>
+        <button class="btn-secondary" onclick="closeQuestionHistory()">Close</button>
+      </div>
+      ${response.revisions.length === 0 ? `
+        <p class="subjects-empty">This question has not been edited since it was written.</p>
+      ` : response.revisions.map(revision => `
+        <div class="question-item revision-item">
+          <span class="session-badge">r${revision.revision}</span>
+          <div>
+            <strong>${revision.changedFields?.length
+              ? revision.changedFields.map(field => QUESTION_FIELD_LABELS[field] || field).join(', ')
+              : 'Original version'}</strong>
+            <span class="session-meta">
+              ${escapeHTML(revision.editedBy?.name || 'Former member')} · ${formatRelativeTime(revision.createdAt)}
+              ${revision.keyChanged ? ' · answer key changed' : ''}
+              ${revision.restoredFrom ? ` · restored from r${revision.restoredFrom}` : ''}
+              ${revision.revision === response.current ? ' · current' : ''}
+            </span>
+            <div class="revision-diff" id="revisionDiff-${revision.revision}"></div>
+          </div>
+          <div class="question-actions">
+            ${revision.changedFields?.length ? `
+              <button class="btn-secondary" onclick="compareQuestionRevision(${revision.revision})">Compare</button>
+            ` : ''}
+            ${revision.revision === response.current ? '' : `
+              <button class="btn-secondary" onclick="restoreQuestionRevision(${revision.revision})">Restore</button>
+            `}
+          </div>
+        </div>
+      `).join('')}
+    `;
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  } catch (error) {
+    console.error('Question history error:', error);
+    showNotification(error.message || 'Failed to load history', 'error');
   }
+}
 
-  // Password visibility toggle
-  const passwordToggles = document.querySelectorAll('.password-toggle');
-  passwordToggles.forEach(toggle => {
-    toggle.addEventListener('click', function() {
-      const input = this.previousElementSibling;
-      if (input.type === 'password') {
-        input.type = 'text';
-        this.innerHTML = '<i data-lucide="eye-off"></i>';
-      } else {
-        input.type = 'password';
-        this.innerHTML = '<i data-lucide="eye"></i>';
-      }
-      lucide.createIcons();
-    });
-  });
+// Shows what a revision changed compared with the one before it; a second click hides it again
+async function compareQuestionRevision(revision) {
+  const target = document.getElementById(`revisionDiff-${revision}`);
+  const questionId = document.getElementById('questionHistory')?.dataset.questionId;
+  if (!target || !questionId) return;
 
-  // Form validation
-  const inputs = document.querySelectorAll('input[required]');
-  inputs.forEach(input => {
-    input.addEventListener('blur', () => validateInput(input));
-    input.addEventListener('input', () => clearValidationError(input));
-  });
+  if (target.innerHTML) {
+    target.innerHTML = '';
+    return;
+  }
 
-  // Password strength checker
-  const passwordInputs = document.querySelectorAll('input[type="password"]');
-  passwordInputs.forEach(input => {
-    if (input.id.includes('register')) {
-      input.addEventListener('input', () => checkPasswordStrength(input));
-    }
-  });
+  try {
+    const response = await apiService.getQuestionRevision(questionId, revision);
+    target.innerHTML = `
+      <table class="revision-diff-table">
+        <thead><tr><th>Field</th><th>Before${response.against ? ` (r${response.against})` : ''}</th><th>After</th></tr></thead>
+        <tbody>
+          ${response.changes.map(change => `
+            <tr>
+              <td>${QUESTION_FIELD_LABELS[change.field] || escapeHTML(change.field)}</td>
+              <td class="removed">${escapeHTML(formatRevisionValue(change.before))}</td>
+              <td class="added">${escapeHTML(formatRevisionValue(change.after))}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error('Question revision error:', error);
+    showNotification(error.message || 'Failed to load revision', 'error');
+  }
 }
 
-function switchAuthTab(tab) {
-  const tabs = document.querySelectorAll('.auth-tab');
-  const forms = document.querySelectorAll('.auth-form');
-  const indicator = document.querySelector('.tab-indicator');
+async function restoreQuestionRevision(revision) {
+  const questionId = document.getElementById('questionHistory')?.dataset.questionId;
+  if (!questionId || !confirm(`Restore revision ${revision}? The current version stays in the history.`)) return;
 
-  tabs.forEach(t => t.classList.remove('active'));
-  forms.forEach(f => f.classList.remove('active'));
+  try {
+    const response = await apiService.restoreQuestionRevision(questionId, revision);
+    showNotification(`Revision ${revision} restored${describeRegrade(response.regraded)}`, 'success');
+    await Promise.all([openQuestionHistory(questionId), loadQuestionBank()]);
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    showNotification(error.message || 'Failed to restore revision', 'error');
+  }
+}
 
-  document.querySelector(`[data-tab="${tab}"]`).classList.add('active');
-  document.getElementById(`${tab}Form`).classList.add('active');
+function closeQuestionHistory() {
+  const panel = document.getElementById('questionHistory');
+  if (!panel) return;
+  panel.hidden = true;
+  panel.innerHTML = '';
+}
 
-  // Move indicator
-  const activeTab = document.querySelector(`[data-tab="${tab}"]`);
-  const tabRect = activeTab.getBoundingClientRect();
-  const containerRect = activeTab.parentElement.getBoundingClientRect();
+async function loadQuestionReports(page = questionReportState.page) {
+  const list = document.getElementById('questionReportList');
+  if (!list) return;
+  questionReportState.page = page;
 
-  indicator.style.left = `${tabRect.left - containerRect.left}px`;
-  indicator.style.width = `${tabRect.width}px`;
+  try {
+    const response = await apiService.getQuestionReports({
+      status: document.getElementById('questionReportStatus')?.value || 'open',
+      page,
+      limit: 10
+    });
+    renderQuestionReports(response.reports || []);
+    renderPagination('questionReportPagination', response.pagination, 'loadQuestionReports');
+  } catch (error) {
+    console.error('Question reports load error:', error);
+    list.innerHTML = `<p class="subjects-empty">${escapeHTML(error.message || 'Failed to load reports')}</p>`;
+  }
 }
 
-async function handleLogin(e) {
-  e.preventDefault();
-
-  const formData = new FormData(e.target);
-  const credentials = {
-    email: formData.get('email'),
-    password: formData.get('password')
-  };
+function renderQuestionReports(reports) {
+  const list = document.getElementById('questionReportList');
 
-  // Validate inputs
-  if (!validateEmail(credentials.email)) {
-    showFieldError('loginEmail', 'Please enter a valid email address');
+  if (reports.length === 0) {
+    list.innerHTML = '<p class="subjects-empty">No reports here.</p>';
     return;
   }
 
-  if (credentials.password.length < 6) {
-    showFieldError('loginPassword', 'Password must be at least 6 characters');
-    return;
+  list.innerHTML = reports.map(report => {
+    const question = report.questionId;
+    const outdated = question && report.revision && question.revision > report.revision;
+
+    return `
+      <div class="question-item report-item ${report.status}">
+        <span class="session-badge">${report.status}</span>
+        <div>
+          <strong>${escapeHTML(question?.question || 'Deleted question')}</strong>
+          <p>${QUESTION_REPORT_REASON_LABELS[report.reason] || escapeHTML(report.reason)}${report.message ? `: ${escapeHTML(report.message)}` : ''}</p>
+          <span class="session-meta">
+            ${escapeHTML(report.reportedBy?.name || 'Former member')} · ${formatRelativeTime(report.createdAt)}
+            ${report.revision ? ` · on r${report.revision}${outdated ? `, edited since (now r${question.revision})` : ''}` : ''}
+            ${report.resolvedBy ? ` · ${report.status} by ${escapeHTML(report.resolvedBy.name)}` : ''}
+            ${report.resolutionNote ? ` · “${escapeHTML(report.resolutionNote)}”` : ''}
+          </span>
+        </div>
+        <div class="question-actions">
+          ${question ? `<button class="btn-secondary" onclick="openQuestionHistory('${question._id}')">History</button>` : ''}
+          ${report.status === 'open' ? `
+            <button class="btn-secondary" onclick="triageQuestionReport('${report._id}', 'resolved')">Resolve</button>
+            <button class="btn-secondary danger" onclick="triageQuestionReport('${report._id}', 'dismissed')">Dismiss</button>
+          ` : `
+            <button class="btn-secondary" onclick="triageQuestionReport('${report._id}', 'open')">Reopen</button>
+          `}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function triageQuestionReport(reportId, status) {
+  let note;
+  if (status !== 'open') {
+    note = prompt(status === 'resolved' ? 'What was fixed? (optional)' : 'Why is this not a problem? (optional)');
+    if (note === null) return;
   }
 
   try {
-    const response = await apiService.login(credentials);
-
-    if (response.success) {
-      showNotification('Welcome back!', 'success');
-      await initializeMainApp();
-    } else {
-      throw new Error(response.error || 'Login failed');
-    }
+    await apiService.updateQuestionReport(reportId, { status, ...(note ? { note: note.trim() } : {}) });
+    showNotification(status === 'open' ? 'Report reopened' : `Report ${status}`, 'success');
+    await loadQuestionReports();
   } catch (error) {
-    console.error('Login error:', error);
-    showNotification(error.message || 'Login failed', 'error');
+    console.error('Update report error:', error);
+    showNotification(error.message || 'Failed to update report', 'error');
   }
 }
 
-async function handleRegister(e) {
-  e.preventDefault();
+// ============================================
+// Learning Path & Prerequisite Graph
+// ============================================
 
-  const formData = new FormData(e.target);
-  const userData = {
-    name: formData.get('name'),
-    email: formData.get('email'),
-    password: formData.get('password'),
-    confirmPassword: formData.get('confirmPassword')
-  };
+const TOPIC_STATUS_COLORS = {
+  mastered: 0x10b981,
+  'in-progress': 0xf59e0b,
+  ready: 0x667eea,
+  blocked: 0xef4444
+};
 
-  // Validate inputs
-  let hasErrors = false;
+const TOPIC_STATUS_LABELS = {
+  mastered: 'Mastered',
+  'in-progress': 'In progress',
+  ready: 'Ready',
+  blocked: 'Weak foundations'
+};
 
-  if (userData.name.length < 2) {
-    showFieldError('registerName', 'Name must be at least 2 characters');
-    hasErrors = true;
-  }
+let topicGraphView = null;
 
-  if (!validateEmail(userData.email)) {
-    showFieldError('registerEmail', 'Please enter a valid email address');
-    hasErrors = true;
-  }
+async function loadLearningPath(subjectId) {
+  apiService.clearCache();
 
-  if (userData.password.length < 6) {
-    showFieldError('registerPassword', 'Password must be at least 6 characters');
-    hasErrors = true;
-  }
+  try {
+    const response = await apiService.getLearningPath(subjectId);
+    if (currentSubject?._id !== subjectId) return;
 
-  if (userData.password !== userData.confirmPassword) {
-    showFieldError('confirmPassword', 'Passwords do not match');
-    hasErrors = true;
+    renderLearningPath(response);
+    renderTopicGraph(response.path, response.edges);
+  } catch (error) {
+    console.error('Learning path load error:', error);
   }
+}
 
-  if (hasErrors) return;
+function renderLearningPath({ path, next }) {
+  const list = document.getElementById('learningPath');
+  if (!list) return;
+
+  list.innerHTML = path.map(step => `
+    <li class="learning-step ${step.status} ${next?.topicId === step.topicId ? 'next' : ''}">
+      <span class="session-device">
+        ${escapeHTML(step.name)}
+        ${next?.topicId === step.topicId ? '<span class="session-badge">Next up</span>' : ''}
+      </span>
+      <span class="session-meta">
+        ${TOPIC_STATUS_LABELS[step.status]} · ${Math.round(step.mastery * 100)}% mastery
+        ${step.weakPrerequisites.length ? ` · Review first: ${step.weakPrerequisites.map(pre => escapeHTML(pre.name)).join(', ')}` : ''}
+      </span>
+    </li>
+  `).join('');
+}
+
+// Label sprites keep the graph readable without pulling in a separate text renderer
+function createTopicLabel(text) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  canvas.width = 512;
+  canvas.height = 96;
+  context.font = '600 40px Inter, sans-serif';
+  context.fillStyle = '#ffffff';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text.length > 22 ? `${text.slice(0, 21)}…` : text, 256, 48);
+
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true }));
+  sprite.scale.set(2, 0.375, 1);
+  return sprite;
+}
+
+// Lays topics out in columns by prerequisite depth, so every arrow points to the right
+function renderTopicGraph(path, edges) {
+  disposeTopicGraph();
+
+  const canvas = document.getElementById('topicGraphCanvas');
+  if (!canvas || typeof THREE === 'undefined' || path.length === 0) return;
 
   try {
-    const response = await apiService.register(userData);
+    // The path is already in prerequisite order, so each depth can be read off its prerequisites
+    const depth = new Map();
+    path.forEach(step => {
+      depth.set(step.topicId, Math.max(0, ...step.prerequisites.map(id => (depth.get(id) ?? -1) + 1)));
+    });
 
-    if (response.success) {
-      showNotification('Account created successfully!', 'success');
-      await initializeMainApp();
-    } else {
-      throw new Error(response.error || 'Registration failed');
-    }
+    const columns = [];
+    path.forEach(step => {
+      const column = depth.get(step.topicId);
+      (columns[column] = columns[column] || []).push(step);
+    });
+
+    const positions = new Map();
+    columns.forEach((steps, column) => {
+      steps.forEach((step, row) => {
+        positions.set(step.topicId, new THREE.Vector3(
+          (column - (columns.length - 1) / 2) * 2.6,
+          ((steps.length - 1) / 2 - row) * 1.2,
+          0
+        ));
+      });
+    });
+
+    const scene = new THREE.Scene();
+    const group = new THREE.Group();
+    scene.add(group);
+
+    const nodeGeometry = new THREE.SphereGeometry(0.22, 24, 16);
+    path.forEach(step => {
+      const node = new THREE.Mesh(nodeGeometry, new THREE.MeshBasicMaterial({ color: TOPIC_STATUS_COLORS[step.status] }));
+      node.position.copy(positions.get(step.topicId));
+      group.add(node);
+
+      const label = createTopicLabel(step.name);
+      label.position.copy(positions.get(step.topicId)).add(new THREE.Vector3(0, -0.45, 0));
+      group.add(label);
+    });
+
+    edges.forEach(({ from, to }) => {
+      const start = positions.get(from);
+      const end = positions.get(to);
+      if (!start || !end) return;
+
+      const direction = end.clone().sub(start);
+      const length = direction.length() - 0.25;
+      group.add(new THREE.ArrowHelper(direction.normalize(), start, length, 0x9ca3af, 0.18, 0.1));
+    });
+
+    const width = Math.max(columns.length * 2.6, 4);
+    const height = Math.max(...columns.map(steps => steps.length)) * 1.2 + 1;
+    const camera = new THREE.PerspectiveCamera(50, canvas.clientWidth / (canvas.clientHeight || 1), 0.1, 100);
+    camera.position.z = Math.max(width / (2 * Math.tan(Math.PI / 7.2) * camera.aspect), height / (2 * Math.tan(Math.PI / 7.2))) + 1;
+
+    const renderer = new THREE.WebGLRenderer({ canvas, alpha: true, antialias: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setSize(canvas.clientWidth, canvas.clientHeight, false);
+
+    // A gentle sway shows the depth without making labels hard to read
+    const view = { renderer, scene, frame: null };
+    const animate = (time) => {
+      group.rotation.y = Math.sin(time / 4000) * 0.15;
+      renderer.render(scene, camera);
+      view.frame = requestAnimationFrame(animate);
+    };
+    view.frame = requestAnimationFrame(animate);
+    topicGraphView = view;
   } catch (error) {
-    console.error('Registration error:', error);
-    showNotification(error.message || 'Registration failed', 'error');
+    console.error('Topic graph rendering failed:', error);
   }
 }
 
-function validateInput(input) {
-  const value = input.value.trim();
-  let error = '';
+function disposeTopicGraph() {
+  if (!topicGraphView) return;
 
-  if (input.hasAttribute('required') && !value) {
-    error = 'This field is required';
-  } else if (input.type === 'email' && value && !validateEmail(value)) {
-    error = 'Please enter a valid email address';
-  } else if (input.type === 'password' && value.length > 0 && value.length < 6) {
-    error = 'Password must be at least 6 characters';
-  }
+  cancelAnimationFrame(topicGraphView.frame);
+  topicGraphView.scene.traverse(object => {
+    object.geometry?.dispose();
+    object.material?.map?.dispose();
+    object.material?.dispose();
+  });
+  topicGraphView.renderer.dispose();
+  topicGraphView = null;
+}
 
-  if (error) {
-    showFieldError(input.id, error);
-    return false;
-  } else {
-    clearFieldError(input.id);
-    return true;
-  }
+function openPrerequisiteEditor(topicId) {
+  const editor = document.getElementById('prerequisiteEditor');
+  const topic = currentSubject?.topics.find(item => item._id === topicId);
+  if (!editor || !topic) return;
+
+  const candidates = currentSubject.topics.filter(item => item._id !== topicId);
+  const selected = new Set(topic.prerequisites || []);
+
+  editor.innerHTML = `
+    <h3>Prerequisites for “${escapeHTML(topic.name)}”</h3>
+    ${candidates.length ? `
+      <div class="scope-options">
+        ${candidates.map(candidate => `
+          <label class="scope-option">
+            <input type="checkbox" name="prerequisite" value="${candidate._id}" ${selected.has(candidate._id) ? 'checked' : ''}>
+            <span>${escapeHTML(candidate.name)}</span>
+          </label>
+        `).join('')}
+      </div>
+    ` : '<p class="subject-meta">Add more topics to this subject first.</p>'}
+    <div class="settings-actions">
+      <button class="btn-secondary" onclick="closePrerequisiteEditor()">Cancel</button>
+      <button class="btn-primary" onclick="savePrerequisites('${topic._id}')" ${candidates.length ? '' : 'disabled'}>Save</button>
+    </div>
+  `;
+
+  editor.classList.remove('hidden');
+  editor.scrollIntoView({ behavior: 'smooth', block: 'center' });
 }
 
-function validateEmail(email) {
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+async function savePrerequisites(topicId) {
+  const prerequisiteIds = [...document.querySelectorAll('#prerequisiteEditor input[name="prerequisite"]:checked')]
+    .map(input => input.value);
+
+  try {
+    const response = await apiService.setTopicPrerequisites(currentSubject._id, topicId, prerequisiteIds);
+    renderSubjectDetail(response.subject);
+    showNotification('Prerequisites updated', 'success');
+  } catch (error) {
+    console.error('Prerequisites error:', error);
+    showNotification(error.message || 'Failed to update prerequisites', 'error');
+  }
 }
 
-function showFieldError(fieldId, message) {
-  const field = document.getElementById(fieldId);
-  const validation = field.parentElement.querySelector('.form-validation');
+// Syllabus import: preview the merge first, then commit exactly what was previewed
+let pendingSyllabusImport = null;
 
-  field.classList.add('error');
-  if (validation) {
-    validation.textContent = message;
-    validation.classList.add('error');
+function openSyllabusImport(subjectId = null) {
+  const form = document.getElementById('syllabusImportForm');
+  const target = document.getElementById('syllabusTarget');
+  if (!form || !target) return;
+
+  const subjects = subjectsCache.filter(subject => subject.isActive);
+  if (currentSubject && !subjects.some(subject => subject._id === currentSubject._id)) {
+    subjects.unshift(currentSubject);
   }
+
+  target.innerHTML = `
+    <option value="">New subject, or the one with the same name</option>
+    ${subjects.map(subject => `
+      <option value="${subject._id}" ${subject._id === subjectId ? 'selected' : ''}>${escapeHTML(subject.name)}</option>
+    `).join('')}
+  `;
+
+  resetSyllabusPreview();
+  document.getElementById('subjectForm')?.classList.add('hidden');
+  form.classList.remove('hidden');
+  form.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
-function clearFieldError(fieldId) {
-  const field = document.getElementById(fieldId);
-  const validation = field.parentElement.querySelector('.form-validation');
+function closeSyllabusImport() {
+  const form = document.getElementById('syllabusImportForm');
+  if (!form) return;
+
+  form.reset();
+  resetSyllabusPreview();
+  form.classList.add('hidden');
+}
+
+function resetSyllabusPreview() {
+  pendingSyllabusImport = null;
+  document.getElementById('syllabusPreview')?.classList.add('hidden');
+  document.getElementById('syllabusConfirm')?.classList.add('hidden');
+}
+
+async function handleSyllabusPreview(e) {
+  e.preventDefault();
+
+  const formData = new FormData(e.target);
+  const data = {
+    content: formData.get('content'),
+    format: formData.get('format'),
+    subjectId: formData.get('subjectId') || undefined,
+    name: formData.get('name').trim() || undefined
+  };
 
-  field.classList.remove('error');
-  if (validation) {
-    validation.textContent = '';
-    validation.classList.remove('error');
+  if (!data.content.trim()) {
+    showNotification('Paste a syllabus or choose a file first', 'warning');
+    return;
   }
-}
 
-function clearValidationError(input) {
-  clearFieldError(input.id);
+  try {
+    const response = await apiService.previewSyllabusImport(data);
+    pendingSyllabusImport = data;
+    renderSyllabusPreview(response);
+  } catch (error) {
+    console.error('Syllabus preview error:', error);
+    resetSyllabusPreview();
+    showNotification(error.message || 'Failed to read the syllabus', 'error');
+  }
 }
 
-function checkPasswordStrength(input) {
-  const password = input.value;
-  const strengthBar = input.parentElement.querySelector('.strength-fill');
-  const strengthText = input.parentElement.querySelector('.strength-text');
+function renderSyllabusPreview({ action, subject, format, diff }) {
+  const preview = document.getElementById('syllabusPreview');
+  if (!preview) return;
+
+  const statusLabel = (status) => status === 'new'
+    ? '<span class="session-badge">New</span>'
+    : '<span class="existing">(already there)</span>';
+
+  preview.innerHTML = `
+    <strong>
+      ${action === 'create' ? 'Creates' : 'Merges into'} “${escapeHTML(subject.name)}”
+      · read as ${escapeHTML(format)} · ${diff.added} new, ${diff.matched} already present
+    </strong>
+    <ul>
+      ${diff.topics.map(topic => `
+        <li class="${topic.status}">
+          ${escapeHTML(topic.name)} ${statusLabel(topic.status)}
+          ${topic.subtopics.length ? `
+            <ul>
+              ${topic.subtopics.map(sub => `<li class="${sub.status}">${escapeHTML(sub.name)} ${statusLabel(sub.status)}</li>`).join('')}
+            </ul>
+          ` : ''}
+        </li>
+      `).join('')}
+    </ul>
+    ${diff.untouched.length ? `
+      <span class="subject-meta">Kept as they are (not in this syllabus): ${diff.untouched.map(escapeHTML).join(', ')}</span>
+    ` : ''}
+  `;
 
-  if (!strengthBar || !strengthText) return;
+  preview.classList.remove('hidden');
+  document.getElementById('syllabusConfirm')?.classList.remove('hidden');
+}
 
-  let strength = 0;
-  let message = 'Very weak';
+async function confirmSyllabusImport() {
+  if (!pendingSyllabusImport) return;
 
-  if (password.length >= 6) strength += 1;
-  if (password.length >= 10) strength += 1;
-  if (/[a-z]/.test(password) && /[A-Z]/.test(password)) strength += 1;
-  if (/\d/.test(password)) strength += 1;
-  if (/[^\w\s]/.test(password)) strength += 1;
+  try {
+    const response = await apiService.importSyllabus(pendingSyllabusImport);
+    updateActiveSubjectCount(response.activeSubjects);
+    showNotification(
+      response.action === 'create'
+        ? `Created “${response.subject.name}” with ${response.diff.added} topics`
+        : `Added ${response.diff.added} topics to “${response.subject.name}”`,
+      'success'
+    );
 
-  const strengthLevels = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
-  const strengthColors = ['#ef4444', '#f59e0b', '#eab308', '#10b981', '#059669'];
+    closeSyllabusImport();
+    await showSubjectDetail(response.subject._id);
+  } catch (error) {
+    console.error('Syllabus import error:', error);
+    showNotification(error.message || 'Failed to import the syllabus', 'error');
+  }
+}
 
-  message = strengthLevels[strength] || 'Very weak';
-  const color = strengthColors[strength] || '#ef4444';
+async function loadSyllabusFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
 
-  strengthBar.style.width = `${(strength / 5) * 100}%`;
-  strengthBar.style.backgroundColor = color;
-  strengthText.textContent = message;
-}
+  document.getElementById('syllabusContent').value = await file.text();
 
-function applyStoredTheme() {
-  const storedTheme = localStorage.getItem('theme') || 'light';
-  appState.theme = storedTheme;
+  const extension = file.name.split('.').pop().toLowerCase();
+  const formats = { csv: 'csv', md: 'markdown', markdown: 'markdown' };
+  document.getElementById('syllabusFormat').value = formats[extension] || 'auto';
+  resetSyllabusPreview();
 }
 
-function toggleTheme() {
-  const newTheme = appState.theme === 'light' ? 'dark' : 'light';
-  appState.theme = newTheme;
-  localStorage.setItem('theme', newTheme);
+// Topics and their subtopics are stored as one ordered list; moves happen among siblings
+function topicSiblings(topic) {
+  return (currentSubject?.topics || []).filter(item => (item.parentId || null) === (topic.parentId || null));
+}
 
-  showNotification(`Switched to ${newTheme} mode`, 'success');
+function renderTopicItem(topic, difficultyOptions) {
+  const siblings = topicSiblings(topic);
+  const index = siblings.indexOf(topic);
+  const accuracy = topic.questionsAnswered
+    ? Math.round((topic.correctAnswers / topic.questionsAnswered) * 100)
+    : null;
+
+  return `
+    <li class="dashboard-card topic-item ${topic.parentId ? 'subtopic' : ''}">
+      <div class="session-info">
+        <span class="session-device">${escapeHTML(topic.name)}</span>
+        <div class="topic-stats">
+          <span>${topic.questionsAnswered} answered</span>
+          <span>${topic.correctAnswers} correct${accuracy === null ? '' : ` (${accuracy}%)`}</span>
+          <span>${topic.lastPracticed ? `Practiced ${formatRelativeTime(topic.lastPracticed)}` : 'Not practiced yet'}</span>
+        </div>
+        ${topic.prerequisites?.length ? `
+          <span class="session-meta">Requires: ${topic.prerequisites
+            .map(id => currentSubject.topics.find(item => item._id === id)?.name)
+            .filter(Boolean)
+            .map(escapeHTML)
+            .join(', ')}</span>
+        ` : ''}
+        ${topic.weakAreas?.length ? `
+          <div class="weak-areas">
+            ${topic.weakAreas.map(area => `<span class="weak-area">${escapeHTML(area)}</span>`).join('')}
+          </div>
+        ` : ''}
+      </div>
+      <div class="admin-actions">
+        <select class="settings-input" aria-label="Difficulty" onchange="changeTopicDifficulty('${topic._id}', this.value)">
+          ${difficultyOptions(topic.difficulty)}
+        </select>
+        <button class="btn-icon" title="Move up" onclick="moveTopic('${topic._id}', -1)" ${index === 0 ? 'disabled' : ''}>
+          <i data-lucide="arrow-up"></i>
+        </button>
+        <button class="btn-icon" title="Move down" onclick="moveTopic('${topic._id}', 1)" ${index === siblings.length - 1 ? 'disabled' : ''}>
+          <i data-lucide="arrow-down"></i>
+        </button>
+        ${topic.parentId ? '' : `<button class="btn-secondary" onclick="addSubtopic('${topic._id}')">Add subtopic</button>`}
+        <button class="btn-secondary" onclick="practiceTopic('${topic._id}')">Practice</button>
+        <button class="btn-secondary" onclick="editPrerequisites('${topic._id}')">Prerequisites</button>
+        <button class="btn-secondary" onclick="renameTopic('${topic._id}')">Rename</button>
+        <button class="btn-secondary danger" onclick="deleteTopic('${topic._id}')">Delete</button>
+      </div>
+    </li>
+  `;
 }
 
-function showAuthOverlay() {
-  const authOverlay = document.getElementById('authOverlay');
-  const mainApp = document.getElementById('mainApp');
+// Mirrors the server's recount into local state and the dashboard card
+function updateActiveSubjectCount(count) {
+  if (typeof count !== 'number') return;
 
-  if (authOverlay) {
-    authOverlay.style.display = 'flex';
-    authOverlay.classList.remove('hidden');
+  if (appState.user) {
+    appState.user = {
+      ...appState.user,
+      stats: { ...appState.user.stats, activeSubjects: count }
+    };
   }
 
-  if (mainApp) {
-    mainApp.style.display = 'none';
-    mainApp.classList.add('hidden');
-  }
+  const element = document.getElementById('activeSubjects');
+  if (element) element.textContent = count;
 }
 
-function hideAuthOverlay() {
-  const authOverlay = document.getElementById('authOverlay');
-  if (authOverlay) {
-    authOverlay.style.display = 'none';
-    authOverlay.classList.add('hidden');
-  }
+// ============================================
+// Admin Console
+// ============================================
+
+const adminConsoleState = {
+  filters: { q: '', role: '', status: '' },
+  usersPage: 1,
+  auditPage: 1
+};
+
+async function loadAdminConsoleData() {
+  await Promise.all([loadAdminUsers(), loadAuditLog()]);
 }
 
-function showMainApp() {
-  const mainApp = document.getElementById('mainApp');
-  if (mainApp) {
-    mainApp.style.display = 'block';
-    mainApp.classList.remove('hidden');
+async function loadAdminUsers(page = adminConsoleState.usersPage) {
+  adminConsoleState.usersPage = page;
+  apiService.clearCache();
+
+  try {
+    const response = await apiService.getAdminUsers({ ...adminConsoleState.filters, page, limit: 20 });
+    renderAdminUsers(response.users || []);
+    renderPagination('adminUsersPagination', response.pagination, 'loadAdminUsers');
+  } catch (error) {
+    console.error('Admin users load error:', error);
+    showNotification(error.message || 'Failed to load users', 'error');
   }
 }
 
-function showLoadingState(message = 'Loading...') {
-  const overlay = document.getElementById('loadingOverlay');
-  const text = document.getElementById('loadingText');
+function renderAdminUsers(users) {
+  const table = document.getElementById('adminUsersTable');
+  if (!table) return;
 
-  if (overlay) {
-    overlay.style.display = 'flex';
-    overlay.classList.remove('hidden');
+  if (users.length === 0) {
+    table.innerHTML = '<tr><td colspan="5">No users match these filters.</td></tr>';
+    return;
   }
 
-  if (text) {
-    text.textContent = message;
-  }
+  const currentUserId = appState.user?.id || appState.user?._id;
+
+  table.innerHTML = users.map(user => {
+    const isSelf = user._id === currentUserId;
+    const suspended = Boolean(user.suspendedAt);
+    const roleOptions = ['student', 'instructor', 'admin']
+      .map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`)
+      .join('');
+
+    return `
+      <tr>
+        <td>
+          <div class="session-info">
+            <span class="session-device">${escapeHTML(user.name)}</span>
+            <span class="session-meta">${escapeHTML(user.email)}${user.twoFactor?.enabled ? ' · 2FA' : ''}${user.emailVerified ? '' : ' · unverified'}</span>
+          </div>
+        </td>
+        <td>
+          <select class="settings-input" onchange="changeUserRole('${user._id}', this.value)" ${isSelf ? 'disabled' : ''}>
+            ${roleOptions}
+          </select>
+        </td>
+        <td title="${escapeHTML(user.suspendedReason || '')}">
+          ${suspended ? '<span class="session-badge expired">Suspended</span>' : '<span class="session-badge">Active</span>'}
+        </td>
+        <td>${user.lastActive ? formatRelativeTime(user.lastActive) : '—'}</td>
+        <td>
+          <div class="admin-actions">
+            ${isSelf ? '' : suspended
+              ? `<button class="btn-secondary" onclick="unsuspendUser('${user._id}')">Unsuspend</button>`
+              : `<button class="btn-secondary danger" onclick="suspendUser('${user._id}')">Suspend</button>`}
+            ${!isSelf && !suspended && user.role !== 'admin'
+              ? `<button class="btn-secondary" onclick="impersonateUser('${user._id}')">Impersonate</button>`
+              : ''}
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join('');
 }
 
-function hideLoadingState() {
-  const overlay = document.getElementById('loadingOverlay');
-  if (overlay) {
-    overlay.style.display = 'none';
-    overlay.classList.add('hidden');
+async function loadAuditLog(page = adminConsoleState.auditPage) {
+  adminConsoleState.auditPage = page;
+  apiService.clearCache();
+
+  try {
+    const response = await apiService.getAuditLog({ page, limit: 15 });
+    renderAuditLog(response.entries || []);
+    renderPagination('adminAuditPagination', response.pagination, 'loadAuditLog');
+  } catch (error) {
+    console.error('Audit log load error:', error);
+    showNotification(error.message || 'Failed to load audit log', 'error');
   }
 }
 
-// ============================================
-// Navigation & Section Management
-// ============================================
+function renderAuditLog(entries) {
+  const list = document.getElementById('adminAuditLog');
+  if (!list) return;
 
-function setupNavigation() {
-  const navButtons = document.querySelectorAll('.nav-pill');
-  navButtons.forEach(btn => {
-    btn.addEventListener('click', function(e) {
-      e.preventDefault();
-      const sectionId = this.getAttribute('data-section');
-      showSection(sectionId);
-    });
-  });
+  const describeDetails = (entry) => {
+    const details = entry.details || {};
+    if (entry.action === 'user.role_change') return `${details.from} → ${details.to}`;
+    return details.reason || '';
+  };
 
-  const tabButtons = document.querySelectorAll('.tab');
-  tabButtons.forEach(btn => {
-    btn.addEventListener('click', function(e) {
-      e.preventDefault();
-      const tabId = this.getAttribute('data-tab');
-      showTab(tabId);
-    });
-  });
+  list.innerHTML = entries.length ? entries.map(entry => `
+    <li class="session-item">
+      <div class="session-info">
+        <span class="session-device">${escapeHTML(entry.action)}</span>
+        <span class="session-meta">
+          ${escapeHTML(entry.actorId?.email || 'Deleted user')} → ${escapeHTML(entry.targetUserId?.email || (entry.targetUserId === null ? 'Deleted user' : '—'))}
+          ${describeDetails(entry) ? ` · ${escapeHTML(describeDetails(entry))}` : ''}
+        </span>
+      </div>
+      <span class="session-meta">${new Date(entry.createdAt).toLocaleString()}</span>
+    </li>
+  `).join('') : '<li class="session-meta">No administrative actions recorded yet.</li>';
+}
 
-  // Load current section
-  showSection(appState.currentSection);
+function renderPagination(containerId, pagination, loaderName) {
+  const container = document.getElementById(containerId);
+  if (!container || !pagination) return;
+
+  const { page, pages, total } = pagination;
+  container.innerHTML = `
+    <span>${total} total · page ${page} of ${Math.max(pages, 1)}</span>
+    <button class="btn-secondary" onclick="${loaderName}(${page - 1})" ${page <= 1 ? 'disabled' : ''}>Previous</button>
+    <button class="btn-secondary" onclick="${loaderName}(${page + 1})" ${page >= pages ? 'disabled' : ''}>Next</button>
+  `;
 }
 
-function showSection(sectionId) {
-  // Update navigation
-  const navButtons = document.querySelectorAll('.nav-pill');
-  navButtons.forEach(btn => {
-    btn.classList.toggle('active', btn.getAttribute('data-section') === sectionId);
-  });
+// Impersonation swaps in the target's tokens for this tab and parks the admin's own session
+const IMPERSONATOR_SESSION_KEY = 'impersonator_session';
 
-  // Update sections with animation
-  const sections = document.querySelectorAll('.section');
-  sections.forEach(section => {
-    if (section.id === sectionId) {
-      section.classList.add('active');
-      section.style.display = 'block';
+async function startImpersonation(userId, reason) {
+  const response = await apiService.impersonateUser(userId, reason);
 
-      // Trigger entrance animation
-      gsap.fromTo(section, 
-        { opacity: 0, y: 20 },
-        { opacity: 1, y: 0, duration: 0.4, ease: "power2.out" }
-      );
-    } else {
-      section.classList.remove('active');
-      section.style.display = 'none';
-    }
-  });
+  sessionStorage.setItem(IMPERSONATOR_SESSION_KEY, JSON.stringify({
+    token: appState.token,
+    refreshToken: appState.refreshToken,
+    persistent: localStorage.getItem('refresh_token') !== null,
+    userName: response.user.name
+  }));
 
-  appState.currentSection = sectionId;
+  apiService.storeTokens(response);
+  window.location.reload();
+}
 
-  // Load section-specific data
-  loadSectionData(sectionId);
+async function stopImpersonation() {
+  const stored = sessionStorage.getItem(IMPERSONATOR_SESSION_KEY);
 
-  // Update page title
-  updatePageTitle(sectionId);
+  // Ends (and audits the end of) the impersonation session before restoring the admin
+  await apiService.logout();
+  sessionStorage.removeItem(IMPERSONATOR_SESSION_KEY);
 
-  // Announce to screen reader
-  uiManager.announceToScreenReader(`Navigated to ${sectionId.replace('-', ' ')} section`);
+  if (stored) {
+    apiService.storeTokens(JSON.parse(stored));
+  }
+  window.location.reload();
 }
 
-function showTab(tabId) {
-  const container = document.querySelector('.tabs-modern');
-  if (!container) return;
+function updateImpersonationBanner() {
+  const banner = document.getElementById('impersonationBanner');
+  if (!banner) return;
 
-  const tabs = container.querySelectorAll('.tab');
-  const panels = document.querySelectorAll('.tab-panel');
-  const indicator = container.querySelector('.tab-indicator');
+  const stored = sessionStorage.getItem(IMPERSONATOR_SESSION_KEY);
+  banner.classList.toggle('hidden', !stored);
 
-  tabs.forEach(tab => {
-    tab.classList.toggle('active', tab.getAttribute('data-tab') === tabId);
-  });
+  if (stored) {
+    const name = document.getElementById('impersonatedUserName');
+    if (name) name.textContent = JSON.parse(stored).userName;
+  }
+}
 
-  panels.forEach(panel => {
-    if (panel.id === tabId) {
-      panel.classList.add('active');
-      panel.style.display = 'block';
-    } else {
-      panel.classList.remove('active');
-      panel.style.display = 'none';
-    }
-  });
+// ============================================
+// Personal Access Token Settings
+// ============================================
 
-  // Move indicator
-  const activeTab = container.querySelector(`[data-tab="${tabId}"]`);
-  if (activeTab && indicator) {
-    const tabRect = activeTab.getBoundingClientRect();
-    const containerRect = container.getBoundingClientRect();
+async function loadApiTokensPanel() {
+  const panel = document.getElementById('apiTokensPanel');
+  if (!panel) return;
 
-    indicator.style.left = `${tabRect.left - containerRect.left}px`;
-    indicator.style.width = `${tabRect.width}px`;
+  try {
+    apiService.clearCache();
+    const response = await apiService.getApiTokens();
+    renderApiTokensPanel(response.tokens || [], response.availableScopes || {});
+  } catch (error) {
+    console.error('API tokens load error:', error);
+    panel.innerHTML = '<p>Unable to load your API tokens right now.</p>';
   }
+}
 
-  appState.currentTab = tabId;
+function renderApiTokensPanel(tokens, availableScopes) {
+  const panel = document.getElementById('apiTokensPanel');
+  if (!panel) return;
+
+  panel.innerHTML = `
+    <p>Use personal access tokens to call the Learnova API from scripts. Send them as <code>Authorization: Bearer &lt;token&gt;</code>.</p>
+    ${tokens.length ? `
+      <ul class="session-list">
+        ${tokens.map(token => `
+          <li class="session-item">
+            <div class="session-info">
+              <span class="session-device">
+                ${escapeHTML(token.name)}
+                ${token.expired ? '<span class="session-badge expired">Expired</span>' : ''}
+              </span>
+              <span class="session-meta"><code>${escapeHTML(token.tokenPreview)}…</code> · ${token.scopes.map(escapeHTML).join(', ')}</span>
+              <span class="session-meta">
+                ${token.lastUsedAt ? `Last used ${formatRelativeTime(token.lastUsedAt)}` : 'Never used'}
+                · ${token.expiresAt ? `Expires ${new Date(token.expiresAt).toLocaleDateString()}` : 'No expiry'}
+              </span>
+            </div>
+            <button class="btn-secondary" onclick="revokeApiToken('${escapeHTML(token.id)}')">Revoke</button>
+          </li>
+        `).join('')}
+      </ul>
+    ` : '<p>You have no API tokens yet.</p>'}
+
+    <input type="text" class="settings-input" id="apiTokenName" placeholder="Token name, e.g. Bulk import script" maxlength="100">
+    <div class="scope-options">
+      ${Object.entries(availableScopes).map(([scope, description]) => `
+        <label class="scope-option">
+          <input type="checkbox" name="apiTokenScope" value="${escapeHTML(scope)}">
+          <span><code>${escapeHTML(scope)}</code> ${escapeHTML(description)}</span>
+        </label>
+      `).join('')}
+    </div>
+    <select class="settings-input" id="apiTokenExpiry">
+      <option value="30">Expires in 30 days</option>
+      <option value="90">Expires in 90 days</option>
+      <option value="365">Expires in 1 year</option>
+      <option value="">No expiry</option>
+    </select>
+    <div class="settings-actions">
+      <button class="btn-primary" onclick="createApiToken()">Generate token</button>
+    </div>
+  `;
 }
 
-function updatePageTitle(sectionId) {
-  const titles = {
-    'dashboard': 'Dashboard - Learnova',
-    'learning-hub': 'AI Learning Hub - Learnova',
-    'analytics-center': 'Analytics - Learnova',
-    'community-space': 'Community - Learnova',
-    'ai-assistant': 'AI Assistant - Learnova',
-    'profile-settings': 'Profile Settings - Learnova'
-  };
+function renderNewApiToken(token) {
+  const panel = document.getElementById('apiTokensPanel');
+  if (!panel) return;
+
+  panel.innerHTML = `
+    <span class="settings-status enabled"><i data-lucide="key-round"></i> Token created</span>
+    <p>Copy your token now. For your security it will not be shown again.</p>
+    <code class="totp-secret" id="newApiToken">${escapeHTML(token)}</code>
+    <div class="settings-actions">
+      <button class="btn-secondary" onclick="copyNewApiToken()">Copy token</button>
+      <button class="btn-primary" onclick="loadApiTokensPanel()">Done</button>
+    </div>
+  `;
 
-  document.title = titles[sectionId] || 'Learnova - AI Learning Platform';
+  lucide.createIcons();
 }
 
-async function loadSectionData(sectionId) {
-  try {
-    switch(sectionId) {
-      case 'dashboard':
-        await loadDashboardData();
-        break;
-      case 'learning-hub':
-        await loadLearningHubData();
-        break;
-      case 'analytics-center':
-        await loadAnalyticsData();
-        break;
-      case 'ai-assistant':
-        await loadAIAssistantData();
-        break;
-      // Add other section data loading
-    }
-  } catch (error) {
-    console.error(`Error loading ${sectionId} data:`, error);
-  }
+// ============================================
+// Personal Data Settings
+// ============================================
+
+function renderDataPanel(user) {
+  const panel = document.getElementById('dataPanel');
+  if (!panel) return;
+
+  panel.innerHTML = `
+    <p>Download a ZIP archive of your profile, subjects, practice history, questions, study groups and avatar.</p>
+    <div class="settings-actions">
+      <button class="btn-primary" onclick="downloadDataExport()">Download my data</button>
+    </div>
+
+    <p>Deleting your account permanently removes your personal data. Questions you wrote stay in the shared bank without your name, and groups you lead are handed to another member.</p>
+    <input type="password" class="settings-input" id="deleteAccountPassword" placeholder="Current password" autocomplete="current-password">
+    ${user.twoFactor?.enabled ? `
+      <input type="text" class="settings-input" id="deleteAccountCode" placeholder="Authentication or recovery code" inputmode="numeric" autocomplete="one-time-code">
+    ` : ''}
+    <div class="settings-actions">
+      <button class="btn-secondary danger" onclick="deleteAccount()">Delete my account</button>
+    </div>
+  `;
 }
 
-async function loadDashboardData() {
-  try {
-    // Load user performance
-    const performance = await apiService.getPerformanceAnalysis();
-    if (performance.success) {
-      updateDashboardStats(performance.analysis);
-      updateAIRecommendations(performance.analysis);
-    }
+// ============================================
+// Practice Settings
+// ============================================
+
+// preferences.aiDifficulty: how often adaptive practice expects the learner to answer correctly
+const AI_DIFFICULTY_LABELS = {
+  conservative: 'Conservative (about 85% right)',
+  balanced: 'Balanced (about 75% right)',
+  aggressive: 'Aggressive (about 60% right)'
+};
+
+function renderPracticePanel(user) {
+  const panel = document.getElementById('practicePanel');
+  if (!panel) return;
+
+  const selected = user.preferences?.aiDifficulty || 'balanced';
+  panel.innerHTML = `
+    <p>Adaptive practice tracks how you do on each topic and picks questions you should get right about this often. Harder settings move you on faster.</p>
+    <label for="aiDifficultySetting">Challenge</label>
+    <select class="settings-input" id="aiDifficultySetting">
+      ${Object.entries(AI_DIFFICULTY_LABELS).map(([value, label]) => `
+        <option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>
+      `).join('')}
+    </select>
+    <div class="settings-actions">
+      <button class="btn-primary" onclick="savePracticeSettings()">Save</button>
+    </div>
+  `;
+}
+
+// ============================================
+// Active Sessions Settings
+// ============================================
 
-    // Load recent activity
-    loadActivityFeed();
+async function loadSessionsPanel() {
+  const panel = document.getElementById('sessionsPanel');
+  if (!panel) return;
 
-    // Update charts
-    setTimeout(() => {
-      uiManager.updateChartVisibility();
-    }, 500);
+  try {
+    apiService.clearCache();
+    const response = await apiService.getSessions();
+    renderSessionsPanel(response.sessions || []);
   } catch (error) {
-    console.error('Dashboard data loading error:', error);
+    console.error('Sessions load error:', error);
+    panel.innerHTML = '<p>Unable to load your sessions right now.</p>';
   }
 }
 
-async function loadLearningHubData() {
-  // Load subjects and practice data
-  console.log('Loading learning hub data...');
+function renderSessionsPanel(sessions) {
+  const panel = document.getElementById('sessionsPanel');
+  if (!panel) return;
+
+  const hasOthers = sessions.some(session => !session.current);
+
+  panel.innerHTML = `
+    <ul class="session-list">
+      ${sessions.map(session => `
+        <li class="session-item">
+          <div class="session-info" title="${escapeHTML(session.userAgent)}">
+            <span class="session-device">
+              ${escapeHTML(session.device)}
+              ${session.current ? '<span class="session-badge">This device</span>' : ''}
+              ${!session.current && session.online ? '<span class="session-badge">Online</span>' : ''}
+              ${session.persistent ? '<span class="session-badge">Remembered</span>' : ''}
+            </span>
+            <span class="session-meta">
+              ${escapeHTML(session.ipAddress || 'Unknown IP')} · Last active ${formatRelativeTime(session.lastSeenAt)}
+            </span>
+            <span class="session-meta">Signed in ${new Date(session.createdAt).toLocaleString()}</span>
+          </div>
+          ${session.current ? '' : `
+            <button class="btn-secondary" onclick="revokeSession('${escapeHTML(session.id)}')">Sign out</button>
+          `}
+        </li>
+      `).join('')}
+    </ul>
+    ${hasOthers ? `
+      <div class="settings-actions">
+        <button class="btn-secondary" onclick="revokeOtherSessions()">Sign out of all other devices</button>
+      </div>
+    ` : '<p>You are not signed in anywhere else.</p>'}
+  `;
 }
 
-async function loadAnalyticsData() {
-  // Load analytics charts and insights
-  console.log('Loading analytics data...');
+// ============================================
+// Two-Factor Authentication Settings
+// ============================================
+
+function renderTwoFactorPanel(twoFactor) {
+  const panel = document.getElementById('twoFactorPanel');
+  if (!panel) return;
+
+  if (twoFactor.enabled) {
+    panel.innerHTML = `
+      <span class="settings-status enabled"><i data-lucide="shield-check"></i> Enabled${twoFactor.enabledAt ? ` since ${new Date(twoFactor.enabledAt).toLocaleDateString()}` : ''}</span>
+      <p>Sign-ins require a code from your authenticator app. Keep your recovery codes somewhere safe.</p>
+      <input type="password" class="settings-input" id="twoFactorDisablePassword" placeholder="Current password" autocomplete="current-password">
+      <input type="text" class="settings-input" id="twoFactorManageCode" placeholder="Authentication or recovery code" inputmode="numeric" autocomplete="one-time-code">
+      <div class="settings-actions">
+        <button class="btn-secondary" onclick="regenerateRecoveryCodes()">New recovery codes</button>
+        <button class="btn-secondary" onclick="disableTwoFactor()">Disable 2FA</button>
+      </div>
+    `;
+  } else {
+    panel.innerHTML = `
+      <span class="settings-status disabled"><i data-lucide="shield-alert"></i> Not enabled</span>
+      <p>Protect your account with a time-based code from an authenticator app such as Google Authenticator, 1Password or Authy.</p>
+      <div class="settings-actions">
+        <button class="btn-primary" onclick="startTwoFactorSetup()">Enable 2FA</button>
+      </div>
+    `;
+  }
+
+  lucide.createIcons();
 }
 
-async function loadAIAssistantData() {
-  // Initialize AI chat interface
-  console.log('Loading AI assistant data...');
+function renderTwoFactorEnrollment(secret, otpauthUrl) {
+  const panel = document.getElementById('twoFactorPanel');
+  if (!panel) return;
+
+  let qrMarkup = '';
+  if (typeof qrcode !== 'undefined') {
+    const qr = qrcode(0, 'M');
+    qr.addData(otpauthUrl);
+    qr.make();
+    qrMarkup = `<div class="totp-qr">${qr.createSvgTag(4, 2)}</div>`;
+  }
+
+  panel.innerHTML = `
+    <p>Scan this QR code with your authenticator app, or enter the key manually.</p>
+    ${qrMarkup}
+    <code class="totp-secret">${escapeHTML(secret)}</code>
+    <a class="forgot-password" href="${escapeHTML(otpauthUrl)}">Open in authenticator app</a>
+    <input type="text" class="settings-input" id="twoFactorSetupCode" placeholder="6-digit code" inputmode="numeric" autocomplete="one-time-code" maxlength="6">
+    <div class="settings-actions">
+      <button class="btn-primary" onclick="confirmTwoFactorSetup()">Confirm &amp; Enable</button>
+      <button class="btn-secondary" onclick="loadProfileSettingsData()">Cancel</button>
+    </div>
+  `;
+}
+
+function renderRecoveryCodes(recoveryCodes) {
+  const panel = document.getElementById('twoFactorPanel');
+  if (!panel) return;
+
+  panel.innerHTML = `
+    <span class="settings-status enabled"><i data-lucide="key-round"></i> Save your recovery codes</span>
+    <p>Each code can be used once to sign in if you lose access to your authenticator app. They will not be shown again.</p>
+    <ul class="recovery-codes">
+      ${recoveryCodes.map(code => `<li>${escapeHTML(code)}</li>`).join('')}
+    </ul>
+    <div class="settings-actions">
+      <button class="btn-secondary" onclick="copyRecoveryCodes()">Copy codes</button>
+      <button class="btn-primary" onclick="loadProfileSettingsData()">I've saved them</button>
+    </div>
+  `;
+
+  panel.dataset.recoveryCodes = recoveryCodes.join('\n');
+  lucide.createIcons();
 }
 
 function updateDashboardStats(analysis) {
@@ -1921,6 +5381,7 @@ function updateDashboardStats(analysis) {
     ['heroAccuracy', `${analysis.overallAccuracy || 78}%`],
     ['avgAccuracy', `${analysis.overallAccuracy || 78}%`],
     ['heroStreak', `${appState.user?.stats?.currentStreak || 15}`],
+    ['activeSubjects', `${appState.user?.stats?.activeSubjects ?? 0}`],
     ['currentStreak', `${appState.user?.stats?.currentStreak || 15}`]
   ];
 
@@ -2338,7 +5799,7 @@ function showNotification(message, type = 'info', duration = 5000) {
   notification.innerHTML = `
     <div class="toast-content">
       <i data-lucide="${icons[type] || icons.info}"></i>
-      <span>${message}</span>
+      <span>${escapeHTML(message)}</span>
     </div>
     <button class="toast-close" onclick="this.parentElement.remove()">
       <i data-lucide="x"></i>
@@ -2372,6 +5833,48 @@ function showNotification(message, type = 'info', duration = 5000) {
   lucide.createIcons();
 }
 
+// ============================================
+// Role-Based Visibility
+// ============================================
+
+function userHasPermission(permission) {
+  return (appState.user?.permissions || []).includes(permission);
+}
+
+// Elements tagged with data-permission="a b" need every listed permission
+function canAccessElement(element) {
+  const required = element.dataset.permission;
+  if (!required) return true;
+  return required.split(/\s+/).every(userHasPermission);
+}
+
+function applyRolePermissions(user) {
+  document.documentElement.setAttribute('data-role', user.role || 'student');
+
+  document.querySelectorAll('[data-permission]').forEach(element => {
+    element.classList.toggle('hidden', !canAccessElement(element));
+  });
+}
+
+function formatRelativeTime(date) {
+  const seconds = Math.round((Date.now() - new Date(date).getTime()) / 1000);
+  if (seconds < 60) return 'just now';
+
+  const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+  const [unit, size] = units.find(([, unitSeconds]) => seconds >= unitSeconds);
+  const value = Math.floor(seconds / size);
+  return `${value} ${unit}${value === 1 ? '' : 's'} ago`;
+}
+
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function startPeriodicUpdates() {
   // Update connection status every 30 seconds
   setInterval(async () => {
@@ -2424,6 +5927,487 @@ window.logout = async () => {
   }
 };
 
+window.resendVerificationEmail = async () => {
+  try {
+    const response = await apiService.resendVerificationEmail();
+    showNotification(response.message || 'Verification email sent', 'success');
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    showNotification(error.message || 'Failed to send verification email', 'error');
+  }
+};
+
+// Two-factor settings actions
+window.startTwoFactorSetup = async () => {
+  try {
+    const response = await apiService.setupTwoFactor();
+    renderTwoFactorEnrollment(response.secret, response.otpauthUrl);
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    showNotification(error.message || 'Failed to start two-factor setup', 'error');
+  }
+};
+
+window.confirmTwoFactorSetup = async () => {
+  const code = document.getElementById('twoFactorSetupCode')?.value.trim();
+  if (!code) {
+    showNotification('Enter the 6-digit code from your authenticator app', 'warning');
+    return;
+  }
+
+  try {
+    const response = await apiService.enableTwoFactor(code);
+    appState.user = { ...appState.user, permissions: response.permissions, twoFactorSetupRequired: false };
+    showNotification('Two-factor authentication enabled', 'success');
+    renderRecoveryCodes(response.recoveryCodes);
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    showNotification(error.message || 'Invalid authentication code', 'error');
+  }
+};
+
+window.disableTwoFactor = async () => {
+  const password = document.getElementById('twoFactorDisablePassword')?.value;
+  const code = document.getElementById('twoFactorManageCode')?.value.trim();
+  if (!password || !code) {
+    showNotification('Enter your password and an authentication code to disable 2FA', 'warning');
+    return;
+  }
+
+  try {
+    await apiService.disableTwoFactor(password, code);
+    showNotification('Two-factor authentication disabled', 'success');
+    await loadProfileSettingsData();
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    showNotification(error.message || 'Failed to disable two-factor authentication', 'error');
+  }
+};
+
+window.regenerateRecoveryCodes = async () => {
+  const code = document.getElementById('twoFactorManageCode')?.value.trim();
+  if (!code) {
+    showNotification('Enter a code from your authenticator app', 'warning');
+    return;
+  }
+
+  try {
+    const response = await apiService.regenerateRecoveryCodes(code);
+    renderRecoveryCodes(response.recoveryCodes);
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    showNotification(error.message || 'Failed to regenerate recovery codes', 'error');
+  }
+};
+
+window.copyRecoveryCodes = async () => {
+  const codes = document.getElementById('twoFactorPanel')?.dataset.recoveryCodes;
+  if (!codes) return;
+
+  try {
+    await navigator.clipboard.writeText(codes);
+    showNotification('Recovery codes copied to clipboard', 'success');
+  } catch (error) {
+    console.error('Copy failed:', error);
+    showNotification('Failed to copy recovery codes', 'error');
+  }
+};
+
+window.loadProfileSettingsData = loadProfileSettingsData;
+
+// Personal data actions
+window.downloadDataExport = async () => {
+  try {
+    showLoadingState('Preparing your data export...');
+    await apiService.downloadDataExport();
+    showNotification('Your data export has been downloaded', 'success');
+  } catch (error) {
+    console.error('Data export error:', error);
+    showNotification(error.message || 'Failed to export your data', 'error');
+  } finally {
+    hideLoadingState();
+  }
+};
+
+window.deleteAccount = async () => {
+  const password = document.getElementById('deleteAccountPassword')?.value;
+  const code = document.getElementById('deleteAccountCode')?.value.trim();
+
+  if (!password) {
+    showNotification('Enter your password to delete your account', 'warning');
+    return;
+  }
+
+  if (!confirm('Permanently delete your Learnova account? This cannot be undone.')) return;
+
+  try {
+    await apiService.deleteAccount(password, code);
+    socketService.disconnect();
+    showAuthOverlay();
+    showNotification('Your account has been deleted', 'success');
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    showNotification(error.message || 'Failed to delete account', 'error');
+  }
+};
+
+// Practice settings actions
+window.savePracticeSettings = async () => {
+  const aiDifficulty = document.getElementById('aiDifficultySetting')?.value;
+
+  try {
+    // The profile route replaces preferences as a whole, so the others are sent along unchanged
+    await apiService.updateUserProfile({ preferences: { ...appState.user?.preferences, aiDifficulty } });
+    showNotification('Practice settings saved', 'success');
+  } catch (error) {
+    console.error('Practice settings error:', error);
+    showNotification(error.message || 'Failed to save practice settings', 'error');
+  }
+};
+
+// Subject actions
+window.addSubject = () => openSubjectForm();
+window.cancelSubjectForm = closeSubjectForm;
+
+window.editSubject = (subjectId) => {
+  const subject = subjectsCache.find(item => item._id === subjectId);
+  if (subject) openSubjectForm(subject);
+};
+
+window.archiveSubject = async (subjectId) => {
+  try {
+    const response = await apiService.archiveSubject(subjectId);
+    updateActiveSubjectCount(response.activeSubjects);
+    showNotification('Subject archived', 'success');
+    await loadSubjects();
+  } catch (error) {
+    console.error('Archive subject error:', error);
+    showNotification(error.message || 'Failed to archive subject', 'error');
+  }
+};
+
+window.unarchiveSubject = async (subjectId) => {
+  try {
+    const response = await apiService.unarchiveSubject(subjectId);
+    updateActiveSubjectCount(response.activeSubjects);
+    showNotification('Subject restored', 'success');
+    await loadSubjects();
+  } catch (error) {
+    console.error('Restore subject error:', error);
+    showNotification(error.message || 'Failed to restore subject', 'error');
+  }
+};
+
+window.deleteSubject = async (subjectId) => {
+  const subject = subjectsCache.find(item => item._id === subjectId);
+  if (!confirm(`Delete "${subject?.name || 'this subject'}" with its practice history and your questions in it? This cannot be undone.`)) return;
+
+  try {
+    const response = await apiService.deleteSubject(subjectId);
+    updateActiveSubjectCount(response.activeSubjects);
+    showNotification(`Subject deleted along with ${response.deleted.sessions} sessions and ${response.deleted.questions} questions`, 'success');
+    await loadSubjects();
+  } catch (error) {
+    console.error('Delete subject error:', error);
+    showNotification(error.message || 'Failed to delete subject', 'error');
+  }
+};
+
+// Content studio actions
+window.loadQuestionBank = loadQuestionBank;
+window.saveGeneratedQuestions = saveGeneratedQuestions;
+window.discardGeneratedQuestions = discardGeneratedQuestions;
+window.confirmQuestionImport = confirmQuestionImport;
+window.cancelQuestionImport = () => {
+  document.getElementById('questionImportForm')?.reset();
+  resetQuestionImport();
+};
+window.exportQuestionBank = exportQuestionBank;
+
+// Practice actions
+window.practiceQuestion = openPracticeQuestion;
+window.movePracticeItem = movePracticeItem;
+window.closePracticeQuestion = closePracticeQuestion;
+window.showNextPracticeQuestion = showNextPracticeQuestion;
+window.finishPractice = finishPractice;
+window.startAdaptivePractice = startAdaptivePractice;
+window.practiceTopic = (topicId) => startPractice({ subjectId: currentSubject._id, topicId });
+window.togglePracticeReport = togglePracticeReport;
+window.submitPracticeReport = submitPracticeReport;
+
+// Figure actions
+window.openQuestionAttachments = openQuestionAttachments;
+window.saveQuestionAttachment = saveQuestionAttachment;
+window.removeQuestionAttachment = removeQuestionAttachment;
+window.closeQuestionAttachments = closeQuestionAttachments;
+
+// History & report triage actions
+window.openQuestionHistory = openQuestionHistory;
+window.compareQuestionRevision = compareQuestionRevision;
+window.restoreQuestionRevision = restoreQuestionRevision;
+window.closeQuestionHistory = closeQuestionHistory;
+window.loadQuestionReports = loadQuestionReports;
+window.triageQuestionReport = triageQuestionReport;
+
+window.deleteBankQuestion = async (questionId) => {
+  if (!confirm('Delete this question from the bank?')) return;
+
+  try {
+    await apiService.deleteQuestion(questionId);
+    showNotification('Question deleted', 'success');
+    await loadQuestionBank();
+  } catch (error) {
+    console.error('Delete question error:', error);
+    showNotification(error.message || 'Failed to delete question', 'error');
+  }
+};
+
+// Syllabus import actions
+window.importSyllabus = openSyllabusImport;
+window.cancelSyllabusImport = closeSyllabusImport;
+window.confirmSyllabusImport = confirmSyllabusImport;
+
+// Topic actions
+window.openSubject = showSubjectDetail;
+window.closeSubject = hideSubjectDetail;
+
+window.addTopic = async (e) => {
+  e.preventDefault();
+  const formData = new FormData(e.target);
+
+  try {
+    const response = await apiService.createTopic(currentSubject._id, {
+      name: formData.get('name').trim(),
+      difficulty: formData.get('difficulty')
+    });
+    renderSubjectDetail(response.subject);
+    showNotification('Topic added', 'success');
+  } catch (error) {
+    console.error('Add topic error:', error);
+    showNotification(error.message || 'Failed to add topic', 'error');
+  }
+};
+
+window.renameTopic = async (topicId) => {
+  const topic = currentSubject?.topics.find(item => item._id === topicId);
+  if (!topic) return;
+
+  const name = prompt('Rename topic', topic.name);
+  if (!name || !name.trim() || name.trim() === topic.name) return;
+
+  try {
+    const response = await apiService.updateTopic(currentSubject._id, topicId, { name: name.trim() });
+    renderSubjectDetail(response.subject);
+  } catch (error) {
+    console.error('Rename topic error:', error);
+    showNotification(error.message || 'Failed to rename topic', 'error');
+  }
+};
+
+window.changeTopicDifficulty = async (topicId, difficulty) => {
+  try {
+    const response = await apiService.updateTopic(currentSubject._id, topicId, { difficulty });
+    renderSubjectDetail(response.subject);
+  } catch (error) {
+    console.error('Topic difficulty error:', error);
+    showNotification(error.message || 'Failed to update topic', 'error');
+  }
+};
+
+window.editPrerequisites = openPrerequisiteEditor;
+window.savePrerequisites = savePrerequisites;
+window.closePrerequisiteEditor = () => document.getElementById('prerequisiteEditor')?.classList.add('hidden');
+
+window.addSubtopic = async (parentId) => {
+  const name = prompt('Subtopic name');
+  if (!name || !name.trim()) return;
+
+  try {
+    const response = await apiService.createTopic(currentSubject._id, { name: name.trim(), parentId });
+    renderSubjectDetail(response.subject);
+    showNotification('Subtopic added', 'success');
+  } catch (error) {
+    console.error('Add subtopic error:', error);
+    showNotification(error.message || 'Failed to add subtopic', 'error');
+  }
+};
+
+window.moveTopic = async (topicId, direction) => {
+  const topic = currentSubject?.topics.find(item => item._id === topicId);
+  if (!topic) return;
+
+  const siblings = topicSiblings(topic);
+  const neighbour = siblings[siblings.indexOf(topic) + direction];
+  if (!neighbour) return;
+
+  // Swapping the two siblings in the flat list keeps every subtopic with its parent
+  const topicIds = currentSubject.topics.map(item => item._id);
+  const from = topicIds.indexOf(topic._id);
+  const to = topicIds.indexOf(neighbour._id);
+  [topicIds[from], topicIds[to]] = [topicIds[to], topicIds[from]];
+
+  try {
+    const response = await apiService.reorderTopics(currentSubject._id, topicIds);
+    renderSubjectDetail(response.subject);
+  } catch (error) {
+    console.error('Reorder topics error:', error);
+    showNotification(error.message || 'Failed to reorder topics', 'error');
+  }
+};
+
+window.deleteTopic = async (topicId) => {
+  if (!confirm('Delete this topic and its subtopics? Their questions stay in the subject.')) return;
+
+  try {
+    const response = await apiService.deleteTopic(currentSubject._id, topicId);
+    renderSubjectDetail(response.subject);
+    showNotification('Topic deleted', 'success');
+  } catch (error) {
+    console.error('Delete topic error:', error);
+    showNotification(error.message || 'Failed to delete topic', 'error');
+  }
+};
+
+// Admin console actions
+window.loadAdminUsers = loadAdminUsers;
+window.loadAuditLog = loadAuditLog;
+
+window.changeUserRole = async (userId, role) => {
+  try {
+    await apiService.changeUserRole(userId, role);
+    showNotification(`Role changed to ${role}`, 'success');
+    await loadAdminConsoleData();
+  } catch (error) {
+    console.error('Change role error:', error);
+    showNotification(error.message || 'Failed to change role', 'error');
+    await loadAdminUsers();
+  }
+};
+
+window.suspendUser = async (userId) => {
+  const reason = prompt('Reason for suspension (shown in the audit log):');
+  if (reason === null) return;
+
+  try {
+    await apiService.suspendUser(userId, reason);
+    showNotification('User suspended and signed out everywhere', 'success');
+    await loadAdminConsoleData();
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    showNotification(error.message || 'Failed to suspend user', 'error');
+  }
+};
+
+window.unsuspendUser = async (userId) => {
+  try {
+    await apiService.unsuspendUser(userId);
+    showNotification('User unsuspended', 'success');
+    await loadAdminConsoleData();
+  } catch (error) {
+    console.error('Unsuspend user error:', error);
+    showNotification(error.message || 'Failed to unsuspend user', 'error');
+  }
+};
+
+window.impersonateUser = async (userId) => {
+  const reason = prompt('Why do you need to impersonate this user? This is recorded in the audit log.');
+  if (!reason || !reason.trim()) return;
+
+  try {
+    await startImpersonation(userId, reason.trim());
+  } catch (error) {
+    console.error('Impersonation error:', error);
+    showNotification(error.message || 'Failed to impersonate user', 'error');
+  }
+};
+
+window.stopImpersonation = async () => {
+  try {
+    await stopImpersonation();
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    showNotification('Failed to stop impersonating', 'error');
+  }
+};
+
+// API token actions
+window.createApiToken = async () => {
+  const name = document.getElementById('apiTokenName')?.value.trim();
+  const scopes = [...document.querySelectorAll('input[name="apiTokenScope"]:checked')].map(input => input.value);
+  const expiresInDays = document.getElementById('apiTokenExpiry')?.value || null;
+
+  if (!name) {
+    showNotification('Give the token a name so you can recognize it later', 'warning');
+    return;
+  }
+
+  if (scopes.length === 0) {
+    showNotification('Choose at least one scope', 'warning');
+    return;
+  }
+
+  try {
+    const response = await apiService.createApiToken({ name, scopes, expiresInDays });
+    renderNewApiToken(response.token);
+  } catch (error) {
+    console.error('Create API token error:', error);
+    showNotification(error.message || 'Failed to create API token', 'error');
+  }
+};
+
+window.copyNewApiToken = async () => {
+  const token = document.getElementById('newApiToken')?.textContent;
+  if (!token) return;
+
+  try {
+    await navigator.clipboard.writeText(token);
+    showNotification('Token copied to clipboard', 'success');
+  } catch (error) {
+    console.error('Copy failed:', error);
+    showNotification('Failed to copy token', 'error');
+  }
+};
+
+window.revokeApiToken = async (tokenId) => {
+  if (!confirm('Revoke this token? Scripts using it will stop working.')) return;
+
+  try {
+    await apiService.revokeApiToken(tokenId);
+    showNotification('API token revoked', 'success');
+    await loadApiTokensPanel();
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    showNotification(error.message || 'Failed to revoke API token', 'error');
+  }
+};
+
+window.loadApiTokensPanel = loadApiTokensPanel;
+
+// Session management actions
+window.revokeSession = async (sessionId) => {
+  try {
+    await apiService.revokeSession(sessionId);
+    showNotification('Device signed out', 'success');
+    await loadSessionsPanel();
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    showNotification(error.message || 'Failed to sign out device', 'error');
+  }
+};
+
+window.revokeOtherSessions = async () => {
+  if (!confirm('Sign out of every other device?')) return;
+
+  try {
+    const response = await apiService.revokeOtherSessions();
+    showNotification(response.message || 'Signed out of other devices', 'success');
+    await loadSessionsPanel();
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    showNotification(error.message || 'Failed to sign out other devices', 'error');
+  }
+};
+
 // Theme functions
 window.toggleTheme = toggleTheme;
 window.toggleDarkMode = toggleTheme;
@@ -2504,7 +6488,7 @@ function addMessageToChat(type, content) {
   if (type === 'user') {
     message.innerHTML = `
       <div class="message-content user-content">
-        <div class="message-text">${content}</div>
+        <div class="message-text rich-text">${renderRichText(content)}</div>
       </div>
       <div class="message-avatar user-avatar">
         ${appState.user?.name?.charAt(0) || 'U'}
@@ -2523,7 +6507,7 @@ function addMessageToChat(type, content) {
         </lottie-player>
       </div>
       <div class="message-content">
-        <div class="message-text">${content}</div>
+        <div class="message-text rich-text">${renderRichText(content)}</div>
         <div class="message-actions">
           <button class="msg-action" onclick="likeMessage(this)">
             <i data-lucide="thumbs-up"></i>
@@ -2536,6 +6520,9 @@ function addMessageToChat(type, content) {
     `;
   }
 
+  // Copying gives back the Markdown, not the rendered text with its doubled-up math
+  message.querySelector('.message-text').dataset.source = content;
+
   container.appendChild(message);
   container.scrollTop = container.scrollHeight;
 
@@ -2563,7 +6550,7 @@ function addSuggestionsToChat(suggestions) {
       <div class="message-text">
         <strong>💡 Suggestions:</strong>
         <ul>
-          ${suggestions.map(s => `<li>${s}</li>`).join('')}
+          ${suggestions.map(s => `<li>${renderRichText(s, { inline: true })}</li>`).join('')}
         </ul>
       </div>
     </div>
@@ -2623,7 +6610,8 @@ window.likeMessage = (button) => {
 };
 
 window.copyMessage = async (button) => {
-  const messageText = button.closest('.message-content').querySelector('.message-text').textContent;
+  const text = button.closest('.message-content').querySelector('.message-text');
+  const messageText = text.dataset.source ?? text.textContent;
 
   try {
     await navigator.clipboard.writeText(messageText);
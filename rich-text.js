@@ -0,0 +1,120 @@
+// ============================================
+// Rich Text Rendering
+// ============================================
+// One pipeline for question text, explanations and chat, shared by the learning hub and the AIVY
+// dashboard: Markdown through marked, math through KaTeX and fenced code through highlight.js.
+// DOMPurify sanitizes the Markdown output before anything is inserted. When marked or DOMPurify
+// failed to load, text is escaped and shown as-is rather than rendered unsanitized.
+
+(function () {
+  // Code spans and blocks are matched first and kept verbatim, so a $ inside code is never math.
+  // Inline $...$ must hug its contents and not be followed by a digit, which keeps "$5 and $10" as text
+  const MATH_PATTERN = /(```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|`[^`\n]*`)|\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|\$(?=[^\s$])([^$\n]*?[^\s$\\])\$(?!\d)/g;
+
+  const MARKED_OPTIONS = { gfm: true, breaks: true, async: false };
+
+  // Form controls and inline styles could pass for the app's own UI, so they are never let through
+  const SANITIZE_OPTIONS = {
+    FORBID_TAGS: ['style', 'form', 'input', 'button', 'textarea', 'select', 'option'],
+    FORBID_ATTR: ['style']
+  };
+
+  const KATEX_OPTIONS = { throwOnError: false, strict: 'ignore', trust: false, maxSize: 10, maxExpand: 1000 };
+
+  if (window.DOMPurify) {
+    DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+      if (node.tagName === 'A' && node.hasAttribute('href')) {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+      }
+    });
+  }
+
+  const escapeText = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+  // Math is swapped for placeholders before Markdown runs, because Markdown would read the _ and * in
+  // formulas as emphasis. The placeholders are filled in text nodes only, never inside attributes
+  function renderMathPlaceholders(root, marker, pattern, maths) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+      if (walker.currentNode.data.includes(marker)) nodes.push(walker.currentNode);
+    }
+
+    nodes.forEach(node => {
+      // Indented code blocks are not caught by MATH_PATTERN; they get their source text back
+      const inCode = Boolean(node.parentElement && node.parentElement.closest('code, pre'));
+      const fragment = document.createDocumentFragment();
+
+      node.data.split(pattern).forEach((part, index) => {
+        if (index % 2 === 0) {
+          if (part) fragment.append(part);
+          return;
+        }
+
+        const math = maths[Number(part)];
+        if (inCode) {
+          fragment.append(math.raw);
+        } else if (window.katex) {
+          const span = document.createElement('span');
+          span.className = 'rich-math';
+          span.innerHTML = katex.renderToString(math.tex, { ...KATEX_OPTIONS, displayMode: math.display });
+          fragment.append(span);
+        } else {
+          const code = document.createElement('code');
+          code.textContent = math.raw;
+          fragment.append(code);
+        }
+      });
+
+      node.replaceWith(fragment);
+    });
+  }
+
+  // Returns sanitized HTML for a Markdown string. inline: true renders without block elements, for
+  // short texts such as answer options that sit inside labels and list items
+  function renderRichText(source, { inline = false } = {}) {
+    const text = String(source ?? '');
+    const marker = `Xmath${Math.random().toString(36).slice(2, 10)}n`;
+    const maths = [];
+
+    const withPlaceholders = text.replace(MATH_PATTERN, (match, code, display, bracketDisplay, paren, inlineMath) => {
+      if (code !== undefined) return code;
+      maths.push({
+        raw: match,
+        tex: display ?? bracketDisplay ?? paren ?? inlineMath,
+        display: display !== undefined || bracketDisplay !== undefined
+      });
+      return `${marker}${maths.length - 1}X`;
+    });
+
+    let html;
+    if (window.marked && window.DOMPurify) {
+      const parsed = inline
+        ? marked.parseInline(withPlaceholders, MARKED_OPTIONS)
+        : marked.parse(withPlaceholders, MARKED_OPTIONS);
+      html = DOMPurify.sanitize(parsed, SANITIZE_OPTIONS);
+    } else {
+      html = escapeText(withPlaceholders).replace(/\n/g, '<br>');
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    if (window.hljs) {
+      template.content.querySelectorAll('pre code').forEach(block => hljs.highlightElement(block));
+    }
+    if (maths.length > 0) {
+      renderMathPlaceholders(template.content, marker, new RegExp(`${marker}(\\d+)X`), maths);
+    }
+
+    return template.innerHTML;
+  }
+
+  window.renderRichText = renderRichText;
+})();
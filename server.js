@@ -13,6 +13,8 @@ const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const fs = require('fs').promises;
 require('dotenv').config();
 
@@ -31,6 +33,82 @@ const io = socketIo(server, {
 const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || 'learnova-jwt-secret-key-2025';
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/learnova';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Lifetime of sign-ins without "Remember me"; these never slide forward
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+// Features blocked until the account's email is verified (comma-separated feature keys)
+const UNVERIFIED_RESTRICTIONS = (process.env.UNVERIFIED_RESTRICTIONS || 'study-group-create,ai-generate')
+  .split(',')
+  .map(feature => feature.trim())
+  .filter(Boolean);
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Learnova';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+// Wrong codes count against the account, not the challenge, so signing in again does not reset them
+const TWO_FACTOR_MAX_FAILURES = 5;
+const TWO_FACTOR_LOCKOUT_MINUTES = 15;
+const RECOVERY_CODE_COUNT = 10;
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'file';
+const MAIL_FROM = process.env.MAIL_FROM || 'Learnova <no-reply@learnova.local>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || 'mail-outbox';
+// Accounts promoted to admin once they verify their email (comma-separated addresses)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+// OpenID Connect providers: OIDC_PROVIDERS lists provider ids (e.g. "school,google"); each one is
+// configured with OIDC_<ID>_ISSUER, _CLIENT_ID, _CLIENT_SECRET (omit for public clients), _NAME and _SCOPES
+const OIDC_PROVIDERS = (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(id => /^[a-z0-9_-]+$/.test(id))
+  .map(id => {
+    const env = (key) => process.env[`OIDC_${id.toUpperCase().replace(/-/g, '_')}_${key}`];
+    return {
+      id,
+      name: env('NAME') || id,
+      issuer: (env('ISSUER') || '').replace(/\/+$/, ''),
+      clientId: env('CLIENT_ID'),
+      clientSecret: env('CLIENT_SECRET'),
+      scopes: env('SCOPES') || 'openid email profile'
+    };
+  })
+  .filter(provider => provider.issuer && provider.clientId);
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 60;
+const OIDC_FLOW_TTL_MS = 10 * 60 * 1000;
+const OIDC_LOGIN_CODE_TTL_MS = 60 * 1000;
+// Per-account login throttling: every failure past LOGIN_FREE_ATTEMPTS doubles the wait before the
+// next attempt, and LOGIN_LOCKOUT_THRESHOLD consecutive failures lock the account for LOGIN_LOCKOUT_MINUTES
+const LOGIN_FREE_ATTEMPTS = 3;
+const LOGIN_MAX_DELAY_SECONDS = 5 * 60;
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+const LOGIN_FAILURE_WINDOW_HOURS = 24;
+
+// Personal Access Tokens
+const API_TOKEN_PREFIX = 'lnv_pat_';
+const MAX_API_TOKENS_PER_USER = 25;
+const API_TOKEN_SCOPES = {
+  'profile:read': 'Read your profile',
+  'subjects:read': 'Read your subjects',
+  'analytics:read': 'Read your performance analytics',
+  'questions:read': 'Read the question bank',
+  'questions:write': 'Create, edit and import questions',
+  'practice:write': 'Run practice sessions and record your answers'
+};
+
+// Roles and Permissions
+const ROLES = ['student', 'instructor', 'admin'];
+// Roles whose accounts are guarded more closely: no automatic SSO linking, and two-factor required
+const PRIVILEGED_ROLES = ['instructor', 'admin'];
+const ROLE_PERMISSIONS = {
+  student: ['profile:manage'],
+  instructor: ['profile:manage', 'questions:edit-shared', 'groups:moderate'],
+  admin: ['profile:manage', 'questions:edit-shared', 'groups:moderate', 'users:manage']
+};
 
 // Ensure uploads directory exists
 const ensureUploadsDir = async () => {
@@ -49,7 +127,8 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net", "https://unpkg.com", "https://cdnjs.cloudflare.com"],
       styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", "https://cdn.jsdelivr.net"],
-      fontSrc: ["'self'", "https://fonts.gstatic.com"],
+      // KaTeX loads its math fonts from the CDN
+      fontSrc: ["'self'", "https://fonts.gstatic.com", "https://cdn.jsdelivr.net"],
       imgSrc: ["'self'", "data:", "https:", "blob:"],
       connectSrc: ["'self'", "https:", "wss:", "ws:"]
     }
@@ -59,7 +138,9 @@ app.use(helmet({
 app.use(compression());
 app.use(cors({
   origin: process.env.FRONTEND_URL || ["http://localhost:3000", "http://localhost:5000"],
-  credentials: true
+  credentials: true,
+  // File downloads read their name and export notes from these
+  exposedHeaders: ['Content-Disposition', 'X-Skipped-Questions']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -75,7 +156,10 @@ const apiLimiter = rateLimit({
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5,
-  message: { error: 'Too many authentication attempts, please try again later.' }
+  message: { error: 'Too many authentication attempts, please try again later.' },
+  // Token refreshes happen silently in the background and must not lock users out;
+  // SSO redirects are browser navigations, so only the final code exchange is counted
+  skip: (req) => req.path === '/refresh' || (req.method === 'GET' && req.path.startsWith('/oidc/'))
 });
 
 app.use('/api/', apiLimiter);
@@ -108,6 +192,28 @@ const upload = multer({
   }
 });
 
+// Question figures share the disk storage with avatars. SVG is accepted for diagrams; the contents of
+// every file are checked again after upload, since the type here is only what the browser claims
+const QUESTION_ATTACHMENT_TYPES = {
+  'image/png': ['.png'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  'image/svg+xml': ['.svg']
+};
+
+const questionAttachmentUpload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extensions = QUESTION_ATTACHMENT_TYPES[file.mimetype];
+    if (extensions && extensions.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Only PNG, JPEG, GIF, WebP and SVG files can be attached'));
+  }
+});
+
 // MongoDB Connection with Error Handling
 const connectDB = async () => {
   try {
@@ -136,6 +242,10 @@ const userSchema = new mongoose.Schema({
   },
   password: { type: String, required: true, minlength: 6 },
   avatar: { type: String, default: null },
+  role: { type: String, default: 'student', enum: ROLES, index: true },
+  suspendedAt: { type: Date, default: null },
+  suspendedReason: { type: String },
+  suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   preferences: {
     aiDifficulty: { type: String, default: 'balanced', enum: ['conservative', 'balanced', 'aggressive'] },
     aiStyle: { type: String, default: 'concise', enum: ['detailed', 'concise', 'conversational'] },
@@ -144,13 +254,39 @@ const userSchema = new mongoose.Schema({
     theme: { type: String, default: 'light', enum: ['light', 'dark', 'auto'] }
   },
   stats: {
-    totalStudyTime: { type: Number, default: 0 },
+    totalStudyTime: { type: Number, default: 0 }, // in milliseconds
     totalQuestions: { type: Number, default: 0 },
+    correctAnswers: { type: Number, default: 0 },
+    // Percentage of correctAnswers over totalQuestions, kept in step with both by updateAnswerStats
     averageAccuracy: { type: Number, default: 0 },
     currentStreak: { type: Number, default: 0 },
     longestStreak: { type: Number, default: 0 },
+    // The last time a practice session was finished; streaks count consecutive UTC days
+    lastStudiedAt: { type: Date, default: null },
     activeSubjects: { type: Number, default: 0 }
   },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  emailVerificationTokenHash: { type: String, select: false },
+  emailVerificationExpires: { type: Date, select: false },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+    failedAttempts: { type: Number, default: 0, select: false },
+    lockedUntil: { type: Date, select: false }
+  },
+  identities: [{
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: { type: String },
+    linkedAt: { type: Date, default: Date.now }
+  }],
+  passwordResetTokenHash: { type: String, select: false },
+  passwordResetExpires: { type: Date, select: false },
   lastActive: { type: Date, default: Date.now },
   isOnline: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now }
@@ -158,50 +294,127 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 const subjectSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  name: { type: String, required: true, trim: true },
-  description: { type: String, trim: true },
-  color: { type: String, default: '#667eea' },
-  icon: { type: String, default: 'book' },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 500 },
+  color: { type: String, default: '#667eea', match: /^#[0-9a-fA-F]{6}$/ },
+  icon: { type: String, default: 'book', match: /^[a-z0-9-]{1,40}$/ },
   topics: [{
     name: { type: String, required: true },
+    // Subtopics point at their parent topic; topics themselves have no parent
+    parentId: { type: mongoose.Schema.Types.ObjectId, default: null },
     questionsAnswered: { type: Number, default: 0 },
     correctAnswers: { type: Number, default: 0 },
-    lastPracticed: { type: Date, default: Date.now },
+    lastPracticed: { type: Date, default: null },
     difficulty: { type: String, default: 'medium', enum: ['easy', 'medium', 'hard'] },
-    weakAreas: [String]
+    weakAreas: [String],
+    // Rasch-style ability estimate in logits (0 is an even chance on a medium question), moved by every
+    // practice answer; abilityAnswers is how many answers it rests on
+    ability: { type: Number, default: 0 },
+    abilityAnswers: { type: Number, default: 0 },
+    // Topics of the same subject to study first; kept acyclic by the prerequisites route
+    prerequisites: [{ type: mongoose.Schema.Types.ObjectId }]
   }],
+  // Archived subjects keep their topics and history but are hidden from the hub
   isActive: { type: Boolean, default: true },
+  archivedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now }
 }, {
   timestamps: true
 });
 
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'numeric', 'short_text', 'ordering', 'matching', 'cloze', 'math'];
+
 const questionSchema = new mongoose.Schema({
   subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject' },
   topicId: { type: String },
+  type: { type: String, default: 'multiple_choice', enum: QUESTION_TYPES },
   question: { type: String, required: true },
+  // Choices for multiple_choice, multi_select and true_false; for ordering, the items in their correct order
   options: [{ type: String, required: true }],
-  correctAnswer: { type: Number, required: true, min: 0, max: 3 },
+  correctAnswer: { type: Number, min: 0 },
+  correctAnswers: [{ type: Number, min: 0 }],
+  numericAnswer: {
+    value: { type: Number },
+    tolerance: { type: Number, default: 0, min: 0 }
+  },
+  acceptedAnswers: [String],
+  caseSensitive: { type: Boolean, default: false },
+  // tolerance is relative: answers within tolerance × the size of the value count as equal
+  mathAnswer: {
+    expression: { type: String },
+    tolerance: { type: Number, default: 1e-6, min: 0 }
+  },
+  pairs: [{ _id: false, left: { type: String, required: true }, right: { type: String, required: true } }],
+  // Cloze questions mark their blanks in the text as {{1}}, {{2}}, ... in the order of this list
+  blanks: [{ _id: false, accepted: [String] }],
   explanation: { type: String },
   difficulty: { type: String, default: 'medium', enum: ['easy', 'medium', 'hard'] },
   aiGenerated: { type: Boolean, default: false },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   tags: [String],
+  contentHash: { type: String, index: true },
+  // Figures shown with the question text (option: null) or next to one of the options. Files live in
+  // uploads/ and are removed with the attachment or the question
+  attachments: [{
+    url: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number },
+    alt: { type: String, required: true, trim: true, maxlength: 300 },
+    option: { type: Number, default: null, min: 0 }
+  }],
+  // Item difficulty in logits, learned from practice answers. Unset until the first answer, when it
+  // starts from the difficulty label
+  calibration: {
+    rating: { type: Number },
+    answers: { type: Number, default: 0 }
+  },
+  // Bumped on every content change; QuestionRevision keeps the earlier versions
+  revision: { type: Number, default: 1 },
   createdAt: { type: Date, default: Date.now }
 }, {
   timestamps: true
 });
 
+questionSchema.index({ question: 'text', explanation: 'text', tags: 'text' });
+questionSchema.index({ subjectId: 1, topicId: 1 });
+
+// Fingerprint of the normalized stem and options, used to spot duplicates on import. Case,
+// punctuation, whitespace and option order do not change it
+const normalizeForFingerprint = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+const questionFingerprint = (question) => crypto
+  .createHash('sha256')
+  .update(`${normalizeForFingerprint(question.question)}\u0000${(question.options || []).map(normalizeForFingerprint).sort().join('\u0001')}`)
+  .digest('hex');
+
+questionSchema.pre('save', function () {
+  if (this.isModified('question') || this.isModified('options') || !this.contentHash) {
+    this.contentHash = questionFingerprint(this);
+  }
+});
+
 const sessionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject' },
   topicId: { type: String },
+  // Questions picked when the session started, in the order they are served. Adaptive sessions pick
+  // one question at a time and stop at plannedCount
+  queue: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Question' }],
+  plannedCount: { type: Number, min: 1 },
+  // Success rate the adaptive selector aims for, from preferences.aiDifficulty when the session started
+  target: { type: Number, min: 0, max: 1 },
+  // Answers in the order they were given
   questions: [{
     questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
-    userAnswer: { type: Number },
+    userAnswer: { type: mongoose.Schema.Types.Mixed },
     correct: { type: Boolean },
+    score: { type: Number, min: 0, max: 1 },
     timeSpent: { type: Number }, // in milliseconds
     timestamp: { type: Date, default: Date.now }
   }],
@@ -209,12 +422,15 @@ const sessionSchema = new mongoose.Schema({
   endTime: { type: Date },
   accuracy: { type: Number, min: 0, max: 100 },
   totalTime: { type: Number }, // in milliseconds
-  sessionType: { type: String, default: 'practice', enum: ['practice', 'test', 'collaborative', 'ai_generated'] },
+  sessionType: { type: String, default: 'practice', enum: ['practice', 'test', 'collaborative', 'ai_generated', 'adaptive'] },
   completed: { type: Boolean, default: false }
 }, {
   timestamps: true
 });
 
+// Answers are looked up by question when a changed key forces a re-grade
+sessionSchema.index({ 'questions.questionId': 1 });
+
 const studyGroupSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   description: { type: String, trim: true },
@@ -235,8 +451,111 @@ const studyGroupSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Login sessions backing refresh tokens; one document per sign-in
+const authSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  // The token rotated out last, still honored for a moment while other tabs catch up
+  previousRefreshTokenHash: { type: String },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String },
+  lastRotatedAt: { type: Date, default: Date.now },
+  userAgent: { type: String, default: '' },
+  ipAddress: { type: String, default: '' },
+  persistent: { type: Boolean, default: false },
+  // Set when an admin signed in as this user; such sessions are short-lived and audited
+  impersonatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Public half of a non-extractable browser key; refreshes of persistent sessions must be signed with it
+  devicePublicKey: { type: mongoose.Schema.Types.Mixed, select: false },
+  lastSeenAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Personal access tokens for scripts and integrations; only the hash is stored
+const apiTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  tokenHash: { type: String, required: true, unique: true },
+  // First characters of the token, shown in the UI so users can tell tokens apart
+  tokenPreview: { type: String, required: true },
+  scopes: [{ type: String, enum: Object.keys(API_TOKEN_SCOPES) }],
+  expiresAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: '' },
+  revokedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// Append-only record of administrative actions
+const auditLogSchema = new mongoose.Schema({
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  action: { type: String, required: true },
+  targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  details: { type: mongoose.Schema.Types.Mixed },
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+// Failed sign-ins, keyed by email address rather than user so unknown addresses are throttled
+// exactly like real accounts and the responses cannot be used to discover who is registered
+const loginThrottleSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true },
+  failedAttempts: { type: Number, default: 0 },
+  lastFailedAt: { type: Date },
+  lockedUntil: { type: Date, default: null },
+  lockNotifiedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// Failures are forgotten once an address has been quiet for the whole window
+loginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: LOGIN_FAILURE_WINDOW_HOURS * 60 * 60 });
+
+// Snapshots of a question's content, one per change. The first revision is the question as it was
+// before its first edit
+const questionRevisionSchema = new mongoose.Schema({
+  questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+  revision: { type: Number, required: true },
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+  changedFields: [String],
+  keyChanged: { type: Boolean, default: false },
+  restoredFrom: { type: Number, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+questionRevisionSchema.index({ questionId: 1, revision: -1 }, { unique: true });
+
+// Problems learners flag on questions, worked through by the questions' authors
+const QUESTION_REPORT_REASONS = ['wrong_key', 'ambiguous', 'typo', 'outdated', 'other'];
+const QUESTION_REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+const questionReportSchema = new mongoose.Schema({
+  questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true, index: true },
+  reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  reason: { type: String, required: true, enum: QUESTION_REPORT_REASONS },
+  message: { type: String, trim: true, maxlength: 1000 },
+  // The revision the learner was looking at
+  revision: { type: Number },
+  status: { type: String, default: 'open', enum: QUESTION_REPORT_STATUSES },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolvedAt: { type: Date },
+  resolutionNote: { type: String, trim: true, maxlength: 1000 }
+}, {
+  timestamps: true
+});
+
+questionReportSchema.index({ status: 1, createdAt: -1 });
+
 // Create Models
-let User, Subject, Question, Session, StudyGroup;
+let User, Subject, Question, Session, StudyGroup, AuthSession, ApiToken, AuditLog, LoginThrottle;
+let QuestionRevision, QuestionReport;
 
 try {
   User = mongoose.model('User', userSchema);
@@ -244,34 +563,443 @@ try {
   Question = mongoose.model('Question', questionSchema);
   Session = mongoose.model('Session', sessionSchema);
   StudyGroup = mongoose.model('StudyGroup', studyGroupSchema);
+  AuthSession = mongoose.model('AuthSession', authSessionSchema);
+  ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+  AuditLog = mongoose.model('AuditLog', auditLogSchema);
+  LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+  QuestionRevision = mongoose.model('QuestionRevision', questionRevisionSchema);
+  QuestionReport = mongoose.model('QuestionReport', questionReportSchema);
 } catch (error) {
   console.log('⚠️ Models created with potential limitations');
 }
 
+// Token Helpers
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// `imp` carries the admin's id on impersonation sessions
+const signAccessToken = (user, sessionId, impersonatorId = null) => jwt.sign(
+  { userId: user._id, email: user.email, sid: sessionId, ...(impersonatorId && { imp: impersonatorId }) },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+
+// Only refresh lastSeenAt this often, so authenticated requests don't all write to the session
+const SESSION_LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Tabs of one browser share a remembered refresh token. When two refresh at once, the slower one
+// presents the token the faster one just rotated out; within this window that is a race, not a replay
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+const getClientInfo = (req) => ({
+  userAgent: String(req.headers['user-agent'] || '').slice(0, 512),
+  ipAddress: req.ip || req.socket?.remoteAddress || ''
+});
+
+// Short "Browser on OS" label for the session list
+const describeUserAgent = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//],
+    ['Chrome', /Chrome\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/], ['ChromeOS', /CrOS/], ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+const getSessionExpiry = (persistent) => new Date(Date.now() + (persistent
+  ? REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  : SESSION_TTL_HOURS * 60 * 60 * 1000));
+
+// Accepts only an EC P-256 public JWK, the key type browsers generate for device binding
+const parseDevicePublicKey = (jwk) => {
+  if (!jwk || typeof jwk !== 'object' || jwk.kty !== 'EC' || jwk.crv !== 'P-256') return null;
+
+  try {
+    const { kty, crv, x, y } = jwk;
+    crypto.createPublicKey({ key: { kty, crv, x, y }, format: 'jwk' });
+    return { kty, crv, x, y };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Device signatures cover the single-use refresh token, so a captured signature cannot be replayed
+const verifyDeviceSignature = (jwk, refreshToken, signature) => {
+  if (!jwk || typeof signature !== 'string') return false;
+
+  try {
+    return crypto.verify(
+      'sha256',
+      Buffer.from(`refresh:${refreshToken}`),
+      { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signature, 'base64url')
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+// "Remember me" (req.body.rememberMe plus a device key) yields a long-lived, device-bound session;
+// anything else gets a short session that ends after SESSION_TTL_HOURS
+const issueAuthTokens = async (user, req) => {
+  const devicePublicKey = req?.body?.rememberMe ? parseDevicePublicKey(req.body.devicePublicKey) : null;
+  const persistent = Boolean(devicePublicKey);
+
+  const session = new AuthSession({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    expiresAt: getSessionExpiry(persistent),
+    persistent,
+    devicePublicKey: devicePublicKey || undefined,
+    ...(req && getClientInfo(req))
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    persistent
+  };
+};
+
+const revokeAllAuthSessions = async (userId, reason) => {
+  if (!AuthSession) return;
+
+  await AuthSession.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const revokeAuthSession = async (sessionId, reason = 'logout') => {
+  if (!AuthSession || !sessionId) return;
+
+  await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Verifies the JWT and that the login session behind it is still active
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  // Purpose-bound tokens (e.g. 2FA challenges) are never valid as access tokens
+  if (decoded.purpose || !decoded.sid) {
+    throw new Error('Token is missing a session');
+  }
+
+  if (AuthSession) {
+    const session = await AuthSession.findById(decoded.sid).lean();
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      throw new Error('Session has been revoked');
+    }
+  }
+
+  return decoded;
+};
+
+// Two-Factor Authentication (TOTP, RFC 6238)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/[\s=]/g, '').toUpperCase();
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+  return Buffer.from(bytes);
+};
+
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return String(code).padStart(6, '0');
+};
+
+// Returns the matching time step (allowing one step of clock drift), or null
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  if (!secret || !/^\d{6}$/.test(code)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateHotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const buildOtpauthUrl = (secret, email) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({ secret, issuer: TOTP_ISSUER, algorithm: 'SHA1', digits: '6', period: String(TOTP_STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+
+// Checks a TOTP or recovery code against a user loaded with the 2FA secrets selected.
+// Persists replay protection / consumed recovery codes; returns the method used or null.
+const consumeSecondFactor = async (user, code) => {
+  const submitted = String(code || '').trim();
+
+  const step = verifyTotp(user.twoFactor.secret, submitted, user.twoFactor.lastUsedStep ?? -1);
+  if (step !== null) {
+    await User.updateOne({ _id: user._id }, { 'twoFactor.lastUsedStep': step });
+    return 'totp';
+  }
+
+  const recoveryHash = hashToken(normalizeRecoveryCode(submitted));
+  if ((user.twoFactor.recoveryCodes || []).includes(recoveryHash)) {
+    await User.updateOne({ _id: user._id }, { $pull: { 'twoFactor.recoveryCodes': recoveryHash } });
+    return 'recovery_code';
+  }
+
+  return null;
+};
+
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep +twoFactor.failedAttempts +twoFactor.lockedUntil';
+
 // Authentication Middleware
-const authenticateToken = async (req, res, next) => {
+// Session JWTs may call any authenticated route. Personal access tokens only reach routes that
+// opt in through authenticateScoped(scope), and only when the token was granted that scope.
+const authenticateRequest = async (req, res, next, scope) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Access token required' });
+  }
+
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    return authenticateApiToken(req, res, next, token, scope);
+  }
+
+  let decoded;
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    decoded = await verifyAccessToken(token);
+  } catch (error) {
+    return res.status(403).json({ success: false, error: 'Invalid or expired token' });
+  }
 
-    if (!token) {
-      return res.status(401).json({ success: false, error: 'Access token required' });
+  req.user = { ...decoded, sessionId: decoded.sid, impersonatorId: decoded.imp || null, role: 'student' };
+
+  if (AuthSession) {
+    await AuthSession.updateOne(
+      { _id: decoded.sid, lastSeenAt: { $lt: new Date(Date.now() - SESSION_LAST_SEEN_INTERVAL_MS) } },
+      { lastSeenAt: new Date(), ipAddress: getClientInfo(req).ipAddress }
+    ).catch(() => {});
+  }
+
+  // Update last active time if user exists; the role is read fresh so role changes apply immediately
+  if (User) {
+    const user = await User.findByIdAndUpdate(decoded.userId, { 
+      lastActive: new Date(),
+      isOnline: true 
+    }, { new: true, projection: 'role suspendedAt twoFactor.enabled' }).lean().catch(() => null);
+
+    if (isSuspended(user)) {
+      return rejectSuspended(res);
     }
+    if (user?.role) applyEffectiveRole(req.user, user);
+  }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
+  next();
+};
 
-    // Update last active time if user exists
-    if (User) {
-      await User.findByIdAndUpdate(decoded.userId, { 
-        lastActive: new Date(),
-        isOnline: true 
-      }).catch(() => {});
+const authenticateApiToken = async (req, res, next, token, scope) => {
+  const apiToken = ApiToken
+    ? await ApiToken.findOne({ tokenHash: hashToken(token), revokedAt: null }).lean().catch(() => null)
+    : null;
+
+  if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt < new Date())) {
+    return res.status(403).json({ success: false, error: 'Invalid or expired token' });
+  }
+
+  if (!scope) {
+    return res.status(403).json({
+      success: false,
+      error: 'This endpoint cannot be used with a personal access token',
+      code: 'API_TOKEN_NOT_ALLOWED'
+    });
+  }
+
+  if (!apiToken.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      error: `This token is missing the "${scope}" scope`,
+      code: 'INSUFFICIENT_SCOPE'
+    });
+  }
+
+  const user = User ? await User.findById(apiToken.userId).select('email role suspendedAt twoFactor.enabled').lean().catch(() => null) : null;
+  if (!user) {
+    return res.status(403).json({ success: false, error: 'Invalid or expired token' });
+  }
+
+  if (isSuspended(user)) {
+    return rejectSuspended(res);
+  }
+
+  req.user = {
+    userId: String(user._id),
+    email: user.email,
+    apiTokenId: apiToken._id,
+    scopes: apiToken.scopes
+  };
+  applyEffectiveRole(req.user, user);
+
+  // Same write throttle as login sessions
+  if (!apiToken.lastUsedAt || apiToken.lastUsedAt < new Date(Date.now() - SESSION_LAST_SEEN_INTERVAL_MS)) {
+    await ApiToken.updateOne(
+      { _id: apiToken._id },
+      { lastUsedAt: new Date(), lastUsedIp: getClientInfo(req).ipAddress }
+    ).catch(() => {});
+  }
+
+  next();
+};
+
+const authenticateToken = (req, res, next) => authenticateRequest(req, res, next, null);
+
+const authenticateScoped = (scope) => (req, res, next) => authenticateRequest(req, res, next, scope);
+
+const isSuspended = (user) => Boolean(user?.suspendedAt);
+
+const rejectSuspended = (res) => res.status(403).json({
+  success: false,
+  error: 'This account has been suspended. Contact support if you think this is a mistake.',
+  code: 'ACCOUNT_SUSPENDED'
+});
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.student;
+
+const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+// Instructor and admin accounts hold their role's permissions only once two-factor authentication is
+// on; until then they act as students and can still reach the 2FA setup routes
+const needsTwoFactorSetup = (user) => PRIVILEGED_ROLES.includes(user?.role) && !user?.twoFactor?.enabled;
+
+const getUserPermissions = (user) => getRolePermissions(needsTwoFactorSetup(user) ? 'student' : user.role);
+
+const applyEffectiveRole = (requestUser, user) => {
+  requestUser.role = needsTwoFactorSetup(user) ? 'student' : user.role;
+  requestUser.twoFactorSetupRequired = needsTwoFactorSetup(user);
+};
+
+// Account-level changes (credentials, 2FA, tokens, deletion) stay with the real owner
+const forbidImpersonation = (req, res, next) => {
+  if (req.user?.impersonatorId) {
+    return res.status(403).json({
+      success: false,
+      error: 'This action is not available while impersonating a user',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
+
+  next();
+};
+
+// Permission check layered on authenticateToken
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user?.role, permission) && req.user?.twoFactorSetupRequired) {
+    return res.status(403).json({
+      success: false,
+      error: 'Turn on two-factor authentication in your profile settings to use instructor and admin tools',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  }
+  if (!hasPermission(req.user?.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      error: 'You do not have permission to perform this action',
+      code: 'FORBIDDEN'
+    });
+  }
+
+  next();
+};
+
+// Blocks a feature for accounts that have not verified their email, if the feature is restricted
+const requireVerifiedEmail = (feature) => async (req, res, next) => {
+  if (!UNVERIFIED_RESTRICTIONS.includes(feature) || !User) {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.userId).select('emailVerified').lean();
+    if (!user || !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please verify your email address to use this feature',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
     }
 
     next();
   } catch (error) {
-    return res.status(403).json({ success: false, error: 'Invalid or expired token' });
+    console.error('Email Verification Check Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to check account status' });
   }
 };
 
@@ -362,7 +1090,7 @@ async function analyzeUserPerformance(userId) {
     }
 
     const user = await User.findById(userId);
-    const sessions = await Session.find({ userId }).limit(50).sort({ createdAt: -1 });
+    const sessions = await Session.find({ userId, 'questions.0': { $exists: true } }).limit(50).sort({ createdAt: -1 });
 
     if (!user || sessions.length === 0) {
       return mockAIResponse.analyzePerformance({});
@@ -392,52 +1120,569 @@ async function analyzeUserPerformance(userId) {
   }
 }
 
-// API Routes
+// Uploaded Files
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
 
-// Health Check
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-    version: '2.0.0'
+// Resolves a public "/uploads/<file>" URL to a path inside UPLOADS_DIR, or null for anything else
+const resolveUploadPath = (url) => {
+  if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+
+  const filePath = path.join(UPLOADS_DIR, path.basename(url));
+  return filePath.startsWith(UPLOADS_DIR + path.sep) ? filePath : null;
+};
+
+const removeUploadedFile = async (url) => {
+  const filePath = resolveUploadPath(url);
+  if (!filePath) return;
+
+  await fs.unlink(filePath).catch(error => {
+    if (error.code !== 'ENOENT') console.error('Upload Cleanup Error:', error);
   });
+};
+
+// ZIP Archives (data exports)
+// Minimal writer for deflated entries; enough for the archives we hand to users, no dependency needed
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
 });
 
-// Authentication Routes
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
 
-    // Validation
-    if (!name || !email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Name, email, and password are required' 
-      });
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// entries: [{ name, data }] where data is a Buffer or string
+const createZipArchive = (entries) => {
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);            // version needed
+    local.writeUInt16LE(0x0800, 6);        // UTF-8 file names
+    local.writeUInt16LE(8, 8);             // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);          // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+// Reads the entries of a ZIP archive (stored or deflated) into [{ name, data }]. maxSize caps the total
+// unpacked size so a small upload cannot expand into something huge
+const readZipArchive = (buffer, maxSize = 20 * 1024 * 1024) => {
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) throw new Error('Not a ZIP archive');
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  let totalSize = 0;
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    let data;
+    if (method === 0) {
+      data = Buffer.from(raw);
+    } else if (method === 8) {
+      data = zlib.inflateRawSync(raw, { maxOutputLength: maxSize - totalSize });
+    } else {
+      throw new Error(`Unsupported ZIP compression in ${name}`);
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Password must be at least 6 characters long' 
-      });
+    totalSize += data.length;
+    if (totalSize > maxSize) throw new Error('ZIP archive is too large');
+    entries.push({ name, data });
+  }
+
+  return entries;
+};
+
+// Mail Delivery
+// Transports share one interface: send({ from, to, subject, text, html }).
+// The default "file" transport writes .eml files to MAIL_OUTBOX_DIR so mail can be inspected offline.
+const mailTransports = {
+  file: {
+    send: async (message) => {
+      await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      const contents = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text
+      ].join('\r\n');
+
+      await fs.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), contents);
+      return { id: fileName };
     }
+  },
 
-    // Check if MongoDB is available
-    if (!User) {
-      return res.status(500).json({
-        success: false,
-        error: 'Database not available. Please try again later.'
-      });
+  console: {
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { id: `console-${Date.now()}` };
     }
+  },
 
-    // Check if user exists
-    const existingUser = await User.findOne({ email: email.toLowerCase() });
-    if (existingUser) {
-      return res.status(400).json({ 
+  smtp: {
+    send: async (message) => {
+      // Loaded lazily so the mail library is only required when SMTP is configured
+      const nodemailer = require('nodemailer');
+      if (!mailTransports.smtp.client) {
+        mailTransports.smtp.client = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+      }
+
+      const info = await mailTransports.smtp.client.sendMail(message);
+      return { id: info.messageId };
+    }
+  }
+};
+
+async function sendMail({ to, subject, text, html }) {
+  const transport = mailTransports[MAIL_TRANSPORT] || mailTransports.file;
+
+  try {
+    return await transport.send({ from: MAIL_FROM, to, subject, text, html });
+  } catch (error) {
+    console.error('Mail Delivery Error:', error);
+    throw error;
+  }
+}
+
+// Issues a fresh single-use verification token and mails the confirmation link
+async function sendVerificationEmail(user) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  await User.updateOne({ _id: user._id }, {
+    emailVerificationTokenHash: hashToken(verificationToken),
+    emailVerificationExpires: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+  });
+
+  const verifyUrl = `${APP_URL}/?verifyToken=${verificationToken}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your Learnova email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Welcome to Learnova! Please confirm your email address by opening the link below:',
+      verifyUrl,
+      '',
+      `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+    ].join('\n')
+  });
+}
+
+// Stores a fresh single-use reset token for the user and returns the link that redeems it
+async function createPasswordResetUrl(user) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  await User.updateOne({ _id: user._id }, {
+    passwordResetTokenHash: hashToken(resetToken),
+    passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+  });
+
+  return `${APP_URL}/?resetToken=${resetToken}`;
+}
+
+// Login Throttling
+// Compared against when the email matches no account, so both paths cost one bcrypt comparison
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 12);
+
+const lockedResponse = (lockedUntil) => ({
+  status: 423,
+  body: {
+    success: false,
+    error: `Too many failed sign-in attempts. Try again in ${Math.ceil((lockedUntil - Date.now()) / 60000)} minutes, or reset your password to unlock your account now.`,
+    code: 'ACCOUNT_LOCKED',
+    retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000)
+  }
+});
+
+// Returns the response to send instead of checking the password, or null when an attempt is allowed
+function getLoginBlock(throttle) {
+  if (!throttle) return null;
+
+  if (throttle.lockedUntil && throttle.lockedUntil > Date.now()) {
+    return lockedResponse(throttle.lockedUntil);
+  }
+
+  if (throttle.failedAttempts < LOGIN_FREE_ATTEMPTS) return null;
+
+  const delaySeconds = Math.min(2 ** (throttle.failedAttempts - LOGIN_FREE_ATTEMPTS), LOGIN_MAX_DELAY_SECONDS);
+  const retryAfter = Math.ceil((throttle.lastFailedAt.getTime() + delaySeconds * 1000 - Date.now()) / 1000);
+  if (retryAfter <= 0) return null;
+
+  return {
+    status: 429,
+    body: {
+      success: false,
+      error: `Too many failed sign-in attempts. Please wait ${retryAfter} seconds before trying again.`,
+      code: 'LOGIN_THROTTLED',
+      retryAfter
+    }
+  };
+}
+
+// Counts a failure against the address and returns the response for it. An expired lockout keeps
+// its count, so each further failure re-locks immediately until a sign-in succeeds or the password is reset
+async function recordFailedLogin(email, user) {
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { email },
+    { $inc: { failedAttempts: 1 }, $set: { lastFailedAt: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (throttle.failedAttempts >= LOGIN_LOCKOUT_THRESHOLD) {
+    throttle.lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+    const notifyOwner = user && !throttle.lockNotifiedAt;
+    if (notifyOwner) {
+      throttle.lockNotifiedAt = new Date();
+    }
+    await throttle.save();
+
+    if (notifyOwner) {
+      sendAccountLockedEmail(user).catch(error => console.error('Lockout Notification Error:', error));
+    }
+    return lockedResponse(throttle.lockedUntil);
+  }
+
+  const attemptsRemaining = LOGIN_LOCKOUT_THRESHOLD - throttle.failedAttempts;
+  return {
+    status: 401,
+    body: {
+      success: false,
+      error: attemptsRemaining <= LOGIN_FREE_ATTEMPTS
+        ? `Invalid email or password. ${attemptsRemaining} attempt${attemptsRemaining === 1 ? '' : 's'} left before sign-in is temporarily locked.`
+        : 'Invalid email or password',
+      code: 'INVALID_CREDENTIALS',
+      attemptsRemaining
+    }
+  };
+}
+
+// The owner hears about the lockout once per run of failures. The mail points at the forgot-password
+// screen rather than minting a token, so whoever triggered the lockout cannot void a reset link the
+// owner already has
+async function sendAccountLockedEmail(user) {
+  await sendMail({
+    to: user.email,
+    subject: 'Your Learnova account was temporarily locked',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `We locked sign-in to your Learnova account for ${LOGIN_LOCKOUT_MINUTES} minutes after ${LOGIN_LOCKOUT_THRESHOLD} failed password attempts.`,
+      '',
+      'If this was you, you can wait for the lock to expire, or request a password reset now to unlock the account:',
+      `${APP_URL}/?forgotPassword=1`,
+      '',
+      'If this was not you, someone may be guessing your password. Resetting it is the safest option.'
+    ].join('\n')
+  });
+}
+
+// OpenID Connect Single Sign-On (authorization code flow with PKCE)
+// Flow state lives in memory like activeUsers: pending authorizations keyed by state, and
+// finished sign-ins keyed by a one-time code the client swaps for our own tokens
+const oidcDiscoveryCache = new Map();
+const oidcPendingFlows = new Map();
+const oidcCompletedLogins = new Map();
+const OIDC_DISCOVERY_TTL_MS = 60 * 60 * 1000;
+// A provider that stops answering must not hold the sign-in request open
+const OIDC_REQUEST_TIMEOUT_MS = 10 * 1000;
+const OIDC_SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Sign-in failures reach the client as one of these codes in the redirect, never as free text; the
+// client has the message for each. Anything else is reported as 'failed'
+const SSO_ERROR_CODES = ['unknown_provider', 'unavailable', 'cancelled', 'failed', 'expired', 'no_email', 'account_exists', 'link_required'];
+
+// Errors that map to a specific SSO error code instead of the generic 'failed'
+const oidcError = (ssoCode, message) => Object.assign(new Error(message), { ssoCode });
+
+const getOidcProvider = (id) => OIDC_PROVIDERS.find(provider => provider.id === id);
+
+const getOidcRedirectUri = (provider) => `${APP_URL}/api/auth/oidc/${provider.id}/callback`;
+
+const pruneExpiredEntries = (map) => {
+  const now = Date.now();
+  for (const [key, entry] of map) {
+    if (entry.expiresAt < now) map.delete(key);
+  }
+};
+
+async function fetchJson(url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), OIDC_REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`Request to ${url} failed with status ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function discoverOidcProvider(provider, { forceRefresh = false } = {}) {
+  const cached = oidcDiscoveryCache.get(provider.id);
+  if (cached && cached.expiresAt > Date.now() && !forceRefresh) {
+    return cached;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (String(metadata.issuer).replace(/\/+$/, '') !== provider.issuer) {
+    throw new Error(`OIDC issuer mismatch for provider "${provider.id}"`);
+  }
+
+  const { keys = [] } = await fetchJson(metadata.jwks_uri);
+  const entry = { metadata, keys, expiresAt: Date.now() + OIDC_DISCOVERY_TTL_MS };
+  oidcDiscoveryCache.set(provider.id, entry);
+  return entry;
+}
+
+// Finds the signing key by kid, refetching the JWKS once in case the provider rotated keys
+async function getOidcSigningKey(provider, kid) {
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let jwk = findKey((await discoverOidcProvider(provider)).keys);
+  if (!jwk) {
+    jwk = findKey((await discoverOidcProvider(provider, { forceRefresh: true })).keys);
+  }
+  if (!jwk) {
+    throw new Error(`No signing key "${kid}" published by provider "${provider.id}"`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' });
+}
+
+async function verifyIdToken(provider, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header) {
+    throw new Error('Malformed ID token');
+  }
+
+  const { metadata } = await discoverOidcProvider(provider);
+  const publicKey = await getOidcSigningKey(provider, decoded.header.kid);
+  const claims = jwt.verify(idToken, publicKey, {
+    algorithms: OIDC_SIGNING_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+}
+
+// Resolves the Learnova account for a provider identity: an existing link, an account with the
+// same (provider-verified) email, or a new account. Instructor and admin accounts are never linked
+// on the provider's word alone
+async function findOrCreateOidcUser(provider, claims) {
+  const identity = { provider: provider.id, subject: String(claims.sub) };
+
+  const linkedUser = await User.findOne({ identities: { $elemMatch: identity } });
+  if (linkedUser) {
+    return linkedUser;
+  }
+
+  const email = claims.email?.toLowerCase().trim();
+  if (!email) {
+    throw oidcError('no_email', `${provider.name} did not share an email address`);
+  }
+
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser) {
+    // Linking on an unverified address would let anyone claim another person's account
+    if (!emailVerified) {
+      throw oidcError('account_exists', 'An account with this email already exists');
+    }
+    // A provider account with a matching address would otherwise be a way into a privileged account
+    if (PRIVILEGED_ROLES.includes(existingUser.role)) {
+      throw oidcError('link_required', 'Privileged accounts are not linked automatically');
+    }
+
+    existingUser.identities.push({ ...identity, email });
+    if (!existingUser.emailVerified) {
+      existingUser.emailVerified = true;
+      existingUser.emailVerifiedAt = new Date();
+    }
+    await existingUser.save();
+    return existingUser;
+  }
+
+  // SSO accounts get an unusable random password; a real one can be set through the reset flow
+  const user = new User({
+    name: claims.name || claims.preferred_username || email.split('@')[0],
+    email,
+    password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+    emailVerified,
+    emailVerifiedAt: emailVerified ? new Date() : undefined,
+    identities: [{ ...identity, email }]
+  });
+  await user.save();
+
+  if (!emailVerified) {
+    await sendVerificationEmail(user).catch(error => {
+      console.error('Verification Email Error:', error);
+    });
+  }
+
+  return user;
+}
+
+const redirectWithSsoError = (res, code) => {
+  res.redirect(`${APP_URL}/?ssoError=${SSO_ERROR_CODES.includes(code) ? code : 'failed'}`);
+};
+
+// Audit Logging
+// The actor is always the real person: the admin behind an impersonation session, not the target
+const recordAudit = async (req, action, targetUserId, details = {}) => {
+  if (!AuditLog) return;
+
+  await AuditLog.create({
+    actorId: req.user.impersonatorId || req.user.userId,
+    action,
+    targetUserId,
+    details,
+    ...getClientInfo(req)
+  }).catch(error => {
+    console.error('Audit Log Error:', error);
+  });
+};
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// API Routes
+
+// Health Check
+app.get('/api/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    version: '2.0.0'
+  });
+});
+
+// Authentication Routes
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    // Validation
+    if (!name || !email || !password) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Name, email, and password are required' 
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Password must be at least 6 characters long' 
+      });
+    }
+
+    // Check if MongoDB is available
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available. Please try again later.'
+      });
+    }
+
+    // Check if user exists
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({ 
         success: false, 
         error: 'User with this email already exists' 
       });
@@ -456,21 +1701,30 @@ app.post('/api/auth/register', async (req, res) => {
 
     await user.save();
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id, email: user.email }, 
-      JWT_SECRET, 
-      { expiresIn: '7d' }
-    );
+    // A failed send should not fail registration; the user can resend from the app
+    await sendVerificationEmail(user).catch(error => {
+      console.error('Verification Email Error:', error);
+    });
+
+    // Generate access and refresh tokens
+    const { token, refreshToken, expiresIn, persistent } = await issueAuthTokens(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User created successfully',
+      verificationRequired: true,
       token,
+      refreshToken,
+      expiresIn,
+      persistent,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        permissions: getUserPermissions(user),
+        twoFactorSetupRequired: needsTwoFactorSetup(user),
         preferences: user.preferences,
         stats: user.stats
       }
@@ -504,21 +1758,41 @@ app.post('/api/auth/login', async (req, res) => {
       });
     }
 
-    // Find user
-    const user = await User.findOne({ email: email.toLowerCase() });
-    if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Invalid email or password' 
-      });
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    // Locked or cooling-down addresses are refused before the password is even looked at
+    const block = getLoginBlock(await LoginThrottle.findOne({ email: normalizedEmail }));
+    if (block) {
+      return res.status(block.status).json(block.body);
     }
 
-    // Check password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Invalid email or password' 
+    // Find user and check password
+    const user = await User.findOne({ email: normalizedEmail });
+    const isValidPassword = await bcrypt.compare(String(password), user?.password || DUMMY_PASSWORD_HASH);
+    if (!user || !isValidPassword) {
+      const failure = await recordFailedLogin(normalizedEmail, user);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    await LoginThrottle.deleteOne({ email: normalizedEmail });
+
+    if (isSuspended(user)) {
+      return rejectSuspended(res);
+    }
+
+    // Second step: hand back a short-lived challenge instead of session tokens
+    if (user.twoFactor?.enabled) {
+      const challengeToken = jwt.sign(
+        { userId: user._id, purpose: '2fa_challenge' },
+        JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+      );
+
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken,
+        message: 'Enter the code from your authenticator app'
       });
     }
 
@@ -527,22 +1801,25 @@ app.post('/api/auth/login', async (req, res) => {
     user.isOnline = true;
     await user.save();
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id, email: user.email }, 
-      JWT_SECRET, 
-      { expiresIn: '7d' }
-    );
+    // Generate access and refresh tokens
+    const { token, refreshToken, expiresIn, persistent } = await issueAuthTokens(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
+      persistent,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         avatar: user.avatar,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        permissions: getUserPermissions(user),
+        twoFactorSetupRequired: needsTwoFactorSetup(user),
         preferences: user.preferences,
         stats: user.stats
       }
@@ -556,326 +1833,6576 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
-app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    if (User) {
-      await User.findByIdAndUpdate(req.user.userId, { 
-        isOnline: false,
-        lastActive: new Date()
+    const { refreshToken, deviceSignature } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    if (!User || !AuthSession) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available. Please try again later.'
+      });
+    }
+
+    const [sessionId] = refreshToken.split('.');
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    const session = await AuthSession.findById(sessionId).select('+devicePublicKey');
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired. Please log in again.'
+      });
+    }
+
+    // A valid session id with a stale secret means an old token was replayed, unless it is the token
+    // rotated out moments ago. That one gets an access token but no new refresh token, so the tab
+    // picks up the current one the other tab stored
+    const presentedHash = hashToken(refreshToken);
+    const isCurrentToken = session.refreshTokenHash === presentedHash;
+    const isJustRotated = !isCurrentToken &&
+      session.previousRefreshTokenHash === presentedHash &&
+      session.lastRotatedAt > new Date(Date.now() - REFRESH_REUSE_GRACE_MS);
+    if (!isCurrentToken && !isJustRotated) {
+      await revokeAuthSession(session._id, 'refresh_token_reuse');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    // A remembered session only refreshes on the device that holds its key
+    if (session.persistent && !verifyDeviceSignature(session.devicePublicKey, refreshToken, deviceSignature)) {
+      await revokeAuthSession(session._id, 'device_mismatch');
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await revokeAuthSession(session._id, 'user_missing');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    if (isSuspended(user)) {
+      await revokeAuthSession(session._id, 'suspended');
+      return rejectSuspended(res);
+    }
+
+    if (isJustRotated) {
+      return res.json({
+        success: true,
+        token: signAccessToken(user, session._id, session.impersonatorId),
+        expiresIn: ACCESS_TOKEN_TTL,
+        persistent: session.persistent
       });
     }
 
+    // Rotate the refresh token on every use
+    const nextRefreshToken = generateRefreshToken(session._id);
+    session.previousRefreshTokenHash = session.refreshTokenHash;
+    session.refreshTokenHash = hashToken(nextRefreshToken);
+    session.lastRotatedAt = new Date();
+    session.lastSeenAt = new Date();
+    session.ipAddress = getClientInfo(req).ipAddress;
+    if (session.persistent) {
+      session.expiresAt = getSessionExpiry(true);
+    }
+    await session.save();
+
     res.json({
       success: true,
-      message: 'Logged out successfully'
+      token: signAccessToken(user, session._id, session.impersonatorId),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      persistent: session.persistent
     });
   } catch (error) {
-    console.error('Logout Error:', error);
+    console.error('Token Refresh Error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Logout failed' 
+      error: 'Failed to refresh session' 
     });
   }
 });
 
-// User Routes
-app.get('/api/user/profile', authenticateToken, async (req, res) => {
+app.post('/api/auth/verify-email', async (req, res) => {
   try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification token is required'
+      });
+    }
+
     if (!User) {
       return res.status(500).json({
         success: false,
-        error: 'Database not available'
+        error: 'Database not available. Please try again later.'
       });
     }
 
-    const user = await User.findById(req.user.userId).select('-password');
+    // The token is matched and cleared in one update, so it can only ever be redeemed once
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationTokenHash: hashToken(String(token)),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
     if (!user) {
-      return res.status(404).json({
+      return res.status(400).json({
         success: false,
-        error: 'User not found'
+        error: 'This verification link is invalid or has expired'
       });
     }
 
+    // Bootstrap admins: only a verified owner of a listed address is promoted
+    if (ADMIN_EMAILS.includes(user.email)) {
+      await User.updateOne({ _id: user._id }, { role: 'admin' });
+    }
+
     res.json({
       success: true,
-      user
+      message: 'Email verified successfully'
     });
   } catch (error) {
-    console.error('Profile Error:', error);
+    console.error('Email Verification Error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch profile' 
+      error: 'Failed to verify email. Please try again.' 
     });
   }
 });
 
-app.put('/api/user/profile', authenticateToken, async (req, res) => {
+app.post('/api/auth/resend-verification', authenticateToken, async (req, res) => {
   try {
-    const { name, preferences } = req.body;
-
     if (!User) {
       return res.status(500).json({
         success: false,
-        error: 'Database not available'
+        error: 'Database not available. Please try again later.'
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (error) {
+    console.error('Resend Verification Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to send verification email' 
+    });
+  }
+});
+
+// Two-Factor Authentication Routes
+const twoFactorLockedBody = (lockedUntil) => ({
+  success: false,
+  error: `Too many invalid codes. Try again in ${Math.ceil((lockedUntil - Date.now()) / 60000)} minutes.`,
+  code: 'TWO_FACTOR_LOCKED',
+  retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000)
+});
+
+// Counts a wrong second-factor code against the account; the last allowed failure locks the step
+async function recordTwoFactorFailure(userId) {
+  const updated = await User.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true, projection: '+twoFactor.failedAttempts' }
+  ).lean();
+  const failures = updated?.twoFactor?.failedAttempts || 0;
+
+  if (failures >= TWO_FACTOR_MAX_FAILURES) {
+    const lockedUntil = new Date(Date.now() + TWO_FACTOR_LOCKOUT_MINUTES * 60 * 1000);
+    await User.updateOne({ _id: userId }, { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': lockedUntil });
+    return { status: 429, body: twoFactorLockedBody(lockedUntil) };
+  }
+
+  return {
+    status: 401,
+    body: {
+      success: false,
+      error: 'Invalid authentication code',
+      code: 'INVALID_2FA_CODE',
+      attemptsRemaining: TWO_FACTOR_MAX_FAILURES - failures
+    }
+  };
+}
+
+// Lockout-aware second-factor check shared by every route that asks for a code.
+// Returns { method } on success or { failure: { status, body } } to send back.
+async function verifySecondFactor(user, code) {
+  if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > Date.now()) {
+    return { failure: { status: 429, body: twoFactorLockedBody(user.twoFactor.lockedUntil) } };
+  }
+
+  const method = await consumeSecondFactor(user, code);
+  if (!method) {
+    return { failure: await recordTwoFactorFailure(user._id) };
+  }
+
+  if (user.twoFactor.failedAttempts || user.twoFactor.lockedUntil) {
+    await User.updateOne({ _id: user._id }, {
+      $unset: { 'twoFactor.failedAttempts': 1, 'twoFactor.lockedUntil': 1 }
+    });
+  }
+
+  return { method };
+}
+
+app.post('/api/auth/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Challenge token and code are required'
+      });
+    }
+
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available. Please try again later.'
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Sign-in attempt expired. Please log in again.'
+      });
+    }
+
+    if (challenge.purpose !== '2fa_challenge') {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid sign-in attempt'
+      });
+    }
+
+    const user = await User.findById(challenge.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid sign-in attempt'
+      });
+    }
+
+    if (isSuspended(user)) {
+      return rejectSuspended(res);
+    }
+
+    const { method, failure } = await verifySecondFactor(user, code);
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      lastActive: new Date(),
+      isOnline: true
+    });
+
+    const { token, refreshToken, expiresIn, persistent } = await issueAuthTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      twoFactorMethod: method,
+      recoveryCodesRemaining: method === 'recovery_code' ? user.twoFactor.recoveryCodes.length - 1 : undefined,
+      token,
+      refreshToken,
+      expiresIn,
+      persistent,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        avatar: user.avatar,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        permissions: getUserPermissions(user),
+        twoFactorSetupRequired: needsTwoFactorSetup(user),
+        preferences: user.preferences,
+        stats: user.stats
+      }
+    });
+  } catch (error) {
+    console.error('2FA Verify Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Login failed. Please try again.' 
+    });
+  }
+});
+
+app.post('/api/auth/2fa/setup', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // The secret only becomes active once a code generated from it is confirmed
+    const secret = base32Encode(crypto.randomBytes(20));
+    await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email)
+    });
+  } catch (error) {
+    console.error('2FA Setup Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to start two-factor setup' 
+    });
+  }
+});
+
+app.post('/api/auth/2fa/enable', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Authentication code is required'
+      });
+    }
+
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, String(code).trim());
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.secret': user.twoFactor.pendingSecret,
+      'twoFactor.recoveryCodes': recoveryCodes.map(recoveryCode => hashToken(normalizeRecoveryCode(recoveryCode))),
+      'twoFactor.lastUsedStep': step,
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    });
+
+    // Sessions signed in with only a password no longer meet the bar; keep the current one
+    await AuthSession.updateMany(
+      { userId: user._id, _id: { $ne: req.user.sessionId }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: '2fa_enabled' }
+    );
+    const sockets = await io.in(`user-${user._id}`).fetchSockets();
+    sockets
+      .filter(socket => !socket.rooms.has(`auth-${req.user.sessionId}`))
+      .forEach(socket => socket.disconnect(true));
+
+    // Instructor and admin tools unlock with 2FA
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+      permissions: getUserPermissions({ role: user.role, twoFactor: { enabled: true } })
+    });
+  } catch (error) {
+    console.error('2FA Enable Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to enable two-factor authentication' 
+    });
+  }
+});
+
+app.post('/api/auth/2fa/disable', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password and authentication code are required'
+      });
+    }
+
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (PRIVILEGED_ROLES.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Instructor and admin accounts must keep two-factor authentication on',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password or authentication code',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    const { failure } = await verifySecondFactor(user, code);
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      'twoFactor.enabled': false,
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA Disable Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to disable two-factor authentication' 
+    });
+  }
+});
+
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > Date.now()) {
+      return res.status(429).json(twoFactorLockedBody(user.twoFactor.lockedUntil));
+    }
+
+    // Only an authenticator code counts here; a recovery code cannot mint a fresh set
+    const step = verifyTotp(user.twoFactor.secret, String(code || '').trim(), user.twoFactor.lastUsedStep ?? -1);
+    if (step === null) {
+      const failure = await recordTwoFactorFailure(user._id);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      'twoFactor.recoveryCodes': recoveryCodes.map(recoveryCode => hashToken(normalizeRecoveryCode(recoveryCode))),
+      'twoFactor.lastUsedStep': step,
+      $unset: { 'twoFactor.failedAttempts': 1, 'twoFactor.lockedUntil': 1 }
+    });
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA Recovery Codes Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to regenerate recovery codes' 
+    });
+  }
+});
+
+// Single Sign-On Routes
+app.get('/api/auth/oidc/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: OIDC_PROVIDERS.map(({ id, name }) => ({ id, name }))
+  });
+});
+
+app.get('/api/auth/oidc/:provider/start', async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+  if (!provider) {
+    return redirectWithSsoError(res, 'unknown_provider');
+  }
+
+  try {
+    const { metadata } = await discoverOidcProvider(provider);
+
+    const state = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    pruneExpiredEntries(oidcPendingFlows);
+    oidcPendingFlows.set(state, {
+      providerId: provider.id,
+      nonce,
+      codeVerifier,
+      expiresAt: Date.now() + OIDC_FLOW_TTL_MS
+    });
+
+    const authorizationUrl = new URL(metadata.authorization_endpoint);
+    authorizationUrl.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: getOidcRedirectUri(provider),
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    res.redirect(authorizationUrl.toString());
+  } catch (error) {
+    console.error('OIDC Start Error:', error);
+    redirectWithSsoError(res, 'unavailable');
+  }
+});
+
+app.get('/api/auth/oidc/:provider/callback', async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+  const { code, state, error, error_description: errorDescription } = req.query;
+
+  // State is single-use whether or not the rest of the callback succeeds
+  const flow = state ? oidcPendingFlows.get(String(state)) : null;
+  if (flow) oidcPendingFlows.delete(String(state));
+
+  if (!provider) {
+    return redirectWithSsoError(res, 'unknown_provider');
+  }
+
+  if (error) {
+    // The provider's error_description is logged, not passed on: it is attacker-controllable text
+    console.error('OIDC Provider Error:', error, errorDescription);
+    return redirectWithSsoError(res, error === 'access_denied' ? 'cancelled' : 'failed');
+  }
+
+  if (!flow || flow.providerId !== provider.id || flow.expiresAt < Date.now() || !code) {
+    return redirectWithSsoError(res, 'expired');
+  }
+
+  try {
+    if (!User) {
+      throw oidcError('unavailable', 'Database not available');
+    }
+
+    const { metadata } = await discoverOidcProvider(provider);
+
+    const tokenParams = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(code),
+      redirect_uri: getOidcRedirectUri(provider),
+      client_id: provider.clientId,
+      code_verifier: flow.codeVerifier
+    });
+    if (provider.clientSecret) {
+      tokenParams.set('client_secret', provider.clientSecret);
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: tokenParams
+    });
+
+    if (!tokens.id_token) {
+      throw new Error('Token response did not include an ID token');
+    }
+
+    const claims = await verifyIdToken(provider, tokens.id_token, flow.nonce);
+    const user = await findOrCreateOidcUser(provider, claims);
+
+    // Tokens are issued only when the client redeems this code, keeping them out of the URL
+    const loginCode = crypto.randomBytes(32).toString('hex');
+    pruneExpiredEntries(oidcCompletedLogins);
+    oidcCompletedLogins.set(hashToken(loginCode), {
+      userId: user._id,
+      provider: provider.id,
+      expiresAt: Date.now() + OIDC_LOGIN_CODE_TTL_MS
+    });
+
+    res.redirect(`${APP_URL}/?ssoCode=${loginCode}`);
+  } catch (error) {
+    console.error('OIDC Callback Error:', error);
+    redirectWithSsoError(res, error.ssoCode || 'failed');
+  }
+});
+
+app.post('/api/auth/oidc/exchange', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sign-in code is required'
+      });
+    }
+
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available. Please try again later.'
+      });
+    }
+
+    const codeHash = hashToken(String(code));
+    const completed = oidcCompletedLogins.get(codeHash);
+    oidcCompletedLogins.delete(codeHash);
+
+    if (!completed || completed.expiresAt < Date.now()) {
+      return res.status(400).json({
+        success: false,
+        error: 'This sign-in link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(completed.userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'This sign-in link is invalid or has expired'
+      });
+    }
+
+    if (isSuspended(user)) {
+      return rejectSuspended(res);
+    }
+
+    // Accounts with 2FA still need their second factor after SSO
+    if (user.twoFactor?.enabled) {
+      const challengeToken = jwt.sign(
+        { userId: user._id, purpose: '2fa_challenge' },
+        JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+      );
+
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken,
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    user.lastActive = new Date();
+    user.isOnline = true;
+    await user.save();
+
+    const { token, refreshToken, expiresIn, persistent } = await issueAuthTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      provider: completed.provider,
+      token,
+      refreshToken,
+      expiresIn,
+      persistent,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        avatar: user.avatar,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        permissions: getUserPermissions(user),
+        twoFactorSetupRequired: needsTwoFactorSetup(user),
+        preferences: user.preferences,
+        stats: user.stats
+      }
+    });
+  } catch (error) {
+    console.error('OIDC Exchange Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to complete sign-in. Please try again.' 
+    });
+  }
+});
+
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeAuthSession(req.user.sessionId, 'logout');
+
+    // Drop real-time connections opened with this session's tokens
+    disconnectSessionSockets(req.user.userId, req.user.sessionId, 'logout');
+
+    if (req.user.impersonatorId) {
+      await recordAudit(req, 'user.impersonate_end', req.user.userId, { sessionId: req.user.sessionId });
+    } else if (User) {
+      await User.findByIdAndUpdate(req.user.userId, { 
+        isOnline: false,
+        lastActive: new Date()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Logout failed' 
+    });
+  }
+});
+
+app.post('/api/auth/forgot-password', async (req, res) => {
+  // Same response whether or not the account exists, so addresses cannot be enumerated
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available. Please try again later.'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetUrl = await createPasswordResetUrl(user);
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Learnova password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'We received a request to reset your Learnova password. Use the link below to choose a new one:',
+        resetUrl,
+        '',
+        `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`,
+        'Resetting your password also unlocks sign-in if it was locked after failed attempts.',
+        'If you did not request a reset, you can ignore this email.'
+      ].join('\n')
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot Password Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to send reset email. Please try again.' 
+    });
+  }
+});
+
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password || typeof token !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token and new password are required'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Password must be at least 6 characters long' 
+      });
+    }
+
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available. Please try again later.'
+      });
+    }
+
+    // Matching and clearing the hash in one update makes the token single-use, even when the link is
+    // submitted twice at once
+    const hashedPassword = await bcrypt.hash(password, 12);
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      {
+        password: hashedPassword,
+        $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'This reset link is invalid or has expired'
+      });
+    }
+
+    // Proving control of the mailbox also lifts any sign-in lockout
+    await LoginThrottle.deleteOne({ email: user.email });
+
+    // Sign out every device that may have been using the old password
+    await revokeAllAuthSessions(user._id, 'password_reset');
+    io.in(`user-${user._id}`).disconnectSockets(true);
+
+    res.json({
+      success: true,
+      message: 'Password updated. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset Password Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to reset password. Please try again.' 
+    });
+  }
+});
+
+// User Routes
+app.get('/api/user/profile', authenticateScoped('profile:read'), async (req, res) => {
+  try {
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: {
+        ...user.toObject(),
+        permissions: getUserPermissions(user),
+        twoFactorSetupRequired: needsTwoFactorSetup(user)
+      }
+    });
+  } catch (error) {
+    console.error('Profile Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch profile' 
+    });
+  }
+});
+
+app.put('/api/user/profile', authenticateToken, async (req, res) => {
+  try {
+    const { name, preferences } = req.body;
+
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const updateData = { lastActive: new Date() };
+    if (name) updateData.name = name.trim();
+    if (preferences) updateData.preferences = { ...preferences };
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      updateData,
+      { new: true }
+    ).select('-password');
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    console.error('Profile Update Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update profile' 
+    });
+  }
+});
+
+app.post('/api/user/avatar', authenticateToken, upload.single('avatar'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'No file uploaded' 
+      });
+    }
+
+    const avatarUrl = `/uploads/${req.file.filename}`;
+
+    if (User) {
+      const previous = await User.findByIdAndUpdate(req.user.userId, { 
+        avatar: avatarUrl,
+        lastActive: new Date()
+      });
+
+      // The replaced avatar is no longer referenced anywhere
+      if (previous?.avatar && previous.avatar !== avatarUrl) {
+        await removeUploadedFile(previous.avatar);
+      }
+    }
+
+    res.json({
+      success: true,
+      avatar: avatarUrl
+    });
+  } catch (error) {
+    console.error('Avatar Upload Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to upload avatar' 
+    });
+  }
+});
+
+// Personal Data Routes
+app.get('/api/user/export', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const userId = req.user.userId;
+    const user = await User.findById(userId).select('-password').lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const [subjects, sessions, questions, groups, loginSessions, apiTokens, questionReports] = await Promise.all([
+      Subject ? Subject.find({ userId }).lean() : [],
+      Session ? Session.find({ userId }).sort({ startTime: 1 }).lean() : [],
+      Question ? Question.find({ createdBy: userId }).lean() : [],
+      StudyGroup ? StudyGroup.find({ $or: [{ leader: userId }, { members: userId }] }).lean() : [],
+      AuthSession ? AuthSession.find({ userId }).select('-refreshTokenHash').lean() : [],
+      ApiToken ? ApiToken.find({ userId }).select('-tokenHash').lean() : [],
+      QuestionReport ? QuestionReport.find({ reportedBy: userId }).lean() : []
+    ]);
+
+    const toJson = (value) => JSON.stringify(value, null, 2);
+    const entries = [
+      { name: 'profile.json', data: toJson(user) },
+      { name: 'subjects.json', data: toJson(subjects) },
+      { name: 'practice-sessions.json', data: toJson(sessions) },
+      { name: 'questions.json', data: toJson(questions) },
+      {
+        name: 'study-groups.json',
+        data: toJson(groups.map(group => ({
+          ...group,
+          yourRole: group.leader.toString() === userId ? 'leader' : 'member'
+        })))
+      },
+      { name: 'login-sessions.json', data: toJson(loginSessions) },
+      { name: 'api-tokens.json', data: toJson(apiTokens) },
+      { name: 'question-reports.json', data: toJson(questionReports) }
+    ];
+
+    const avatarPath = resolveUploadPath(user.avatar);
+    if (avatarPath) {
+      const avatar = await fs.readFile(avatarPath).catch(() => null);
+      if (avatar) {
+        entries.push({ name: `avatar/${path.basename(avatarPath)}`, data: avatar });
+      }
+    }
+
+    for (const attachment of questions.flatMap(question => question.attachments || [])) {
+      const attachmentPath = resolveUploadPath(attachment.url);
+      const data = attachmentPath && await fs.readFile(attachmentPath).catch(() => null);
+      if (data) {
+        entries.push({ name: `question-attachments/${path.basename(attachmentPath)}`, data });
+      }
+    }
+
+    entries.unshift({
+      name: 'README.txt',
+      data: [
+        `Learnova data export for ${user.email}`,
+        `Generated ${new Date().toISOString()}`,
+        '',
+        ...entries.map(entry => `- ${entry.name}`)
+      ].join('\n')
+    });
+
+    const archive = createZipArchive(entries);
+    const filename = `learnova-export-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': archive.length,
+      'Cache-Control': 'no-store'
+    });
+    res.send(archive);
+  } catch (error) {
+    console.error('Data Export Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to export your data' 
+    });
+  }
+});
+
+// Permanently removes the account: personal records are deleted, shared content is anonymized
+app.delete('/api/user/account', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please confirm your password to delete your account'
+      });
+    }
+
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const userId = req.user.userId;
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      if (!code) {
+        return res.status(401).json({
+          success: false,
+          error: 'A valid authentication code is required',
+          code: 'INVALID_2FA_CODE'
+        });
+      }
+
+      const { failure } = await verifySecondFactor(user, code);
+      if (failure) {
+        return res.status(failure.status).json(failure.body);
+      }
+    }
+
+    // Groups they lead pass to the longest-standing remaining member, or close if nobody is left
+    if (StudyGroup) {
+      const ledGroups = await StudyGroup.find({ leader: userId });
+      for (const group of ledGroups) {
+        const remaining = group.members.filter(member => member.toString() !== userId);
+        if (remaining.length === 0) {
+          await group.deleteOne();
+          continue;
+        }
+
+        group.leader = remaining[0];
+        group.members = remaining;
+        await group.save();
+        io.to(`group-${group._id}`).emit('group-leader-changed', { groupId: group._id, leader: group.leader });
+      }
+
+      await StudyGroup.updateMany({ members: userId }, { $pull: { members: userId } });
+    }
+
+    // Questions may be shared or referenced by other students' sessions, so keep them without an author.
+    // Audit entries stay as the record of what admins did, but lose anything personal about this
+    // user: the free-text reason given for actions taken on them and the IP/device of actions they took.
+    // The ids are kept; they no longer resolve to anyone once the account is gone
+    await Promise.all([
+      Subject && Subject.deleteMany({ userId }),
+      Session && Session.deleteMany({ userId }),
+      Question && Question.updateMany({ createdBy: userId }, { $unset: { createdBy: 1 } }),
+      AuthSession && AuthSession.deleteMany({ userId }),
+      ApiToken && ApiToken.deleteMany({ userId }),
+      QuestionReport && QuestionReport.deleteMany({ reportedBy: userId }),
+      QuestionReport && QuestionReport.updateMany({ resolvedBy: userId }, { $unset: { resolvedBy: 1 } }),
+      QuestionRevision && QuestionRevision.updateMany({ editedBy: userId }, { $unset: { editedBy: 1 } }),
+      LoginThrottle && LoginThrottle.deleteOne({ email: user.email }),
+      AuditLog && AuditLog.updateMany({ targetUserId: userId }, { $unset: { 'details.reason': 1 } }),
+      AuditLog && AuditLog.updateMany({ actorId: userId }, { $unset: { ipAddress: 1, userAgent: 1 } })
+    ]);
+
+    await removeUploadedFile(user.avatar);
+    await User.deleteOne({ _id: userId });
+
+    io.in(`user-${userId}`).disconnectSockets(true);
+
+    res.json({
+      success: true,
+      message: 'Your account and personal data have been deleted'
+    });
+  } catch (error) {
+    console.error('Account Deletion Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete account' 
+    });
+  }
+});
+
+// Login Session Routes
+app.get('/api/user/sessions', authenticateToken, async (req, res) => {
+  try {
+    if (!AuthSession) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const sessions = await AuthSession.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 }).lean();
+
+    const connected = activeUsers.get(String(req.user.userId))?.sockets;
+    const connectedSessions = new Set(connected ? connected.values() : []);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: describeUserAgent(session.userAgent),
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        persistent: session.persistent,
+        current: String(session._id) === String(req.user.sessionId),
+        impersonated: Boolean(session.impersonatorId),
+        online: connectedSessions.has(String(session._id))
+      }))
+    });
+  } catch (error) {
+    console.error('Sessions Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch sessions' 
+    });
+  }
+});
+
+app.delete('/api/user/sessions/:id', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    if (!AuthSession) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const session = await AuthSession.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      revokedAt: null
+    }).catch(() => null);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await revokeAuthSession(session._id, 'revoked_by_user');
+    disconnectSessionSockets(req.user.userId, session._id);
+
+    res.json({
+      success: true,
+      current: String(session._id) === String(req.user.sessionId),
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke Session Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to revoke session' 
+    });
+  }
+});
+
+app.post('/api/user/sessions/revoke-others', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    if (!AuthSession) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const others = await AuthSession.find({
+      userId: req.user.userId,
+      _id: { $ne: req.user.sessionId },
+      revokedAt: null
+    }).select('_id').lean();
+
+    await AuthSession.updateMany(
+      { _id: { $in: others.map(session => session._id) } },
+      { revokedAt: new Date(), revokedReason: 'revoked_by_user' }
+    );
+    others.forEach(session => disconnectSessionSockets(req.user.userId, session._id));
+
+    res.json({
+      success: true,
+      revoked: others.length,
+      message: `Signed out of ${others.length} other session${others.length === 1 ? '' : 's'}`
+    });
+  } catch (error) {
+    console.error('Revoke Sessions Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to revoke sessions' 
+    });
+  }
+});
+
+// Personal Access Token Routes
+const formatApiToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  tokenPreview: apiToken.tokenPreview,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  expired: Boolean(apiToken.expiresAt && apiToken.expiresAt < new Date()),
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  createdAt: apiToken.createdAt
+});
+
+app.get('/api/user/api-tokens', authenticateToken, async (req, res) => {
+  try {
+    if (!ApiToken) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const tokens = await ApiToken.find({ userId: req.user.userId, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      tokens: tokens.map(formatApiToken),
+      availableScopes: API_TOKEN_SCOPES
+    });
+  } catch (error) {
+    console.error('API Tokens Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch API tokens' 
+    });
+  }
+});
+
+app.post('/api/user/api-tokens', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token name is required'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_TOKEN_SCOPES[scope])) {
+      return res.status(400).json({
+        success: false,
+        error: `Choose at least one scope from: ${Object.keys(API_TOKEN_SCOPES).join(', ')}`
+      });
+    }
+
+    const days = expiresInDays === null || expiresInDays === undefined || expiresInDays === '' ? null : parseInt(expiresInDays);
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > 365)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Expiry must be between 1 and 365 days, or omitted for no expiry'
+      });
+    }
+
+    if (!ApiToken) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const activeCount = await ApiToken.countDocuments({ userId: req.user.userId, revokedAt: null });
+    if (activeCount >= MAX_API_TOKENS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${MAX_API_TOKENS_PER_USER} active tokens. Revoke one first.`
+      });
+    }
+
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+    const apiToken = new ApiToken({
+      userId: req.user.userId,
+      name: String(name).trim(),
+      tokenHash: hashToken(token),
+      tokenPreview: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null
+    });
+
+    await apiToken.save();
+
+    // The plain token is only ever returned here
+    res.status(201).json({
+      success: true,
+      token,
+      apiToken: formatApiToken(apiToken)
+    });
+  } catch (error) {
+    console.error('Create API Token Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create API token' 
+    });
+  }
+});
+
+app.delete('/api/user/api-tokens/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!ApiToken) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId, revokedAt: null },
+      { revokedAt: new Date() }
+    ).catch(() => null);
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        error: 'API token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API token revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API Token Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to revoke API token' 
+    });
+  }
+});
+
+// Subject Routes
+// Recounted rather than incremented so archiving, restoring and deleting can never drift the stat
+async function syncActiveSubjectCount(userId) {
+  if (!User || !Subject) return;
+
+  const activeSubjects = await Subject.countDocuments({ userId, isActive: true });
+  await User.updateOne({ _id: userId }, { 'stats.activeSubjects': activeSubjects });
+  return activeSubjects;
+}
+
+const SUBJECT_STATUS_FILTERS = {
+  active: { isActive: true },
+  archived: { isActive: false },
+  all: {}
+};
+
+app.get('/api/subjects', authenticateScoped('subjects:read'), async (req, res) => {
+  try {
+    if (!Subject) {
+      return res.json({
+        success: true,
+        subjects: []
+      });
+    }
+
+    const statusFilter = SUBJECT_STATUS_FILTERS[req.query.status] || SUBJECT_STATUS_FILTERS.active;
+
+    const subjects = await Subject.find({ 
+      userId: req.user.userId,
+      ...statusFilter
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      subjects
+    });
+  } catch (error) {
+    console.error('Subjects Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch subjects' 
+    });
+  }
+});
+
+app.post('/api/subjects', authenticateToken, async (req, res) => {
+  try {
+    const { name, description, color, icon } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Subject name is required'
+      });
+    }
+
+    if (!Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const subject = new Subject({
+      userId: req.user.userId,
+      name: name.trim(),
+      description: description?.trim(),
+      color: color || '#667eea',
+      icon: icon || 'book'
+    });
+
+    await subject.save();
+
+    // Update user stats
+    const activeSubjects = await syncActiveSubjectCount(req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      subject,
+      activeSubjects
+    });
+  } catch (error) {
+    console.error('Create Subject Error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.message
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create subject' 
+    });
+  }
+});
+
+app.put('/api/subjects/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const subject = await Subject.findOne({ _id: req.params.id, userId: req.user.userId }).catch(() => null);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const { name, description, color, icon } = req.body;
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Subject name cannot be empty'
+        });
+      }
+      subject.name = name.trim();
+    }
+    if (description !== undefined) subject.description = description ? String(description).trim() : '';
+    if (color !== undefined) subject.color = color;
+    if (icon !== undefined) subject.icon = icon;
+
+    await subject.save();
+
+    res.json({
+      success: true,
+      subject
+    });
+  } catch (error) {
+    console.error('Update Subject Error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.message
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update subject' 
+    });
+  }
+});
+
+// Archiving hides a subject without losing its topics, questions or practice history
+const setSubjectArchived = (archived) => async (req, res) => {
+  try {
+    if (!Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const subject = await Subject.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId },
+      { isActive: !archived, archivedAt: archived ? new Date() : null },
+      { new: true }
+    ).catch(() => null);
+
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const activeSubjects = await syncActiveSubjectCount(req.user.userId);
+
+    res.json({
+      success: true,
+      subject,
+      activeSubjects
+    });
+  } catch (error) {
+    console.error(`${archived ? 'Archive' : 'Unarchive'} Subject Error:`, error);
+    res.status(500).json({ 
+      success: false, 
+      error: `Failed to ${archived ? 'archive' : 'restore'} subject` 
+    });
+  }
+};
+
+app.post('/api/subjects/:id/archive', authenticateToken, setSubjectArchived(true));
+app.post('/api/subjects/:id/unarchive', authenticateToken, setSubjectArchived(false));
+
+// Deleting removes the subject with its practice sessions and the owner's own questions in it;
+// questions other authors filed under the subject stay in the bank, just detached from it
+app.delete('/api/subjects/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const subject = await Subject.findOne({ _id: req.params.id, userId: req.user.userId }).catch(() => null);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const ownQuestions = Question
+      ? await Question.find({ subjectId: subject._id, createdBy: req.user.userId }).select('attachments').lean()
+      : [];
+    const ownQuestionIds = ownQuestions.map(question => question._id);
+
+    // What the subject's sessions added to the account totals comes off again with them
+    const subjectSessions = Session
+      ? await Session.find({ userId: req.user.userId, subjectId: subject._id }).select('questions.correct completed totalTime').lean()
+      : [];
+    const removedAnswers = subjectSessions.flatMap(session => session.questions);
+    const removedStudyTime = subjectSessions
+      .filter(session => session.completed)
+      .reduce((sum, session) => sum + (session.totalTime || 0), 0);
+
+    const [sessions, questions] = await Promise.all([
+      Session ? Session.deleteMany({ userId: req.user.userId, subjectId: subject._id }) : { deletedCount: 0 },
+      Question ? Question.deleteMany({ _id: { $in: ownQuestionIds } }) : { deletedCount: 0 },
+      deleteQuestionHistory(ownQuestionIds),
+      removeQuestionAttachments(ownQuestions)
+    ]);
+
+    if (Question) {
+      await Question.updateMany({ subjectId: subject._id }, { $unset: { subjectId: 1, topicId: 1 } });
+    }
+
+    await subject.deleteOne();
+    const activeSubjects = await syncActiveSubjectCount(req.user.userId);
+
+    if (removedAnswers.length > 0 || removedStudyTime > 0) {
+      await Promise.all([
+        updateAnswerStats(req.user.userId, {
+          answered: -removedAnswers.length,
+          correct: -removedAnswers.filter(entry => entry.correct).length
+        }),
+        removeStudyTime(req.user.userId, removedStudyTime)
+      ]);
+    }
+
+    res.json({
+      success: true,
+      message: 'Subject deleted',
+      deleted: {
+        sessions: sessions.deletedCount,
+        questions: questions.deletedCount
+      },
+      activeSubjects
+    });
+  } catch (error) {
+    console.error('Delete Subject Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete subject' 
+    });
+  }
+});
+
+// Topic Routes
+const TOPIC_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const findOwnedSubject = (req) =>
+  Subject.findOne({ _id: req.params.id, userId: req.user.userId }).catch(() => null);
+
+const sameParent = (topic, parentId) => String(topic.parentId || '') === String(parentId || '');
+
+// Names are unique among siblings, so two topics may share a subtopic name
+const hasTopicNamed = (subject, name, parentId = null, exceptTopicId = null) =>
+  subject.topics.some(topic =>
+    sameParent(topic, parentId) &&
+    topic.name.toLowerCase() === name.toLowerCase() &&
+    topic._id.toString() !== exceptTopicId);
+
+app.get('/api/subjects/:id', authenticateScoped('subjects:read'), async (req, res) => {
+  try {
+    if (!Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const subject = await findOwnedSubject(req);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      subject
+    });
+  } catch (error) {
+    console.error('Subject Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch subject' 
+    });
+  }
+});
+
+app.post('/api/subjects/:id/topics', authenticateToken, async (req, res) => {
+  try {
+    const { name, difficulty, parentId } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Topic name is required'
+      });
+    }
+
+    if (difficulty !== undefined && !TOPIC_DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({
+        success: false,
+        error: `Difficulty must be one of: ${TOPIC_DIFFICULTIES.join(', ')}`
+      });
+    }
+
+    if (!Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const subject = await findOwnedSubject(req);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    // Only one level of nesting: a subtopic's parent must be a top-level topic
+    if (parentId) {
+      const parent = subject.topics.id(parentId);
+      if (!parent || parent.parentId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Subtopics can only be added to a top-level topic of this subject'
+        });
+      }
+    }
+
+    if (hasTopicNamed(subject, name.trim(), parentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This subject already has a topic with that name'
+      });
+    }
+
+    subject.topics.push({ name: name.trim(), difficulty: difficulty || 'medium', parentId: parentId || null });
+    await subject.save();
+
+    res.status(201).json({
+      success: true,
+      topic: subject.topics[subject.topics.length - 1],
+      subject
+    });
+  } catch (error) {
+    console.error('Create Topic Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create topic' 
+    });
+  }
+});
+
+// Declared before the :topicId routes so "order" is not taken for a topic id
+app.put('/api/subjects/:id/topics/order', authenticateToken, async (req, res) => {
+  try {
+    const { topicIds } = req.body;
+
+    if (!Array.isArray(topicIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'topicIds must be an array'
+      });
+    }
+
+    if (!Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const subject = await findOwnedSubject(req);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    // The new order has to name every topic exactly once
+    const currentIds = subject.topics.map(topic => topic._id.toString()).sort();
+    const requestedIds = topicIds.map(String);
+    if (requestedIds.length !== currentIds.length ||
+        [...requestedIds].sort().some((id, index) => id !== currentIds[index])) {
+      return res.status(400).json({
+        success: false,
+        error: 'topicIds must list every topic of the subject exactly once'
+      });
+    }
+
+    subject.topics = requestedIds.map(id => subject.topics.id(id));
+    await subject.save();
+
+    res.json({
+      success: true,
+      subject
+    });
+  } catch (error) {
+    console.error('Reorder Topics Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to reorder topics' 
+    });
+  }
+});
+
+app.put('/api/subjects/:id/topics/:topicId', authenticateToken, async (req, res) => {
+  try {
+    const { name, difficulty, weakAreas } = req.body;
+
+    if (difficulty !== undefined && !TOPIC_DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({
+        success: false,
+        error: `Difficulty must be one of: ${TOPIC_DIFFICULTIES.join(', ')}`
+      });
+    }
+
+    if (weakAreas !== undefined && (!Array.isArray(weakAreas) || weakAreas.some(area => typeof area !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'weakAreas must be an array of strings'
+      });
+    }
+
+    if (!Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const subject = await findOwnedSubject(req);
+    const topic = subject?.topics.id(req.params.topicId);
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        error: 'Topic not found'
+      });
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Topic name cannot be empty'
+        });
+      }
+      if (hasTopicNamed(subject, name.trim(), topic.parentId, topic._id.toString())) {
+        return res.status(400).json({
+          success: false,
+          error: 'This subject already has a topic with that name'
+        });
+      }
+      topic.name = name.trim();
+    }
+    if (difficulty !== undefined) topic.difficulty = difficulty;
+    if (weakAreas !== undefined) topic.weakAreas = weakAreas.map(area => area.trim()).filter(Boolean);
+
+    await subject.save();
+
+    res.json({
+      success: true,
+      topic,
+      subject
+    });
+  } catch (error) {
+    console.error('Update Topic Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update topic' 
+    });
+  }
+});
+
+// Deleting a topic also deletes its subtopics. Their questions stay with the subject,
+// and past sessions keep their topic id as history
+app.delete('/api/subjects/:id/topics/:topicId', authenticateToken, async (req, res) => {
+  try {
+    if (!Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const subject = await findOwnedSubject(req);
+    const topic = subject?.topics.id(req.params.topicId);
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        error: 'Topic not found'
+      });
+    }
+
+    const removedIds = [topic._id, ...subject.topics.filter(child => sameParent(child, topic._id)).map(child => child._id)];
+    removedIds.forEach(id => subject.topics.pull(id));
+    subject.topics.forEach(remaining => {
+      remaining.prerequisites = remaining.prerequisites.filter(id => !removedIds.some(removed => removed.equals(id)));
+    });
+    await subject.save();
+
+    if (Question) {
+      await Question.updateMany(
+        { subjectId: subject._id, topicId: { $in: removedIds.map(String) } },
+        { $unset: { topicId: 1 } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Topic deleted',
+      subject
+    });
+  } catch (error) {
+    console.error('Delete Topic Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete topic' 
+    });
+  }
+});
+
+// Prerequisites and Learning Paths
+// Prerequisites are edges between topics of the same subject and must form a DAG. Mastery blends
+// accuracy with how much evidence there is, so two lucky answers do not count as mastering a topic.
+const MASTERY_MIN_ANSWERS = 5;
+const MASTERY_THRESHOLD = 0.8;
+const WEAK_FOUNDATION_THRESHOLD = 0.6;
+
+const getTopicMastery = (topic) => {
+  if (!topic.questionsAnswered) return 0;
+  const accuracy = topic.correctAnswers / topic.questionsAnswered;
+  return accuracy * Math.min(1, topic.questionsAnswered / MASTERY_MIN_ANSWERS);
+};
+
+const getPrerequisiteIds = (topic) => (topic.prerequisites || []).map(String);
+
+// Returns the topic ids along a cycle that topicId -> prerequisiteIds would close, or null.
+// A cycle exists when topicId is already reachable by following prerequisites from one of them
+function findPrerequisiteCycle(subject, topicId, prerequisiteIds) {
+  const byId = new Map(subject.topics.map(topic => [topic._id.toString(), topic]));
+  const visited = new Set();
+
+  const walk = (id, path) => {
+    if (id === topicId) return path;
+    if (visited.has(id)) return null;
+    visited.add(id);
+
+    const topic = byId.get(id);
+    for (const next of topic ? getPrerequisiteIds(topic) : []) {
+      const cycle = walk(next, [...path, next]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  for (const prerequisiteId of prerequisiteIds) {
+    const cycle = walk(prerequisiteId, [topicId, prerequisiteId]);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+// Prerequisites the student has attempted or skipped without reaching a solid grasp
+function getWeakPrerequisites(subject, topic) {
+  return getPrerequisiteIds(topic)
+    .map(id => subject.topics.id(id))
+    .filter(prerequisite => prerequisite && getTopicMastery(prerequisite) < WEAK_FOUNDATION_THRESHOLD);
+}
+
+const compareRanks = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+};
+
+// Orders every topic so prerequisites come first (Kahn's algorithm). Among topics that are free to
+// go next, ones with solid foundations come first, then ones already in progress, then the subject's own order
+function buildLearningPath(subject) {
+  const topics = subject.topics;
+  const ids = topics.map(topic => topic._id.toString());
+  const mastery = new Map(topics.map(topic => [topic._id.toString(), getTopicMastery(topic)]));
+  const isMastered = (id) => mastery.get(id) >= MASTERY_THRESHOLD;
+
+  const remainingPrerequisites = new Map(topics.map(topic => [
+    topic._id.toString(),
+    new Set(getPrerequisiteIds(topic).filter(id => ids.includes(id)))
+  ]));
+
+  const path = [];
+  const placed = new Set();
+  while (placed.size < ids.length) {
+    const candidates = ids.filter(id => !placed.has(id) && [...remainingPrerequisites.get(id)].every(pre => placed.has(pre)));
+    if (candidates.length === 0) break; // Only reachable with a cycle, which updates refuse to store
+
+    const rank = (id) => [
+      getWeakPrerequisites(subject, topics[ids.indexOf(id)]).length ? 1 : 0,
+      mastery.get(id) > 0 ? 0 : 1,
+      ids.indexOf(id)
+    ];
+    candidates.sort((a, b) => compareRanks(rank(a), rank(b)));
+
+    placed.add(candidates[0]);
+    path.push(candidates[0]);
+  }
+
+  return path.map(id => {
+    const topic = subject.topics.id(id);
+    const weakPrerequisites = getWeakPrerequisites(subject, topic);
+
+    let status = 'ready';
+    if (isMastered(id)) status = 'mastered';
+    else if (weakPrerequisites.length) status = 'blocked';
+    else if (topic.questionsAnswered) status = 'in-progress';
+
+    return {
+      topicId: id,
+      name: topic.name,
+      parentId: topic.parentId,
+      prerequisites: getPrerequisiteIds(topic),
+      mastery: Math.round(mastery.get(id) * 100) / 100,
+      status,
+      weakPrerequisites: weakPrerequisites.map(prerequisite => ({
+        topicId: prerequisite._id,
+        name: prerequisite.name,
+        mastery: Math.round(getTopicMastery(prerequisite) * 100) / 100
+      }))
+    };
+  });
+}
+
+app.put('/api/subjects/:id/topics/:topicId/prerequisites', authenticateToken, async (req, res) => {
+  try {
+    const { prerequisiteIds } = req.body;
+
+    if (!Array.isArray(prerequisiteIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'prerequisiteIds must be an array'
+      });
+    }
+
+    if (!Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const subject = await findOwnedSubject(req);
+    const topic = subject?.topics.id(req.params.topicId);
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        error: 'Topic not found'
+      });
+    }
+
+    const topicId = topic._id.toString();
+    const requested = [...new Set(prerequisiteIds.map(String))];
+
+    if (requested.includes(topicId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A topic cannot be its own prerequisite'
+      });
+    }
+
+    if (requested.some(id => !subject.topics.id(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Prerequisites must be topics of the same subject'
+      });
+    }
+
+    const cycle = findPrerequisiteCycle(subject, topicId, requested);
+    if (cycle) {
+      const names = cycle.map(id => subject.topics.id(id).name);
+      return res.status(400).json({
+        success: false,
+        error: `These prerequisites would create a cycle: ${names.join(' → ')}`,
+        code: 'PREREQUISITE_CYCLE',
+        cycle
+      });
+    }
+
+    topic.prerequisites = requested;
+    await subject.save();
+
+    res.json({
+      success: true,
+      topic,
+      subject
+    });
+  } catch (error) {
+    console.error('Update Prerequisites Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update prerequisites' 
+    });
+  }
+});
+
+app.get('/api/subjects/:id/learning-path', authenticateScoped('subjects:read'), async (req, res) => {
+  try {
+    if (!Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const subject = await findOwnedSubject(req);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const path = buildLearningPath(subject);
+    const next = path.find(step => step.status === 'ready' || step.status === 'in-progress') || null;
+
+    res.json({
+      success: true,
+      subjectId: subject._id,
+      masteryThreshold: MASTERY_THRESHOLD,
+      path,
+      next,
+      edges: path.flatMap(step => step.prerequisites.map(from => ({ from, to: step.topicId })))
+    });
+  } catch (error) {
+    console.error('Learning Path Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to build learning path' 
+    });
+  }
+});
+
+// Syllabus Import
+// Markdown headings and lists, CSV rows and indented outlines all reduce to the same two-level tree:
+// { name, topics: [{ name, difficulty, subtopics: [{ name, difficulty }] }] }. Anything nested deeper
+// than a subtopic is folded into the subtopic level.
+const SYLLABUS_FORMATS = ['markdown', 'csv', 'outline'];
+const SYLLABUS_MAX_LENGTH = 200 * 1000;
+const SYLLABUS_MAX_TOPICS = 500;
+const OUTLINE_MARKER = /^(?:[-*+•]|\d+(?:\.\d+)*[.)]?|[a-zA-Z][.)]|[ivxIVX]+[.)])\s+/;
+
+const detectSyllabusFormat = (content) => {
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  if (lines.some(line => /^#{1,6}\s+\S/.test(line))) return 'markdown';
+  if (lines.length && lines.every(line => line.includes(',') && !/^\s/.test(line) && !OUTLINE_MARKER.test(line))) {
+    return 'csv';
+  }
+  return 'outline';
+};
+
+// Minimal RFC 4180 reader: quoted fields may contain commas, doubled quotes and newlines
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(Boolean));
+}
+
+// Turns lines into { depth, text } entries; depth only needs to be comparable, not contiguous
+function readOutlineEntries(content, format) {
+  const lines = content.split(/\r?\n/);
+  const indents = lines
+    .map(line => line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length)
+    .filter(width => width > 0);
+  const indentUnit = indents.length ? Math.min(...indents) : 1;
+
+  const entries = [];
+  let headingDepth = 0;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const heading = format === 'markdown' && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      headingDepth = heading[1].length;
+      entries.push({ depth: headingDepth, text: heading[2] });
+      continue;
+    }
+
+    const trimmed = line.trim();
+    const isListItem = OUTLINE_MARKER.test(trimmed);
+    // Markdown prose between headings is description, not structure
+    if (format === 'markdown' && !isListItem) continue;
+
+    // Flat numbered outlines nest by their numbering instead: "1.2" sits under "1."
+    const indentLevel = Math.round(line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length / indentUnit);
+    const numbering = trimmed.match(/^(\d+(?:\.\d+)*)[.)]?\s/);
+    const numberLevel = numbering ? numbering[1].split('.').length - 1 : 0;
+    entries.push({
+      depth: headingDepth + 1 + (indentLevel || numberLevel),
+      text: trimmed.replace(OUTLINE_MARKER, '')
+    });
+  }
+
+  return entries;
+}
+
+function buildSyllabusTree(entries) {
+  const syllabus = { name: null, topics: [] };
+  if (entries.length === 0) return syllabus;
+
+  // A lone entry at the top, ahead of everything else, names the subject itself
+  const minDepth = Math.min(...entries.map(entry => entry.depth));
+  const roots = entries.filter(entry => entry.depth === minDepth);
+  if (roots.length === 1 && entries[0] === roots[0] && entries.length > 1) {
+    syllabus.name = roots[0].text;
+    entries = entries.slice(1);
+  }
+
+  const topicDepth = Math.min(...entries.map(entry => entry.depth));
+  for (const entry of entries) {
+    const current = syllabus.topics[syllabus.topics.length - 1];
+    if (entry.depth === topicDepth || !current) {
+      syllabus.topics.push({ name: entry.text, subtopics: [] });
+    } else {
+      current.subtopics.push({ name: entry.text });
+    }
+  }
+
+  return syllabus;
+}
+
+function buildSyllabusFromCsv(rows) {
+  const syllabus = { name: null, topics: [] };
+  if (rows.length === 0) return syllabus;
+
+  // A header row names the columns; otherwise columns are topic, subtopic
+  const header = rows[0].map(cell => cell.toLowerCase());
+  const hasHeader = header.includes('topic');
+  const column = (name, fallback) => (hasHeader ? header.indexOf(name) : fallback);
+  const columns = {
+    subject: column('subject', -1),
+    topic: column('topic', 0),
+    subtopic: column('subtopic', 1),
+    difficulty: column('difficulty', -1)
+  };
+
+  for (const row of hasHeader ? rows.slice(1) : rows) {
+    const cell = (index) => (index >= 0 ? row[index] || '' : '');
+    const difficulty = TOPIC_DIFFICULTIES.includes(cell(columns.difficulty).toLowerCase())
+      ? cell(columns.difficulty).toLowerCase()
+      : undefined;
+
+    if (!syllabus.name && cell(columns.subject)) syllabus.name = cell(columns.subject);
+    if (!cell(columns.topic)) continue;
+
+    let topic = syllabus.topics[syllabus.topics.length - 1];
+    if (!topic || topic.name !== cell(columns.topic)) {
+      topic = { name: cell(columns.topic), subtopics: [] };
+      syllabus.topics.push(topic);
+    }
+
+    if (cell(columns.subtopic)) {
+      topic.subtopics.push({ name: cell(columns.subtopic), difficulty });
+    } else if (difficulty) {
+      topic.difficulty = difficulty;
+    }
+  }
+
+  return syllabus;
+}
+
+// Collapses repeated names (case-insensitively) so a topic listed twice becomes one
+function dedupeSyllabusTopics(topics) {
+  const byName = new Map();
+  for (const topic of topics) {
+    const name = topic.name.trim().slice(0, 100);
+    if (!name) continue;
+
+    const key = name.toLowerCase();
+    if (!byName.has(key)) {
+      byName.set(key, { name, difficulty: topic.difficulty, subtopics: [] });
+    }
+    byName.get(key).subtopics.push(...(topic.subtopics || []));
+  }
+
+  return [...byName.values()].map(topic => ({
+    ...topic,
+    subtopics: topic.subtopics ? dedupeSyllabusTopics(topic.subtopics).map(({ name, difficulty }) => ({ name, difficulty })) : []
+  }));
+}
+
+function parseSyllabus(content, format) {
+  const resolvedFormat = format && format !== 'auto' ? format : detectSyllabusFormat(content);
+  const syllabus = resolvedFormat === 'csv'
+    ? buildSyllabusFromCsv(parseCsv(content))
+    : buildSyllabusTree(readOutlineEntries(content, resolvedFormat));
+
+  return {
+    format: resolvedFormat,
+    name: syllabus.name ? syllabus.name.trim().slice(0, 100) : null,
+    topics: dedupeSyllabusTopics(syllabus.topics)
+  };
+}
+
+// Merges the syllabus into the subject in place and describes what changed. Existing topics are
+// matched by name among their siblings and keep their progress; the syllabus decides the order, and
+// topics it does not mention are kept after the ones it does
+function mergeSyllabusIntoSubject(subject, syllabus) {
+  const diff = { topics: [], untouched: [], added: 0, matched: 0 };
+  const placed = [];
+  const isPlaced = (topic) => placed.some(id => id.equals(topic._id));
+
+  const upsert = (entry, parentId) => {
+    let topic = subject.topics.find(existing =>
+      sameParent(existing, parentId) && existing.name.toLowerCase() === entry.name.toLowerCase());
+
+    const status = topic ? 'existing' : 'new';
+    if (topic) {
+      diff.matched++;
+    } else {
+      subject.topics.push({ name: entry.name, difficulty: entry.difficulty || 'medium', parentId });
+      topic = subject.topics[subject.topics.length - 1];
+      diff.added++;
+    }
+
+    placed.push(topic._id);
+    return { topic, status };
+  };
+
+  for (const entry of syllabus.topics) {
+    const { topic, status } = upsert(entry, null);
+    const subtopics = entry.subtopics.map(subEntry => {
+      const { status: subStatus } = upsert(subEntry, topic._id);
+      return { name: subEntry.name, status: subStatus };
+    });
+
+    subject.topics
+      .filter(child => sameParent(child, topic._id) && !isPlaced(child))
+      .forEach(child => {
+        placed.push(child._id);
+        diff.untouched.push(`${topic.name} › ${child.name}`);
+      });
+
+    diff.topics.push({ name: topic.name, status, subtopics });
+  }
+
+  const remaining = subject.topics.filter(topic => !isPlaced(topic));
+  remaining.forEach(topic => {
+    const parent = topic.parentId && subject.topics.id(topic.parentId);
+    diff.untouched.push(parent ? `${parent.name} › ${topic.name}` : topic.name);
+  });
+
+  subject.topics = [...placed.map(id => subject.topics.id(id)), ...remaining];
+  return diff;
+}
+
+// Parses the request and finds the subject it lands in: the given subjectId, else the owner's active
+// subject with the same name (so re-imports merge), else a new unsaved subject
+async function prepareSyllabusImport(req) {
+  const { content, format, subjectId, name } = req.body;
+
+  if (!content || typeof content !== 'string' || !content.trim()) {
+    return { error: 'Syllabus content is required' };
+  }
+  if (content.length > SYLLABUS_MAX_LENGTH) {
+    return { error: `Syllabus must be under ${SYLLABUS_MAX_LENGTH / 1000} KB` };
+  }
+  if (format && format !== 'auto' && !SYLLABUS_FORMATS.includes(format)) {
+    return { error: `Format must be auto or one of: ${SYLLABUS_FORMATS.join(', ')}` };
+  }
+
+  const syllabus = parseSyllabus(content, format);
+  const topicCount = syllabus.topics.reduce((count, topic) => count + 1 + topic.subtopics.length, 0);
+  if (topicCount === 0) {
+    return { error: 'No topics were found in the syllabus' };
+  }
+  if (topicCount > SYLLABUS_MAX_TOPICS) {
+    return { error: `A syllabus can contain at most ${SYLLABUS_MAX_TOPICS} topics and subtopics` };
+  }
+
+  let subject = null;
+  if (subjectId) {
+    subject = await Subject.findOne({ _id: subjectId, userId: req.user.userId }).catch(() => null);
+    if (!subject) return { error: 'Subject not found', status: 404 };
+  }
+
+  const subjectName = (typeof name === 'string' && name.trim()) || syllabus.name;
+  if (!subject && !subjectName) {
+    return { error: 'Give the subject a name or add a title to the syllabus' };
+  }
+
+  if (!subject) {
+    subject = await Subject.findOne({
+      userId: req.user.userId,
+      isActive: true,
+      name: new RegExp(`^${escapeRegExp(subjectName.trim())}$`, 'i')
+    });
+  }
+
+  const isNew = !subject;
+  if (isNew) {
+    subject = new Subject({ userId: req.user.userId, name: subjectName.trim() });
+  }
+
+  const diff = mergeSyllabusIntoSubject(subject, syllabus);
+  return { syllabus, subject, isNew, diff };
+}
+
+const syllabusImportRoute = (commit) => async (req, res) => {
+  try {
+    if (!Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const result = await prepareSyllabusImport(req);
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const { syllabus, subject, isNew, diff } = result;
+    let activeSubjects;
+    if (commit) {
+      await subject.save();
+      if (isNew) activeSubjects = await syncActiveSubjectCount(req.user.userId);
+    }
+
+    res.status(commit && isNew ? 201 : 200).json({
+      success: true,
+      format: syllabus.format,
+      action: isNew ? 'create' : 'merge',
+      subject: commit ? subject : { _id: isNew ? null : subject._id, name: subject.name },
+      diff,
+      activeSubjects
+    });
+  } catch (error) {
+    console.error(`Syllabus ${commit ? 'Import' : 'Preview'} Error:`, error);
+    res.status(500).json({ 
+      success: false, 
+      error: `Failed to ${commit ? 'import' : 'preview'} syllabus` 
+    });
+  }
+};
+
+app.post('/api/subjects/import/preview', authenticateToken, syllabusImportRoute(false));
+app.post('/api/subjects/import', authenticateToken, syllabusImportRoute(true));
+
+// Question Bank Routes
+// Authors manage their own questions; shared bank entries need the questions:edit-shared permission
+const canEditQuestion = (question, user) =>
+  (question.createdBy && question.createdBy.toString() === user.userId) ||
+  hasPermission(user.role, 'questions:edit-shared');
+
+const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_QUESTIONS_PER_REQUEST = 50;
+
+const splitQueryList = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Translates list query parameters into a Mongo filter; returns { error } for malformed ids
+function buildQuestionFilter(query, userId) {
+  const filter = {};
+
+  if (query.subjectId) {
+    if (!mongoose.Types.ObjectId.isValid(query.subjectId)) return { error: 'Invalid subjectId' };
+    filter.subjectId = query.subjectId;
+  }
+  if (query.topicId) {
+    filter.topicId = String(query.topicId);
+  }
+  if (query.tags) {
+    filter.tags = { $all: splitQueryList(query.tags).map(tag => tag.toLowerCase()) };
+  }
+  if (query.difficulty) {
+    filter.difficulty = { $in: splitQueryList(query.difficulty).filter(level => QUESTION_DIFFICULTIES.includes(level)) };
+  }
+  if (query.type) {
+    const types = splitQueryList(query.type).filter(type => QUESTION_TYPES.includes(type));
+    // Questions saved before there were types have no type field and are multiple choice
+    filter.type = { $in: types.includes('multiple_choice') ? [...types, null] : types };
+  }
+  if (query.aiGenerated === 'true' || query.aiGenerated === 'false') {
+    filter.aiGenerated = query.aiGenerated === 'true';
+  }
+  if (query.author) {
+    const author = query.author === 'me' ? userId : query.author;
+    if (!mongoose.Types.ObjectId.isValid(author)) return { error: 'Invalid author' };
+    filter.createdBy = author;
+  }
+  if (query.q && String(query.q).trim()) {
+    filter.$text = { $search: String(query.q).trim().slice(0, 200) };
+  }
+
+  return { filter };
+}
+
+// Questions may only be filed under the caller's own subjects, and a topic must belong to that subject
+async function checkQuestionPlacement(userId, subjectId, topicId) {
+  if (!subjectId) {
+    return topicId ? 'A topic can only be set together with its subject' : null;
+  }
+
+  const subject = await Subject.findOne({ _id: subjectId, userId }).catch(() => null);
+  if (!subject) return 'Subject not found';
+  if (topicId && !subject.topics.id(topicId)) return 'Topic not found in this subject';
+  return null;
+}
+
+const MAX_QUESTION_OPTIONS = 10;
+const MAX_ACCEPTED_ANSWERS = 20;
+const CLOZE_BLANK_PATTERN = /\{\{(\d+)\}\}/g;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isStringList = (list, min, max) =>
+  Array.isArray(list) && list.length >= min && list.length <= max && list.every(isNonEmptyString);
+const isIndexOf = (value, list) => Number.isInteger(value) && value >= 0 && value < list.length;
+
+// Checks the fields mongoose cannot express on its own; returns an error message or null.
+// Only the answer fields of the question's type are looked at
+function validateQuestionInput(input) {
+  if (!input || !isNonEmptyString(input.question)) {
+    return 'Question text is required';
+  }
+
+  const type = input.type || 'multiple_choice';
+  switch (type) {
+    case 'multiple_choice':
+    case 'multi_select':
+      if (!isStringList(input.options, 2, MAX_QUESTION_OPTIONS)) {
+        return `Choice questions need between 2 and ${MAX_QUESTION_OPTIONS} non-empty options`;
+      }
+      if (type === 'multiple_choice' && !isIndexOf(input.correctAnswer, input.options)) {
+        return 'correctAnswer must be the index of one of the options';
+      }
+      if (type === 'multi_select' && (!Array.isArray(input.correctAnswers) || input.correctAnswers.length === 0 ||
+          !input.correctAnswers.every(index => isIndexOf(index, input.options)))) {
+        return 'correctAnswers must list the index of at least one option';
+      }
+      return null;
+    case 'true_false':
+      return input.correctAnswer === 0 || input.correctAnswer === 1 ? null : 'correctAnswer must be 0 (true) or 1 (false)';
+    case 'numeric': {
+      const { value, tolerance = 0 } = input.numericAnswer || {};
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'numericAnswer.value must be a number';
+      if (typeof tolerance !== 'number' || !Number.isFinite(tolerance) || tolerance < 0) {
+        return 'numericAnswer.tolerance must be zero or a positive number';
+      }
+      return null;
+    }
+    case 'math': {
+      const { expression, tolerance = MATH_DEFAULT_TOLERANCE } = input.mathAnswer || {};
+      if (typeof tolerance !== 'number' || !Number.isFinite(tolerance) || tolerance < 0 || tolerance >= 1) {
+        return 'mathAnswer.tolerance must be at least 0 and below 1';
+      }
+      try {
+        parseMathExpression(expression);
+      } catch (error) {
+        return `mathAnswer.expression cannot be read: ${error.message}`;
+      }
+      return null;
+    }
+    case 'short_text':
+      return isStringList(input.acceptedAnswers, 1, MAX_ACCEPTED_ANSWERS)
+        ? null
+        : `acceptedAnswers must list between 1 and ${MAX_ACCEPTED_ANSWERS} answers`;
+    case 'ordering':
+      return isStringList(input.options, 2, MAX_QUESTION_OPTIONS)
+        ? null
+        : `Ordering questions need between 2 and ${MAX_QUESTION_OPTIONS} items in their correct order`;
+    case 'matching':
+      if (!Array.isArray(input.pairs) || input.pairs.length < 2 || input.pairs.length > MAX_QUESTION_OPTIONS ||
+          !input.pairs.every(pair => isNonEmptyString(pair?.left) && isNonEmptyString(pair?.right))) {
+        return `Matching questions need between 2 and ${MAX_QUESTION_OPTIONS} pairs with both sides filled in`;
+      }
+      return null;
+    case 'cloze': {
+      if (!Array.isArray(input.blanks) || input.blanks.length === 0 || input.blanks.length > MAX_ACCEPTED_ANSWERS ||
+          !input.blanks.every(blank => isStringList(blank?.accepted, 1, MAX_ACCEPTED_ANSWERS))) {
+        return 'Each blank needs at least one accepted answer';
+      }
+      const markers = [...input.question.matchAll(CLOZE_BLANK_PATTERN)].map(match => Number(match[1])).sort((a, b) => a - b);
+      if (markers.length !== input.blanks.length || markers.some((marker, index) => marker !== index + 1)) {
+        return `Mark each blank once in the text as {{1}} to {{${input.blanks.length}}}`;
+      }
+      return null;
+    }
+    default:
+      return `Question type must be one of: ${QUESTION_TYPES.join(', ')}`;
+  }
+}
+
+// Keeps only the answer fields of the question's type and clears the rest, so changing the type
+// of a question cannot leave a stale key behind. Expects input that passed validateQuestionInput
+function toAnswerFields(input) {
+  const type = input.type || 'multiple_choice';
+  const trimAll = (list) => list.map(item => String(item).trim());
+  const fields = {
+    type,
+    options: [],
+    correctAnswer: undefined,
+    correctAnswers: [],
+    numericAnswer: undefined,
+    mathAnswer: undefined,
+    acceptedAnswers: [],
+    caseSensitive: false,
+    pairs: [],
+    blanks: []
+  };
+
+  switch (type) {
+    case 'multiple_choice':
+      fields.options = trimAll(input.options);
+      fields.correctAnswer = input.correctAnswer;
+      break;
+    case 'multi_select':
+      fields.options = trimAll(input.options);
+      fields.correctAnswers = [...new Set(input.correctAnswers)].sort((a, b) => a - b);
+      break;
+    case 'true_false':
+      fields.options = ['True', 'False'];
+      fields.correctAnswer = input.correctAnswer;
+      break;
+    case 'numeric':
+      fields.numericAnswer = { value: input.numericAnswer.value, tolerance: input.numericAnswer.tolerance || 0 };
+      break;
+    case 'math':
+      fields.mathAnswer = {
+        expression: input.mathAnswer.expression.trim(),
+        tolerance: input.mathAnswer.tolerance ?? MATH_DEFAULT_TOLERANCE
+      };
+      break;
+    case 'short_text':
+      fields.acceptedAnswers = trimAll(input.acceptedAnswers);
+      fields.caseSensitive = Boolean(input.caseSensitive);
+      break;
+    case 'ordering':
+      fields.options = trimAll(input.options);
+      break;
+    case 'matching':
+      fields.pairs = input.pairs.map(pair => ({ left: pair.left.trim(), right: pair.right.trim() }));
+      break;
+    case 'cloze':
+      fields.blanks = input.blanks.map(blank => ({ accepted: trimAll(blank.accepted) }));
+      fields.caseSensitive = Boolean(input.caseSensitive);
+      break;
+  }
+
+  return fields;
+}
+
+// Tags are stored trimmed, lowercased and unique so filters match however they were typed
+const normalizeTags = (...lists) => [...new Set(lists
+  .flatMap(list => (Array.isArray(list) ? list : []))
+  .map(tag => String(tag).trim().toLowerCase())
+  .filter(Boolean))];
+
+const toQuestionDocument = (input, userId, defaults = {}) => {
+  const answerFields = toAnswerFields(input);
+
+  return {
+    subjectId: input.subjectId || defaults.subjectId || undefined,
+    topicId: input.topicId || defaults.topicId || undefined,
+    question: input.question.trim(),
+    ...answerFields,
+    explanation: input.explanation,
+    difficulty: input.difficulty || defaults.difficulty || 'medium',
+    tags: normalizeTags(input.tags, defaults.tags),
+    aiGenerated: Boolean(defaults.aiGenerated),
+    createdBy: userId,
+    contentHash: questionFingerprint({ question: input.question, options: answerFields.options })
+  };
+};
+
+// Math expressions
+// Math answers are parsed into a small syntax tree and compared by evaluating both expressions at
+// random points, which treats 2x(x+1) and 2x^2+2x as the same answer without a full algebra system
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh
+};
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+// Longest first so "sinh" is not read as "sin" followed by h
+const MATH_NAMES = [...Object.keys(MATH_FUNCTIONS), ...Object.keys(MATH_CONSTANTS)].sort((a, b) => b.length - a.length);
+const MAX_MATH_EXPRESSION_LENGTH = 500;
+const MATH_DEFAULT_TOLERANCE = 1e-6;
+const MATH_SAMPLE_COUNT = 24;
+
+// Letters that do not spell a function or constant are single-letter variables, so "2xy" is 2·x·y
+function tokenizeMath(source) {
+  const text = source.replace(/\*\*/g, '^').replace(/[·×]/g, '*').replace(/÷/g, '/').replace(/−/g, '-')
+    .replace(/[[{]/g, '(').replace(/[\]}]/g, ')');
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    const number = text.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]) });
+      i += number[0].length;
+    } else if (/[a-zA-Z]/.test(char)) {
+      const name = MATH_NAMES.find(candidate => text.startsWith(candidate, i));
+      if (name && MATH_FUNCTIONS[name]) {
+        tokens.push({ type: 'function', name });
+      } else if (name) {
+        tokens.push({ type: 'number', value: MATH_CONSTANTS[name] });
+      } else {
+        tokens.push({ type: 'variable', name: char });
+      }
+      i += name ? name.length : 1;
+    } else if ('+-*/^()'.includes(char)) {
+      tokens.push({ type: char });
+      i++;
+    } else {
+      throw new Error(`Unexpected "${char}"`);
+    }
+  }
+
+  return tokens;
+}
+
+// Recursive descent over the usual precedence: sums, products (written or implied), unary signs,
+// powers (right-associative), then numbers, variables, function calls and brackets
+function parseMathExpression(source) {
+  if (typeof source !== 'string' || !source.trim()) throw new Error('The expression is empty');
+  if (source.length > MAX_MATH_EXPRESSION_LENGTH) throw new Error('The expression is too long');
+
+  const tokens = tokenizeMath(source);
+  let position = 0;
+  const peek = () => tokens[position];
+  const take = (type) => (peek()?.type === type ? tokens[position++] : null);
+  const startsOperand = (token) => token && ['number', 'variable', 'function', '('].includes(token.type);
+  const describe = (token) => token.name || (token.type === 'number' ? String(token.value) : token.type);
+
+  const parseSum = () => {
+    let node = parseProduct();
+    while (peek()?.type === '+' || peek()?.type === '-') {
+      const op = tokens[position++].type;
+      node = { type: op, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  const parseProduct = () => {
+    let node = parseUnary();
+    for (;;) {
+      if (peek()?.type === '*' || peek()?.type === '/') {
+        const op = tokens[position++].type;
+        node = { type: op, left: node, right: parseUnary() };
+      } else if (startsOperand(peek())) {
+        node = { type: '*', left: node, right: parsePower() };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseUnary = () => {
+    if (take('-')) return { type: 'negate', arg: parseUnary() };
+    if (take('+')) return parseUnary();
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parseOperand();
+    return take('^') ? { type: '^', left: base, right: parseUnary() } : base;
+  };
+
+  const parseOperand = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error('The expression ends too early');
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'number', value: token.value };
+      case 'variable':
+        return { type: 'variable', name: token.name };
+      case 'function':
+        // sin x and sin(x) both work; without brackets the argument binds like a power
+        return { type: 'call', name: token.name, arg: peek()?.type === '(' ? parseOperand() : parsePower() };
+      case '(': {
+        const node = parseSum();
+        if (!take(')')) throw new Error('A bracket is never closed');
+        return node;
+      }
+      default:
+        throw new Error(`Unexpected "${describe(token)}"`);
+    }
+  };
+
+  const tree = parseSum();
+  if (position < tokens.length) throw new Error(`Unexpected "${describe(peek())}"`);
+  return tree;
+}
+
+function evaluateMath(node, scope) {
+  switch (node.type) {
+    case 'number': return node.value;
+    case 'variable': return scope[node.name];
+    case 'negate': return -evaluateMath(node.arg, scope);
+    case 'call': return MATH_FUNCTIONS[node.name](evaluateMath(node.arg, scope));
+    case '+': return evaluateMath(node.left, scope) + evaluateMath(node.right, scope);
+    case '-': return evaluateMath(node.left, scope) - evaluateMath(node.right, scope);
+    case '*': return evaluateMath(node.left, scope) * evaluateMath(node.right, scope);
+    case '/': return evaluateMath(node.left, scope) / evaluateMath(node.right, scope);
+    case '^': return Math.pow(evaluateMath(node.left, scope), evaluateMath(node.right, scope));
+    default: return NaN;
+  }
+}
+
+const collectMathVariables = (node, names = new Set()) => {
+  if (node.type === 'variable') names.add(node.name);
+  [node.left, node.right, node.arg].forEach(child => child && collectMathVariables(child, names));
+  return names;
+};
+
+// Evaluates both trees at random points with mixed signs, skipping points outside either domain
+// (a square root of a negative, say). tolerance is relative to the size of the values compared
+function areMathExpressionsEquivalent(expected, actual, tolerance = MATH_DEFAULT_TOLERANCE) {
+  const names = [...new Set([...collectMathVariables(expected), ...collectMathVariables(actual)])];
+  let compared = 0;
+
+  for (let attempt = 0; attempt < MATH_SAMPLE_COUNT * 4 && compared < MATH_SAMPLE_COUNT; attempt++) {
+    const scope = Object.fromEntries(names.map(name => [name, (0.5 + Math.random() * 3) * (Math.random() < 0.5 ? -1 : 1)]));
+    const a = evaluateMath(expected, scope);
+    const b = evaluateMath(actual, scope);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) continue;
+
+    if (Math.abs(a - b) > tolerance * Math.max(1, Math.abs(a), Math.abs(b))) return false;
+    compared++;
+  }
+
+  return compared > 0;
+}
+
+// Grading
+
+const normalizeTextAnswer = (text, caseSensitive) => {
+  const collapsed = String(text ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+const matchesAccepted = (response, accepted, caseSensitive) =>
+  typeof response === 'string' &&
+  accepted.some(answer => normalizeTextAnswer(answer, caseSensitive) === normalizeTextAnswer(response, caseSensitive));
+
+// Grades a response against the question's key. Returns { correct, score } with score as the share
+// of credit from 0 to 1: multi-part types earn partial credit, the rest are all or nothing. Returns
+// null when the response does not have the shape the question type expects.
+//   multiple_choice, true_false: option index
+//   multi_select: array of option indices
+//   numeric: number (or numeric string)
+//   short_text: string
+//   math: expression string; throws with a readable message when it cannot be parsed
+//   ordering: option indices in the order the learner put them
+//   matching: for each left side, the index of the pair whose right side was chosen
+// Practice views name ordering items and right sides by item id; resolvePracticeResponse turns
+// those into indices first
+//   cloze: one string per blank
+function gradeAnswer(question, response) {
+  const share = (hits, total) => (total ? hits / total : 0);
+  let score;
+
+  switch (question.type || 'multiple_choice') {
+    case 'multiple_choice':
+    case 'true_false':
+      if (!Number.isInteger(response)) return null;
+      score = response === question.correctAnswer ? 1 : 0;
+      break;
+    case 'multi_select': {
+      if (!Array.isArray(response) || !response.every(Number.isInteger)) return null;
+      const picked = new Set(response);
+      const hits = question.correctAnswers.filter(index => picked.has(index)).length;
+      // Each wrong pick cancels a right one, so ticking every box is no shortcut to credit
+      score = Math.max(0, share(hits - (picked.size - hits), question.correctAnswers.length));
+      break;
+    }
+    case 'numeric': {
+      const value = typeof response === 'number' ? response : Number(String(response ?? '').trim().replace(',', '.') || NaN);
+      if (!Number.isFinite(value)) return null;
+      // The epsilon keeps 0.1 + 0.2 style rounding from failing an exact answer
+      score = Math.abs(value - question.numericAnswer.value) <= (question.numericAnswer.tolerance || 0) + 1e-9 ? 1 : 0;
+      break;
+    }
+    case 'math':
+      if (typeof response !== 'string') return null;
+      score = areMathExpressionsEquivalent(
+        parseMathExpression(question.mathAnswer.expression),
+        parseMathExpression(response),
+        question.mathAnswer.tolerance
+      ) ? 1 : 0;
+      break;
+    case 'short_text':
+      if (typeof response !== 'string') return null;
+      score = matchesAccepted(response, question.acceptedAnswers, question.caseSensitive) ? 1 : 0;
+      break;
+    case 'ordering':
+      if (!Array.isArray(response) || response.length !== question.options.length) return null;
+      score = share(response.filter((optionIndex, position) => optionIndex === position).length, question.options.length);
+      break;
+    case 'matching':
+      if (!Array.isArray(response) || response.length !== question.pairs.length) return null;
+      // Compared by text so two pairs with the same right side are interchangeable
+      score = share(response.filter((pairIndex, index) =>
+        question.pairs[pairIndex]?.right === question.pairs[index].right).length, question.pairs.length);
+      break;
+    case 'cloze':
+      if (!Array.isArray(response) || response.length !== question.blanks.length) return null;
+      score = share(response.filter((answer, index) =>
+        matchesAccepted(answer, question.blanks[index].accepted, question.caseSensitive)).length, question.blanks.length);
+      break;
+    default:
+      return null;
+  }
+
+  return { correct: score === 1, score: Math.round(score * 100) / 100 };
+}
+
+// The part of a question that is revealed after answering, in the same fields the question uses
+function getAnswerKey(question) {
+  switch (question.type || 'multiple_choice') {
+    case 'multi_select':
+      return { correctAnswers: question.correctAnswers };
+    case 'numeric':
+      return { numericAnswer: { value: question.numericAnswer.value, tolerance: question.numericAnswer.tolerance || 0 } };
+    case 'math':
+      return { mathAnswer: { expression: question.mathAnswer.expression, tolerance: question.mathAnswer.tolerance } };
+    case 'short_text':
+      return { acceptedAnswers: question.acceptedAnswers, caseSensitive: question.caseSensitive };
+    case 'ordering':
+      // Option figures are keyed by item id in the practice view; the key puts them back on positions
+      return { options: question.options, attachments: toAttachmentViews(question.attachments) };
+    case 'matching':
+      return { pairs: question.pairs };
+    case 'cloze':
+      return { blanks: question.blanks, caseSensitive: question.caseSensitive };
+    default:
+      return { correctAnswer: question.correctAnswer };
+  }
+}
+
+const toAttachmentViews = (attachments) => (attachments || [])
+  .map(({ _id, url, alt, option }) => ({ _id, url, alt, option }));
+
+// The stored position of an ordering item or matching right side is its key, so practice views
+// never show it. Each view gets a random id, and each entry an id of the form <view>.<mac> that only
+// the server can map back to a position
+const PRACTICE_ITEM_PATTERN = /^([A-Za-z0-9_-]{12})\.([A-Za-z0-9_-]{16})$/;
+
+const practiceItemMac = (question, viewId, index) => crypto
+  .createHmac('sha256', JWT_SECRET)
+  .update(`practice-item:${question._id}:${viewId}:${index}`)
+  .digest('base64url')
+  .slice(0, 16);
+
+const practiceItemId = (question, viewId, index) => `${viewId}.${practiceItemMac(question, viewId, index)}`;
+
+// The stored position behind an item id from one of this question's views, or null
+function resolvePracticeItem(question, itemId, count) {
+  const match = typeof itemId === 'string' ? PRACTICE_ITEM_PATTERN.exec(itemId) : null;
+  if (!match) return null;
+
+  for (let index = 0; index < count; index++) {
+    const expected = practiceItemMac(question, match[1], index);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(match[2]))) return index;
+  }
+  return null;
+}
+
+// Turns a learner's response into the stored-position form gradeAnswer and Session answers use.
+// Ordering and matching responses must name item ids; anything else passes through unchanged.
+// Returns null when an id does not belong to the question
+function resolvePracticeResponse(question, response) {
+  const type = question.type || 'multiple_choice';
+  if (type !== 'ordering' && type !== 'matching') return response;
+  if (!Array.isArray(response)) return null;
+
+  const count = type === 'ordering' ? question.options.length : question.pairs.length;
+  const indices = response.map(itemId => resolvePracticeItem(question, itemId, count));
+  return indices.includes(null) ? null : indices;
+}
+
+// Shuffles entries under fresh item ids: [{ id, text }]
+const shuffleEntries = (question, list) => {
+  const viewId = crypto.randomBytes(9).toString('base64url');
+  const shuffled = list.map((text, index) => ({ index, text }));
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  // An ordering task that starts out solved is no task at all
+  if (shuffled.length > 1 && shuffled.every((entry, position) => entry.index === position)) {
+    shuffled.push(shuffled.shift());
+  }
+  return { viewId, entries: shuffled.map(({ index, text }) => ({ id: practiceItemId(question, viewId, index), text })) };
+};
+
+// What a learner sees before answering: the question without its key. Ordering items and matching
+// right sides are shuffled under item ids, which is what responses refer to
+function toPracticeQuestion(question) {
+  const type = question.type || 'multiple_choice';
+  const view = {
+    _id: question._id,
+    type,
+    question: question.question,
+    difficulty: question.difficulty,
+    subjectId: question.subjectId,
+    topicId: question.topicId,
+    tags: question.tags,
+    revision: question.revision || 1,
+    attachments: toAttachmentViews(question.attachments)
+  };
+
+  if (['multiple_choice', 'multi_select', 'true_false'].includes(type)) {
+    view.options = question.options;
+  } else if (type === 'ordering') {
+    const { viewId, entries } = shuffleEntries(question, question.options);
+    view.items = entries;
+    // Option figures follow their item, not its position
+    view.attachments = view.attachments.map(attachment => (attachment.option === null || attachment.option === undefined
+      ? attachment
+      : { ...attachment, option: practiceItemId(question, viewId, attachment.option) }));
+  } else if (type === 'matching') {
+    view.left = question.pairs.map(pair => pair.left);
+    view.right = shuffleEntries(question, question.pairs.map(pair => pair.right)).entries;
+  } else if (type === 'cloze') {
+    view.blankCount = question.blanks.length;
+  }
+
+  return view;
+}
+
+// Answer keys and explanations go only to people who may edit the question. Everyone else gets the
+// practice view, with the fields the bank lists around it
+function toQuestionListing(question, user) {
+  if (canEditQuestion({ createdBy: question.createdBy?._id ?? question.createdBy }, user)) return question;
+
+  return {
+    ...toPracticeQuestion(question),
+    createdBy: question.createdBy,
+    aiGenerated: question.aiGenerated,
+    createdAt: question.createdAt,
+    updatedAt: question.updatedAt,
+    keyHidden: true
+  };
+}
+
+app.get('/api/questions', authenticateScoped('questions:read'), async (req, res) => {
+  try {
+    if (!Question) {
+      return res.json({
+        success: true,
+        questions: [],
+        pagination: { page: 1, limit: 0, total: 0, pages: 0 }
+      });
+    }
+
+    const { filter, error } = buildQuestionFilter(req.query, req.user.userId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    // Text searches rank by relevance; everything else lists the newest first
+    const projection = filter.$text ? { score: { $meta: 'textScore' } } : {};
+    const sort = filter.$text ? { score: { $meta: 'textScore' } } : { createdAt: -1 };
+
+    const [questions, total] = await Promise.all([
+      Question.find(filter, projection)
+        .populate('createdBy', 'name')
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Question.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      questions: questions.map(question => toQuestionListing(question, req.user)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Questions Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch questions' 
+    });
+  }
+});
+
+// Question Interchange (Moodle XML, GIFT, IMS QTI 2.1)
+// Importers turn a file into candidate items that each carry their own errors and warnings, so one bad
+// question never sinks the whole file. Exporters write the same fields back out; difficulty and tags,
+// which these formats have no field for, travel as "difficulty:<level>" tags or comments.
+const QUESTION_INTERCHANGE_FORMATS = ['moodle', 'gift', 'qti'];
+const MAX_IMPORT_ITEMS = 1000;
+const MAX_EXPORT_ITEMS = 1000;
+
+// Minimal XML reader for interchange files: elements, attributes, text, CDATA and entities.
+// Namespace prefixes are dropped so "imsmd:keyword" and "keyword" match alike
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodeXmlEntities = (text) => text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return XML_ENTITIES[entity] ?? match;
+});
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function parseXml(xml) {
+  const root = { name: '#document', attrs: {}, children: [] };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  let lastIndex = 0;
+  let match;
+
+  const appendText = (text) => {
+    if (text) stack[stack.length - 1].children.push(text);
+  };
+
+  while ((match = tagPattern.exec(xml))) {
+    appendText(decodeXmlEntities(xml.slice(lastIndex, match.index)));
+    lastIndex = tagPattern.lastIndex;
+
+    const [token, cdata, closing, opening, attributeText, selfClosing] = match;
+    if (cdata !== undefined) {
+      appendText(cdata);
+    } else if (closing) {
+      const name = closing.split(':').pop();
+      if (stack.length === 1 || stack[stack.length - 1].name !== name) {
+        throw new Error(`Malformed XML: unexpected </${closing}>`);
+      }
+      stack.pop();
+    } else if (opening) {
+      const attrs = {};
+      for (const [, key, double, single] of attributeText.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attrs[key.split(':').pop()] = decodeXmlEntities(double ?? single);
+      }
+
+      const node = { name: opening.split(':').pop(), attrs, children: [] };
+      stack[stack.length - 1].children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (token.startsWith('<') && !token.startsWith('<!') && !token.startsWith('<?')) {
+      throw new Error('Malformed XML tag');
+    }
+  }
+
+  appendText(decodeXmlEntities(xml.slice(lastIndex)));
+  if (stack.length > 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is never closed`);
+  }
+  return root;
+}
+
+const xmlChildren = (node, name) => (node?.children || []).filter(child => typeof child === 'object' && child.name === name);
+const xmlChild = (node, name) => xmlChildren(node, name)[0] || null;
+const xmlText = (node) => (node?.children || []).map(child => (typeof child === 'string' ? child : xmlText(child))).join('');
+const xmlFindAll = (node, name) => (node?.children || [])
+  .filter(child => typeof child === 'object')
+  .flatMap(child => (child.name === name ? [child] : xmlFindAll(child, name)));
+
+const collapseText = (text) => String(text || '')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/ ?\n ?/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Question texts arrive as HTML from most LMSs; the bank stores plain text
+const htmlToText = (html) => collapseText(decodeXmlEntities(String(html || '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|li)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')));
+
+// Splits "difficulty:<level>" out of a tag list
+function readDifficultyTags(tags) {
+  let difficulty;
+  const rest = [];
+  for (const tag of tags) {
+    const level = tag.toLowerCase().match(/^difficulty:\s*(\w+)$/)?.[1];
+    if (level && QUESTION_DIFFICULTIES.includes(level)) {
+      difficulty = level;
+    } else if (tag.trim()) {
+      rest.push(tag.trim());
+    }
+  }
+  return { difficulty, tags: rest };
+}
+
+const newImportItem = (title, sourceType) => ({ title, sourceType, errors: [], warnings: [] });
+
+// Which question types each format can carry. GIFT only has one blank per question
+const INTERCHANGE_TYPES = {
+  moodle: ['multiple_choice', 'multi_select', 'true_false', 'numeric', 'short_text', 'matching', 'cloze'],
+  gift: ['multiple_choice', 'multi_select', 'true_false', 'numeric', 'short_text', 'matching', 'cloze'],
+  qti: ['multiple_choice', 'multi_select', 'true_false', 'ordering']
+};
+
+const canExportQuestion = (format, question) => {
+  const type = question.type || 'multiple_choice';
+  return INTERCHANGE_TYPES[format].includes(type) && !(format === 'gift' && type === 'cloze' && question.blanks.length !== 1);
+};
+
+// Moodle and GIFT write multi-select credit as percentages; wrong picks cost as much as right ones earn,
+// which matches gradeAnswer
+const creditPercent = (count) => Number((100 / count).toFixed(5));
+
+// Moodle XML
+
+// Text fields carry their own format attribute; only the plain ones are taken literally
+function readMoodleText(node) {
+  const format = node?.attrs.format || 'html';
+  const text = xmlText(xmlChild(node, 'text'));
+  return ['plain_text', 'markdown'].includes(format) ? collapseText(text) : htmlToText(text);
+}
+
+// Embedded answers in Moodle cloze ("multianswer") text: {1:SHORTANSWER:=Paris~=paris#Feedback}
+const MOODLE_EMBEDDED_PATTERN = /\{(\d*):([A-Z_]+):((?:\\.|[^}\\])*)\}/g;
+const MOODLE_SHORTANSWER_TYPES = ['SHORTANSWER', 'SA', 'MW', 'SHORTANSWER_C', 'SAC', 'MWC'];
+const escapeMoodleEmbedded = (text) => String(text).replace(/([}#~/"\\])/g, '\\$1');
+const unescapeMoodleEmbedded = (text) => text.replace(/\\(.)/g, '$1');
+
+function readMoodleCloze(item, text) {
+  const blanks = [];
+  let caseSensitive = false;
+
+  item.question = text.replace(MOODLE_EMBEDDED_PATTERN, (match, weight, type, body) => {
+    if (!MOODLE_SHORTANSWER_TYPES.includes(type)) {
+      item.unsupported = `cloze with ${type} answers`;
+      return match;
+    }
+
+    caseSensitive = caseSensitive || type.endsWith('C');
+    const accepted = body.split(/(?<!\\)~/)
+      .map(answer => answer.split(/(?<!\\)#/)[0].trim())
+      .filter(answer => answer.startsWith('=') || answer.startsWith('%100%'))
+      .map(answer => unescapeMoodleEmbedded(answer.replace(/^(=|%100%)/, '')).trim());
+
+    blanks.push({ accepted });
+    return `{{${blanks.length}}}`;
+  });
+
+  item.type = 'cloze';
+  item.blanks = blanks;
+  item.caseSensitive = caseSensitive;
+}
+
+function parseMoodleXml(content) {
+  const quiz = xmlChild(parseXml(content), 'quiz');
+  if (!quiz) throw new Error('Moodle XML files must have a <quiz> root element');
+
+  return xmlChildren(quiz, 'question')
+    .filter(question => question.attrs.type !== 'category')
+    .map(question => {
+      const sourceType = question.attrs.type || 'unknown';
+      const item = newImportItem(collapseText(xmlText(xmlChild(xmlChild(question, 'name'), 'text'))), sourceType);
+      const answers = xmlChildren(question, 'answer').map(answer => ({
+        text: readMoodleText(answer),
+        fraction: parseFloat(answer.attrs.fraction) || 0,
+        tolerance: parseFloat(xmlText(xmlChild(answer, 'tolerance'))) || 0
+      }));
+      const fullMarks = answers.filter(answer => answer.fraction === 100);
+
+      item.question = readMoodleText(xmlChild(question, 'questiontext'));
+      item.explanation = readMoodleText(xmlChild(question, 'generalfeedback')) || undefined;
+      Object.assign(item, readDifficultyTags(xmlFindAll(xmlChild(question, 'tags'), 'tag').map(tag => xmlText(xmlChild(tag, 'text')))));
+
+      switch (sourceType) {
+        case 'truefalse': {
+          const trueAnswer = answers.find(answer => answer.text.toLowerCase() === 'true');
+          item.type = 'true_false';
+          item.correctAnswer = trueAnswer && trueAnswer.fraction === 100 ? 0 : 1;
+          break;
+        }
+        case 'multichoice':
+          item.options = answers.map(answer => answer.text);
+          if (xmlText(xmlChild(question, 'single')).trim() === 'false') {
+            item.type = 'multi_select';
+            item.correctAnswers = answers.map((answer, index) => (answer.fraction > 0 ? index : -1)).filter(index => index !== -1);
+          } else {
+            item.type = 'multiple_choice';
+            item.correctAnswer = answers.findIndex(answer => answer.fraction === 100);
+            if (answers.some(answer => answer.fraction > 0 && answer.fraction < 100)) {
+              item.warnings.push('Partial credit answers are imported as wrong answers');
+            }
+          }
+          break;
+        case 'numerical':
+          item.type = 'numeric';
+          if (fullMarks.length) {
+            item.numericAnswer = { value: Number(fullMarks[0].text), tolerance: fullMarks[0].tolerance };
+          }
+          if (answers.length > 1) item.warnings.push('Only the first fully correct answer is kept');
+          break;
+        case 'shortanswer':
+          item.type = 'short_text';
+          item.acceptedAnswers = fullMarks.map(answer => answer.text);
+          item.caseSensitive = xmlText(xmlChild(question, 'usecase')).trim() === '1';
+          if (answers.length > fullMarks.length) item.warnings.push('Answers with partial credit are dropped');
+          break;
+        case 'matching': {
+          // Subquestions without text only add distractors to the right-hand side
+          const subquestions = xmlChildren(question, 'subquestion');
+          item.type = 'matching';
+          item.pairs = subquestions
+            .map(subquestion => ({
+              left: readMoodleText(subquestion),
+              right: collapseText(xmlText(xmlChild(xmlChild(subquestion, 'answer'), 'text')))
+            }))
+            .filter(pair => pair.left);
+          if (item.pairs.length < subquestions.length) item.warnings.push('Extra distractor answers are dropped');
+          break;
+        }
+        case 'cloze':
+        case 'multianswer':
+          readMoodleCloze(item, item.question);
+          break;
+        default:
+          item.unsupported = sourceType;
+      }
+
+      return item;
+    });
+}
+
+function exportMoodleXml(questions) {
+  const text = (value) => `<text><![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]></text>`;
+  const answer = (fraction, value, extra = '') => `    <answer fraction="${fraction}" format="plain_text">${text(value)}${extra}</answer>`;
+
+  const items = questions.map((question, index) => {
+    const type = question.type || 'multiple_choice';
+    let moodleType = 'multichoice';
+    let questionText = question.question;
+    let body;
+
+    switch (type) {
+      case 'multi_select': {
+        const credit = creditPercent(question.correctAnswers.length);
+        body = [
+          '    <single>false</single>',
+          '    <shuffleanswers>true</shuffleanswers>',
+          ...question.options.map((option, optionIndex) =>
+            answer(question.correctAnswers.includes(optionIndex) ? credit : -credit, option))
+        ];
+        break;
+      }
+      case 'true_false':
+        moodleType = 'truefalse';
+        body = [answer(question.correctAnswer === 0 ? 100 : 0, 'true'), answer(question.correctAnswer === 1 ? 100 : 0, 'false')];
+        break;
+      case 'numeric':
+        moodleType = 'numerical';
+        body = [answer(100, question.numericAnswer.value, `<tolerance>${question.numericAnswer.tolerance || 0}</tolerance>`)];
+        break;
+      case 'short_text':
+        moodleType = 'shortanswer';
+        body = [
+          `    <usecase>${question.caseSensitive ? 1 : 0}</usecase>`,
+          ...question.acceptedAnswers.map(accepted => answer(100, accepted))
+        ];
+        break;
+      case 'matching':
+        moodleType = 'matching';
+        body = [
+          '    <shuffleanswers>true</shuffleanswers>',
+          ...question.pairs.map(pair => `    <subquestion format="plain_text">${text(pair.left)}<answer>${text(pair.right)}</answer></subquestion>`)
+        ];
+        break;
+      case 'cloze':
+        moodleType = 'cloze';
+        questionText = question.question.replace(CLOZE_BLANK_PATTERN, (match, number) =>
+          `{1:SHORTANSWER${question.caseSensitive ? '_C' : ''}:${question.blanks[number - 1].accepted.map(accepted => `=${escapeMoodleEmbedded(accepted)}`).join('~')}}`);
+        body = [];
+        break;
+      default:
+        body = [
+          '    <single>true</single>',
+          '    <shuffleanswers>true</shuffleanswers>',
+          '    <answernumbering>abc</answernumbering>',
+          ...question.options.map((option, optionIndex) => answer(optionIndex === question.correctAnswer ? 100 : 0, option))
+        ];
+    }
+
+    return `
+  <question type="${moodleType}">
+    <name>${text(question.question.slice(0, 80) || `Question ${index + 1}`)}</name>
+    <questiontext format="plain_text">${text(questionText)}</questiontext>
+    <generalfeedback format="plain_text">${text(question.explanation)}</generalfeedback>
+    <defaultgrade>1</defaultgrade>
+${body.join('\n')}
+    <tags>
+${[`difficulty:${question.difficulty}`, ...(question.tags || [])].map(tag => `      <tag>${text(tag)}</tag>`).join('\n')}
+    </tags>
+  </question>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<quiz>${items}\n</quiz>\n`;
+}
+
+// GIFT
+
+// Splits on a separator that is not escaped with a backslash
+const splitGiftUnescaped = (text, pattern) => text.split(new RegExp(`(?<!\\\\)${pattern}`));
+const unescapeGift = (text) => text.replace(/\\([~=#{}:\\])/g, '$1').replace(/\\n/g, '\n').trim();
+const escapeGift = (text) => String(text ?? '').replace(/([~=#{}:\\])/g, '\\$1').replace(/\n/g, '\\n');
+const stripGiftFeedback = (answer) => unescapeGift(splitGiftUnescaped(answer, '#')[0]);
+
+// "3.14:0.01", "3.1..3.2" or "3.14"
+function readGiftNumber(spec) {
+  const range = spec.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    return { value: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+  }
+  const [value, tolerance = '0'] = spec.split(':');
+  return { value: Number(value), tolerance: Number(tolerance) };
+}
+
+function parseGift(content) {
+  // Questions are separated by blank lines; comment lines carry our own metadata
+  const blocks = content.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  const items = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const meta = { tags: [] };
+    const body = lines.filter(line => {
+      const comment = line.trim().match(/^\/\/\s*(.*)$/);
+      if (!comment) return !/^\s*\$CATEGORY:/.test(line);
+
+      const [, key, value] = comment[1].match(/^(difficulty|tags):\s*(.*)$/i) || [];
+      if (key?.toLowerCase() === 'difficulty') meta.difficulty = value.trim().toLowerCase();
+      if (key?.toLowerCase() === 'tags') meta.tags.push(...value.split(',').map(tag => tag.trim()).filter(Boolean));
+      return false;
+    }).join('\n').trim();
+
+    if (!body) continue;
+
+    const titleMatch = body.match(/^::((?:\\.|[^:])*)::/);
+    const rest = titleMatch ? body.slice(titleMatch[0].length) : body;
+    const open = rest.search(/(?<!\\){/);
+    const close = rest.search(/(?<!\\)}(?![\s\S]*(?<!\\)})/);
+
+    const item = newImportItem(titleMatch ? unescapeGift(titleMatch[1]) : '', 'unknown');
+    Object.assign(item, readDifficultyTags([...meta.tags, ...(meta.difficulty ? [`difficulty:${meta.difficulty}`] : [])]));
+    items.push(item);
+
+    if (open === -1 || close < open) {
+      item.sourceType = 'description';
+      item.unsupported = 'description (no answer block)';
+      item.question = unescapeGift(rest.replace(/^\[\w+\]/, ''));
+      continue;
+    }
+
+    const before = unescapeGift(rest.slice(0, open).replace(/^\[\w+\]/, ''));
+    const after = unescapeGift(rest.slice(close + 1));
+    item.question = after ? `${before} _____ ${after}` : before;
+
+    const [answerPart, ...feedbackParts] = rest.slice(open + 1, close).split(/(?<!\\)####/);
+    if (feedbackParts.length) item.explanation = unescapeGift(feedbackParts.join(' '));
+    const answerText = answerPart.trim();
+
+    if (/^(T|TRUE|F|FALSE)(\s*#|$)/i.test(answerText)) {
+      item.sourceType = 'truefalse';
+      item.type = 'true_false';
+      item.correctAnswer = /^T/i.test(answerText) ? 0 : 1;
+      continue;
+    }
+
+    if (answerText === '') {
+      item.sourceType = 'essay';
+      item.unsupported = 'essay';
+      continue;
+    }
+
+    if (answerText.startsWith('#')) {
+      // Either "#value:tolerance" or several "=…" alternatives, of which the first full-credit one is kept
+      const alternatives = splitGiftUnescaped(answerText.slice(1).trim(), '=').map(part => part.trim()).filter(Boolean);
+      const kept = alternatives.find(part => !part.startsWith('%') || part.startsWith('%100%')) || '';
+
+      item.sourceType = 'numerical';
+      item.type = 'numeric';
+      item.numericAnswer = readGiftNumber(stripGiftFeedback(kept.replace(/^%100%/, '')));
+      if (alternatives.length > 1) item.warnings.push('Only the first fully correct answer is kept');
+      continue;
+    }
+
+    const answers = splitGiftUnescaped(answerText, '(?=[=~])').map(part => part.trim()).filter(Boolean);
+
+    if (answers.some(answer => /(?<!\\)->/.test(answer))) {
+      item.sourceType = 'matching';
+      item.type = 'matching';
+      item.pairs = answers
+        .map(answer => answer.slice(1).split(/(?<!\\)->/).map(side => unescapeGift(side)))
+        .filter(([left]) => left)
+        .map(([left, right = '']) => ({ left, right }));
+      if (item.pairs.length < answers.length) item.warnings.push('Extra distractor answers are dropped');
+      continue;
+    }
+
+    if (!answers.some(answer => answer.startsWith('~'))) {
+      const fullMarks = answers.filter(answer => /^=(?!%)|^=%100%/.test(answer));
+      const accepted = fullMarks.map(answer => stripGiftFeedback(answer.slice(1).replace(/^%100%/, '')));
+      if (fullMarks.length < answers.length) item.warnings.push('Answers with partial credit are dropped');
+
+      item.sourceType = 'shortanswer';
+      // A short answer in the middle of a sentence is GIFT's missing word format, i.e. one blank
+      if (after) {
+        item.type = 'cloze';
+        item.question = `${before} {{1}} ${after}`;
+        item.blanks = [{ accepted }];
+      } else {
+        item.type = 'short_text';
+        item.acceptedAnswers = accepted;
+      }
+      continue;
+    }
+
+    // Weighted wrong answers ("~%50%…") mean several answers earn credit
+    const weights = answers.map(answer => {
+      if (answer.startsWith('=')) return 100;
+      return Number(answer.match(/^~%(-?[\d.]+)%/)?.[1] || 0);
+    });
+
+    item.sourceType = 'multichoice';
+    item.options = answers.map(answer => stripGiftFeedback(answer.slice(1).replace(/^%-?[\d.]+%/, '')));
+
+    if (answers.some(answer => /^~%[\d.]+%/.test(answer) && !/^~%0%/.test(answer))) {
+      item.type = 'multi_select';
+      item.correctAnswers = weights.map((weight, index) => (weight > 0 ? index : -1)).filter(index => index !== -1);
+    } else {
+      const correct = weights.map((weight, index) => (weight === 100 ? index : -1)).filter(index => index !== -1);
+      item.type = 'multiple_choice';
+      item.correctAnswer = correct.length === 1 ? correct[0] : -1;
+      if (correct.length > 1) item.errors.push('Only one answer may be marked correct with =');
+    }
+  }
+
+  return items;
+}
+
+function exportGift(questions) {
+  return questions.map((question, index) => {
+    const type = question.type || 'multiple_choice';
+    let stem = escapeGift(question.question);
+    let suffix = '';
+    let answers;
+
+    switch (type) {
+      case 'multi_select': {
+        const credit = creditPercent(question.correctAnswers.length);
+        answers = question.options.map((option, optionIndex) =>
+          `~%${question.correctAnswers.includes(optionIndex) ? credit : -credit}%${escapeGift(option)}`);
+        break;
+      }
+      case 'true_false':
+        answers = [question.correctAnswer === 0 ? 'TRUE' : 'FALSE'];
+        break;
+      case 'numeric':
+        answers = [`#${question.numericAnswer.value}:${question.numericAnswer.tolerance || 0}`];
+        break;
+      case 'short_text':
+        answers = question.acceptedAnswers.map(accepted => `=${escapeGift(accepted)}`);
+        break;
+      case 'matching':
+        answers = question.pairs.map(pair => `=${escapeGift(pair.left)} -> ${escapeGift(pair.right)}`);
+        break;
+      case 'cloze': {
+        // The answer block goes where the blank is
+        const [before, after] = question.question.split('{{1}}');
+        stem = escapeGift(before.trim());
+        answers = question.blanks[0].accepted.map(accepted => `=${escapeGift(accepted)}`);
+        suffix = ` ${escapeGift(after.trim())}`;
+        break;
+      }
+      default:
+        answers = question.options.map((option, optionIndex) => `${optionIndex === question.correctAnswer ? '=' : '~'}${escapeGift(option)}`);
+    }
+
+    const lines = [
+      `// difficulty: ${question.difficulty}`,
+      ...(question.tags?.length ? [`// tags: ${question.tags.join(', ')}`] : []),
+      `::${escapeGift(`Q${index + 1}`)}:: ${stem} {`,
+      ...answers.map(answer => `  ${answer}`),
+      ...(question.explanation ? [`  ####${escapeGift(question.explanation)}`] : []),
+      `}${suffix}`
+    ];
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// IMS QTI 2.1
+
+const QTI_INTERACTIONS = ['choiceInteraction', 'orderInteraction'];
+
+function parseQtiItem(itemNode, keywords = []) {
+  const item = newImportItem(itemNode.attrs.title || itemNode.attrs.identifier || '', 'unknown');
+  Object.assign(item, readDifficultyTags(keywords));
+
+  const body = xmlChild(itemNode, 'itemBody');
+  const collectInteractions = (node) => (node?.children || [])
+    .filter(child => typeof child === 'object')
+    .flatMap(child => (child.name.endsWith('Interaction') ? [child] : collectInteractions(child)));
+  const interactions = collectInteractions(body);
+
+  if (interactions.length !== 1 || !QTI_INTERACTIONS.includes(interactions[0].name)) {
+    item.sourceType = interactions[0]?.name || 'no interaction';
+    item.unsupported = interactions.length > 1 ? 'multiple interactions in one item' : item.sourceType;
+    item.question = collapseText(xmlText(body));
+    return item;
+  }
+
+  const interaction = interactions[0];
+  item.sourceType = interaction.name;
+
+  // The stem is any body text outside the interaction plus the interaction's own prompt
+  const textOutside = (node) => node.children
+    .map(child => (typeof child === 'string' ? child : child === interaction ? '' : `${textOutside(child)}\n`))
+    .join('');
+  item.question = collapseText(`${textOutside(body)}\n${xmlText(xmlChild(interaction, 'prompt'))}`);
+  item.explanation = collapseText(xmlChildren(itemNode, 'modalFeedback').map(xmlText).join('\n')) || undefined;
+
+  const declaration = xmlChildren(itemNode, 'responseDeclaration')
+    .find(node => node.attrs.identifier === interaction.attrs.responseIdentifier);
+  if (!declaration) {
+    item.errors.push('No responseDeclaration for the interaction');
+  }
+
+  const choices = xmlChildren(interaction, 'simpleChoice');
+  const choiceIndex = (identifier) => choices.findIndex(choice => choice.attrs.identifier === identifier);
+  const correctIds = xmlChildren(xmlChild(declaration, 'correctResponse'), 'value').map(value => xmlText(value).trim());
+  const texts = choices.map(choice => collapseText(xmlText(choice)));
+
+  if (interaction.name === 'orderInteraction') {
+    // Stored options are the items in their correct order
+    item.type = 'ordering';
+    item.options = correctIds.map(identifier => texts[choiceIndex(identifier)]);
+    if (correctIds.length !== choices.length || correctIds.some(identifier => choiceIndex(identifier) === -1)) {
+      item.errors.push('The correct order must list every choice once');
+    }
+  } else if (declaration?.attrs.cardinality === 'multiple' || parseInt(interaction.attrs.maxChoices ?? 1) !== 1) {
+    item.type = 'multi_select';
+    item.options = texts;
+    item.correctAnswers = correctIds.map(choiceIndex);
+  } else {
+    const isTrueFalse = texts.length === 2 && texts[0].toLowerCase() === 'true' && texts[1].toLowerCase() === 'false';
+    item.type = isTrueFalse ? 'true_false' : 'multiple_choice';
+    item.options = texts;
+    item.correctAnswer = correctIds.length === 1 ? choiceIndex(correctIds[0]) : -1;
+  }
+
+  return item;
+}
+
+// Accepts a content package (ZIP with imsmanifest.xml) or bare XML containing assessmentItem elements
+function parseQti(content, zipBuffer) {
+  if (!zipBuffer) {
+    return xmlFindAll(parseXml(content), 'assessmentItem').map(node => parseQtiItem(node));
+  }
+
+  const files = new Map(readZipArchive(zipBuffer).map(entry => [entry.name, entry.data.toString('utf8')]));
+  const manifest = files.get('imsmanifest.xml');
+  const itemFiles = [];
+
+  if (manifest) {
+    for (const resource of xmlFindAll(parseXml(manifest), 'resource')) {
+      if (!/^imsqti_item_xmlv2p[01]$/.test(resource.attrs.type || '')) continue;
+      const keywords = xmlFindAll(resource, 'keyword').map(keyword => xmlText(keyword).trim());
+      itemFiles.push({ href: resource.attrs.href, keywords });
+    }
+  } else {
+    [...files.keys()].filter(name => name.endsWith('.xml')).forEach(href => itemFiles.push({ href, keywords: [] }));
+  }
+
+  return itemFiles.flatMap(({ href, keywords }) => {
+    if (!files.has(href)) {
+      const item = newImportItem(href, 'missing file');
+      item.errors.push(`The manifest lists ${href} but the package does not contain it`);
+      return [item];
+    }
+    return xmlFindAll(parseXml(files.get(href)), 'assessmentItem').map(node => parseQtiItem(node, keywords));
+  });
+}
+
+// Response declaration and interaction markup for the types QTI export supports
+function buildQtiInteraction(question) {
+  const type = question.type || 'multiple_choice';
+  const options = type === 'true_false' ? ['True', 'False'] : question.options;
+  const choices = options
+    .map((option, index) => `      <simpleChoice identifier="choice_${index}">${escapeXml(option)}</simpleChoice>`)
+    .join('\n');
+  const prompt = `      <prompt>${escapeXml(question.question)}</prompt>`;
+
+  if (type === 'ordering') {
+    return {
+      cardinality: 'ordered',
+      correct: options.map((option, index) => index),
+      interaction: `    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">\n${prompt}\n${choices}\n    </orderInteraction>`
+    };
+  }
+
+  const isMultiple = type === 'multi_select';
+  return {
+    cardinality: isMultiple ? 'multiple' : 'single',
+    correct: isMultiple ? question.correctAnswers : [question.correctAnswer],
+    interaction: `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${type !== 'true_false'}" maxChoices="${isMultiple ? 0 : 1}">\n${prompt}\n${choices}\n    </choiceInteraction>`
+  };
+}
+
+function exportQtiPackage(questions) {
+  const entries = [];
+  const resources = [];
+
+  questions.forEach((question, index) => {
+    const identifier = `item_${String(question._id || index)}`;
+    const href = `items/${identifier}.xml`;
+    const { cardinality, correct, interaction } = buildQtiInteraction(question);
+
+    entries.push({
+      name: href,
+      data: `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="${escapeXml(identifier)}" title="${escapeXml(question.question.slice(0, 80))}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="identifier">
+    <correctResponse>${correct.map(choice => `<value>choice_${choice}</value>`).join('')}</correctResponse>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+${interaction}
+  </itemBody>
+  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>${question.explanation ? `
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="explanation" showHide="hide">${escapeXml(question.explanation)}</modalFeedback>` : ''}
+</assessmentItem>
+`
+    });
+
+    const keywords = [`difficulty:${question.difficulty}`, ...(question.tags || [])];
+    resources.push(`    <resource identifier="res_${escapeXml(identifier)}" type="imsqti_item_xmlv2p1" href="${href}">
+      <metadata>
+        <imsmd:lom><imsmd:general>${keywords.map(keyword => `<imsmd:keyword><imsmd:string>${escapeXml(keyword)}</imsmd:string></imsmd:keyword>`).join('')}</imsmd:general></imsmd:lom>
+      </metadata>
+      <file href="${href}"/>
+    </resource>`);
+  });
+
+  entries.unshift({
+    name: 'imsmanifest.xml',
+    data: `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM" identifier="learnova_export_${Date.now()}">
+  <organizations/>
+  <resources>
+${resources.join('\n')}
+  </resources>
+</manifest>
+`
+  });
+
+  return createZipArchive(entries);
+}
+
+const detectQuestionFormat = (content, zipBuffer) => {
+  if (zipBuffer) return 'qti';
+  if (/<quiz[\s>]/.test(content)) return 'moodle';
+  if (/<assessmentItem[\s>]/.test(content)) return 'qti';
+  return 'gift';
+};
+
+app.post('/api/questions/import', authenticateScoped('questions:write'), async (req, res) => {
+  try {
+    const { content, file, format = 'auto', subjectId, topicId, dryRun = true, onDuplicate = 'skip' } = req.body;
+
+    if (!Question) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    if ((!content || typeof content !== 'string') && (!file || typeof file !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send the file as text in "content", or base64 in "file" for QTI packages'
+      });
+    }
+
+    if (format !== 'auto' && !QUESTION_INTERCHANGE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be auto or one of: ${QUESTION_INTERCHANGE_FORMATS.join(', ')}`
+      });
+    }
+
+    const invalidPlacement = await checkQuestionPlacement(req.user.userId, subjectId, topicId);
+    if (invalidPlacement) {
+      return res.status(400).json({
+        success: false,
+        error: invalidPlacement
+      });
+    }
+
+    const zipBuffer = file ? Buffer.from(file, 'base64') : null;
+    const text = zipBuffer ? '' : content;
+    const resolvedFormat = format === 'auto' ? detectQuestionFormat(text, zipBuffer) : format;
+
+    let items;
+    try {
+      if (resolvedFormat === 'moodle') items = parseMoodleXml(text);
+      else if (resolvedFormat === 'gift') items = parseGift(text);
+      else items = parseQti(text, zipBuffer);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not read the file as ${resolvedFormat}: ${parseError.message}`
+      });
+    }
+
+    if (items.length > MAX_IMPORT_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `Import at most ${MAX_IMPORT_ITEMS} questions at a time`
+      });
+    }
+
+    // Validate every item, then fingerprint the valid ones for duplicate checks
+    items.forEach(item => {
+      if (item.unsupported) {
+        item.status = 'unsupported';
+        item.errors.push(`Unsupported question type: ${item.unsupported}`);
+        return;
+      }
+
+      const invalid = validateQuestionInput(item);
+      if (invalid) item.errors.push(invalid);
+      item.status = item.errors.length ? 'invalid' : 'ready';
+      if (item.status === 'ready') {
+        item.fingerprint = questionFingerprint({ question: item.question, options: toAnswerFields(item).options });
+      }
+    });
+
+    const fingerprints = items.filter(item => item.fingerprint).map(item => item.fingerprint);
+    const existing = await Question.find({
+      contentHash: { $in: fingerprints },
+      $or: [{ createdBy: req.user.userId }, ...(subjectId ? [{ subjectId }] : [])]
+    }).select('contentHash').lean();
+    const existingByHash = new Map(existing.map(question => [question.contentHash, question._id]));
+
+    const seen = new Map();
+    items.forEach((item, index) => {
+      if (item.status !== 'ready') return;
+
+      if (existingByHash.has(item.fingerprint)) {
+        item.status = 'duplicate';
+        item.duplicateOf = existingByHash.get(item.fingerprint);
+        item.warnings.push('Already in your question bank');
+      } else if (seen.has(item.fingerprint)) {
+        item.status = 'duplicate';
+        item.warnings.push(`Same as item ${seen.get(item.fingerprint) + 1} in this file`);
+      } else {
+        seen.set(item.fingerprint, index);
+      }
+    });
+
+    const toImport = items.filter(item =>
+      item.status === 'ready' || (item.status === 'duplicate' && onDuplicate === 'import'));
+
+    if (!dryRun && toImport.length) {
+      const saved = await Question.insertMany(toImport.map(item =>
+        toQuestionDocument(item, req.user.userId, { subjectId, topicId })));
+      toImport.forEach((item, index) => {
+        item.status = 'imported';
+        item.questionId = saved[index]._id;
+      });
+    }
+
+    const summary = items.reduce((counts, item) => {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+      return counts;
+    }, { total: items.length });
+
+    res.json({
+      success: true,
+      format: resolvedFormat,
+      dryRun: Boolean(dryRun),
+      summary,
+      items: items.map((item, index) => ({
+        index,
+        title: item.title,
+        type: item.type,
+        sourceType: item.sourceType,
+        status: item.status,
+        question: item.question,
+        options: item.options,
+        correctAnswer: item.correctAnswer,
+        difficulty: item.difficulty,
+        tags: item.tags,
+        errors: item.errors,
+        warnings: item.warnings,
+        duplicateOf: item.duplicateOf,
+        questionId: item.questionId
+      }))
+    });
+  } catch (error) {
+    console.error('Question Import Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to import questions' 
+    });
+  }
+});
+
+// Declared before /api/questions/:id so "export" is not read as a question id
+app.get('/api/questions/export', authenticateScoped('questions:read'), async (req, res) => {
+  try {
+    const format = req.query.format;
+    if (!QUESTION_INTERCHANGE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${QUESTION_INTERCHANGE_FORMATS.join(', ')}`
+      });
+    }
+
+    if (!Question) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const { filter, error } = buildQuestionFilter(req.query, req.user.userId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    // Exports carry the answer keys, so they cover only questions the caller may edit
+    if (!hasPermission(req.user.role, 'questions:edit-shared')) {
+      filter.$and = [...(filter.$and || []), { createdBy: req.user.userId }];
+    }
+
+    const matching = await Question.find(filter).sort({ createdAt: 1 }).limit(MAX_EXPORT_ITEMS).lean();
+    const questions = matching.filter(question => canExportQuestion(format, question));
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    // Types the format cannot carry are left out; the client reports how many
+    res.setHeader('X-Skipped-Questions', matching.length - questions.length);
+
+    if (format === 'qti') {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="learnova-questions-${stamp}-qti.zip"`);
+      return res.send(exportQtiPackage(questions));
+    }
+
+    const isMoodle = format === 'moodle';
+    res.setHeader('Content-Type', isMoodle ? 'application/xml; charset=utf-8' : 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="learnova-questions-${stamp}.${isMoodle ? 'xml' : 'gift.txt'}"`);
+    res.send(isMoodle ? exportMoodleXml(questions) : exportGift(questions));
+  } catch (error) {
+    console.error('Question Export Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to export questions' 
+    });
+  }
+});
+
+app.get('/api/questions/:id', authenticateScoped('questions:read'), async (req, res) => {
+  try {
+    if (!Question) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const question = await Question.findById(req.params.id).populate('createdBy', 'name').lean().catch(() => null);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      question: toQuestionListing(question, req.user)
+    });
+  } catch (error) {
+    console.error('Question Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch question' 
+    });
+  }
+});
+
+// The question as a learner sees it, without the answer key
+app.get('/api/questions/:id/practice', authenticateScoped('questions:read'), async (req, res) => {
+  try {
+    if (!Question) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const question = await Question.findById(req.params.id).catch(() => null);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      question: toPracticeQuestion(question)
+    });
+  } catch (error) {
+    console.error('Practice Question Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch question' 
+    });
+  }
+});
+
+// Grades a response on the server so the key never has to reach the browser before answering
+app.post('/api/questions/:id/answer', authenticateScoped('questions:read'), async (req, res) => {
+  try {
+    if (!Question) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const question = await Question.findById(req.params.id).catch(() => null);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    let result;
+    try {
+      result = gradeAnswer(question, resolvePracticeResponse(question, req.body.response));
+    } catch (gradeError) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not read your answer: ${gradeError.message}`
+      });
+    }
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        error: `That response does not fit a ${question.type.replace('_', ' ')} question`
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result,
+      answer: getAnswerKey(question),
+      explanation: question.explanation
+    });
+  } catch (error) {
+    console.error('Grade Answer Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to grade answer' 
+    });
+  }
+});
+
+// Accepts one question, or { questions: [...] } to save a reviewed batch at once
+app.post('/api/questions', authenticateScoped('questions:write'), async (req, res) => {
+  try {
+    if (!Question) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const isBatch = Array.isArray(req.body.questions);
+    const inputs = isBatch ? req.body.questions : [req.body];
+
+    if (inputs.length === 0 || inputs.length > MAX_QUESTIONS_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        error: `Send between 1 and ${MAX_QUESTIONS_PER_REQUEST} questions`
+      });
+    }
+
+    const defaults = isBatch ? {
+      subjectId: req.body.subjectId,
+      topicId: req.body.topicId,
+      tags: Array.isArray(req.body.tags) ? req.body.tags : [],
+      aiGenerated: req.body.aiGenerated === true
+    } : {};
+
+    for (const [index, input] of inputs.entries()) {
+      const invalid = validateQuestionInput(input) ||
+        await checkQuestionPlacement(req.user.userId, input.subjectId || defaults.subjectId, input.topicId || defaults.topicId);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: isBatch ? `Question ${index + 1}: ${invalid}` : invalid
+        });
+      }
+    }
+
+    const questions = await Question.insertMany(inputs.map(input => toQuestionDocument(input, req.user.userId, defaults)));
+
+    res.status(201).json(isBatch ? {
+      success: true,
+      questions
+    } : {
+      success: true,
+      question: questions[0]
+    });
+  } catch (error) {
+    console.error('Create Question Error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.message
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create question' 
+    });
+  }
+});
+
+app.put('/api/questions/:id', authenticateScoped('questions:write'), async (req, res) => {
+  try {
+    if (!Question) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const question = await Question.findById(req.params.id).catch(() => null);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    if (!canEditQuestion(question, req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to edit this question',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const before = snapshotQuestion(question);
+
+    // The answer fields are validated on a merged copy and then written as a set for the final type
+    const merged = { ...question.toObject(), ...req.body };
+    const invalidAnswer = validateQuestionInput(merged) ||
+      checkAttachmentTargets({ ...merged, attachments: question.attachments });
+
+    const editable = ['question', 'explanation', 'difficulty', 'subjectId', 'topicId'];
+    editable.forEach(field => {
+      if (req.body[field] !== undefined) question[field] = req.body[field];
+    });
+    if (req.body.tags !== undefined) question.tags = normalizeTags(req.body.tags);
+    if (!invalidAnswer) question.set(toAnswerFields(merged));
+
+    const invalid = invalidAnswer ||
+      ((req.body.subjectId !== undefined || req.body.topicId !== undefined) &&
+        await checkQuestionPlacement(req.user.userId, question.subjectId, question.topicId));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const changes = diffSnapshots(before, snapshotQuestion(question));
+    if (changes.length > 0) question.revision = (question.revision || 1) + 1;
+
+    await question.save();
+
+    let regraded = null;
+    if (changes.length > 0) {
+      const keyChanged = await recordQuestionRevision(question, before, changes, req.user.userId);
+      if (keyChanged) regraded = await regradeQuestionAnswers(question);
+    }
+
+    res.json({
+      success: true,
+      question,
+      regraded
+    });
+  } catch (error) {
+    console.error('Update Question Error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.message
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update question' 
+    });
+  }
+});
+
+app.delete('/api/questions/:id', authenticateScoped('questions:write'), async (req, res) => {
+  try {
+    if (!Question) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const question = await Question.findById(req.params.id).catch(() => null);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    if (!canEditQuestion(question, req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to delete this question',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    await question.deleteOne();
+    await Promise.all([
+      deleteQuestionHistory([question._id]),
+      removeQuestionAttachments([question])
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Question deleted'
+    });
+  } catch (error) {
+    console.error('Delete Question Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete question' 
+    });
+  }
+});
+
+// Question Revision Routes
+// Every edit that changes a question's content stores a snapshot, so authors can compare versions and
+// roll back. Subject and topic are placement rather than content and are left out of the history
+const QUESTION_CONTENT_FIELDS = [
+  'question', 'type', 'options', 'correctAnswer', 'correctAnswers', 'numericAnswer', 'mathAnswer',
+  'acceptedAnswers', 'caseSensitive', 'pairs', 'blanks', 'explanation', 'difficulty', 'tags'
+];
+// Fields that decide how a response is graded; options count because ordering keys are their order
+const QUESTION_KEY_FIELDS = [
+  'type', 'options', 'correctAnswer', 'correctAnswers', 'numericAnswer', 'mathAnswer',
+  'acceptedAnswers', 'caseSensitive', 'pairs', 'blanks'
+];
+const QUESTION_REVISION_FIELDS = 'revision editedBy changedFields keyChanged restoredFrom createdAt';
+
+// Plain JSON copy of the content fields, so snapshots compare the same whether stored or live
+const snapshotQuestion = (question) => {
+  const source = typeof question.toObject === 'function' ? question.toObject() : question;
+  const snapshot = {};
+  QUESTION_CONTENT_FIELDS.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) {
+      snapshot[field] = JSON.parse(JSON.stringify(source[field]));
+    }
+  });
+  return snapshot;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Fields that differ between two snapshots, with both sides for display
+const diffSnapshots = (before, after) => QUESTION_CONTENT_FIELDS
+  .filter(field => !sameValue(before[field], after[field]))
+  .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+
+// Stores the saved question as a new revision. Questions created before history was kept get their
+// pre-edit state stored first, so the first edit can still be rolled back. Returns whether the key changed
+async function recordQuestionRevision(question, before, changes, userId, restoredFrom = null) {
+  const changedFields = changes.map(change => change.field);
+  const keyChanged = changedFields.some(field => QUESTION_KEY_FIELDS.includes(field));
+  if (!QuestionRevision) return keyChanged;
+
+  const previous = question.revision - 1;
+  const entries = [];
+  if (!await QuestionRevision.exists({ questionId: question._id, revision: previous })) {
+    entries.push({
+      questionId: question._id,
+      revision: previous,
+      editedBy: question.createdBy,
+      snapshot: before,
+      createdAt: question.createdAt
+    });
+  }
+  entries.push({
+    questionId: question._id,
+    revision: question.revision,
+    editedBy: userId,
+    snapshot: snapshotQuestion(question),
+    changedFields,
+    keyChanged,
+    restoredFrom
+  });
+
+  await QuestionRevision.insertMany(entries);
+  return keyChanged;
+}
+
+// Grades every stored answer to the question again after its key changed. Answers that no longer fit
+// the question (say, after a type change) count as wrong. Session accuracy, the topic's correct answer
+// count and the learner's overall accuracy follow the new results. Ability estimates and the question's
+// calibration are not replayed; the answers that follow pull them back in line
+async function regradeQuestionAnswers(question) {
+  const summary = { sessions: 0, answers: 0, changed: 0 };
+  if (!Session) return summary;
+
+  const sessions = await Session.find({ 'questions.questionId': question._id });
+  for (const session of sessions) {
+    let correctDelta = 0;
+    let touched = false;
+
+    session.questions.forEach(entry => {
+      if (!entry.questionId || !entry.questionId.equals(question._id) ||
+          entry.userAnswer === undefined || entry.userAnswer === null) {
+        return;
+      }
+      summary.answers++;
+
+      let result = null;
+      try {
+        result = gradeAnswer(question, entry.userAnswer);
+      } catch (error) {
+        // An expression that no longer parses is graded like any other unusable response
+      }
+      const correct = Boolean(result && result.correct);
+      const score = result ? result.score : 0;
+      const previousScore = entry.score ?? (entry.correct ? 1 : 0);
+
+      if (correct !== Boolean(entry.correct) || score !== previousScore) {
+        correctDelta += (correct ? 1 : 0) - (entry.correct ? 1 : 0);
+        entry.correct = correct;
+        entry.score = score;
+        touched = true;
+        summary.changed++;
+      }
+    });
+
+    if (!touched) continue;
+
+    const graded = session.questions.filter(entry => typeof entry.correct === 'boolean');
+    if (graded.length > 0) {
+      session.accuracy = Math.round((graded.filter(entry => entry.correct).length / graded.length) * 100);
+    }
+    await session.save();
+    summary.sessions++;
+
+    if (correctDelta !== 0) {
+      await Promise.all([
+        updateTopicCounters(session.userId, question, { correct: correctDelta }),
+        updateAnswerStats(session.userId, { correct: correctDelta })
+      ]);
+    }
+  }
+
+  return summary;
+}
+
+// Revisions and reports go with their question
+async function deleteQuestionHistory(questionIds) {
+  if (questionIds.length === 0) return;
+  await Promise.all([
+    QuestionRevision && QuestionRevision.deleteMany({ questionId: { $in: questionIds } }),
+    QuestionReport && QuestionReport.deleteMany({ questionId: { $in: questionIds } })
+  ]);
+}
+
+// Loads a question the current user may edit, or sends the error response and returns null
+async function findEditableQuestion(req, res) {
+  if (!Question || !QuestionRevision) {
+    res.status(500).json({
+      success: false,
+      error: 'Database not available'
+    });
+    return null;
+  }
+
+  const question = await Question.findById(req.params.id).catch(() => null);
+  if (!question) {
+    res.status(404).json({
+      success: false,
+      error: 'Question not found'
+    });
+    return null;
+  }
+
+  if (!canEditQuestion(question, req.user)) {
+    res.status(403).json({
+      success: false,
+      error: 'Only the question\'s authors can see its history',
+      code: 'FORBIDDEN'
+    });
+    return null;
+  }
+
+  return question;
+}
+
+app.get('/api/questions/:id/revisions', authenticateScoped('questions:read'), async (req, res) => {
+  try {
+    const question = await findEditableQuestion(req, res);
+    if (!question) return;
+
+    const revisions = await QuestionRevision.find({ questionId: question._id })
+      .select(QUESTION_REVISION_FIELDS)
+      .populate('editedBy', 'name')
+      .sort({ revision: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      current: question.revision || 1,
+      revisions
+    });
+  } catch (error) {
+    console.error('Question Revisions Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch revisions' 
+    });
+  }
+});
+
+// One revision with its diff against the revision before it, or against ?against=<revision>
+app.get('/api/questions/:id/revisions/:revision', authenticateScoped('questions:read'), async (req, res) => {
+  try {
+    const question = await findEditableQuestion(req, res);
+    if (!question) return;
+
+    const revisionNumber = parseInt(req.params.revision);
+    const againstNumber = req.query.against !== undefined ? parseInt(req.query.against) : revisionNumber - 1;
+    if (!Number.isInteger(revisionNumber) || !Number.isInteger(againstNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Revisions are numbered'
+      });
+    }
+
+    const [revision, against] = await Promise.all([
+      QuestionRevision.findOne({ questionId: question._id, revision: revisionNumber }).populate('editedBy', 'name').lean(),
+      QuestionRevision.findOne({ questionId: question._id, revision: againstNumber }).lean()
+    ]);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      revision,
+      against: against ? against.revision : null,
+      // The first revision is compared with nothing, so every field it has shows up as added
+      changes: diffSnapshots(against ? against.snapshot : {}, revision.snapshot)
+    });
+  } catch (error) {
+    console.error('Question Revision Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch revision' 
+    });
+  }
+});
+
+// Rolling back writes the old content as a new revision, so the rollback itself can be undone
+app.post('/api/questions/:id/revisions/:revision/restore', authenticateScoped('questions:write'), async (req, res) => {
+  try {
+    const question = await findEditableQuestion(req, res);
+    if (!question) return;
+
+    const revision = await QuestionRevision.findOne({
+      questionId: question._id,
+      revision: parseInt(req.params.revision)
+    }).lean().catch(() => null);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    const invalid = validateQuestionInput(revision.snapshot) ||
+      checkAttachmentTargets({ ...revision.snapshot, attachments: question.attachments });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: `Revision ${revision.revision} cannot be restored: ${invalid}`
+      });
+    }
+
+    const before = snapshotQuestion(question);
+    const { snapshot } = revision;
+    question.set({
+      question: snapshot.question,
+      explanation: snapshot.explanation,
+      difficulty: snapshot.difficulty || 'medium',
+      tags: normalizeTags(snapshot.tags),
+      ...toAnswerFields(snapshot)
+    });
+
+    const changes = diffSnapshots(before, snapshotQuestion(question));
+    if (changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The question already matches that revision'
+      });
+    }
+
+    question.revision = (question.revision || 1) + 1;
+    await question.save();
+
+    const keyChanged = await recordQuestionRevision(question, before, changes, req.user.userId, revision.revision);
+    const regraded = keyChanged ? await regradeQuestionAnswers(question) : null;
+
+    res.json({
+      success: true,
+      question,
+      regraded
+    });
+  } catch (error) {
+    console.error('Restore Question Revision Error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.message
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to restore revision' 
+    });
+  }
+});
+
+// Question Reports
+// Learners flag problems from the practice screen; each learner keeps at most one open report per
+// question, which later reports update
+app.post('/api/questions/:id/reports', authenticateScoped('questions:write'), async (req, res) => {
+  try {
+    if (!Question || !QuestionReport) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const { reason, message } = req.body;
+    if (!QUESTION_REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `Reason must be one of: ${QUESTION_REPORT_REASONS.join(', ')}`
+      });
+    }
+    if (message !== undefined && typeof message !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Message must be text'
+      });
+    }
+
+    const question = await Question.findById(req.params.id).select('revision').catch(() => null);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const report = await QuestionReport.findOneAndUpdate(
+      { questionId: question._id, reportedBy: req.user.userId, status: 'open' },
+      { reason, message, revision: question.revision || 1 },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Report Question Error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.message
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to report question' 
+    });
+  }
+});
+
+// The triage queue: reports on the user's own questions, or on every question for shared-bank editors
+app.get('/api/question-reports', authenticateScoped('questions:read'), async (req, res) => {
+  try {
+    if (!Question || !QuestionReport) {
+      return res.json({
+        success: true,
+        reports: [],
+        pagination: { page: 1, limit: 0, total: 0, pages: 0 }
+      });
+    }
+
+    const status = req.query.status || 'open';
+    if (status !== 'all' && !QUESTION_REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be all or one of: ${QUESTION_REPORT_STATUSES.join(', ')}`
+      });
+    }
+
+    const filter = status === 'all' ? {} : { status };
+    if (!hasPermission(req.user.role, 'questions:edit-shared')) {
+      filter.questionId = { $in: await Question.find({ createdBy: req.user.userId }).distinct('_id') };
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [reports, total] = await Promise.all([
+      QuestionReport.find(filter)
+        .populate('questionId', 'question type revision')
+        .populate('reportedBy', 'name')
+        .populate('resolvedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      QuestionReport.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Question Reports Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch reports' 
+    });
+  }
+});
+
+// Resolves, dismisses or reopens a report; only people who may edit the question can triage it
+app.put('/api/question-reports/:id', authenticateScoped('questions:write'), async (req, res) => {
+  try {
+    if (!Question || !QuestionReport) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const { status, note } = req.body;
+    if (!QUESTION_REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${QUESTION_REPORT_STATUSES.join(', ')}`
+      });
+    }
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Note must be text'
+      });
+    }
+
+    const report = await QuestionReport.findById(req.params.id).catch(() => null);
+    const question = report && await Question.findById(report.questionId).select('createdBy').catch(() => null);
+    if (!report || !question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    if (!canEditQuestion(question, req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the question\'s authors can triage its reports',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    report.status = status;
+    if (note !== undefined) report.resolutionNote = note;
+    if (status === 'open') {
+      report.resolvedBy = undefined;
+      report.resolvedAt = undefined;
+    } else {
+      report.resolvedBy = req.user.userId;
+      report.resolvedAt = new Date();
+    }
+    await report.save();
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Update Question Report Error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.message
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update report' 
+    });
+  }
+});
+
+// Question Attachment Routes
+const MAX_QUESTION_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_ALT_LENGTH = 300;
+// Types whose options are shown to learners, so an attachment can sit next to one of them
+const OPTION_ATTACHMENT_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'ordering'];
+
+// Anything that could run or fetch content once the SVG is opened as a document
+const UNSAFE_SVG_PATTERN = /<\s*(script|foreignObject|iframe|embed|object)\b|<!ENTITY|\son[a-z]+\s*=|javascript:|(?:href|src)\s*=\s*["']?\s*(?!#|data:image\/(?:png|jpeg|gif|webp);)[a-z][\w+.-]*:/i;
+
+// Checks the stored file against the type it was uploaded as; returns an error message or null
+async function checkAttachmentFile(file) {
+  if (file.mimetype === 'image/svg+xml') {
+    const markup = await fs.readFile(file.path, 'utf8');
+    if (!/<svg[\s>]/i.test(markup)) return 'That file is not an SVG image';
+    return UNSAFE_SVG_PATTERN.test(markup)
+      ? 'SVG diagrams cannot contain scripts, event handlers, embedded documents or external links'
+      : null;
+  }
+
+  const handle = await fs.open(file.path, 'r');
+  const head = Buffer.alloc(12);
+  try {
+    await handle.read(head, 0, head.length, 0);
+  } finally {
+    await handle.close();
+  }
+
+  const matches = {
+    'image/png': head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/jpeg': head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff,
+    'image/gif': ['GIF87a', 'GIF89a'].includes(head.toString('ascii', 0, 6)),
+    'image/webp': head.toString('ascii', 0, 4) === 'RIFF' && head.toString('ascii', 8, 12) === 'WEBP'
+  };
+  return matches[file.mimetype] ? null : 'The file contents do not match its type';
+}
+
+// Attachments shown next to an option have to keep pointing at an option the question still has;
+// returns an error message or null
+function checkAttachmentTargets(input) {
+  const options = OPTION_ATTACHMENT_TYPES.includes(input.type || 'multiple_choice') ? input.options || [] : [];
+  const stray = (input.attachments || []).find(attachment =>
+    attachment.option !== null && attachment.option !== undefined && !isIndexOf(attachment.option, options));
+  return stray
+    ? `The image "${stray.alt}" belongs to option ${stray.option + 1}, which this question would no longer have. Move or remove it first`
+    : null;
+}
+
+const removeQuestionAttachments = (questions) => Promise.all(
+  questions.flatMap(question => question.attachments || []).map(attachment => removeUploadedFile(attachment.url))
+);
+
+// Reads the alt text and target option of an attachment from a form or JSON body. Returns { error }
+// or the fields that were sent
+function readAttachmentFields(body, question, { requireAlt }) {
+  const fields = {};
+
+  if (body.alt !== undefined || requireAlt) {
+    const alt = typeof body.alt === 'string' ? body.alt.trim() : '';
+    if (!alt) return { error: 'Describe the image in its alt text so screen reader users get it too' };
+    if (alt.length > MAX_ATTACHMENT_ALT_LENGTH) {
+      return { error: `Alt text can be at most ${MAX_ATTACHMENT_ALT_LENGTH} characters` };
+    }
+    fields.alt = alt;
+  }
+
+  // Multipart forms send everything as text, so an empty value means the question text itself
+  if (body.option !== undefined) {
+    fields.option = body.option === null || body.option === '' ? null : Number(body.option);
+    const invalid = checkAttachmentTargets({ ...question.toObject(), attachments: [{ alt: fields.alt, option: fields.option }] });
+    if (invalid) {
+      return { error: Number.isInteger(fields.option) ? `This question has no option ${fields.option + 1}` : 'option must be an option index' };
+    }
+  }
+
+  return fields;
+}
+
+const receiveAttachmentFile = (req, res) => new Promise((resolve, reject) => {
+  questionAttachmentUpload.single('attachment')(req, res, error => (error ? reject(error) : resolve(req.file)));
+});
+
+// Loads the question behind an attachment route, or sends the error response and returns null
+async function findQuestionForAttachments(req, res) {
+  if (!Question) {
+    res.status(500).json({
+      success: false,
+      error: 'Database not available'
+    });
+    return null;
+  }
+
+  const question = await Question.findById(req.params.id).catch(() => null);
+  if (!question) {
+    res.status(404).json({
+      success: false,
+      error: 'Question not found'
+    });
+    return null;
+  }
+
+  if (!canEditQuestion(question, req.user)) {
+    res.status(403).json({
+      success: false,
+      error: 'You do not have permission to edit this question',
+      code: 'FORBIDDEN'
+    });
+    return null;
+  }
+
+  return question;
+}
+
+// Multipart upload: "attachment" is the file, "alt" its description and "option" the index of the
+// option it belongs to (left out for the question text)
+app.post('/api/questions/:id/attachments', authenticateScoped('questions:write'), async (req, res) => {
+  let file = null;
+
+  try {
+    const question = await findQuestionForAttachments(req, res);
+    if (!question) return;
+
+    if (question.attachments.length >= MAX_QUESTION_ATTACHMENTS) {
+      return res.status(400).json({
+        success: false,
+        error: `A question can have at most ${MAX_QUESTION_ATTACHMENTS} attachments`
+      });
+    }
+
+    try {
+      file = await receiveAttachmentFile(req, res);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.name === 'MulterError' ? `File upload error: ${error.message}` : error.message
+      });
+    }
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded'
+      });
+    }
+
+    const fields = readAttachmentFields(req.body, question, { requireAlt: true });
+    const invalid = fields.error || await checkAttachmentFile(file);
+    if (invalid) {
+      await removeUploadedFile(`/uploads/${file.filename}`);
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    question.attachments.push({
+      url: `/uploads/${file.filename}`,
+      mimeType: file.mimetype,
+      size: file.size,
+      option: null,
+      ...fields
+    });
+    await question.save();
+
+    res.status(201).json({
+      success: true,
+      attachment: question.attachments[question.attachments.length - 1]
+    });
+  } catch (error) {
+    console.error('Question Attachment Upload Error:', error);
+    if (file) await removeUploadedFile(`/uploads/${file.filename}`);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to attach file' 
+    });
+  }
+});
+
+// Changes the alt text or moves the attachment between the question text and its options
+app.put('/api/questions/:id/attachments/:attachmentId', authenticateScoped('questions:write'), async (req, res) => {
+  try {
+    const question = await findQuestionForAttachments(req, res);
+    if (!question) return;
+
+    const attachment = question.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    const fields = readAttachmentFields(req.body, question, { requireAlt: false });
+    if (fields.error) {
+      return res.status(400).json({
+        success: false,
+        error: fields.error
+      });
+    }
+
+    attachment.set(fields);
+    await question.save();
+
+    res.json({
+      success: true,
+      attachment
+    });
+  } catch (error) {
+    console.error('Question Attachment Update Error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.message
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update attachment' 
+    });
+  }
+});
+
+app.delete('/api/questions/:id/attachments/:attachmentId', authenticateScoped('questions:write'), async (req, res) => {
+  try {
+    const question = await findQuestionForAttachments(req, res);
+    if (!question) return;
+
+    const attachment = question.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    question.attachments.pull(attachment._id);
+    await question.save();
+    await removeUploadedFile(attachment.url);
+
+    res.json({
+      success: true,
+      message: 'Attachment removed'
+    });
+  } catch (error) {
+    console.error('Question Attachment Delete Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to remove attachment' 
+    });
+  }
+});
+
+// Practice Session Routes
+// A session draws its questions when it starts and grades each answer as it comes in. Topic counters
+// and the learner's totals move with every answer, so an abandoned session still counts what was done;
+// study time and streaks are settled when the session is finished
+const DEFAULT_SESSION_QUESTIONS = 10;
+const MAX_SESSION_QUESTIONS = 50;
+// Longer pauses are treated as the learner having walked away, not as time spent on the question
+const MAX_ANSWER_TIME = 30 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Moves a topic's counters; only topics in the learner's own subjects are counted. A negative
+// correction never takes the correct count below zero
+async function updateTopicCounters(userId, question, { answered = 0, correct = 0 }) {
+  if (!Subject || !question.subjectId || !mongoose.Types.ObjectId.isValid(question.topicId)) return;
+
+  const update = { $inc: { 'topics.$.questionsAnswered': answered, 'topics.$.correctAnswers': correct } };
+  if (answered) update.$set = { 'topics.$.lastPracticed': new Date() };
+
+  await Subject.updateOne({
+    _id: question.subjectId,
+    userId,
+    topics: { $elemMatch: { _id: question.topicId, correctAnswers: { $gte: Math.max(0, -correct) } } }
+  }, update);
+}
+
+// Moves the answer counters and derives averageAccuracy from them, all in one update of the user
+// document so answers arriving together cannot overwrite each other. Counters never go below zero
+async function updateAnswerStats(userId, { answered = 0, correct = 0 }) {
+  if (!User) return;
+
+  await User.updateOne({ _id: userId }, [
+    // Accounts from before the correct answer counter start from their stored average
+    {
+      $set: {
+        'stats.correctAnswers': {
+          $ifNull: ['$stats.correctAnswers', {
+            $round: [{ $multiply: [{ $ifNull: ['$stats.averageAccuracy', 0] }, { $ifNull: ['$stats.totalQuestions', 0] }, 0.01] }, 0]
+          }]
+        }
+      }
+    },
+    {
+      $set: {
+        'stats.totalQuestions': { $max: [0, { $add: [{ $ifNull: ['$stats.totalQuestions', 0] }, answered] }] },
+        'stats.correctAnswers': { $max: [0, { $add: ['$stats.correctAnswers', correct] }] }
+      }
+    },
+    {
+      $set: {
+        'stats.averageAccuracy': {
+          $cond: [
+            { $gt: ['$stats.totalQuestions', 0] },
+            { $round: [{ $min: [100, { $multiply: [{ $divide: ['$stats.correctAnswers', '$stats.totalQuestions'] }, 100] }] }, 2] },
+            0
+          ]
+        }
+      }
+    }
+  ]);
+}
+
+// Takes time off the account total, never below zero
+async function removeStudyTime(userId, totalTime) {
+  if (!User || totalTime <= 0) return;
+  await User.updateOne({ _id: userId }, [
+    { $set: { 'stats.totalStudyTime': { $max: [0, { $subtract: [{ $ifNull: ['$stats.totalStudyTime', 0] }, totalTime] }] } } }
+  ]);
+}
+
+// Adds the session's time and extends the streak when the last session was on the previous UTC day
+async function recordStudyDay(userId, totalTime, finishedAt) {
+  if (!User) return null;
+  const user = await User.findById(userId).select('stats').lean();
+  if (!user) return null;
+
+  const stats = user.stats || {};
+  const today = Math.floor(finishedAt.getTime() / DAY_MS);
+  const lastDay = stats.lastStudiedAt ? Math.floor(new Date(stats.lastStudiedAt).getTime() / DAY_MS) : null;
+
+  let currentStreak = 1;
+  if (lastDay === today) currentStreak = Math.max(stats.currentStreak || 0, 1);
+  else if (lastDay === today - 1) currentStreak = (stats.currentStreak || 0) + 1;
+
+  const updated = {
+    currentStreak,
+    longestStreak: Math.max(stats.longestStreak || 0, currentStreak),
+    totalStudyTime: (stats.totalStudyTime || 0) + totalTime
+  };
+
+  await User.updateOne({ _id: userId }, {
+    $inc: { 'stats.totalStudyTime': totalTime },
+    $set: {
+      'stats.currentStreak': updated.currentStreak,
+      'stats.longestStreak': updated.longestStreak,
+      'stats.lastStudiedAt': finishedAt
+    }
+  });
+  return updated;
+}
+
+const getSessionAccuracy = (answers) => (answers.length
+  ? Math.round((answers.filter(entry => entry.correct).length / answers.length) * 100)
+  : 0);
+
+// Progress without anything about the questions still to come
+const toSessionView = (session) => ({
+  _id: session._id,
+  subjectId: session.subjectId,
+  topicId: session.topicId,
+  sessionType: session.sessionType,
+  startTime: session.startTime,
+  endTime: session.endTime,
+  completed: session.completed,
+  total: session.plannedCount || session.queue.length,
+  target: session.target,
+  answered: session.questions.length,
+  correct: session.questions.filter(entry => entry.correct).length,
+  accuracy: getSessionAccuracy(session.questions),
+  totalTime: session.completed
+    ? session.totalTime
+    : session.questions.reduce((sum, entry) => sum + (entry.timeSpent || 0), 0)
+});
+
+// The first unanswered question of the queue that still exists, ready to show, or null when done
+async function getNextSessionQuestion(session) {
+  if (session.completed) return null;
+
+  const answered = new Set(session.questions.map(entry => entry.questionId.toString()));
+  const remaining = session.queue.filter(id => !answered.has(id.toString()));
+  if (remaining.length === 0) return null;
+
+  const questions = await Question.find({ _id: { $in: remaining } });
+  const byId = new Map(questions.map(question => [question._id.toString(), question]));
+  const next = remaining.map(id => byId.get(id.toString())).find(Boolean);
+  return next ? toPracticeQuestion(next) : null;
+}
+
+// Loads one of the user's practice sessions, or sends the error response and returns null
+async function findOwnSession(req, res) {
+  if (!Session || !Question) {
+    res.status(500).json({
+      success: false,
+      error: 'Database not available'
+    });
+    return null;
+  }
+
+  const session = await Session.findOne({ _id: req.params.id, userId: req.user.userId }).catch(() => null);
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      error: 'Practice session not found'
+    });
+    return null;
+  }
+
+  return session;
+}
+
+// Adaptive practice: every topic keeps a Rasch-style ability estimate for its learner and every
+// question a difficulty rating, both in logits. Each graded answer adjusts both, as in an Elo match
+// between learner and question, and adaptive sessions serve the question whose predicted success comes closest
+// to the target success rate chosen in preferences.aiDifficulty
+const ADAPTIVE_TARGETS = { conservative: 0.85, balanced: 0.75, aggressive: 0.6 };
+// Where a question's rating starts before anyone has answered it
+const DIFFICULTY_RATINGS = { easy: -1, medium: 0, hard: 1 };
+// Steps shrink as an estimate rests on more answers, down to a floor so abilities keep following the learner
+const ABILITY_STEP = { initial: 0.6, floor: 0.15, settle: 10 };
+const RATING_STEP = { initial: 0.3, floor: 0.05, settle: 30 };
+// Questions answered this recently are served again only once nothing else is left
+const ADAPTIVE_REPEAT_WINDOW = DAY_MS;
+// The next question is drawn from this many closest matches, so the order is not the same every time
+const ADAPTIVE_SHORTLIST = 3;
+const MAX_ADAPTIVE_CANDIDATES = 500;
+
+const predictSuccess = (ability, rating) => 1 / (1 + Math.exp(rating - ability));
+const getAdaptiveTarget = (preference) => ADAPTIVE_TARGETS[preference] || ADAPTIVE_TARGETS.balanced;
+const getQuestionRating = (question) => question.calibration?.rating ?? DIFFICULTY_RATINGS[question.difficulty] ?? 0;
+const getStepSize = (step, answers) => Math.max(step.floor, step.initial / (1 + (answers || 0) / step.settle));
+
+async function getAdaptivePreference(userId) {
+  const user = User ? await User.findById(userId).select('preferences.aiDifficulty').lean() : null;
+  return user?.preferences?.aiDifficulty || 'balanced';
+}
+
+// Moves the learner's ability on the question's topic and the question's rating by how surprising
+// the score was. Only questions filed under a topic of the learner's own subjects have an ability to
+// measure against, so answers to anything else leave both estimates alone
+async function updateAbilityEstimates(userId, question, score) {
+  if (!Subject || !question.subjectId || !mongoose.Types.ObjectId.isValid(question.topicId)) return;
+
+  const subject = await Subject.findOne({ _id: question.subjectId, userId })
+    .select('topics._id topics.ability topics.abilityAnswers').lean();
+  const topic = subject && subject.topics.find(entry => entry._id.toString() === String(question.topicId));
+  if (!topic) return;
+
+  const rating = getQuestionRating(question);
+  const surprise = score - predictSuccess(topic.ability || 0, rating);
+  const abilityStep = getStepSize(ABILITY_STEP, topic.abilityAnswers) * surprise;
+  const ratingStep = getStepSize(RATING_STEP, question.calibration?.answers) * surprise;
+
+  await Promise.all([
+    Subject.updateOne(
+      { _id: subject._id, userId, 'topics._id': topic._id },
+      { $inc: { 'topics.$.ability': abilityStep, 'topics.$.abilityAnswers': 1 } }
+    ),
+    updateQuestionRating(question._id, rating - ratingStep, -ratingStep)
+  ]);
+}
+
+// An uncalibrated question is set from its label; after that the step is applied to where it stands,
+// so answers arriving together all count
+async function updateQuestionRating(questionId, startingRating, step) {
+  const started = await Question.updateOne(
+    { _id: questionId, 'calibration.rating': { $exists: false } },
+    { $set: { 'calibration.rating': startingRating, 'calibration.answers': 1 } }
+  );
+  if (started.matchedCount > 0) return;
+
+  await Question.updateOne(
+    { _id: questionId },
+    { $inc: { 'calibration.rating': step, 'calibration.answers': 1 } }
+  );
+}
+
+// Picks the question of the subject, or of one topic, whose predicted success for the learner is
+// closest to target. Questions in exclude are never picked. Returns the question id or null
+async function selectAdaptiveQuestion(userId, subject, { topicId, target, exclude = [] }) {
+  const candidates = await Question.find({
+    subjectId: subject._id,
+    ...(topicId ? { topicId: String(topicId) } : {}),
+    _id: { $nin: exclude }
+  }).select('topicId difficulty calibration').limit(MAX_ADAPTIVE_CANDIDATES).lean();
+  if (candidates.length === 0) return null;
+
+  const recentSessions = await Session.find({
+    userId,
+    updatedAt: { $gte: new Date(Date.now() - ADAPTIVE_REPEAT_WINDOW) }
+  }).select('questions.questionId').lean();
+  const recent = new Set(recentSessions.flatMap(session => session.questions.map(entry => entry.questionId.toString())));
+  const fresh = candidates.filter(question => !recent.has(question._id.toString()));
+
+  const abilities = new Map(subject.topics.map(topic => [topic._id.toString(), topic.ability || 0]));
+  const shortlist = (fresh.length > 0 ? fresh : candidates)
+    .map(question => ({
+      _id: question._id,
+      gap: Math.abs(predictSuccess(abilities.get(String(question.topicId)) ?? 0, getQuestionRating(question)) - target)
+    }))
+    .sort((a, b) => a.gap - b.gap)
+    .slice(0, ADAPTIVE_SHORTLIST);
+
+  return shortlist[Math.floor(Math.random() * shortlist.length)]._id;
+}
+
+// The difficulty label whose starting rating is closest to what the target asks for on this topic,
+// for generating new questions at the right level
+function getAdaptiveDifficulty(topic, preference) {
+  const target = getAdaptiveTarget(preference);
+  const rating = (topic.ability || 0) - Math.log(target / (1 - target));
+  return QUESTION_DIFFICULTIES.reduce((best, label) =>
+    (Math.abs(DIFFICULTY_RATINGS[label] - rating) < Math.abs(DIFFICULTY_RATINGS[best] - rating) ? label : best));
+}
+
+// Starts a session over a subject (optionally one topic and difficulty), drawing count random
+// questions, or over an explicit list of questionIds in the order given. Adaptive sessions
+// (sessionType 'adaptive') draw from a subject or topic one question at a time, at the learner's level
+app.post('/api/practice-sessions', authenticateScoped('practice:write'), async (req, res) => {
+  try {
+    if (!Session || !Question || !Subject) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const { subjectId, topicId, questionIds, difficulty, sessionType = 'practice' } = req.body;
+    const count = Math.min(Math.max(parseInt(req.body.count) || DEFAULT_SESSION_QUESTIONS, 1), MAX_SESSION_QUESTIONS);
+    const adaptive = sessionType === 'adaptive';
+    let queue;
+    let placement;
+    let adaptiveSettings = {};
+
+    if (questionIds !== undefined) {
+      if (adaptive) {
+        return res.status(400).json({
+          success: false,
+          error: 'Adaptive sessions pick their own questions. Choose a subject instead'
+        });
+      }
+      if (!Array.isArray(questionIds) || questionIds.length === 0 || questionIds.length > MAX_SESSION_QUESTIONS ||
+          !questionIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          error: `questionIds must list between 1 and ${MAX_SESSION_QUESTIONS} question ids`
+        });
+      }
+
+      const ids = [...new Set(questionIds.map(String))];
+      const questions = await Question.find({ _id: { $in: ids } }).select('subjectId topicId').lean();
+      if (questions.length !== ids.length) {
+        return res.status(404).json({
+          success: false,
+          error: 'Some of these questions no longer exist'
+        });
+      }
+
+      queue = ids;
+      // A session over questions from one place is filed under it
+      const shared = (field) => (new Set(questions.map(question => String(question[field] ?? ''))).size === 1
+        ? questions[0][field]
+        : undefined);
+      placement = { subjectId: shared('subjectId'), topicId: shared('topicId') };
+    } else {
+      if (!subjectId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Choose a subject or the questions to practice'
+        });
+      }
+      if (difficulty !== undefined && !QUESTION_DIFFICULTIES.includes(difficulty)) {
+        return res.status(400).json({
+          success: false,
+          error: `Difficulty must be one of: ${QUESTION_DIFFICULTIES.join(', ')}`
+        });
+      }
+      if (adaptive && difficulty !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Adaptive sessions set the difficulty themselves'
+        });
+      }
+
+      const subject = await Subject.findOne({ _id: subjectId, userId: req.user.userId }).catch(() => null);
+      if (!subject) {
+        return res.status(404).json({
+          success: false,
+          error: 'Subject not found'
+        });
+      }
+      if (topicId && !subject.topics.id(topicId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Topic not found'
+        });
+      }
+
+      let picked;
+      if (adaptive) {
+        const target = getAdaptiveTarget(await getAdaptivePreference(req.user.userId));
+        const first = await selectAdaptiveQuestion(req.user.userId, subject, { topicId, target });
+        picked = first ? [{ _id: first }] : [];
+        adaptiveSettings = { plannedCount: count, target };
+      } else {
+        const match = {
+          subjectId: subject._id,
+          ...(topicId ? { topicId: String(topicId) } : {}),
+          ...(difficulty ? { difficulty } : {})
+        };
+        picked = await Question.aggregate([{ $match: match }, { $sample: { size: count } }, { $project: { _id: 1 } }]);
+      }
+      if (picked.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'There are no questions here yet. Generate or import some in the content studio first'
+        });
+      }
+
+      queue = picked.map(question => question._id);
+      placement = { subjectId: subject._id, topicId: topicId ? String(topicId) : undefined };
+    }
+
+    const session = await Session.create({
+      userId: req.user.userId,
+      ...placement,
+      queue,
+      ...adaptiveSettings,
+      sessionType,
+      startTime: new Date()
+    });
+
+    res.status(201).json({
+      success: true,
+      session: toSessionView(session),
+      question: await getNextSessionQuestion(session)
+    });
+  } catch (error) {
+    console.error('Start Practice Session Error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.message
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to start practice session' 
+    });
+  }
+});
+
+// Resumes a session: its progress and the question to answer next
+app.get('/api/practice-sessions/:id', authenticateScoped('practice:write'), async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    res.json({
+      success: true,
+      session: toSessionView(session),
+      question: await getNextSessionQuestion(session)
+    });
+  } catch (error) {
+    console.error('Practice Session Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch practice session' 
+    });
+  }
+});
+
+// Grades one answer. timeSpent is in milliseconds; without it the time since the previous answer is used
+app.post('/api/practice-sessions/:id/answers', authenticateScoped('practice:write'), async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const { questionId, response, timeSpent } = req.body;
+    if (session.completed) {
+      return res.status(400).json({
+        success: false,
+        error: 'This session is already finished'
+      });
+    }
+    if (!session.queue.some(id => id.toString() === String(questionId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'That question is not part of this session'
+      });
+    }
+    if (timeSpent !== undefined && (typeof timeSpent !== 'number' || !Number.isFinite(timeSpent) || timeSpent < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'timeSpent must be a number of milliseconds'
+      });
+    }
+
+    const question = await Question.findById(questionId).catch(() => null);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    // Stored by position, so a later re-grade does not depend on the view it was given in
+    const userAnswer = resolvePracticeResponse(question, response);
+    let result;
+    try {
+      result = gradeAnswer(question, userAnswer);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        error: `That response does not fit a ${(question.type || 'multiple_choice').replace('_', ' ')} question`
+      });
+    }
+
+    const now = new Date();
+    const previous = session.questions[session.questions.length - 1];
+    const elapsed = timeSpent ?? now - (previous ? previous.timestamp : session.startTime);
+
+    // The filter makes a double submit of the same answer a no-op instead of counting it twice
+    const updated = await Session.findOneAndUpdate(
+      { _id: session._id, completed: false, 'questions.questionId': { $ne: question._id } },
+      {
+        $push: {
+          questions: {
+            questionId: question._id,
+            userAnswer,
+            correct: result.correct,
+            score: result.score,
+            timeSpent: Math.min(Math.round(elapsed), MAX_ANSWER_TIME),
+            timestamp: now
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        error: 'That question has already been answered in this session'
+      });
+    }
+
+    updated.accuracy = getSessionAccuracy(updated.questions);
+    await Promise.all([
+      Session.updateOne({ _id: updated._id }, { accuracy: updated.accuracy }),
+      updateTopicCounters(req.user.userId, question, { answered: 1, correct: result.correct ? 1 : 0 }),
+      updateAnswerStats(req.user.userId, { answered: 1, correct: result.correct ? 1 : 0 }),
+      updateAbilityEstimates(req.user.userId, question, result.score)
+    ]);
+
+    if (updated.sessionType === 'adaptive' && updated.queue.length < updated.plannedCount) {
+      await queueAdaptiveQuestion(req.user.userId, updated);
+    }
+
+    res.json({
+      success: true,
+      ...result,
+      answer: getAnswerKey(question),
+      explanation: question.explanation,
+      session: toSessionView(updated),
+      next: await getNextSessionQuestion(updated)
+    });
+  } catch (error) {
+    console.error('Session Answer Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to record answer' 
+    });
+  }
+});
+
+// Picks the adaptive session's next question with the abilities its answers just moved. When the bank
+// has nothing left, the session is cut to the questions it already has
+async function queueAdaptiveQuestion(userId, session) {
+  const subject = session.subjectId ? await Subject.findOne({ _id: session.subjectId, userId }) : null;
+  const nextId = subject && await selectAdaptiveQuestion(userId, subject, {
+    topicId: session.topicId,
+    target: session.target ?? ADAPTIVE_TARGETS.balanced,
+    exclude: session.queue
+  });
+
+  if (!nextId) {
+    session.plannedCount = session.queue.length;
+    await Session.updateOne({ _id: session._id }, { plannedCount: session.plannedCount });
+    return;
+  }
+
+  // Answers submitted together may both get here; only one of them extends the queue
+  const extended = await Session.updateOne(
+    { _id: session._id, [`queue.${session.queue.length}`]: { $exists: false } },
+    { $push: { queue: nextId } }
+  );
+  if (extended.matchedCount > 0) {
+    session.queue.push(nextId);
+  } else {
+    session.queue = (await Session.findById(session._id).select('queue')).queue;
+  }
+}
+
+// Closes the session, settles study time and streaks, and points at weak foundations behind the
+// topics that went badly. Finishing twice returns the same summary
+app.post('/api/practice-sessions/:id/finish', authenticateScoped('practice:write'), async (req, res) => {
+  try {
+    let session = await findOwnSession(req, res);
+    if (!session) return;
+
+    let stats = null;
+    if (!session.completed) {
+      const endTime = new Date();
+      const totalTime = session.questions.reduce((sum, entry) => sum + (entry.timeSpent || 0), 0);
+
+      const finished = await Session.findOneAndUpdate(
+        { _id: session._id, completed: false },
+        { completed: true, endTime, totalTime, accuracy: getSessionAccuracy(session.questions) },
+        { new: true }
+      );
+      if (finished) {
+        session = finished;
+        if (session.questions.length > 0) stats = await recordStudyDay(req.user.userId, totalTime, endTime);
+      } else {
+        session = await Session.findById(session._id);
+      }
+    }
+
+    // Topics answered below the weak-foundation bar, with the prerequisites worth revisiting first
+    const review = [];
+    const subject = session.subjectId && Subject
+      ? await Subject.findOne({ _id: session.subjectId, userId: req.user.userId })
+      : null;
+    if (subject && session.questions.length > 0) {
+      const questions = await Question.find({ _id: { $in: session.questions.map(entry => entry.questionId) } })
+        .select('topicId').lean();
+      const topicOf = new Map(questions.map(question => [question._id.toString(), question.topicId]));
+
+      const byTopic = new Map();
+      session.questions.forEach(entry => {
+        const topicId = topicOf.get(entry.questionId.toString());
+        if (!topicId) return;
+        if (!byTopic.has(topicId)) byTopic.set(topicId, []);
+        byTopic.get(topicId).push(entry);
+      });
+
+      byTopic.forEach((answers, topicId) => {
+        const topic = subject.topics.id(topicId);
+        const accuracy = getSessionAccuracy(answers);
+        if (!topic || accuracy >= WEAK_FOUNDATION_THRESHOLD * 100) return;
+
+        review.push({
+          topicId,
+          name: topic.name,
+          accuracy,
+          weakPrerequisites: getWeakPrerequisites(subject, topic).map(prerequisite => ({
+            topicId: prerequisite._id,
+            name: prerequisite.name
+          }))
+        });
+      });
+    }
+
+    res.json({
+      success: true,
+      session: toSessionView(session),
+      stats,
+      review
+    });
+  } catch (error) {
+    console.error('Finish Practice Session Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to finish practice session' 
+    });
+  }
+});
+
+// AI Routes
+// difficulty 'adaptive' generates at the level the caller's ability on topicId calls for
+app.post('/api/ai/generate-questions', authenticateToken, requireVerifiedEmail('ai-generate'), async (req, res) => {
+  try {
+    const { topic, count = 5, save = false, subjectId, topicId } = req.body;
+    let { difficulty = 'medium' } = req.body;
+
+    if (!topic) {
+      return res.status(400).json({
+        success: false,
+        error: 'Topic is required'
+      });
+    }
+
+    if (difficulty === 'adaptive') {
+      const subject = Subject && subjectId
+        ? await Subject.findOne({ _id: subjectId, userId: req.user.userId }).catch(() => null)
+        : null;
+      const subjectTopic = subject && topicId ? subject.topics.id(topicId) : null;
+      if (!subjectTopic) {
+        return res.status(400).json({
+          success: false,
+          error: 'Adaptive difficulty needs one of your subjects and topics'
+        });
+      }
+      difficulty = getAdaptiveDifficulty(subjectTopic, await getAdaptivePreference(req.user.userId));
+    }
+
+    // Saving files the batch under one of the caller's subjects (optional) and tags it with the topic
+    if (save) {
+      if (!Question) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database not available'
+        });
+      }
+
+      const invalidPlacement = await checkQuestionPlacement(req.user.userId, subjectId, topicId);
+      if (invalidPlacement) {
+        return res.status(400).json({
+          success: false,
+          error: invalidPlacement
+        });
+      }
+    }
+
+    let questions = await generateAIQuestions(topic, difficulty, Math.min(parseInt(count) || 5, MAX_QUESTIONS_PER_REQUEST));
+
+    if (save) {
+      questions = await Question.insertMany(questions.map(question =>
+        toQuestionDocument(question, req.user.userId, { subjectId, topicId, tags: [topic], aiGenerated: true })));
+    }
+
+    res.json({
+      success: true,
+      questions,
+      saved: Boolean(save),
+      metadata: {
+        topic,
+        difficulty,
+        count: questions.length,
+        generated_at: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('AI Question Generation Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to generate questions' 
+    });
+  }
+});
+
+app.post('/api/ai/chat', authenticateToken, async (req, res) => {
+  try {
+    const { message, context } = req.body;
+
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required'
+      });
+    }
+
+    const response = await generateAIChatResponse(message, context);
+    const analysis = await analyzeUserPerformance(req.user.userId);
+
+    res.json({
+      success: true,
+      response,
+      suggestions: analysis.recommendations || [],
+      context: {
+        user_accuracy: analysis.overallAccuracy,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('AI Chat Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to process chat message' 
+    });
+  }
+});
+
+app.get('/api/analytics/performance', authenticateScoped('analytics:read'), async (req, res) => {
+  try {
+    const analysis = await analyzeUserPerformance(req.user.userId);
+
+    res.json({
+      success: true,
+      analysis
+    });
+  } catch (error) {
+    console.error('Analytics Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to analyze performance' 
+    });
+  }
+});
+
+// Study Groups Routes
+app.get('/api/study-groups', authenticateToken, async (req, res) => {
+  try {
+    if (!StudyGroup) {
+      return res.json({
+        success: true,
+        groups: []
+      });
+    }
+
+    const groups = await StudyGroup.find({
+      $or: [
+        { members: req.user.userId },
+        { leader: req.user.userId },
+        { isPublic: true, isActive: true }
+      ]
+    }).populate('leader members', 'name email avatar').limit(20);
+
+    res.json({
+      success: true,
+      groups
+    });
+  } catch (error) {
+    console.error('Study Groups Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch study groups' 
+    });
+  }
+});
+
+app.post('/api/study-groups', authenticateToken, requireVerifiedEmail('study-group-create'), async (req, res) => {
+  try {
+    const { name, description, subject, isPublic, maxMembers, tags, schedule } = req.body;
+
+    if (!name || !subject) {
+      return res.status(400).json({
+        success: false,
+        error: 'Group name and subject are required'
+      });
+    }
+
+    if (!StudyGroup) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const group = new StudyGroup({
+      name: name.trim(),
+      description: description?.trim(),
+      subject: subject.trim(),
+      leader: req.user.userId,
+      members: [req.user.userId],
+      isPublic: isPublic !== false,
+      maxMembers,
+      tags,
+      schedule
+    });
+
+    await group.save();
+
+    res.status(201).json({
+      success: true,
+      group
+    });
+  } catch (error) {
+    console.error('Create Study Group Error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.message
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create study group' 
+    });
+  }
+});
+
+// Group moderation: leaders manage their own group, moderators any group
+const canModerateGroup = (group, user) =>
+  group.leader.toString() === user.userId || hasPermission(user.role, 'groups:moderate');
+
+app.delete('/api/study-groups/:id/members/:memberId', authenticateToken, async (req, res) => {
+  try {
+    if (!StudyGroup) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    const group = await StudyGroup.findById(req.params.id).catch(() => null);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Study group not found'
+      });
+    }
+
+    const { memberId } = req.params;
+    const isLeavingSelf = memberId === req.user.userId;
+
+    if (!isLeavingSelf && !canModerateGroup(group, req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to moderate this group',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    if (group.leader.toString() === memberId) {
+      return res.status(400).json({
+        success: false,
+        error: 'The group leader cannot be removed'
       });
     }
 
-    const updateData = { lastActive: new Date() };
-    if (name) updateData.name = name.trim();
-    if (preferences) updateData.preferences = { ...preferences };
+    group.members.pull(memberId);
+    await group.save();
 
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      updateData,
-      { new: true }
-    ).select('-password');
+    io.to(`group-${group._id}`).emit('member-removed', { groupId: group._id, userId: memberId });
+    io.in(`user-${memberId}`).socketsLeave(`group-${group._id}`);
 
     res.json({
       success: true,
-      user
+      group
     });
   } catch (error) {
-    console.error('Profile Update Error:', error);
+    console.error('Remove Group Member Error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to update profile' 
+      error: 'Failed to remove group member' 
     });
   }
 });
 
-app.post('/api/user/avatar', authenticateToken, upload.single('avatar'), async (req, res) => {
+app.delete('/api/study-groups/:id', authenticateToken, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'No file uploaded' 
+    if (!StudyGroup) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
       });
     }
 
-    const avatarUrl = `/uploads/${req.file.filename}`;
+    const group = await StudyGroup.findById(req.params.id).catch(() => null);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Study group not found'
+      });
+    }
 
-    if (User) {
-      await User.findByIdAndUpdate(req.user.userId, { 
-        avatar: avatarUrl,
-        lastActive: new Date()
+    if (!canModerateGroup(group, req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to close this group',
+        code: 'FORBIDDEN'
       });
     }
 
+    group.isActive = false;
+    await group.save();
+
+    io.to(`group-${group._id}`).emit('group-closed', { groupId: group._id });
+
     res.json({
       success: true,
-      avatar: avatarUrl
+      message: 'Study group closed'
     });
   } catch (error) {
-    console.error('Avatar Upload Error:', error);
+    console.error('Close Study Group Error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to upload avatar' 
+      error: 'Failed to close study group' 
     });
   }
 });
 
-// Subject Routes
-app.get('/api/subjects', authenticateToken, async (req, res) => {
+// Admin Routes
+const ADMIN_USER_FIELDS = 'name email role avatar emailVerified twoFactor.enabled suspendedAt suspendedReason lastActive isOnline createdAt';
+
+app.get('/api/admin/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    if (!Subject) {
-      return res.json({
-        success: true,
-        subjects: []
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
       });
     }
 
-    const subjects = await Subject.find({ 
-      userId: req.user.userId,
-      isActive: true 
-    }).sort({ createdAt: -1 });
+    const { q, role, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (q && String(q).trim()) {
+      const pattern = new RegExp(escapeRegExp(String(q).trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (ROLES.includes(role)) {
+      filter.role = role;
+    }
+    if (status === 'suspended') {
+      filter.suspendedAt = { $ne: null };
+    } else if (status === 'active') {
+      filter.suspendedAt = null;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(ADMIN_USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
-      subjects
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
   } catch (error) {
-    console.error('Subjects Error:', error);
+    console.error('Admin Users Error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch subjects' 
+      error: 'Failed to fetch users' 
     });
   }
 });
 
-app.post('/api/subjects', authenticateToken, async (req, res) => {
+app.put('/api/admin/users/:id/role', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const { name, description, color, icon } = req.body;
+    const { role } = req.body;
 
-    if (!name) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({
         success: false,
-        error: 'Subject name is required'
+        error: `Role must be one of: ${ROLES.join(', ')}`
       });
     }
 
-    if (!Subject) {
+    if (!User) {
       return res.status(500).json({
         success: false,
         error: 'Database not available'
       });
     }
 
-    const subject = new Subject({
-      userId: req.user.userId,
-      name: name.trim(),
-      description: description?.trim(),
-      color: color || '#667eea',
-      icon: icon || 'book'
-    });
+    // Prevents an admin from locking everyone (including themselves) out of administration
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role'
+      });
+    }
 
-    await subject.save();
+    const user = await User.findById(req.params.id).select(ADMIN_USER_FIELDS).catch(() => null);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
 
-    // Update user stats
-    if (User) {
-      await User.findByIdAndUpdate(req.user.userId, {
-        $inc: { 'stats.activeSubjects': 1 }
+    if (PRIVILEGED_ROLES.includes(role) && !user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: `${user.name} needs to turn on two-factor authentication before they can be made ${role === 'admin' ? 'an admin' : 'an instructor'}`
       });
     }
 
-    res.status(201).json({
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await recordAudit(req, 'user.role_change', user._id, { from: previousRole, to: role });
+
+    io.to(`user-${user._id}`).emit('role-changed', {
+      role: user.role,
+      permissions: getUserPermissions(user)
+    });
+
+    res.json({
       success: true,
-      subject
+      user
     });
   } catch (error) {
-    console.error('Create Subject Error:', error);
+    console.error('Change Role Error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to create subject' 
+      error: 'Failed to change user role' 
     });
   }
 });
 
-// AI Routes
-app.post('/api/ai/generate-questions', authenticateToken, async (req, res) => {
+app.post('/api/admin/users/:id/suspend', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const { topic, difficulty = 'medium', count = 5 } = req.body;
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
 
-    if (!topic) {
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    if (req.params.id === req.user.userId) {
       return res.status(400).json({
         success: false,
-        error: 'Topic is required'
+        error: 'You cannot suspend your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select(ADMIN_USER_FIELDS).catch(() => null);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
       });
     }
 
-    const questions = await generateAIQuestions(topic, difficulty, parseInt(count));
+    if (isSuspended(user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This account is already suspended'
+      });
+    }
+
+    user.suspendedAt = new Date();
+    user.suspendedReason = reason || undefined;
+    user.suspendedBy = req.user.userId;
+    user.isOnline = false;
+    await user.save();
+
+    // End every way the account is currently signed in
+    await revokeAllAuthSessions(user._id, 'suspended');
+    io.to(`user-${user._id}`).emit('session-revoked', { reason: 'suspended' });
+    io.in(`user-${user._id}`).disconnectSockets(true);
+
+    await recordAudit(req, 'user.suspend', user._id, { reason });
 
     res.json({
       success: true,
-      questions,
-      metadata: {
-        topic,
-        difficulty,
-        count: questions.length,
-        generated_at: new Date().toISOString()
-      }
+      user
     });
   } catch (error) {
-    console.error('AI Question Generation Error:', error);
+    console.error('Suspend User Error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to generate questions' 
+      error: 'Failed to suspend user' 
     });
   }
 });
 
-app.post('/api/ai/chat', authenticateToken, async (req, res) => {
+app.post('/api/admin/users/:id/unsuspend', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const { message, context } = req.body;
+    if (!User) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
 
-    if (!message) {
+    const user = await User.findById(req.params.id).select(ADMIN_USER_FIELDS).catch(() => null);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!isSuspended(user)) {
       return res.status(400).json({
         success: false,
-        error: 'Message is required'
+        error: 'This account is not suspended'
       });
     }
 
-    const response = await generateAIChatResponse(message, context);
-    const analysis = await analyzeUserPerformance(req.user.userId);
+    user.suspendedAt = null;
+    user.suspendedReason = undefined;
+    user.suspendedBy = undefined;
+    await user.save();
+
+    await recordAudit(req, 'user.unsuspend', user._id);
 
     res.json({
       success: true,
-      response,
-      suggestions: analysis.recommendations || [],
-      context: {
-        user_accuracy: analysis.overallAccuracy,
-        timestamp: new Date().toISOString()
-      }
+      user
     });
   } catch (error) {
-    console.error('AI Chat Error:', error);
+    console.error('Unsuspend User Error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to process chat message' 
+      error: 'Failed to unsuspend user' 
     });
   }
 });
 
-app.get('/api/analytics/performance', authenticateToken, async (req, res) => {
+// Signs the admin in as another user through a short-lived session; start and end are audited
+app.post('/api/admin/users/:id/impersonate', authenticateToken, forbidImpersonation, requirePermission('users:manage'), async (req, res) => {
   try {
-    const analysis = await analyzeUserPerformance(req.user.userId);
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to impersonate a user'
+      });
+    }
+
+    if (!User || !AuthSession) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
+      });
+    }
+
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot impersonate yourself'
+      });
+    }
+
+    const user = await User.findById(req.params.id).catch(() => null);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (hasPermission(user.role, 'users:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Administrators cannot be impersonated',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    if (isSuspended(user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Suspended accounts cannot be impersonated'
+      });
+    }
+
+    const session = new AuthSession({
+      userId: user._id,
+      refreshTokenHash: 'pending',
+      expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000),
+      impersonatorId: req.user.userId,
+      ...getClientInfo(req)
+    });
+    const refreshToken = generateRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    await recordAudit(req, 'user.impersonate_start', user._id, { reason, sessionId: session._id });
 
     res.json({
       success: true,
-      analysis
+      token: signAccessToken(user, session._id, req.user.userId),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      persistent: false,
+      expiresAt: session.expiresAt,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        avatar: user.avatar,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        permissions: getUserPermissions(user),
+        twoFactorSetupRequired: needsTwoFactorSetup(user),
+        preferences: user.preferences,
+        stats: user.stats
+      }
     });
   } catch (error) {
-    console.error('Analytics Error:', error);
+    console.error('Impersonation Error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to analyze performance' 
+      error: 'Failed to impersonate user' 
     });
   }
 });
 
-// Study Groups Routes
-app.get('/api/study-groups', authenticateToken, async (req, res) => {
+app.get('/api/admin/audit-log', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    if (!StudyGroup) {
-      return res.json({
-        success: true,
-        groups: []
+    if (!AuditLog) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not available'
       });
     }
 
-    const groups = await StudyGroup.find({
-      $or: [
-        { members: req.user.userId },
-        { leader: req.user.userId },
-        { isPublic: true, isActive: true }
-      ]
-    }).populate('leader members', 'name email avatar').limit(20);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (req.query.targetUserId && mongoose.Types.ObjectId.isValid(req.query.targetUserId)) {
+      filter.targetUserId = req.query.targetUserId;
+    }
+    if (req.query.action) {
+      filter.action = String(req.query.action);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actorId targetUserId', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
-      groups
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
   } catch (error) {
-    console.error('Study Groups Error:', error);
+    console.error('Audit Log Error:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch study groups' 
+      error: 'Failed to fetch audit log' 
     });
   }
 });
 
 // Real-time Socket.io Events
+// userId -> { connectedAt, lastSeen, sockets: Map(socketId -> login session id) }
 const activeUsers = new Map();
 
-io.use((socket, next) => {
+// Drops the live connections of one login session, e.g. after it is revoked from another device
+const disconnectSessionSockets = (userId, sessionId, reason = 'revoked') => {
+  const entry = activeUsers.get(String(userId));
+  if (!entry) return;
+
+  for (const [socketId, socketSessionId] of entry.sockets) {
+    if (socketSessionId !== String(sessionId)) continue;
+
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) {
+      socket.emit('session-revoked', { reason });
+      socket.disconnect(true);
+    }
+  }
+};
+
+io.use(async (socket, next) => {
   try {
     const token = socket.handshake.auth.token;
     if (!token) {
       return next(new Error('Authentication error: No token provided'));
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
+
+    if (User) {
+      const user = await User.findById(decoded.userId).select('suspendedAt').lean();
+      if (isSuspended(user)) {
+        return next(new Error('Authentication error: Account suspended'));
+      }
+    }
+
     socket.userId = decoded.userId;
     socket.userEmail = decoded.email;
+    socket.sessionId = decoded.sid;
     next();
   } catch (err) {
     console.error('Socket Auth Error:', err);
@@ -886,15 +8413,19 @@ io.use((socket, next) => {
 io.on('connection', (socket) => {
   console.log(`✅ User ${socket.userId} connected via Socket.io`);
 
-  // Track active user
-  activeUsers.set(socket.userId, {
-    socketId: socket.id,
-    connectedAt: new Date(),
-    lastSeen: new Date()
-  });
+  // Track active user; one user may be connected from several devices
+  if (!activeUsers.has(socket.userId)) {
+    activeUsers.set(socket.userId, {
+      connectedAt: new Date(),
+      lastSeen: new Date(),
+      sockets: new Map()
+    });
+  }
+  activeUsers.get(socket.userId).sockets.set(socket.id, String(socket.sessionId));
 
-  // Join user to their personal room
+  // Join user to their personal room and their login session's room
   socket.join(`user-${socket.userId}`);
+  socket.join(`auth-${socket.sessionId}`);
 
   // Broadcast user online status
   socket.broadcast.emit('user-online', {
@@ -902,9 +8433,20 @@ io.on('connection', (socket) => {
     timestamp: new Date()
   });
 
-  // Handle study group joining
-  socket.on('join-study-group', (groupId) => {
+  // Handle study group joining. Only the leader and current members get the group's traffic, so a
+  // member removed by a moderator cannot simply join the room again
+  socket.on('join-study-group', async (groupId) => {
     try {
+      const group = StudyGroup && mongoose.Types.ObjectId.isValid(groupId)
+        ? await StudyGroup.findOne({ _id: groupId, isActive: true }).select('leader members').lean()
+        : null;
+      const isMember = group && (group.leader.toString() === socket.userId ||
+        group.members.some(memberId => memberId.toString() === socket.userId));
+      if (!isMember) {
+        socket.emit('error', { message: 'You are not a member of this study group' });
+        return;
+      }
+
       socket.join(`group-${groupId}`);
       socket.to(`group-${groupId}`).emit('user-joined-group', {
         userId: socket.userId,
@@ -922,6 +8464,8 @@ io.on('connection', (socket) => {
   socket.on('collaboration-update', (data) => {
     try {
       const { groupId, type, content } = data;
+      // Sending into a room is limited to sockets that were let into it
+      if (!socket.rooms.has(`group-${groupId}`)) return;
       socket.to(`group-${groupId}`).emit('collaboration-update', {
         userId: socket.userId,
         type,
@@ -952,6 +8496,7 @@ io.on('connection', (socket) => {
   socket.on('typing', (data) => {
     try {
       const { roomId } = data;
+      if (!socket.rooms.has(roomId)) return;
       socket.to(roomId).emit('user-typing', {
         userId: socket.userId,
         timestamp: new Date()
@@ -966,8 +8511,15 @@ io.on('connection', (socket) => {
     const user = activeUsers.get(socket.userId);
     if (user) {
       user.lastSeen = new Date();
-      activeUsers.set(socket.userId, user);
     }
+
+    if (AuthSession) {
+      AuthSession.updateOne(
+        { _id: socket.sessionId, lastSeenAt: { $lt: new Date(Date.now() - SESSION_LAST_SEEN_INTERVAL_MS) } },
+        { lastSeenAt: new Date() }
+      ).catch(() => {});
+    }
+
     socket.emit('heartbeat-ack', { timestamp: new Date() });
   });
 
@@ -975,7 +8527,12 @@ io.on('connection', (socket) => {
   socket.on('disconnect', (reason) => {
     console.log(`❌ User ${socket.userId} disconnected: ${reason}`);
 
-    // Remove from active users
+    // Remove this connection; the user stays online while other devices are connected
+    const user = activeUsers.get(socket.userId);
+    if (user) {
+      user.sockets.delete(socket.id);
+      if (user.sockets.size > 0) return;
+    }
     activeUsers.delete(socket.userId);
 
     // Update user status in database
@@ -1000,7 +8557,14 @@ io.on('connection', (socket) => {
 });
 
 // Serve static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
+  // An SVG opened on its own is a document; this keeps it from running scripts or loading anything
+  setHeaders: (res, filePath) => {
+    if (path.extname(filePath).toLowerCase() === '.svg') {
+      res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:; sandbox");
+    }
+  }
+}));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Serve frontend files
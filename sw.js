@@ -1,7 +1,7 @@
 // Learnova Modern - Service Worker
 // PWA functionality with offline support and caching
 
-const CACHE_NAME = 'learnova-modern-v2.0.0';
+const CACHE_NAME = 'learnova-modern-v2.1.0';
 const STATIC_CACHE = `${CACHE_NAME}-static`;
 const DYNAMIC_CACHE = `${CACHE_NAME}-dynamic`;
 const API_CACHE = `${CACHE_NAME}-api`;
@@ -10,6 +10,7 @@ const API_CACHE = `${CACHE_NAME}-api`;
 const STATIC_ASSETS = [
   '/',
   '/index.html',
+  '/rich-text.js',
   '/client-modern.js',
   '/style.css',
   '/manifest.json',
@@ -19,6 +20,12 @@ const STATIC_ASSETS = [
   'https://unpkg.com/three@0.157.0/build/three.min.js',
   'https://unpkg.com/@lottiefiles/lottie-player@latest/dist/lottie-player.js',
   'https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.2/gsap.min.js',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.js',
+  'https://cdn.jsdelivr.net/npm/marked@12.0.2/marked.min.js',
+  'https://cdn.jsdelivr.net/npm/dompurify@3.1.6/dist/purify.min.js',
+  'https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build/styles/github-dark.min.css',
+  'https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build/highlight.min.js',
   'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800;900&display=swap'
 ];
 
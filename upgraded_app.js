@@ -344,13 +344,20 @@ function sendMessage() {
   },800);
   document.getElementById('chatInput').value = '';
 }
+// Messages go through the shared renderer in rich-text.js; without it they are shown as plain text
+function formatMessage(text) {
+  if (typeof renderRichText === 'function') return renderRichText(text);
+  let escaper = document.createElement('div');
+  escaper.textContent = text;
+  return escaper.innerHTML;
+}
 function addMessage(role, text) {
   let container = document.getElementById('chatMessages');
   let msgHtml = `<div class="message ${role}-message">
                   <div class="message-avatar"><i class="fas fa-${role==='ai'?'robot':'user'}"></i></div>
-                  <div class="message-content"><p>${text}</p></div>
+                  <div class="message-content"><div class="rich-text">${formatMessage(text)}</div></div>
                 </div>`;
-  container.innerHTML += msgHtml;
+  container.insertAdjacentHTML('beforeend', msgHtml);
   container.scrollTop = container.scrollHeight;
 }
 function getAIResponse(input) {